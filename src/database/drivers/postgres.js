@@ -0,0 +1,97 @@
+// Promise-based wrapper around a pg connection pool. Queries are written
+// with `?` placeholders, as for SQLite, and rewritten to `$1, $2, ...` here.
+class PostgresDriver {
+  // Pass `connectionString`, or an existing `pool` (e.g. from pg-mem in tests)
+  constructor({ connectionString, pool } = {}) {
+    this.dialect = 'postgres';
+    this.types = { timestamp: 'TIMESTAMPTZ' };
+
+    if (pool) {
+      this.pool = pool;
+    } else {
+      const pg = require('pg');
+      // COUNT and SUM come back as int8/numeric; our values fit in a double
+      pg.types.setTypeParser(20, Number);
+      pg.types.setTypeParser(1700, Number);
+      this.pool = new pg.Pool({ connectionString });
+    }
+
+    this.client = this.pool;
+    this.txQueue = Promise.resolve();
+  }
+
+  static toPositional(sql) {
+    let index = 0;
+    return sql.replace(/\?/g, () => `$${++index}`);
+  }
+
+  async query(sql, params = []) {
+    return this.client.query(PostgresDriver.toPositional(sql), params);
+  }
+
+  // Resolves with the number of rows changed
+  async run(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rowCount;
+  }
+
+  async get(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows[0];
+  }
+
+  async all(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows;
+  }
+
+  // Run `fn` inside a transaction on a dedicated client. Like the SQLite
+  // driver, transactions are queued so only one runs at a time in this
+  // process; the bot is expected to run as a single instance.
+  transaction(fn) {
+    const run = async () => {
+      const client = await this.pool.connect();
+      const tx = Object.create(this);
+      tx.client = client;
+      tx.transaction = (inner) => inner(tx);
+
+      try {
+        await client.query('BEGIN');
+        const result = await fn(tx);
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+    };
+
+    const result = this.txQueue.then(run);
+    this.txQueue = result.catch(() => {});
+    return result;
+  }
+
+  async tableExists(table) {
+    const row = await this.get(
+      "SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' AND table_name = ?",
+      [table]
+    );
+    return !!row;
+  }
+
+  async getColumns(table) {
+    const rows = await this.all(
+      "SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = ?",
+      [table]
+    );
+    return rows.map(row => row.column_name);
+  }
+
+  close() {
+    return this.pool.end();
+  }
+}
+
+module.exports = PostgresDriver;
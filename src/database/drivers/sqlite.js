@@ -0,0 +1,99 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+// Promise-based wrapper around a single sqlite3 connection
+class SqliteDriver {
+  constructor(dbPath) {
+    // Ensure data directory exists
+    const dataDir = path.dirname(dbPath);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    this.dialect = 'sqlite';
+    this.types = { timestamp: 'DATETIME' };
+    this.db = new sqlite3.Database(dbPath);
+    this.queue = Promise.resolve();
+  }
+
+  // Statements and transactions share the one connection, so they all go
+  // through one queue: a statement issued while a transaction is open waits
+  // for it to finish instead of joining it (and being rolled back with it).
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // Resolves with the number of rows changed
+  run(sql, params = []) {
+    return this.enqueue(() => this.exec('run', sql, params));
+  }
+
+  get(sql, params = []) {
+    return this.enqueue(() => this.exec('get', sql, params));
+  }
+
+  all(sql, params = []) {
+    return this.enqueue(() => this.exec('all', sql, params));
+  }
+
+  // Run one statement straight away, without waiting for the queue
+  exec(method, sql, params) {
+    return new Promise((resolve, reject) => {
+      this.db[method](sql, params, function(err, result) {
+        if (err) reject(err);
+        else resolve(method === 'run' ? this.changes : result);
+      });
+    });
+  }
+
+  // Run `fn` inside a single SQLite transaction, as one entry in the queue.
+  // `fn` receives a driver whose statements run inside the transaction
+  // directly, and which runs nested `transaction` calls inline.
+  transaction(fn) {
+    return this.enqueue(async () => {
+      const tx = Object.create(this);
+      tx.run = (sql, params = []) => this.exec('run', sql, params);
+      tx.get = (sql, params = []) => this.exec('get', sql, params);
+      tx.all = (sql, params = []) => this.exec('all', sql, params);
+      tx.transaction = (inner) => inner(tx);
+
+      await tx.run('BEGIN IMMEDIATE');
+      try {
+        const result = await fn(tx);
+        await tx.run('COMMIT');
+        return result;
+      } catch (err) {
+        await tx.run('ROLLBACK');
+        throw err;
+      }
+    });
+  }
+
+  async tableExists(table) {
+    const row = await this.get(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+      [table]
+    );
+    return !!row;
+  }
+
+  async getColumns(table) {
+    const rows = await this.all(`PRAGMA table_info(${table})`);
+    return rows.map(row => row.name);
+  }
+
+  // Closes once everything already queued has run
+  close() {
+    return this.enqueue(() => new Promise((resolve, reject) => {
+      this.db.close((err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    }));
+  }
+}
+
+module.exports = SqliteDriver;
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+// Show or apply schema migrations.
+//   node src/database/migrate.js status
+//   node src/database/migrate.js up [--to <version>]
+require('dotenv').config();
+const { createDriver } = require('./index');
+const { getStatus, migrate } = require('./migrator');
+
+async function main() {
+  const [command = 'status', ...rest] = process.argv.slice(2);
+  const db = createDriver();
+
+  try {
+    if (command === 'status') {
+      const status = await getStatus(db);
+      console.log(`Schema version: ${status.current} (latest: ${status.latest})`);
+      status.applied.forEach(m => console.log(`  ✅ ${m.version} ${m.name}`));
+      status.pending.forEach(m => console.log(`  ⏳ ${m.version} ${m.name}`));
+      if (status.pending.length === 0) console.log('Database is up to date.');
+    } else if (command === 'up') {
+      const toIndex = rest.indexOf('--to');
+      const target = toIndex === -1 ? Infinity : parseInt(rest[toIndex + 1], 10);
+      if (Number.isNaN(target)) {
+        throw new Error('Usage: migrate up [--to <version>]');
+      }
+      const applied = await migrate(db, { target });
+      if (applied.length === 0) console.log('No pending migrations.');
+    } else {
+      throw new Error(`Unknown command "${command}". Use "status" or "up".`);
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
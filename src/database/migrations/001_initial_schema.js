@@ -0,0 +1,56 @@
+// The schema as it stood before migrations existed. Databases created by
+// that code are adopted at this version without running it.
+module.exports = {
+  version: 1,
+  name: 'initial_schema',
+
+  async up(db) {
+    const timestamp = db.types.timestamp;
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        slack_user_id TEXT UNIQUE NOT NULL,
+        username TEXT NOT NULL,
+        balance INTEGER DEFAULT 20,
+        total_bets INTEGER DEFAULT 0,
+        total_winnings INTEGER DEFAULT 0,
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS betting_lines (
+        id TEXT PRIMARY KEY,
+        question TEXT NOT NULL,
+        options TEXT NOT NULL, -- JSON array of options
+        emojis TEXT NOT NULL, -- JSON array of corresponding emojis
+        status TEXT DEFAULT 'open', -- 'open', 'locked', 'resolved'
+        winner_option TEXT, -- The winning option when resolved
+        created_by TEXT NOT NULL,
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+        locked_at ${timestamp},
+        resolved_at ${timestamp},
+        slack_message_ts TEXT, -- Slack message timestamp
+        slack_channel_id TEXT -- Slack channel ID
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS bets (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        line_id TEXT NOT NULL,
+        option TEXT NOT NULL,
+        amount INTEGER DEFAULT 1,
+        created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (line_id) REFERENCES betting_lines (id)
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_bets_user_id ON bets (user_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_bets_line_id ON bets (line_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_users_slack_id ON users (slack_user_id)');
+  }
+};
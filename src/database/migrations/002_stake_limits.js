@@ -0,0 +1,18 @@
+module.exports = {
+  version: 2,
+  name: 'stake_limits',
+
+  async up(db) {
+    // Some databases picked these columns up before migrations existed
+    const columns = await db.getColumns('betting_lines');
+
+    if (!columns.includes('min_stake')) {
+      // Smallest stake accepted on this line
+      await db.run('ALTER TABLE betting_lines ADD COLUMN min_stake INTEGER DEFAULT 1');
+    }
+    if (!columns.includes('max_stake')) {
+      // Largest stake accepted on this line (NULL = no limit)
+      await db.run('ALTER TABLE betting_lines ADD COLUMN max_stake INTEGER');
+    }
+  }
+};
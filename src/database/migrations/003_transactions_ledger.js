@@ -0,0 +1,38 @@
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = {
+  version: 3,
+  name: 'transactions_ledger',
+
+  async up(db) {
+    // Append-only ledger of every balance change
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS transactions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        type TEXT NOT NULL, -- 'stake', 'refund', 'payout', 'grant', 'adjustment'
+        amount INTEGER NOT NULL, -- Signed change to the user's balance
+        line_id TEXT,
+        bet_id TEXT,
+        note TEXT,
+        created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions (user_id)');
+
+    // Users created before the ledger existed get an opening adjustment so
+    // their ledger sums to their current balance
+    const users = await db.all(
+      `SELECT u.id, u.balance FROM users u
+       LEFT JOIN transactions t ON t.user_id = u.id
+       WHERE u.balance != 0 AND t.id IS NULL`
+    );
+    for (const user of users) {
+      await db.run(
+        "INSERT INTO transactions (id, user_id, type, amount, note) VALUES (?, ?, 'adjustment', ?, 'Opening balance')",
+        [uuidv4(), user.id, user.balance]
+      );
+    }
+  }
+};
@@ -0,0 +1,16 @@
+module.exports = {
+  version: 4,
+  name: 'ledger_sequence',
+
+  // Timestamps can tie within a transaction, so ledger rows get an explicit
+  // sequence number to keep them in the order they were written
+  async up(db) {
+    await db.run('ALTER TABLE transactions ADD COLUMN seq INTEGER');
+
+    if (db.dialect === 'sqlite') {
+      await db.run('UPDATE transactions SET seq = rowid');
+    }
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_transactions_seq ON transactions (seq)');
+  }
+};
@@ -0,0 +1,26 @@
+module.exports = {
+  version: 5,
+  name: 'roles',
+
+  async up(db) {
+    // Workspace admins and bookmakers. An empty channel_id means the role
+    // applies in every channel.
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS user_roles (
+        id TEXT PRIMARY KEY,
+        slack_user_id TEXT NOT NULL,
+        role TEXT NOT NULL, -- 'admin', 'bookmaker'
+        channel_id TEXT NOT NULL DEFAULT '',
+        granted_by TEXT,
+        created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run(
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_user_roles_unique ON user_roles (slack_user_id, role, channel_id)'
+    );
+
+    // Slack user allowed to lock and resolve the line besides admins
+    await db.run('ALTER TABLE betting_lines ADD COLUMN bookmaker_id TEXT');
+    await db.run('UPDATE betting_lines SET bookmaker_id = created_by');
+  }
+};
@@ -0,0 +1,24 @@
+module.exports = {
+  version: 6,
+  name: 'integrity',
+
+  async up(db) {
+    // Who settled the line, and a resolution waiting on a second admin
+    await db.run('ALTER TABLE betting_lines ADD COLUMN resolved_by TEXT');
+    await db.run('ALTER TABLE betting_lines ADD COLUMN pending_winner TEXT');
+    await db.run('ALTER TABLE betting_lines ADD COLUMN pending_resolver TEXT');
+
+    // Record of privileged actions such as integrity rule overrides
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id TEXT PRIMARY KEY,
+        action TEXT NOT NULL,
+        actor_id TEXT NOT NULL, -- Slack user ID
+        line_id TEXT,
+        details TEXT, -- JSON
+        created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_line_id ON audit_log (line_id)');
+  }
+};
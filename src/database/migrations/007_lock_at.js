@@ -0,0 +1,10 @@
+module.exports = {
+  version: 7,
+  name: 'lock_at',
+
+  async up(db) {
+    // When betting closes automatically (NULL = manual lock only)
+    await db.run(`ALTER TABLE betting_lines ADD COLUMN lock_at ${db.types.timestamp}`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_betting_lines_status_lock_at ON betting_lines (status, lock_at)');
+  }
+};
@@ -0,0 +1,11 @@
+module.exports = {
+  version: 8,
+  name: 'message_index',
+
+  async up(db) {
+    // Reactions arrive with a channel and message timestamp; look the line up by those
+    await db.run(
+      'CREATE INDEX IF NOT EXISTS idx_betting_lines_message ON betting_lines (slack_channel_id, slack_message_ts)'
+    );
+  }
+};
@@ -0,0 +1,11 @@
+module.exports = {
+  version: 9,
+  name: 'line_cancellation',
+
+  async up(db) {
+    // Lines voided with `/bet cancel`; their stakes are refunded through the ledger
+    await db.run(`ALTER TABLE betting_lines ADD COLUMN cancelled_at ${db.types.timestamp}`);
+    await db.run('ALTER TABLE betting_lines ADD COLUMN cancelled_by TEXT');
+    await db.run('ALTER TABLE betting_lines ADD COLUMN cancel_reason TEXT');
+  }
+};
@@ -0,0 +1,29 @@
+module.exports = {
+  version: 10,
+  name: 'disputes',
+
+  async up(db) {
+    // Ledger rows written by one settlement share an ID, so it can be reversed exactly
+    await db.run('ALTER TABLE transactions ADD COLUMN settlement_id TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_transactions_settlement_id ON transactions (settlement_id)');
+    await db.run('ALTER TABLE betting_lines ADD COLUMN settlement_id TEXT');
+
+    // Set while a resolved line has an open dispute
+    await db.run(`ALTER TABLE betting_lines ADD COLUMN disputed_at ${db.types.timestamp}`);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS disputes (
+        id TEXT PRIMARY KEY,
+        line_id TEXT NOT NULL,
+        raised_by TEXT NOT NULL, -- Slack user ID
+        reason TEXT,
+        status TEXT NOT NULL DEFAULT 'open', -- 'open', 'upheld', 'dismissed'
+        closed_by TEXT, -- Slack user ID
+        closed_at ${db.types.timestamp},
+        created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (line_id) REFERENCES betting_lines (id)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_disputes_line_id ON disputes (line_id)');
+  }
+};
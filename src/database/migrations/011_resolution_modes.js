@@ -0,0 +1,18 @@
+module.exports = {
+  version: 11,
+  name: 'resolution_modes',
+
+  async up(db) {
+    // 'single', 'dead_heat' or 'push', and every winning option as a JSON
+    // array. winner_option keeps the first winner for older readers.
+    await db.run('ALTER TABLE betting_lines ADD COLUMN resolution_mode TEXT');
+    await db.run('ALTER TABLE betting_lines ADD COLUMN winner_options TEXT');
+
+    // A resolution waiting on a second admin, as a JSON outcome
+    await db.run('ALTER TABLE betting_lines ADD COLUMN pending_outcome TEXT');
+
+    await db.run(
+      "UPDATE betting_lines SET resolution_mode = 'single' WHERE status = 'resolved' AND winner_option IS NOT NULL"
+    );
+  }
+};
@@ -0,0 +1,13 @@
+module.exports = {
+  version: 12,
+  name: 'numeric_lines',
+
+  async up(db) {
+    // Over/under and bucket lines: how options map to a number, as JSON.
+    // NULL for ordinary option lines.
+    await db.run('ALTER TABLE betting_lines ADD COLUMN numeric_spec TEXT');
+
+    // The value reported with `/bet settle`
+    await db.run('ALTER TABLE betting_lines ADD COLUMN reported_value DOUBLE PRECISION');
+  }
+};
@@ -0,0 +1,10 @@
+module.exports = {
+  version: 13,
+  name: 'closest_guess',
+
+  async up(db) {
+    // The guess behind a bet on a closest-guess line (dates as days since
+    // the epoch). `option` holds the guess as it is shown.
+    await db.run('ALTER TABLE bets ADD COLUMN guess DOUBLE PRECISION');
+  }
+};
@@ -0,0 +1,46 @@
+module.exports = {
+  version: 14,
+  name: 'parlays',
+
+  async up(db) {
+    // One bet spread over several lines. `odds` is the product of the legs'
+    // odds when it was placed; `payout` is set once it is settled.
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS parlays (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        stake INTEGER NOT NULL,
+        odds DOUBLE PRECISION NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open', -- 'open', 'won', 'lost', 'void'
+        payout INTEGER,
+        settled_at ${db.types.timestamp},
+        created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_parlays_user_id ON parlays (user_id)');
+
+    // `odds` is the leg's pari-mutuel multiplier when the parlay was placed;
+    // `result_odds` is what it counts for once its line is settled (the odds
+    // for a win, reduced for a dead heat, 1 for a void leg)
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS parlay_legs (
+        id TEXT PRIMARY KEY,
+        parlay_id TEXT NOT NULL,
+        position INTEGER NOT NULL, -- the order the legs were picked in
+        line_id TEXT NOT NULL,
+        option TEXT NOT NULL,
+        odds DOUBLE PRECISION NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'won', 'lost', 'void'
+        result_odds DOUBLE PRECISION,
+        FOREIGN KEY (parlay_id) REFERENCES parlays (id),
+        FOREIGN KEY (line_id) REFERENCES betting_lines (id)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_parlay_legs_parlay_id ON parlay_legs (parlay_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_parlay_legs_line_id ON parlay_legs (line_id)');
+
+    // Parlay stakes, payouts and refunds in the ledger point at their parlay
+    await db.run('ALTER TABLE transactions ADD COLUMN parlay_id TEXT');
+  }
+};
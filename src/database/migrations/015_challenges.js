@@ -0,0 +1,38 @@
+module.exports = {
+  version: 15,
+  name: 'challenges',
+
+  async up(db) {
+    // Head-to-head bets between two users on a free-form statement. The
+    // challenger's stake is escrowed when the challenge is issued and the
+    // target's when it is accepted. Each side then claims a result
+    // ('challenger', 'target' or 'push'); matching claims settle it, and
+    // differing ones leave it 'disputed' for an admin.
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS challenges (
+        id TEXT PRIMARY KEY,
+        challenger_id TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        statement TEXT NOT NULL,
+        stake INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'accepted', 'declined', 'expired', 'disputed', 'settled'
+        challenger_claim TEXT,
+        target_claim TEXT,
+        winner TEXT,
+        settled_by TEXT, -- Slack user ID of the admin, or NULL when both sides agreed
+        slack_channel_id TEXT,
+        slack_message_ts TEXT,
+        expires_at ${db.types.timestamp} NOT NULL,
+        accepted_at ${db.types.timestamp},
+        settled_at ${db.types.timestamp},
+        created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (challenger_id) REFERENCES users (id),
+        FOREIGN KEY (target_id) REFERENCES users (id)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_challenges_status ON challenges (status)');
+
+    // Escrowed stakes, payouts and refunds point at their challenge
+    await db.run('ALTER TABLE transactions ADD COLUMN challenge_id TEXT');
+  }
+};
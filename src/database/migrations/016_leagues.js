@@ -0,0 +1,52 @@
+module.exports = {
+  version: 16,
+  name: 'leagues',
+
+  async up(db) {
+    // Separate pools of players. A league is either tied to a channel (lines
+    // created there belong to it) or a named group that lines opt into with
+    // `league:`. The 'default' league is the workspace-wide pool everything
+    // belonged to before leagues existed; its balances stay on `users`.
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS leagues (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        slack_channel_id TEXT,
+        starting_balance INTEGER NOT NULL,
+        created_by TEXT,
+        created_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_leagues_name ON leagues (name)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_leagues_channel ON leagues (slack_channel_id)');
+    await db.run(
+      "INSERT INTO leagues (id, name, starting_balance, created_by) VALUES ('default', 'default', ?, 'migration')",
+      [parseInt(process.env.DEFAULT_BALANCE || '20', 10)]
+    );
+
+    // Balances and stats per member of every league but the default one.
+    // Leaving only clears `active`, so rejoining picks up the old balance.
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS league_members (
+        league_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        balance INTEGER NOT NULL DEFAULT 0,
+        total_bets INTEGER NOT NULL DEFAULT 0,
+        total_winnings INTEGER NOT NULL DEFAULT 0,
+        active INTEGER NOT NULL DEFAULT 1,
+        joined_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (league_id, user_id),
+        FOREIGN KEY (league_id) REFERENCES leagues (id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+
+    // Everything that moves a balance records which league's balance it is;
+    // existing rows all belong to the default league
+    await db.run("ALTER TABLE betting_lines ADD COLUMN league_id TEXT NOT NULL DEFAULT 'default'");
+    await db.run("ALTER TABLE transactions ADD COLUMN league_id TEXT NOT NULL DEFAULT 'default'");
+    await db.run("ALTER TABLE parlays ADD COLUMN league_id TEXT NOT NULL DEFAULT 'default'");
+    await db.run("ALTER TABLE challenges ADD COLUMN league_id TEXT NOT NULL DEFAULT 'default'");
+    await db.run('CREATE INDEX IF NOT EXISTS idx_betting_lines_league_id ON betting_lines (league_id)');
+  }
+};
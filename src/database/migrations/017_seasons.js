@@ -0,0 +1,46 @@
+module.exports = {
+  version: 17,
+  name: 'seasons',
+
+  async up(db) {
+    // A league's seasons, numbered from 1. At most one is active at a time;
+    // everyone starts it on `starting_balance` and goes back to it when it ends.
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS seasons (
+        id TEXT PRIMARY KEY,
+        league_id TEXT NOT NULL,
+        number INTEGER NOT NULL,
+        starting_balance INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active', -- 'active', 'ended'
+        started_by TEXT,
+        started_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        ended_by TEXT,
+        ended_at ${db.types.timestamp},
+        FOREIGN KEY (league_id) REFERENCES leagues (id)
+      )
+    `);
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_league_number ON seasons (league_id, number)');
+
+    // Final standings, copied when a season ends so they survive the reset
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS season_standings (
+        id TEXT PRIMARY KEY,
+        season_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        rank INTEGER NOT NULL,
+        balance INTEGER NOT NULL,
+        profit INTEGER NOT NULL, -- balance less the season's starting balance
+        bets INTEGER NOT NULL, -- bets placed on the season's lines
+        badge TEXT, -- e.g. '🥇', when badges were awarded
+        FOREIGN KEY (season_id) REFERENCES seasons (id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_season_standings_season_id ON season_standings (season_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_season_standings_user_id ON season_standings (user_id)');
+
+    // The season a line was created in; NULL outside any season
+    await db.run('ALTER TABLE betting_lines ADD COLUMN season_id TEXT');
+  }
+};
@@ -0,0 +1,14 @@
+module.exports = {
+  version: 18,
+  name: 'replenishment',
+
+  async up(db) {
+    // How many times someone has been bailed out, kept as a mark against
+    // them, and when they last had an allowance or daily bonus (ISO strings)
+    await db.run('ALTER TABLE users ADD COLUMN bailouts INTEGER DEFAULT 0');
+    await db.run(`ALTER TABLE users ADD COLUMN last_allowance_at ${db.types.timestamp}`);
+    await db.run(`ALTER TABLE users ADD COLUMN last_bonus_at ${db.types.timestamp}`);
+    await db.run('ALTER TABLE league_members ADD COLUMN bailouts INTEGER DEFAULT 0');
+    await db.run(`ALTER TABLE league_members ADD COLUMN last_allowance_at ${db.types.timestamp}`);
+  }
+};
@@ -0,0 +1,17 @@
+module.exports = {
+  version: 19,
+  name: 'line_numbers',
+
+  // Short numbers for lines (`#42`), so commands do not need the full ID.
+  // Existing lines are numbered in the order they were created.
+  async up(db) {
+    await db.run('ALTER TABLE betting_lines ADD COLUMN number INTEGER');
+
+    const lines = await db.all('SELECT id FROM betting_lines ORDER BY created_at, id');
+    for (let i = 0; i < lines.length; i++) {
+      await db.run('UPDATE betting_lines SET number = ? WHERE id = ?', [i + 1, lines[i].id]);
+    }
+
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_betting_lines_number ON betting_lines (number)');
+  }
+};
@@ -0,0 +1,12 @@
+module.exports = {
+  version: 20,
+  name: 'guess_precision',
+
+  // `bets.guess` was created as REAL, a 4-byte float on Postgres, so a guess
+  // of 0.1 read back as 0.10000000149. SQLite's REAL is already a double.
+  async up(db) {
+    if (db.dialect === 'postgres') {
+      await db.run('ALTER TABLE bets ALTER COLUMN guess TYPE DOUBLE PRECISION');
+    }
+  }
+};
@@ -0,0 +1,13 @@
+module.exports = {
+  version: 21,
+  name: 'reported_value_precision',
+
+  // `betting_lines.reported_value` was created as REAL, a 4-byte float on
+  // Postgres, so 17.3 was stored as 17.299999237 and a repeat settle with
+  // 17.3 no longer matched it. SQLite's REAL is already a double.
+  async up(db) {
+    if (db.dialect === 'postgres') {
+      await db.run('ALTER TABLE betting_lines ALTER COLUMN reported_value TYPE DOUBLE PRECISION');
+    }
+  }
+};
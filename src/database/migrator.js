@@ -0,0 +1,90 @@
+const path = require('path');
+const fs = require('fs');
+
+// `db` throughout is a driver from ./drivers, not the Database repository
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Load every numbered migration file, in version order
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => {
+      const migration = require(path.join(dir, file));
+      const fileVersion = parseInt(file, 10);
+      if (migration.version !== fileVersion) {
+        throw new Error(`Migration ${file} declares version ${migration.version}`);
+      }
+      return migration;
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (migration.version !== i + 1) {
+      throw new Error(`Missing migration for version ${i + 1}`);
+    }
+  });
+
+  return migrations;
+}
+
+// Create the version table. A database that already has tables but no
+// version table was created before migrations existed: adopt it as version 1.
+async function ensureVersionTable(db) {
+  if (await db.tableExists('schema_version')) return;
+
+  const isLegacy = await db.tableExists('users');
+  await db.run(`
+    CREATE TABLE schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at ${db.types.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  if (isLegacy) {
+    await db.run('INSERT INTO schema_version (version, name) VALUES (1, ?)', ['initial_schema (adopted)']);
+    console.log('📦 Adopted existing database as schema version 1');
+  }
+}
+
+async function getCurrentVersion(db) {
+  await ensureVersionTable(db);
+  const row = await db.get('SELECT MAX(version) AS version FROM schema_version');
+  return row.version || 0;
+}
+
+// Report which migrations have been applied and which are pending
+async function getStatus(db, migrations = loadMigrations()) {
+  const current = await getCurrentVersion(db);
+  return {
+    current,
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+    applied: migrations.filter(m => m.version <= current),
+    pending: migrations.filter(m => m.version > current)
+  };
+}
+
+// Apply pending migrations up to `target` (default: latest). Each migration
+// runs in its own transaction together with its schema_version row.
+async function migrate(db, { target = Infinity, migrations = loadMigrations(), log = console.log } = {}) {
+  const { pending } = await getStatus(db, migrations);
+  const toApply = pending.filter(m => m.version <= target);
+
+  for (const migration of toApply) {
+    await db.transaction(async (tx) => {
+      await migration.up(tx);
+      await tx.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+    log(`📦 Applied migration ${migration.version}: ${migration.name}`);
+  }
+
+  return toApply;
+}
+
+module.exports = {
+  loadMigrations,
+  getCurrentVersion,
+  getStatus,
+  migrate
+};
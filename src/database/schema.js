@@ -1,264 +1,835 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const SqliteDriver = require('./drivers/sqlite');
+const { migrate } = require('./migrator');
 
-class Database {
-  constructor(dbPath) {
-    // Ensure data directory exists
-    const dataDir = path.dirname(dbPath);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
+const TRANSACTION_TYPES = ['stake', 'refund', 'payout', 'grant', 'adjustment', 'reversal', 'allowance', 'bailout', 'bonus'];
+
+// The workspace-wide league. Its balances and stats are the columns on
+// `users`; every other league keeps them in `league_members`.
+const DEFAULT_LEAGUE_ID = 'default';
+
+// Lines with the name of their league, for the card
+const LINE_SELECT = 'SELECT b.*, l.name AS league_name FROM betting_lines b LEFT JOIN leagues l ON b.league_id = l.id';
+
+// Decode the JSON columns of a betting_lines row
+function parseLineRow(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    options: JSON.parse(row.options),
+    emojis: JSON.parse(row.emojis),
+    winner_options: row.winner_options ? JSON.parse(row.winner_options) : null,
+    pending_outcome: row.pending_outcome ? JSON.parse(row.pending_outcome) : null,
+    numeric_spec: row.numeric_spec ? JSON.parse(row.numeric_spec) : null,
+  };
+}
 
-    this.db = new sqlite3.Database(dbPath);
+// Repository for users, betting lines, bets and the transactions ledger.
+// All SQL is written against the small driver interface (run/get/all/
+// transaction) with `?` placeholders, so the same methods work on the SQLite
+// and Postgres drivers. Nothing outside src/database should reach past these
+// methods to the driver.
+class Database {
+  // Accepts a driver, or a SQLite file path for convenience
+  constructor(driver) {
+    this.driver = typeof driver === 'string' ? new SqliteDriver(driver) : driver;
   }
 
+  // Bring the schema up to date by applying any pending migrations
   async init() {
-    return new Promise((resolve, reject) => {
-      // Users table
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS users (
-          id TEXT PRIMARY KEY,
-          slack_user_id TEXT UNIQUE NOT NULL,
-          username TEXT NOT NULL,
-          balance INTEGER DEFAULT 20,
-          total_bets INTEGER DEFAULT 0,
-          total_winnings INTEGER DEFAULT 0,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `, (err) => {
-        if (err) return reject(err);
-        
-        // Betting lines table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS betting_lines (
-            id TEXT PRIMARY KEY,
-            question TEXT NOT NULL,
-            options TEXT NOT NULL, -- JSON array of options
-            emojis TEXT NOT NULL, -- JSON array of corresponding emojis
-            status TEXT DEFAULT 'open', -- 'open', 'locked', 'resolved'
-            winner_option TEXT, -- The winning option when resolved
-            created_by TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            locked_at DATETIME,
-            resolved_at DATETIME,
-            slack_message_ts TEXT, -- Slack message timestamp
-            slack_channel_id TEXT -- Slack channel ID
-          )
-        `, (err) => {
-          if (err) return reject(err);
-          
-          // Bets table
-          this.db.run(`
-            CREATE TABLE IF NOT EXISTS bets (
-              id TEXT PRIMARY KEY,
-              user_id TEXT NOT NULL,
-              line_id TEXT NOT NULL,
-              option TEXT NOT NULL,
-              amount INTEGER DEFAULT 1,
-              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-              FOREIGN KEY (user_id) REFERENCES users (id),
-              FOREIGN KEY (line_id) REFERENCES betting_lines (id)
-            )
-          `, (err) => {
-            if (err) return reject(err);
-            
-            // Create indexes for better performance
-            this.db.run(`CREATE INDEX IF NOT EXISTS idx_bets_user_id ON bets (user_id)`, (err) => {
-              if (err) return reject(err);
-              
-              this.db.run(`CREATE INDEX IF NOT EXISTS idx_bets_line_id ON bets (line_id)`, (err) => {
-                if (err) return reject(err);
-                
-                this.db.run(`CREATE INDEX IF NOT EXISTS idx_users_slack_id ON users (slack_user_id)`, (err) => {
-                  if (err) return reject(err);
-                  else resolve();
-                });
-              });
-            });
-          });
-        });
-      });
-    });
+    return migrate(this.driver);
   }
 
+  // Run `fn` inside a single database transaction. `fn` receives a
+  // repository bound to the transaction; nested calls run inline.
+  async transaction(fn) {
+    return this.driver.transaction((txDriver) => fn(this.withDriver(txDriver)));
+  }
+
+  withDriver(driver) {
+    const repo = Object.create(this);
+    repo.driver = driver;
+    return repo;
+  }
 
   // User methods
   async getUserBySlackId(slackUserId) {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT * FROM users WHERE slack_user_id = ?',
-        [slackUserId],
-        (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        }
-      );
-    });
+    return this.driver.get('SELECT * FROM users WHERE slack_user_id = ?', [slackUserId]);
   }
 
   async createUser(slackUserId, username) {
-    const id = require('uuid').v4();
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        'INSERT INTO users (id, slack_user_id, username) VALUES (?, ?, ?)',
-        [id, slackUserId, username],
-        function(err) {
-          if (err) reject(err);
-          else resolve({ id, slack_user_id: slackUserId, username });
-        }
+    const id = uuidv4();
+
+    return this.transaction(async (tx) => {
+      // Newcomers start on the running season's balance, if there is one
+      const season = await tx.getActiveSeason(DEFAULT_LEAGUE_ID);
+      const startingBalance = season ? season.starting_balance : parseInt(process.env.DEFAULT_BALANCE || '20', 10);
+      await tx.driver.run(
+        'INSERT INTO users (id, slack_user_id, username, balance) VALUES (?, ?, ?, 0)',
+        [id, slackUserId, username]
       );
+      await tx.recordTransaction(id, 'grant', startingBalance, { note: 'Starting balance' });
+      return { id, slack_user_id: slackUserId, username, balance: startingBalance };
     });
   }
 
-  async updateUserBalance(userId, newBalance) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        'UPDATE users SET balance = ? WHERE id = ?',
-        [newBalance, userId],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.changes);
-        }
-      );
+  // Set a balance directly. Recorded in the ledger as an adjustment.
+  async updateUserBalance(userId, newBalance, note = null) {
+    return this.transaction(async (tx) => {
+      const user = await tx.driver.get('SELECT balance FROM users WHERE id = ?', [userId]);
+      if (!user) return 0;
+      if (user.balance === newBalance) return 1;
+      await tx.recordTransaction(userId, 'adjustment', newBalance - user.balance, { note });
+      return 1;
     });
   }
 
-  async incrementUserStats(userId, field, amount = 1) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        `UPDATE users SET ${field} = ${field} + ? WHERE id = ?`,
-        [amount, userId],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.changes);
-        }
+  async incrementUserStats(userId, field, amount = 1, leagueId = DEFAULT_LEAGUE_ID) {
+    if (!['total_bets', 'total_winnings', 'bailouts'].includes(field)) {
+      throw new Error(`Unknown user stat: ${field}`);
+    }
+    if (leagueId !== DEFAULT_LEAGUE_ID) {
+      return this.driver.run(
+        `UPDATE league_members SET ${field} = ${field} + ? WHERE league_id = ? AND user_id = ?`,
+        [amount, leagueId, userId]
       );
-    });
+    }
+    return this.driver.run(`UPDATE users SET ${field} = ${field} + ? WHERE id = ?`, [amount, userId]);
+  }
+
+  // Ledger methods
+  // Append a ledger row and apply it to the cached balance: on `users` for
+  // the default league, on `league_members` for any other.
+  // Call inside `transaction` so both writes land together.
+  async recordTransaction(userId, type, amount, {
+    lineId = null, betId = null, note = null, settlementId = null, parlayId = null, challengeId = null, leagueId = DEFAULT_LEAGUE_ID
+  } = {}) {
+    if (!TRANSACTION_TYPES.includes(type)) {
+      throw new Error(`Unknown transaction type: ${type}`);
+    }
+
+    const id = uuidv4();
+    const { next } = await this.driver.get('SELECT COALESCE(MAX(seq), 0) + 1 AS next FROM transactions');
+    await this.driver.run(
+      `INSERT INTO transactions (id, seq, user_id, type, amount, line_id, bet_id, note, settlement_id, parlay_id, challenge_id, league_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, next, userId, type, amount, lineId, betId, note, settlementId, parlayId, challengeId, leagueId]
+    );
+    if (leagueId === DEFAULT_LEAGUE_ID) {
+      await this.driver.run('UPDATE users SET balance = balance + ? WHERE id = ?', [amount, userId]);
+    } else {
+      await this.driver.run(
+        'UPDATE league_members SET balance = balance + ? WHERE league_id = ? AND user_id = ?',
+        [amount, leagueId, userId]
+      );
+    }
+
+    return {
+      id, user_id: userId, type, amount,
+      line_id: lineId, bet_id: betId, note, settlement_id: settlementId, parlay_id: parlayId,
+      challenge_id: challengeId, league_id: leagueId
+    };
+  }
+
+  async getTransactionsForUser(userId) {
+    return this.driver.all('SELECT * FROM transactions WHERE user_id = ? ORDER BY seq', [userId]);
+  }
+
+  // The ledger rows written when a line was settled, in the order written
+  async getSettlementTransactions(settlementId) {
+    return this.driver.all('SELECT * FROM transactions WHERE settlement_id = ? ORDER BY seq', [settlementId]);
+  }
+
+  // Users whose cached balance in a league disagrees with the sum of their
+  // ledger rows for it
+  async reconcileBalances() {
+    const users = await this.driver.all(
+      `SELECT u.id, u.username, u.balance, COALESCE(SUM(t.amount), 0) AS ledger_balance
+       FROM users u LEFT JOIN transactions t ON t.user_id = u.id AND t.league_id = ?
+       GROUP BY u.id, u.username, u.balance`,
+      [DEFAULT_LEAGUE_ID]
+    );
+    const members = await this.driver.all(
+      `SELECT u.id, u.username, m.balance, m.league_id, COALESCE(SUM(t.amount), 0) AS ledger_balance
+       FROM league_members m
+       JOIN users u ON m.user_id = u.id
+       LEFT JOIN transactions t ON t.user_id = m.user_id AND t.league_id = m.league_id
+       GROUP BY u.id, u.username, m.balance, m.league_id`
+    );
+    return [...users.map(row => ({ ...row, league_id: DEFAULT_LEAGUE_ID })), ...members]
+      .filter(row => Number(row.balance) !== Number(row.ledger_balance));
+  }
+
+  // Role methods
+  async getRolesForUser(slackUserId) {
+    return this.driver.all('SELECT * FROM user_roles WHERE slack_user_id = ?', [slackUserId]);
+  }
+
+  async listRoles() {
+    return this.driver.all('SELECT * FROM user_roles ORDER BY role, slack_user_id, channel_id');
+  }
+
+  // Returns false if the user already held the role
+  async grantRole(slackUserId, role, channelId = '', grantedBy = null) {
+    const existing = await this.driver.get(
+      'SELECT id FROM user_roles WHERE slack_user_id = ? AND role = ? AND channel_id = ?',
+      [slackUserId, role, channelId]
+    );
+    if (existing) return false;
+
+    await this.driver.run(
+      'INSERT INTO user_roles (id, slack_user_id, role, channel_id, granted_by) VALUES (?, ?, ?, ?, ?)',
+      [uuidv4(), slackUserId, role, channelId, grantedBy]
+    );
+    return true;
+  }
+
+  async revokeRole(slackUserId, role, channelId = '') {
+    const changes = await this.driver.run(
+      'DELETE FROM user_roles WHERE slack_user_id = ? AND role = ? AND channel_id = ?',
+      [slackUserId, role, channelId]
+    );
+    return changes > 0;
   }
 
   // Betting line methods
-  async createBettingLine(question, options, emojis, createdBy, slackMessageTs, slackChannelId) {
-    const id = require('uuid').v4();
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        `INSERT INTO betting_lines (id, question, options, emojis, created_by, slack_message_ts, slack_channel_id) 
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [id, question, JSON.stringify(options), JSON.stringify(emojis), createdBy, slackMessageTs, slackChannelId],
-        function(err) {
-          if (err) reject(err);
-          else resolve({ id, question, options, emojis });
-        }
+  // `settings` takes { minStake, maxStake, lockAt, numeric, leagueId }; `bookmakerId` defaults to the creator
+  async createBettingLine(question, options, emojis, createdBy, slackMessageTs, slackChannelId, settings = {}, bookmakerId = createdBy) {
+    const id = uuidv4();
+    const minStake = settings.minStake || 1;
+    const maxStake = settings.maxStake || null;
+    const lockAt = settings.lockAt ? new Date(settings.lockAt).toISOString() : null;
+    const numericSpec = settings.numeric || null;
+    const leagueId = settings.leagueId || DEFAULT_LEAGUE_ID;
+
+    // The number is allocated and taken in one transaction, so lines created
+    // at the same time get different numbers
+    const { number, seasonId } = await this.transaction(async (tx) => {
+      // Lines belong to the season their league is in when they are created
+      const season = await tx.getActiveSeason(leagueId);
+      // Short numbers for commands (`/bet show 42`), in creation order
+      const { next } = await tx.driver.get('SELECT COALESCE(MAX(number), 0) + 1 AS next FROM betting_lines');
+      const line = { number: Number(next), seasonId: season ? season.id : null };
+
+      await tx.driver.run(
+        `INSERT INTO betting_lines (id, number, question, options, emojis, created_by, slack_message_ts, slack_channel_id, min_stake, max_stake, bookmaker_id, lock_at, numeric_spec, league_id, season_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, line.number, question, JSON.stringify(options), JSON.stringify(emojis), createdBy, slackMessageTs, slackChannelId, minStake, maxStake, bookmakerId, lockAt,
+          numericSpec && JSON.stringify(numericSpec), leagueId, line.seasonId]
       );
+      return line;
     });
+
+    return {
+      id, number, question, options, emojis,
+      created_by: createdBy,
+      min_stake: minStake,
+      max_stake: maxStake,
+      bookmaker_id: bookmakerId,
+      lock_at: lockAt,
+      numeric_spec: numericSpec,
+      league_id: leagueId,
+      season_id: seasonId
+    };
+  }
+
+  // Open lines with a closing time, for the auto-lock scheduler
+  async getLinesWithDeadlines() {
+    const rows = await this.driver.all(
+      "SELECT * FROM betting_lines WHERE status = 'open' AND lock_at IS NOT NULL"
+    );
+    return rows.map(parseLineRow);
+  }
+
+  // Lock a line only if it is still open. Returns true if this call locked it.
+  async lockBettingLine(id) {
+    const changes = await this.driver.run(
+      "UPDATE betting_lines SET status = 'locked', locked_at = ? WHERE id = ? AND status = 'open'",
+      [new Date().toISOString(), id]
+    );
+    return changes > 0;
   }
 
   async getBettingLine(id) {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT * FROM betting_lines WHERE id = ?',
-        [id],
-        (err, row) => {
-          if (err) reject(err);
-          else if (row) {
-            row.options = JSON.parse(row.options);
-            row.emojis = JSON.parse(row.emojis);
-            resolve(row);
-          } else {
-            resolve(null);
-          }
-        }
-      );
-    });
+    const row = await this.driver.get(`${LINE_SELECT} WHERE b.id = ?`, [id]);
+    return parseLineRow(row);
+  }
+
+  // The line with a short number (`#42`)
+  async getBettingLineByNumber(number) {
+    return parseLineRow(await this.driver.get(`${LINE_SELECT} WHERE b.number = ?`, [number]));
+  }
+
+  // A page of lines, newest first, with their bet count and pot, plus how
+  // many match in all. `filters` takes { statuses, channelId, userId,
+  // userSlackId }; with a user, only lines they created or bet on are listed.
+  async listBettingLines(filters = {}, limit = 10, offset = 0) {
+    const where = [];
+    const params = [];
+    if (filters.statuses) {
+      where.push(`b.status IN (${filters.statuses.map(() => '?').join(', ')})`);
+      params.push(...filters.statuses);
+    }
+    if (filters.channelId) {
+      where.push('b.slack_channel_id = ?');
+      params.push(filters.channelId);
+    }
+    if (filters.userId) {
+      where.push('(b.created_by = ? OR EXISTS (SELECT 1 FROM bets x WHERE x.line_id = b.id AND x.user_id = ?))');
+      params.push(filters.userSlackId, filters.userId);
+    }
+    const clause = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+
+    const { total } = await this.driver.get(`SELECT COUNT(*) AS total FROM betting_lines b${clause}`, params);
+    const rows = await this.driver.all(
+      `SELECT b.*, l.name AS league_name,
+              (SELECT COUNT(*) FROM bets x WHERE x.line_id = b.id) AS bet_count,
+              (SELECT COALESCE(SUM(x.amount), 0) FROM bets x WHERE x.line_id = b.id) AS pot
+       FROM betting_lines b LEFT JOIN leagues l ON b.league_id = l.id${clause}
+       ORDER BY b.number DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return {
+      total: Number(total),
+      lines: rows.map(row => ({ ...parseLineRow(row), bet_count: Number(row.bet_count), pot: Number(row.pot) })),
+    };
+  }
+
+  // Remove a line nobody has bet on, e.g. when its card could not be posted
+  async deleteBettingLine(id) {
+    return this.driver.run(
+      'DELETE FROM betting_lines WHERE id = ? AND NOT EXISTS (SELECT 1 FROM bets WHERE line_id = ?)',
+      [id, id]
+    );
+  }
+
+  async getBettingLineByMessage(channelId, messageTs) {
+    const row = await this.driver.get(
+      `${LINE_SELECT} WHERE b.slack_channel_id = ? AND b.slack_message_ts = ?`,
+      [channelId, messageTs]
+    );
+    return parseLineRow(row);
   }
 
   async updateBettingLineStatus(id, status, additionalFields = {}) {
-    const fields = Object.keys(additionalFields).map(key => `${key} = ?`).join(', ');
+    const fields = Object.keys(additionalFields).map(key => `, ${key} = ?`).join('');
     const values = Object.values(additionalFields);
-    const query = `UPDATE betting_lines SET status = ?, ${fields} WHERE id = ?`;
-    
-    return new Promise((resolve, reject) => {
-      this.db.run(query, [status, ...values, id], function(err) {
-        if (err) reject(err);
-        else resolve(this.changes);
-      });
-    });
+
+    return this.driver.run(
+      `UPDATE betting_lines SET status = ?${fields} WHERE id = ?`,
+      [status, ...values, id]
+    );
   }
 
   // Bet methods
-  async placeBet(userId, lineId, option) {
-    const id = require('uuid').v4();
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        'INSERT INTO bets (id, user_id, line_id, option) VALUES (?, ?, ?, ?)',
-        [id, userId, lineId, option],
-        function(err) {
-          if (err) reject(err);
-          else resolve({ id, user_id: userId, line_id: lineId, option });
-        }
-      );
-    });
+  async placeBet(userId, lineId, option, amount = 1, guess = null) {
+    const id = uuidv4();
+    await this.driver.run(
+      'INSERT INTO bets (id, user_id, line_id, option, amount, guess) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, userId, lineId, option, amount, guess]
+    );
+    return { id, user_id: userId, line_id: lineId, option, amount, guess };
+  }
+
+  // Every bet a user holds in a league with its line, in the order they
+  // were placed (by their stake's ledger row).
+  // `returned` is what the ledger has paid back on the bet so far (payouts
+  // and refunds, less reversals).
+  async getBetHistory(userId, leagueId = DEFAULT_LEAGUE_ID) {
+    return this.queryBetHistory('b.user_id = ? AND l.league_id = ?', [userId, leagueId]);
+  }
+
+  // Every member's bets in a league in one query, for leaderboards
+  async getLeagueBetHistory(leagueId = DEFAULT_LEAGUE_ID) {
+    return this.queryBetHistory('l.league_id = ?', [leagueId]);
+  }
+
+  async queryBetHistory(where, params) {
+    const rows = await this.driver.all(
+      `SELECT b.*, l.question, l.options, l.numeric_spec, l.status AS line_status, l.resolution_mode,
+              l.resolved_at, l.cancelled_at,
+              (SELECT COALESCE(SUM(t.amount), 0) FROM transactions t WHERE t.bet_id = b.id AND t.type <> 'stake') AS returned,
+              (SELECT MIN(t.seq) FROM transactions t WHERE t.bet_id = b.id) AS placed_seq
+       FROM bets b JOIN betting_lines l ON b.line_id = l.id
+       WHERE ${where}
+       ORDER BY placed_seq, b.id`,
+      params
+    );
+    return rows.map(row => ({
+      ...row,
+      options: JSON.parse(row.options),
+      numeric_spec: row.numeric_spec ? JSON.parse(row.numeric_spec) : null,
+      returned: Number(row.returned),
+    }));
+  }
+
+  async deleteBet(betId) {
+    return this.driver.run('DELETE FROM bets WHERE id = ?', [betId]);
   }
 
   async getUserBetOnLine(userId, lineId) {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT * FROM bets WHERE user_id = ? AND line_id = ?',
-        [userId, lineId],
-        (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        }
-      );
-    });
+    return this.driver.get('SELECT * FROM bets WHERE user_id = ? AND line_id = ?', [userId, lineId]);
   }
 
   async getBetsForLine(lineId) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        'SELECT b.*, u.username FROM bets b JOIN users u ON b.user_id = u.id WHERE b.line_id = ?',
-        [lineId],
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        }
+    return this.driver.all(
+      `SELECT b.*, u.username, u.slack_user_id FROM bets b JOIN users u ON b.user_id = u.id
+       WHERE b.line_id = ?
+       ORDER BY b.created_at, b.id`,
+      [lineId]
+    );
+  }
+
+  // Parlay methods
+  // `legs` are { lineId, option, odds }
+  async createParlay(userId, stake, odds, legs, leagueId = DEFAULT_LEAGUE_ID) {
+    const id = uuidv4();
+    await this.driver.run(
+      'INSERT INTO parlays (id, user_id, stake, odds, league_id) VALUES (?, ?, ?, ?, ?)',
+      [id, userId, stake, odds, leagueId]
+    );
+
+    const rows = [];
+    for (const [position, leg] of legs.entries()) {
+      const legId = uuidv4();
+      await this.driver.run(
+        'INSERT INTO parlay_legs (id, parlay_id, position, line_id, option, odds) VALUES (?, ?, ?, ?, ?, ?)',
+        [legId, id, position, leg.lineId, leg.option, leg.odds]
       );
-    });
+      rows.push({ id: legId, parlay_id: id, position, line_id: leg.lineId, option: leg.option, odds: leg.odds, status: 'pending', result_odds: null });
+    }
+
+    return { id, user_id: userId, stake, odds, league_id: leagueId, status: 'open', payout: null, legs: rows };
+  }
+
+  async getParlay(id) {
+    return this.driver.get('SELECT * FROM parlays WHERE id = ?', [id]);
+  }
+
+  // A parlay's legs, with the question of each leg's line
+  async getParlayLegs(parlayId) {
+    return this.driver.all(
+      `SELECT l.*, b.question FROM parlay_legs l JOIN betting_lines b ON l.line_id = b.id
+       WHERE l.parlay_id = ?
+       ORDER BY l.position`,
+      [parlayId]
+    );
+  }
+
+  async getParlayLegsForLine(lineId) {
+    return this.driver.all('SELECT * FROM parlay_legs WHERE line_id = ? ORDER BY id', [lineId]);
+  }
+
+  async getParlaysForUser(userId, limit = 10) {
+    return this.driver.all(
+      'SELECT * FROM parlays WHERE user_id = ? ORDER BY created_at DESC, id LIMIT ?',
+      [userId, limit]
+    );
+  }
+
+  // Every parlay a user has placed in a league, oldest first
+  async getParlayHistory(userId, leagueId = DEFAULT_LEAGUE_ID) {
+    return this.driver.all(
+      'SELECT * FROM parlays WHERE user_id = ? AND league_id = ? ORDER BY created_at, id',
+      [userId, leagueId]
+    );
+  }
+
+  async getLeagueParlayHistory(leagueId = DEFAULT_LEAGUE_ID) {
+    return this.driver.all('SELECT * FROM parlays WHERE league_id = ? ORDER BY created_at, id', [leagueId]);
+  }
+
+  async updateParlayLeg(id, status, resultOdds = null) {
+    return this.driver.run('UPDATE parlay_legs SET status = ?, result_odds = ? WHERE id = ?', [status, resultOdds, id]);
+  }
+
+  async updateParlay(id, status, payout = null, settledAt = null) {
+    return this.driver.run(
+      'UPDATE parlays SET status = ?, payout = ?, settled_at = ? WHERE id = ?',
+      [status, payout, settledAt, id]
+    );
+  }
+
+  async getParlayTransactions(parlayId) {
+    return this.driver.all('SELECT * FROM transactions WHERE parlay_id = ? ORDER BY seq', [parlayId]);
+  }
+
+  // Challenge methods
+  async createChallenge(challengerId, targetId, statement, stake, expiresAt, channelId = null, leagueId = DEFAULT_LEAGUE_ID) {
+    const id = uuidv4();
+    await this.driver.run(
+      `INSERT INTO challenges (id, challenger_id, target_id, statement, stake, expires_at, slack_channel_id, league_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, challengerId, targetId, statement, stake, expiresAt.toISOString(), channelId, leagueId]
+    );
+    return this.getChallenge(id);
+  }
+
+  // A challenge with both sides' Slack IDs and names
+  async getChallenge(id) {
+    return this.driver.get(
+      `SELECT c.*, cu.slack_user_id AS challenger_slack_id, cu.username AS challenger_name,
+              tu.slack_user_id AS target_slack_id, tu.username AS target_name
+       FROM challenges c
+       JOIN users cu ON c.challenger_id = cu.id
+       JOIN users tu ON c.target_id = tu.id
+       WHERE c.id = ?`,
+      [id]
+    );
+  }
+
+  async getPendingChallenges() {
+    return this.driver.all("SELECT * FROM challenges WHERE status = 'pending' ORDER BY expires_at");
+  }
+
+  // Every challenge a user has issued or received in a league, oldest first
+  async getChallengeHistory(userId, leagueId = DEFAULT_LEAGUE_ID) {
+    return this.driver.all(
+      `SELECT * FROM challenges WHERE (challenger_id = ? OR target_id = ?) AND league_id = ?
+       ORDER BY created_at, id`,
+      [userId, userId, leagueId]
+    );
+  }
+
+  async getLeagueChallengeHistory(leagueId = DEFAULT_LEAGUE_ID) {
+    return this.driver.all('SELECT * FROM challenges WHERE league_id = ? ORDER BY created_at, id', [leagueId]);
+  }
+
+  // Move a challenge on from `fromStatus` only if it is still there, so two
+  // clicks (or a click and the expiry timer) cannot both act on it.
+  // Returns true if this call changed it.
+  async transitionChallenge(id, fromStatus, toStatus, additionalFields = {}) {
+    const fields = Object.keys(additionalFields).map(key => `, ${key} = ?`).join('');
+    const changes = await this.driver.run(
+      `UPDATE challenges SET status = ?${fields} WHERE id = ? AND status = ?`,
+      [toStatus, ...Object.values(additionalFields), id, fromStatus]
+    );
+    return changes > 0;
+  }
+
+  async setChallengeClaim(id, side, claim) {
+    const column = side === 'challenger' ? 'challenger_claim' : 'target_claim';
+    return this.driver.run(`UPDATE challenges SET ${column} = ? WHERE id = ?`, [claim, id]);
+  }
+
+  async setChallengeMessage(id, channelId, messageTs) {
+    return this.driver.run(
+      'UPDATE challenges SET slack_channel_id = ?, slack_message_ts = ? WHERE id = ?',
+      [channelId, messageTs, id]
+    );
+  }
+
+  // Dispute methods
+  async createDispute(lineId, raisedBy, reason) {
+    const id = uuidv4();
+    await this.driver.run(
+      'INSERT INTO disputes (id, line_id, raised_by, reason) VALUES (?, ?, ?, ?)',
+      [id, lineId, raisedBy, reason]
+    );
+    return { id, line_id: lineId, raised_by: raisedBy, reason, status: 'open' };
+  }
+
+  async getDisputesForLine(lineId, status = null) {
+    if (status) {
+      return this.driver.all(
+        'SELECT * FROM disputes WHERE line_id = ? AND status = ? ORDER BY created_at, id',
+        [lineId, status]
+      );
+    }
+    return this.driver.all('SELECT * FROM disputes WHERE line_id = ? ORDER BY created_at, id', [lineId]);
+  }
+
+  // Close every open dispute on a line as 'upheld' or 'dismissed'
+  async closeDisputes(lineId, status, closedBy) {
+    return this.driver.run(
+      "UPDATE disputes SET status = ?, closed_by = ?, closed_at = ? WHERE line_id = ? AND status = 'open'",
+      [status, closedBy, new Date().toISOString(), lineId]
+    );
+  }
+
+  // Audit methods
+  async logAudit(action, actorId, lineId = null, details = {}) {
+    const id = uuidv4();
+    await this.driver.run(
+      'INSERT INTO audit_log (id, action, actor_id, line_id, details) VALUES (?, ?, ?, ?, ?)',
+      [id, action, actorId, lineId, JSON.stringify(details)]
+    );
+    return { id, action, actor_id: actorId, line_id: lineId, details };
+  }
+
+  async getAuditLog(lineId) {
+    const rows = await this.driver.all('SELECT * FROM audit_log WHERE line_id = ? ORDER BY created_at', [lineId]);
+    return rows.map(row => ({ ...row, details: JSON.parse(row.details || '{}') }));
   }
 
   // Stats methods
-  async getLeaderboard(limit = 10) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT username, balance, total_bets, total_winnings 
-         FROM users 
-         ORDER BY balance DESC, total_winnings DESC 
+  async getLeaderboard(limit = 10, leagueId = DEFAULT_LEAGUE_ID) {
+    if (leagueId !== DEFAULT_LEAGUE_ID) {
+      return this.driver.all(
+        `SELECT u.username, m.balance, m.total_bets, m.total_winnings
+         FROM league_members m JOIN users u ON m.user_id = u.id
+         WHERE m.league_id = ? AND m.active = 1
+         ORDER BY m.balance DESC, m.total_winnings DESC
          LIMIT ?`,
-        [limit],
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        }
+        [leagueId, limit]
       );
-    });
+    }
+    return this.driver.all(
+      `SELECT username, balance, total_bets, total_winnings
+       FROM users
+       ORDER BY balance DESC, total_winnings DESC
+       LIMIT ?`,
+      [limit]
+    );
   }
 
   async getUserStats(userId) {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT * FROM users WHERE id = ?',
-        [userId],
-        (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        }
+    return this.driver.get('SELECT * FROM users WHERE id = ?', [userId]);
+  }
+
+  // A user's balance and stats in a league, shaped like a `users` row plus
+  // `active`. Null if they have never joined a league other than the default.
+  async getMemberStats(userId, leagueId = DEFAULT_LEAGUE_ID) {
+    if (leagueId === DEFAULT_LEAGUE_ID) {
+      const user = await this.getUserStats(userId);
+      return user && { ...user, active: 1 };
+    }
+    return this.driver.get(
+      `SELECT u.id, u.slack_user_id, u.username, m.balance, m.total_bets, m.total_winnings, m.bailouts, m.last_allowance_at, m.active
+       FROM league_members m JOIN users u ON m.user_id = u.id
+       WHERE m.league_id = ? AND m.user_id = ?`,
+      [leagueId, userId]
+    );
+  }
+
+  // League methods
+  async createLeague(name, startingBalance, createdBy, channelId = null) {
+    const id = uuidv4();
+    await this.driver.run(
+      'INSERT INTO leagues (id, name, slack_channel_id, starting_balance, created_by) VALUES (?, ?, ?, ?, ?)',
+      [id, name, channelId, startingBalance, createdBy]
+    );
+    return { id, name, slack_channel_id: channelId, starting_balance: startingBalance, created_by: createdBy };
+  }
+
+  async getLeague(id) {
+    return this.driver.get('SELECT * FROM leagues WHERE id = ?', [id]);
+  }
+
+  async getLeagueByName(name) {
+    return this.driver.get('SELECT * FROM leagues WHERE LOWER(name) = LOWER(?)', [name]);
+  }
+
+  async getLeagueForChannel(channelId) {
+    return this.driver.get('SELECT * FROM leagues WHERE slack_channel_id = ?', [channelId]);
+  }
+
+  // Every league with its number of active members (the default league
+  // counts every user)
+  async listLeagues() {
+    return this.driver.all(
+      `SELECT l.*,
+              CASE WHEN l.id = ? THEN (SELECT COUNT(*) FROM users)
+                   ELSE (SELECT COUNT(*) FROM league_members m WHERE m.league_id = l.id AND m.active = 1) END AS members
+       FROM leagues l
+       ORDER BY CASE WHEN l.id = ? THEN 0 ELSE 1 END, l.name`,
+      [DEFAULT_LEAGUE_ID, DEFAULT_LEAGUE_ID]
+    );
+  }
+
+  // The leagues other than the default that a user is an active member of
+  async getLeaguesForUser(userId) {
+    return this.driver.all(
+      `SELECT l.*, m.balance, m.total_bets, m.total_winnings, m.bailouts
+       FROM league_members m JOIN leagues l ON m.league_id = l.id
+       WHERE m.user_id = ? AND m.active = 1
+       ORDER BY l.name`,
+      [userId]
+    );
+  }
+
+  // Add a user to a league and grant them its starting balance (or the
+  // running season's). A former member is reactivated with the balance they left with.
+  async joinLeague(leagueId, userId) {
+    return this.transaction(async (tx) => {
+      const member = await tx.driver.get(
+        'SELECT active FROM league_members WHERE league_id = ? AND user_id = ?',
+        [leagueId, userId]
       );
+      if (member) {
+        await tx.driver.run('UPDATE league_members SET active = 1 WHERE league_id = ? AND user_id = ?', [leagueId, userId]);
+        return { rejoined: true };
+      }
+
+      const league = await tx.getLeague(leagueId);
+      const season = await tx.getActiveSeason(leagueId);
+      await tx.driver.run('INSERT INTO league_members (league_id, user_id) VALUES (?, ?)', [leagueId, userId]);
+      await tx.recordTransaction(userId, 'grant', season ? season.starting_balance : league.starting_balance, {
+        leagueId, note: 'League starting balance'
+      });
+      return { rejoined: false };
     });
   }
 
+  async leaveLeague(leagueId, userId) {
+    const changes = await this.driver.run(
+      'UPDATE league_members SET active = 0 WHERE league_id = ? AND user_id = ? AND active = 1',
+      [leagueId, userId]
+    );
+    return changes > 0;
+  }
+
+  // Everyone with a balance in a league, best first, with their user id
+  async getLeagueMembers(leagueId = DEFAULT_LEAGUE_ID) {
+    if (leagueId !== DEFAULT_LEAGUE_ID) {
+      return this.driver.all(
+        `SELECT u.id, u.username, m.balance, m.total_bets, m.total_winnings
+         FROM league_members m JOIN users u ON m.user_id = u.id
+         WHERE m.league_id = ? AND m.active = 1
+         ORDER BY m.balance DESC, m.total_winnings DESC, u.username`,
+        [leagueId]
+      );
+    }
+    return this.driver.all(
+      `SELECT id, username, balance, total_bets, total_winnings
+       FROM users
+       ORDER BY balance DESC, total_winnings DESC, username`
+    );
+  }
+
+  // Stakes in a league that have not been settled yet: bets on open or
+  // locked lines, open parlays and challenges still in play. Only `userId`'s
+  // if given.
+  async countOpenPositions(leagueId = DEFAULT_LEAGUE_ID, userId = null) {
+    const mine = (column) => (userId ? ` AND ${column} = ?` : '');
+    const params = userId ? [leagueId, userId] : [leagueId];
+    const bets = await this.driver.get(
+      `SELECT COUNT(*) AS count FROM bets b JOIN betting_lines l ON b.line_id = l.id
+       WHERE l.league_id = ? AND l.status IN ('open', 'locked')${mine('b.user_id')}`,
+      params
+    );
+    const parlays = await this.driver.get(
+      `SELECT COUNT(*) AS count FROM parlays WHERE league_id = ? AND status = 'open'${mine('user_id')}`,
+      params
+    );
+    const challenges = await this.driver.get(
+      `SELECT COUNT(*) AS count FROM challenges
+       WHERE league_id = ? AND status IN ('pending', 'accepted', 'disputed')${userId ? ' AND (challenger_id = ? OR target_id = ?)' : ''}`,
+      userId ? [leagueId, userId, userId] : params
+    );
+    return Number(bets.count) + Number(parlays.count) + Number(challenges.count);
+  }
+
+  // Replenishment methods
+  // Stamp a member's allowance unless they had one after `since`. Returns
+  // false if they did, so two runs cannot both pay it.
+  async markAllowance(userId, leagueId, now, since) {
+    const [table, where, params] = leagueId === DEFAULT_LEAGUE_ID
+      ? ['users', 'id = ?', [userId]]
+      : ['league_members', 'league_id = ? AND user_id = ?', [leagueId, userId]];
+    const changes = await this.driver.run(
+      `UPDATE ${table} SET last_allowance_at = ?
+       WHERE ${where} AND (last_allowance_at IS NULL OR last_allowance_at <= ?)`,
+      [now.toISOString(), ...params, since.toISOString()]
+    );
+    return changes > 0;
+  }
+
+  // Stamp a user's daily bonus unless they had one after `since`
+  async markDailyBonus(userId, now, since) {
+    const changes = await this.driver.run(
+      'UPDATE users SET last_bonus_at = ? WHERE id = ? AND (last_bonus_at IS NULL OR last_bonus_at < ?)',
+      [now.toISOString(), userId, since.toISOString()]
+    );
+    return changes > 0;
+  }
+
+  // A user's ledger rows in a league totalled by type
+  async getLedgerSummary(userId, leagueId = DEFAULT_LEAGUE_ID) {
+    const rows = await this.driver.all(
+      `SELECT type, COUNT(*) AS count, SUM(amount) AS total
+       FROM transactions WHERE user_id = ? AND league_id = ?
+       GROUP BY type`,
+      [userId, leagueId]
+    );
+    return Object.fromEntries(rows.map(row => [row.type, { count: Number(row.count), total: Number(row.total) }]));
+  }
+
+  // Season methods
+  async createSeason(leagueId, number, startingBalance, startedBy) {
+    const id = uuidv4();
+    await this.driver.run(
+      'INSERT INTO seasons (id, league_id, number, starting_balance, started_by, started_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, leagueId, number, startingBalance, startedBy, new Date().toISOString()]
+    );
+    return this.getSeason(leagueId, number);
+  }
+
+  async getSeason(leagueId, number) {
+    return this.driver.get('SELECT * FROM seasons WHERE league_id = ? AND number = ?', [leagueId, number]);
+  }
+
+  async getActiveSeason(leagueId = DEFAULT_LEAGUE_ID) {
+    return this.driver.get("SELECT * FROM seasons WHERE league_id = ? AND status = 'active'", [leagueId]);
+  }
+
+  async getLatestSeason(leagueId = DEFAULT_LEAGUE_ID) {
+    return this.driver.get('SELECT * FROM seasons WHERE league_id = ? ORDER BY number DESC LIMIT 1', [leagueId]);
+  }
+
+  async endSeason(id, endedBy) {
+    const changes = await this.driver.run(
+      "UPDATE seasons SET status = 'ended', ended_by = ?, ended_at = ? WHERE id = ? AND status = 'active'",
+      [endedBy, new Date().toISOString(), id]
+    );
+    return changes > 0;
+  }
+
+  async addSeasonStanding(seasonId, standing) {
+    await this.driver.run(
+      `INSERT INTO season_standings (id, season_id, user_id, username, rank, balance, profit, bets, badge)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), seasonId, standing.userId, standing.username, standing.rank, standing.balance, standing.profit,
+        standing.bets, standing.badge || null]
+    );
+  }
+
+  // How many bets each user placed on a season's lines
+  async getSeasonBetCounts(seasonId) {
+    return this.driver.all(
+      `SELECT b.user_id, COUNT(*) AS bets FROM bets b JOIN betting_lines l ON b.line_id = l.id
+       WHERE l.season_id = ? GROUP BY b.user_id`,
+      [seasonId]
+    );
+  }
+
+  async getSeasonStandings(seasonId, limit = 10) {
+    return this.driver.all(
+      'SELECT * FROM season_standings WHERE season_id = ? ORDER BY rank LIMIT ?',
+      [seasonId, limit]
+    );
+  }
+
+  // Badges a user has been awarded, newest season first
+  async getBadgesForUser(userId) {
+    return this.driver.all(
+      `SELECT st.badge, st.rank, s.number AS season, l.name AS league_name, l.id AS league_id
+       FROM season_standings st
+       JOIN seasons s ON st.season_id = s.id
+       JOIN leagues l ON s.league_id = l.id
+       WHERE st.user_id = ? AND st.badge IS NOT NULL
+       ORDER BY s.ended_at DESC, s.number DESC`,
+      [userId]
+    );
+  }
+
   close() {
-    this.db.close();
+    return this.driver.close();
   }
 }
 
+Database.TRANSACTION_TYPES = TRANSACTION_TYPES;
+Database.DEFAULT_LEAGUE_ID = DEFAULT_LEAGUE_ID;
+
 module.exports = Database;
@@ -1,7 +1,33 @@
 // handlers/slackHandlers.js
 const { App } = require('@slack/bolt');
-const Database = require('../database/schema');
+const { createDatabase } = require('../database');
 const BettingService = require('../services/bettingService');
+const AuthService = require('../services/authService');
+const LeagueService = require('../services/leagueService');
+const SeasonService = require('../services/seasonService');
+const ReplenishmentService = require('../services/replenishmentService');
+const StatsService = require('../services/statsService');
+const Scheduler = require('../services/scheduler');
+const MessageIndex = require('../services/messageIndex');
+const { parseCloseTime, formatSlackDate } = require('../utils/time');
+const { ACTIONS, STATUS_LABELS, buildBettingCard, buildOddsMessage, escapeText, explainOutcome, lineRef } = require('../views/bettingCard');
+const { describeOutcome } = require('../services/payouts');
+const { overUnderSpec, bucketSpec, closestSpec, optionsForSpec, formatSpecValue } = require('../services/numericLines');
+const { parseLegs } = require('../services/parlays');
+const { DEFAULT_LEAGUE_ID } = require('../database/schema');
+const { CHALLENGE_ACTIONS, CLAIM_RESULTS, describeClaim, buildChallengeCard } = require('../views/challengeCard');
+const {
+  CALLBACKS,
+  MODAL_ACTIONS,
+  buildStakeModal,
+  buildGuessModal,
+  readGuessSubmission,
+  buildResolveModal,
+  readResolveSubmission,
+  buildCancelModal,
+  buildCreateLineModal,
+  readCreateLineSubmission,
+} = require('../views/modals');
 
 // ---- Safe parsers that accept Array | JSON string | comma string ----
 function parseList(val) {
@@ -17,6 +43,131 @@ function parseList(val) {
   return val.split(',').map(s => s.trim()).filter(Boolean);
 }
 
+// `<@U123|name>` or a bare `U123` -> `U123`
+function parseUserMention(val) {
+  if (!val) return null;
+  const m = val.match(/^<@([UW][A-Z0-9]+)(\|[^>]*)?>$/) || val.match(/^([UW][A-Z0-9]+)$/);
+  return m ? m[1] : null;
+}
+
+// `<#C123|name>` or a bare `C123` -> `C123`
+function parseChannelMention(val) {
+  if (!val) return null;
+  const m = val.match(/^<#([CG][A-Z0-9]+)(\|[^>]*)?>$/) || val.match(/^([CG][A-Z0-9]+)$/);
+  return m ? m[1] : null;
+}
+
+const PARLAY_STATUS = { open: '⏳ Open', won: '🏆 Won', lost: '📉 Lost', void: '🚫 Void' };
+const LEG_STATUS = { pending: '⏳', won: '✅', lost: '❌', void: '➖' };
+
+function signed(n) {
+  return n > 0 ? `+${n}` : `${n}`;
+}
+
+function percent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+// The computed lines of `/bet stats` (see StatsService). Net is the profit
+// on settled positions, so stakes still in play and top-ups do not count.
+function formatStats(stats) {
+  const rows = [`📊 Net: ${signed(stats.profit)} units${stats.inPlay > 0 ? ` (${stats.inPlay} more in play)` : ''}`];
+  if (stats.settledCount === 0) {
+    rows.push('🕐 No settled bets yet');
+    return rows.join('\n');
+  }
+
+  const record = `${stats.wins}W ${stats.losses}L${stats.pushes > 0 ? ` ${stats.pushes}P` : ''}`;
+  rows.push(`✅ Win Rate: ${stats.winRate === null ? 'n/a' : percent(stats.winRate)} (${record})`);
+  rows.push(`📈 ROI: ${signed(Math.round(stats.roi * 100))}% on ${stats.staked} units staked`);
+  if (stats.currentStreak) {
+    const { result, length } = stats.currentStreak;
+    const streak = result === 'won' ? `${length} win${length === 1 ? '' : 's'}` : `${length} loss${length === 1 ? '' : 'es'}`;
+    rows.push(`${result === 'won' ? '🔥' : '🧊'} Current Streak: ${streak} (longest winning streak: ${stats.longestWinStreak})`);
+  }
+  if (stats.biggestWin) {
+    rows.push(`💎 Biggest Win: +${stats.biggestWin.profit} units on ${stats.biggestWin.label}`);
+  }
+  if (stats.favouriteType) {
+    rows.push(`❤️ Favourite: ${stats.favouriteType}${['parlay', 'challenge'].includes(stats.favouriteType) ? 's' : ' lines'}`);
+  }
+  return rows.join('\n');
+}
+
+const RESULT_ICONS = { won: '🏆', lost: '📉', push: '↩️' };
+
+// `/bet list` filters, by the line statuses they cover ('mine' covers all)
+const LIST_FILTERS = {
+  open: { statuses: ['open'], title: 'Open Lines' },
+  locked: { statuses: ['locked'], title: 'Locked Lines' },
+  resolved: { statuses: ['resolved'], title: 'Resolved Lines' },
+  mine: { statuses: null, title: 'Your Lines' },
+};
+const LIST_PAGE_SIZE = 10;
+
+// One line of `/bet list`
+function formatLineRow(line) {
+  const where = line.slack_channel_id ? ` · <#${line.slack_channel_id}>` : '';
+  const closes = line.status === 'open' && line.lock_at ? ` · closes ${formatSlackDate(line.lock_at)}` : '';
+  const bets = `${line.bet_count} bet${line.bet_count === 1 ? '' : 's'}, ${line.pot} unit${line.pot === 1 ? '' : 's'}`;
+  return `\`${lineRef(line)}\` ${STATUS_LABELS[line.status] || line.status} *${escapeText(line.question)}* – ${bets}${closes}${where}`;
+}
+
+const LEADERBOARD_TITLES = {
+  balance: 'Balance',
+  profit: 'Profit',
+  roi: 'ROI',
+  winrate: 'Win Rate',
+  streak: 'Longest Winning Streak',
+};
+const LEADERBOARD_PERIODS = { week: 'Last 7 Days', month: 'Last 30 Days' };
+
+function rankMedal(rank) {
+  return ['🥇', '🥈', '🥉'][rank - 1] || `${rank}.`;
+}
+
+// A leaderboard entry's value in the metric it was ranked by
+function formatLeaderboardValue(by, entry) {
+  const { stats } = entry;
+  switch (by) {
+    case 'profit':
+      return `${signed(entry.value)} units (${stats.settledCount} settled)`;
+    case 'roi':
+      return `${signed(Math.round(entry.value * 100))}% on ${stats.staked} units`;
+    case 'winrate':
+      return `${percent(entry.value)} (${stats.wins}W ${stats.losses}L)`;
+    case 'streak':
+      return `${entry.value} win${entry.value === 1 ? '' : 's'} in a row`;
+    default:
+      return `${entry.value} units`;
+  }
+}
+
+function formatResult(position) {
+  const amount = position.status === 'push' ? 'push' : `${signed(position.profit)} units`;
+  return `${RESULT_ICONS[position.status]} ${amount} – ${position.label}`;
+}
+
+// Allowances, bonuses and bailouts from a ledger summary for `/bet stats`
+function formatTopUps(summary) {
+  const rows = [];
+  if (summary.allowance) rows.push(`💸 Weekly allowances: +${summary.allowance.total} units (${summary.allowance.count})`);
+  if (summary.bonus) rows.push(`🎁 Daily bonuses: +${summary.bonus.total} units (${summary.bonus.count})`);
+  if (summary.bailout) {
+    rows.push(`🆘 Bailouts: ${summary.bailout.count} (+${summary.bailout.total} units)`);
+  }
+  return rows.join('\n');
+}
+
+// A parlay and its legs for `/bet stats`
+function formatParlay(parlay) {
+  const result = parlay.status === 'open'
+    ? `pays ${Math.floor(parlay.stake * parlay.odds + 1e-9)} if every leg wins`
+    : `paid ${parlay.payout}`;
+  const legs = parlay.legs.map(leg => `    ${LEG_STATUS[leg.status]} "${leg.option}" on "${leg.question}" @ ${leg.odds.toFixed(2)}x`);
+  return [`${PARLAY_STATUS[parlay.status]} – ${parlay.stake} units at ${parlay.odds.toFixed(2)}x, ${result}`, ...legs].join('\n');
+}
+
 class SlackHandlers {
   constructor() {
     this.app = new App({
@@ -26,13 +177,28 @@ class SlackHandlers {
       appToken: process.env.SLACK_APP_TOKEN,
     });
 
-    this.db = new Database(process.env.DATABASE_PATH || './data/betting.db');
+    this.db = createDatabase();
     this.bettingService = new BettingService(this.db);
+    this.auth = new AuthService(this.db);
+    this.leagues = new LeagueService(this.db);
+    this.seasons = new SeasonService(this.db);
+    this.replenishment = new ReplenishmentService(this.db);
+    this.stats = new StatsService(this.db);
+    this.scheduler = new Scheduler();
+    this.messageIndex = new MessageIndex(this.db);
   }
 
   static async create() {
     const instance = new SlackHandlers();
     await instance.db.init();
+    await instance.auth.bootstrapAdmins();
+
+    const drift = await instance.db.reconcileBalances();
+    drift.forEach((row) => {
+      const league = row.league_id === DEFAULT_LEAGUE_ID ? '' : ` in league ${row.league_id}`;
+      console.warn(`⚠️ Balance for ${row.username}${league} (${row.balance}) does not match ledger (${row.ledger_balance})`);
+    });
+
     instance.setupHandlers();
     return instance;
   }
@@ -41,6 +207,22 @@ class SlackHandlers {
     this.app.command('/bet', this.handleBetCommand.bind(this));
     this.app.event('reaction_added', this.handleReactionAdded.bind(this));
     this.app.event('reaction_removed', this.handleReactionRemoved.bind(this));
+    this.app.action(ACTIONS.placeBet, this.handleBetButton.bind(this));
+    this.app.action(ACTIONS.lineAdmin, this.handleLineAdminMenu.bind(this));
+    this.app.view(CALLBACKS.placeBet, this.handleStakeSubmission.bind(this));
+    this.app.action(ACTIONS.placeGuess, this.handleGuessButton.bind(this));
+    this.app.view(CALLBACKS.placeGuess, this.handleGuessSubmission.bind(this));
+    this.app.view(CALLBACKS.resolveLine, this.handleResolveSubmission.bind(this));
+    this.app.action(CHALLENGE_ACTIONS.accept, this.handleChallengeAnswer.bind(this));
+    this.app.action(CHALLENGE_ACTIONS.decline, this.handleChallengeAnswer.bind(this));
+    Object.keys(CLAIM_RESULTS).forEach((actionId) => {
+      this.app.action(actionId, this.handleChallengeClaim.bind(this));
+    });
+    this.app.view(CALLBACKS.cancelLine, this.handleCancelSubmission.bind(this));
+    this.app.shortcut(CALLBACKS.createLineShortcut, this.handleCreateLineShortcut.bind(this));
+    this.app.action(MODAL_ACTIONS.addOption, this.handleCreateLineOptionCount.bind(this));
+    this.app.action(MODAL_ACTIONS.removeOption, this.handleCreateLineOptionCount.bind(this));
+    this.app.view(CALLBACKS.createLine, this.handleCreateLineSubmission.bind(this));
     this.app.error(this.handleError.bind(this));
   }
 
@@ -51,22 +233,74 @@ class SlackHandlers {
     try {
       const args = (command.text || '').trim().split(/\s+/);
       const sub = (args[0] || '').toLowerCase();
+      await this.payDailyBonus(body, respond);
 
       switch (sub) {
         case 'create':
           await this.handleCreateLine(args, respond, client, body, logger);
           break;
+        case 'place':
+          await this.handlePlaceBet(args, respond, client, body, logger);
+          break;
+        case 'guess':
+          await this.handleGuess(args, respond, client, body, logger);
+          break;
+        case 'parlay':
+          await this.handleParlay(args, respond, client, body, logger);
+          break;
+        case 'challenge':
+          await this.handleChallenge(args, respond, client, body, logger);
+          break;
         case 'lock':
           await this.handleLockLine(args, respond, client, body, logger);
           break;
         case 'resolve':
           await this.handleResolveLine(args, respond, client, body, logger);
           break;
+        case 'settle':
+          await this.handleSettleLine(args, respond, client, body, logger);
+          break;
+        case 'confirm':
+          await this.handleConfirmResolution(args, respond, client, body, logger);
+          break;
+        case 'cancel':
+          await this.handleCancelLine(args, respond, client, body, logger);
+          break;
+        case 'unresolve':
+          await this.handleUnresolveLine(args, respond, client, body, logger);
+          break;
+        case 'dispute':
+          await this.handleDispute(args, respond, client, body, logger);
+          break;
+        case 'dismiss':
+          await this.handleDismissDisputes(args, respond, client, body, logger);
+          break;
+        case 'odds':
+          await this.handleOdds(args, respond, client, body, logger);
+          break;
+        case 'list':
+          await this.handleList(args, respond, client, body, logger);
+          break;
+        case 'show':
+          await this.handleShow(args, respond, client, body, logger);
+          break;
         case 'stats':
-          await this.handleStats(respond, body, logger);
+          await this.handleStats(args, respond, client, body, logger);
           break;
         case 'leaderboard':
-          await this.handleLeaderboard(respond, client, body, logger);
+          await this.handleLeaderboard(args, respond, client, body, logger);
+          break;
+        case 'league':
+          await this.handleLeague(args, respond, client, body, logger);
+          break;
+        case 'season':
+          await this.handleSeason(args, respond, client, body, logger);
+          break;
+        case 'bailout':
+          await this.handleBailout(args, respond, client, body, logger);
+          break;
+        case 'admin':
+          await this.handleAdmin(args, respond, client, body, logger);
           break;
         default:
           await respond({ text: this.getHelpText(), response_type: 'ephemeral' });
@@ -77,59 +311,176 @@ class SlackHandlers {
     }
   }
 
+  // The first `/bet` command of the day pays the daily bonus, if it is on
+  async payDailyBonus(body, respond) {
+    if (this.replenishment.dailyBonus <= 0) return;
+    // A failed bonus should not stop the command that was asked for
+    try {
+      // Newcomers get theirs on their next command, once they have an account
+      const user = await this.db.getUserBySlackId(body.user_id);
+      if (!user || !this.replenishment.isDailyBonusDue(user)) return;
+      const bonus = await this.replenishment.claimDailyBonus(user.id);
+      if (bonus) {
+        await respond({ text: `🎁 Daily bonus: +${bonus.amount} units. See you tomorrow!`, response_type: 'ephemeral' });
+      }
+    } catch (err) {
+      console.error('Error paying the daily bonus:', err);
+    }
+  }
+
   // ---------- /bet create ----------
   async handleCreateLine(args, respond, client, body) {
-    if (!this.isAdmin(body.user_id)) {
-      await respond({ text: 'Only admins can create betting lines.', response_type: 'ephemeral' });
+    // No arguments: fill the line in through the creation modal instead
+    if (args.length < 2) {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildCreateLineModal({ channelId: body.channel_id }),
+      });
       return;
     }
 
-    // Expected: /bet create "question" options: opt1, opt2, ...
-    const text = args.slice(1).join(' ');
+    if (!(await this.auth.can(body.user_id, 'create_line', { channelId: body.channel_id }))) {
+      await respond({ text: 'Only admins and this channel\'s bookmakers can create betting lines.', response_type: 'ephemeral' });
+      return;
+    }
+
+    // Expected: /bet create "question" options: opt1, opt2, ... [min: n] [max: n] [closes: <time>]
+    // or, for a numeric line, over-under: <n> / buckets: <10, 10-20, >20 in place of options:, with [unit: <unit>]
+    // or, for a closest-guess line, guess: number|date [rule: closest|not-over|not-under] [unit: <unit>]
+    let text = args.slice(1).join(' ');
+    const limits = {};
+    const minMatch = text.match(/\bmin:\s*(\d+)/i);
+    const maxMatch = text.match(/\bmax:\s*(\d+)/i);
+    if (minMatch) limits.minStake = parseInt(minMatch[1], 10);
+    if (maxMatch) limits.maxStake = parseInt(maxMatch[1], 10);
+    text = text.replace(/\b(min|max):\s*\d+/gi, '').trim();
+
+    const unitMatch = text.match(/\bunit:\s*(\S+)/i);
+    const guessMatch = text.match(/\bguess:\s*(\S+)/i);
+    const ruleMatch = text.match(/\brule:\s*(\S+)/i);
+    const leagueMatch = text.match(/\bleague:\s*(\S+)/i);
+    text = text.replace(/\b(unit|guess|rule|league):\s*\S+/gi, '').trim();
+
+    // A line goes to the channel's league unless it names one
+    if (leagueMatch) {
+      try {
+        limits.leagueId = (await this.leagues.getLeague(leagueMatch[1])).id;
+      } catch (err) {
+        await respond({ text: err.message, response_type: 'ephemeral' });
+        return;
+      }
+    }
+
+    // closes: runs until the next keyword or the end of the text
+    const closesMatch = text.match(/\bcloses:\s*(.+?)\s*(?=\b(?:options|buckets|over-under):|$)/i);
+    if (closesMatch) {
+      limits.lockAt = parseCloseTime(closesMatch[1]);
+      if (limits.lockAt.getTime() <= Date.now()) {
+        await respond({ text: 'The closing time must be in the future.', response_type: 'ephemeral' });
+        return;
+      }
+      text = text.replace(closesMatch[0], ' ').trim();
+    }
+
+    let numeric = null;
+    const overUnderMatch = text.match(/\bover-under:\s*(\S+)/i);
+    const bucketsMatch = text.match(/\bbuckets:\s*(.+)$/i);
     const optionsMatch = text.match(/options:\s*(.+)$/i);
-    if (!optionsMatch) {
+    if (!optionsMatch && !overUnderMatch && !bucketsMatch && !guessMatch) {
       await respond({
-        text: 'Usage: `/bet create "question" options: option1, option2, option3`',
+        text: 'Usage: `/bet create "question" options: option1, option2, option3 [min: 1] [max: 10] [closes: in 2h]`\n'
+          + 'Numeric lines: `/bet create "question" over-under: 15.5 [unit: min]` or `/bet create "question" buckets: <10, 10-20, >20 [unit: min]`\n'
+          + 'Closest guess: `/bet create "question" guess: number|date [rule: closest|not-over|not-under] [unit: min]`',
         response_type: 'ephemeral',
       });
       return;
     }
+    if (guessMatch || overUnderMatch || bucketsMatch) {
+      try {
+        const unit = unitMatch ? unitMatch[1] : null;
+        if (guessMatch) {
+          numeric = closestSpec(guessMatch[1].toLowerCase(), ruleMatch ? ruleMatch[1].toLowerCase() : undefined, unit);
+        } else {
+          numeric = overUnderMatch ? overUnderSpec(overUnderMatch[1], unit) : bucketSpec(bucketsMatch[1], unit);
+        }
+      } catch (err) {
+        await respond({ text: err.message, response_type: 'ephemeral' });
+        return;
+      }
+      limits.numeric = numeric;
+    }
+
+    if (limits.minStake !== undefined && limits.minStake < 1) {
+      await respond({ text: 'Minimum stake must be at least 1 unit.', response_type: 'ephemeral' });
+      return;
+    }
+    if (limits.maxStake !== undefined && limits.maxStake < (limits.minStake || 1)) {
+      await respond({ text: 'Maximum stake must be at least the minimum stake.', response_type: 'ephemeral' });
+      return;
+    }
 
-    const rawQuestion = text.replace(/options:\s*.+$/i, '').trim();
+    const rawQuestion = text.replace(/(options|buckets):\s*.+$/i, '').replace(/\bover-under:\s*\S+/i, '').trim();
     const question = rawQuestion.replace(/^["']|["']$/g, '');
-    const options = optionsMatch[1].split(',').map((s) => s.trim()).filter(Boolean);
+    const options = numeric ? optionsForSpec(numeric) : optionsMatch[1].split(',').map((s) => s.trim()).filter(Boolean);
 
-    if (options.length < 2) {
+    if (!numeric && options.length < 2) {
       await respond({ text: 'You must provide at least 2 options.', response_type: 'ephemeral' });
       return;
     }
 
-    const emojis = this.bettingService.generateEmojis(options);
+    const line = await this.publishLine(client, body.user_id, body.channel_id, {
+      question,
+      options,
+      emojis: this.bettingService.generateEmojis(options),
+      limits,
+    });
+
+    await respond({
+      text: `Betting line created! Line ID: ${lineRef(line)}`,
+      response_type: 'ephemeral',
+    });
+  }
+
+  // Save a new line, post its card to `channelId` and seed the reactions
+  async publishLine(client, createdBy, channelId, { question, options, emojis, limits }) {
+    const leagueId = limits.leagueId || await this.bettingService.leagueIdForChannel(channelId);
+    const league = await this.db.getLeague(leagueId);
 
     // Create line; message_ts set after posting
-    const line = await this.db.createBettingLine(
+    const created = await this.db.createBettingLine(
       question,
       options,           // DB may store as JSON or CSV depending on implementation
       emojis,
-      body.user_id,
+      createdBy,
       null,              // slack_message_ts (after post)
-      body.channel_id
+      channelId,
+      { ...limits, leagueId }
     );
+    const line = { ...created, league_name: league.name };
 
     const message = this.formatBettingLineMessage(line);
-    const post = await client.chat.postMessage({
-      channel: body.channel_id,
-      text: message.text,
-      blocks: message.blocks,
-    });
+    let post;
+    try {
+      post = await client.chat.postMessage({
+        channel: channelId,
+        text: message.text,
+        blocks: message.blocks,
+      });
+    } catch (err) {
+      // Without a card nobody can bet on it, so it should not be listed either
+      await this.db.deleteBettingLine(line.id);
+      throw err;
+    }
 
     await this.db.updateBettingLineStatus(line.id, 'open', {
       slack_message_ts: post.ts,
-      slack_channel_id: body.channel_id,
+      slack_channel_id: channelId,
       created_at: new Date().toISOString(),
     });
 
-   
+    const posted = { ...line, slack_message_ts: post.ts, slack_channel_id: channelId };
+    this.messageIndex.remember(posted);
+    this.scheduleLineLock(posted);
 
     for (let i = 0; i < options.length; i++) {
       const emoji = emojis[i];
@@ -139,7 +490,7 @@ class SlackHandlers {
           const reactionName = emoji.replace(/:/g, ''); // Remove colons from :emoji:
           
           await client.reactions.add({
-            channel: body.channel_id,
+            channel: channelId,
             timestamp: post.ts,
             name: reactionName
           });
@@ -149,91 +500,562 @@ class SlackHandlers {
       }
     }
 
+    for (const reactionName of this.bettingService.getStakeMultiplierReactions()) {
+      try {
+        await client.reactions.add({
+          channel: channelId,
+          timestamp: post.ts,
+          name: reactionName
+        });
+      } catch (error) {
+        console.log(`Could not add reaction :${reactionName}:`, error.message);
+      }
+    }
+
+    return line;
+  }
+
+  // ---------- /bet place ----------
+  async handlePlaceBet(args, respond, client, body) {
+    const [, lineId, option, rawAmount] = args;
+    if (!lineId || !option) {
+      await respond({ text: 'Usage: `/bet place <line_id> <option> [amount]`', response_type: 'ephemeral' });
+      return;
+    }
+
+    const line = await this.findLine(lineId);
+    if (!line) {
+      await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
+      return;
+    }
+    // Without an amount, bet the line's minimum stake
+    const amount = rawAmount === undefined ? line.min_stake || 1 : Number(rawAmount);
+
+    const options = parseList(line.options);
+    const selectedOption = options.find((o) => o.toLowerCase() === option.toLowerCase());
+    if (!selectedOption) {
+      await respond({ text: `Invalid option. Must be one of: ${options.join(', ')}`, response_type: 'ephemeral' });
+      return;
+    }
+
+    const dbUser = await this.getOrCreateUser(client, body.user_id);
+    const bet = await this.bettingService.placeBet(dbUser.id, line.id, selectedOption, amount);
+    await this.refreshBettingCard(client, line);
+
     await respond({
-      text: `Betting line created! Line ID: ${line.id}`,
+      text: `:tada: Confirmed! You bet ${bet.amount} unit${bet.amount === 1 ? '' : 's'} on "${selectedOption}" for "${line.question}". Your balance is now ${bet.balance} units.`,
       response_type: 'ephemeral',
     });
   }
 
-  // ---------- /bet lock ----------
-  async handleLockLine(args, respond, client, body) {
-    if (!this.isAdmin(body.user_id)) {
-      await respond({ text: 'Only admins can lock betting lines.', response_type: 'ephemeral' });
+  // ---------- /bet guess ----------
+  async handleGuess(args, respond, client, body) {
+    const [, lineId, guess, rawAmount] = args;
+    if (!lineId || !guess) {
+      await respond({ text: 'Usage: `/bet guess <line_id> <number or YYYY-MM-DD> [amount]`', response_type: 'ephemeral' });
+      return;
+    }
+
+    const line = await this.findLine(lineId);
+    if (!line) {
+      await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
       return;
     }
+    // Without an amount, bet the line's minimum stake
+    const amount = rawAmount === undefined ? line.min_stake || 1 : Number(rawAmount);
 
+    const dbUser = await this.getOrCreateUser(client, body.user_id);
+    const bet = await this.bettingService.placeGuess(dbUser.id, line.id, guess, amount);
+    await this.refreshBettingCard(client, line);
+
+    await respond({
+      text: `:tada: Confirmed! You guessed ${bet.option} with ${bet.amount} unit${bet.amount === 1 ? '' : 's'} on "${line.question}". Your balance is now ${bet.balance} units.`,
+      response_type: 'ephemeral',
+    });
+  }
+
+  // ---------- /bet parlay ----------
+  async handleParlay(args, respond, client, body) {
+    const stake = Number(args[1]);
+    const legText = args.slice(2).join(' ');
+    if (!args[1] || !legText) {
+      await respond({
+        text: 'Usage: `/bet parlay <stake> <line_id>:<option>, <line_id>:<option>[, ...]`',
+        response_type: 'ephemeral',
+      });
+      return;
+    }
+
+    let legs;
+    try {
+      legs = parseLegs(legText);
+    } catch (err) {
+      await respond({ text: err.message, response_type: 'ephemeral' });
+      return;
+    }
+    for (const leg of legs) {
+      const line = await this.findLine(leg.lineId);
+      if (line) leg.lineId = line.id;
+    }
+
+    const dbUser = await this.getOrCreateUser(client, body.user_id);
+    const parlay = await this.bettingService.placeParlay(dbUser.id, stake, legs);
+
+    const legLines = parlay.legs.map(leg => `• "${leg.option}" on "${leg.question}" @ ${leg.odds.toFixed(2)}x`);
+    await respond({
+      text: `:tada: Confirmed! You placed a ${parlay.stake} unit parlay at ${parlay.odds.toFixed(2)}x:\n${legLines.join('\n')}\n` +
+        `It pays ${parlay.potentialPayout} units if every leg wins. Your balance is now ${parlay.balance} units.\n(Parlay ID: ${parlay.id})`,
+      response_type: 'ephemeral',
+    });
+  }
+
+  // DM the owners of parlays a resolution or cancellation just settled
+  async notifyParlays(client, parlays = []) {
+    for (const parlay of parlays) {
+      const text = parlay.status === 'won'
+        ? `🎉 Your ${parlay.stake} unit parlay won! ${parlay.payout} units have been paid out.`
+        : parlay.status === 'void'
+          ? `🚫 Every leg of your ${parlay.stake} unit parlay was voided, so your stake has been refunded.`
+          : `📉 Your ${parlay.stake} unit parlay lost: ${parlay.legs.filter(leg => leg.status === 'lost').map(leg => `"${leg.option}" on "${leg.question}"`).join(', ')} did not come in.`;
+      try {
+        await client.chat.postMessage({ channel: parlay.slackUserId, text: `${text}\n(Parlay ID: ${parlay.id})` });
+      } catch (error) {
+        console.log(`Could not notify ${parlay.slackUserId} of their parlay:`, error.message);
+      }
+    }
+  }
+
+  // ---------- /bet challenge ----------
+  // `/bet challenge @user "statement" stake: 5` issues a challenge; the
+  // accept, decline, report and settle subcommands mirror the card's buttons.
+  async handleChallenge(args, respond, client, body) {
+    const sub = (args[1] || '').toLowerCase();
+    const challengeId = args[2];
+
+    if (['accept', 'decline', 'report', 'settle'].includes(sub)) {
+      if (!challengeId) {
+        await respond({ text: `Usage: \`/bet challenge ${sub} <challenge_id>${sub === 'report' ? ' won|lost|push' : sub === 'settle' ? ' @winner|push' : ''}\``, response_type: 'ephemeral' });
+        return;
+      }
+      const challenge = await this.db.getChallenge(challengeId);
+      if (!challenge) {
+        await respond({ text: 'Challenge not found.', response_type: 'ephemeral' });
+        return;
+      }
+
+      if (sub === 'accept' || sub === 'decline') {
+        await this.answerChallengeAs(client, respond, body.user_id, challenge, sub);
+      } else if (sub === 'report') {
+        await this.claimChallengeAs(client, respond, body.user_id, challenge, (args[3] || '').toLowerCase());
+      } else {
+        await this.settleChallengeAs(client, respond, body.user_id, challenge, args[3]);
+      }
+      return;
+    }
+
+    const targetSlackId = parseUserMention(args[1]);
+    const text = args.slice(2).join(' ');
+    const stakeMatch = text.match(/\bstake:\s*(\d+)/i);
+    const statement = text.replace(/\bstake:\s*\d+/i, '').trim().replace(/^["']|["']$/g, '');
+    if (!targetSlackId || !statement) {
+      await respond({
+        text: 'Usage: `/bet challenge @user "statement" [stake: 5]`, then `/bet challenge accept|decline <challenge_id>`, '
+          + '`/bet challenge report <challenge_id> won|lost|push` or `/bet challenge settle <challenge_id> @winner|push` (admins)',
+        response_type: 'ephemeral',
+      });
+      return;
+    }
+
+    const challenger = await this.getOrCreateUser(client, body.user_id);
+    const target = await this.getOrCreateUser(client, targetSlackId);
+    const stake = stakeMatch ? Number(stakeMatch[1]) : 1;
+    const challenge = await this.bettingService.issueChallenge(challenger.id, target.id, statement, stake, body.channel_id);
+
+    const msg = buildChallengeCard(challenge);
+    const posted = await client.chat.postMessage({ channel: body.channel_id, text: msg.text, blocks: msg.blocks });
+    await this.db.setChallengeMessage(challenge.id, body.channel_id, posted.ts);
+    this.scheduleChallengeExpiry(challenge);
+
+    await respond({
+      text: `⚔️ Challenge sent to <@${targetSlackId}>. Your ${stake} unit stake is held in escrow until it is settled, declined or expires.`,
+      response_type: 'ephemeral',
+    });
+  }
+
+  // Shared by `/bet challenge accept|decline` and the card's buttons
+  async answerChallengeAs(client, respond, slackUserId, challenge, answer) {
+    const user = await this.getOrCreateUser(client, slackUserId);
+    const updated = answer === 'accept'
+      ? await this.bettingService.acceptChallenge(challenge.id, user.id)
+      : await this.bettingService.declineChallenge(challenge.id, user.id);
+    this.scheduler.cancel(`challenge:${challenge.id}`);
+    await this.refreshChallengeCard(client, updated);
+
+    await respond({
+      text: answer === 'accept'
+        ? `🤝 Challenge accepted! Your ${updated.stake} unit stake is in escrow. Report the result with the buttons on the challenge or \`/bet challenge report ${updated.id} won|lost|push\`.`
+        : `🙅 Challenge declined. <@${updated.challenger_slack_id}> has been refunded.`,
+      response_type: 'ephemeral',
+    });
+  }
+
+  // Shared by `/bet challenge report` and the card's buttons
+  async claimChallengeAs(client, respond, slackUserId, challenge, result) {
+    const user = await this.getOrCreateUser(client, slackUserId);
+    const { challenge: updated, settled, disputed } = await this.bettingService.claimChallenge(challenge.id, user.id, result);
+    await this.refreshChallengeCard(client, updated);
+
+    if (disputed) {
+      const notice = `⚠️ <@${updated.challenger_slack_id}> and <@${updated.target_slack_id}> disagree on the challenge "${updated.statement}": `
+        + `${describeClaim(updated, updated.challenger_claim)} vs ${describeClaim(updated, updated.target_claim)}.`;
+      for (const adminId of await this.auth.listAdmins()) {
+        try {
+          await client.chat.postMessage({
+            channel: adminId,
+            text: `${notice}\nUse \`/bet challenge settle ${updated.id} @winner|push\` to settle it.`,
+          });
+        } catch (error) {
+          console.log(`Could not notify admin ${adminId} of the disputed challenge:`, error.message);
+        }
+      }
+    }
+
+    const text = settled
+      ? '✅ You both agree, so the challenge has been settled.'
+      : disputed
+        ? '⚠️ Your report does not match your opponent\'s, so an admin has been asked to settle the challenge.'
+        : 'Your result has been recorded. The challenge settles once the other side reports the same result.';
+    await respond({ text, response_type: 'ephemeral' });
+  }
+
+  async settleChallengeAs(client, respond, slackUserId, challenge, winnerArg) {
+    if (!(await this.auth.isAdmin(slackUserId))) {
+      await respond({ text: 'Only admins can settle a challenge.', response_type: 'ephemeral' });
+      return;
+    }
+
+    const winnerSlackId = parseUserMention(winnerArg);
+    const winner = (winnerArg || '').toLowerCase() === 'push' ? 'push'
+      : winnerSlackId === challenge.challenger_slack_id ? 'challenger'
+        : winnerSlackId === challenge.target_slack_id ? 'target'
+          : null;
+    if (!winner) {
+      await respond({ text: `The winner must be <@${challenge.challenger_slack_id}>, <@${challenge.target_slack_id}> or \`push\`.`, response_type: 'ephemeral' });
+      return;
+    }
+
+    const updated = await this.bettingService.settleChallenge(challenge.id, winner, slackUserId);
+    await this.refreshChallengeCard(client, updated);
+    await respond({
+      text: `⚖️ <@${slackUserId}> settled the challenge "${updated.statement}": ${describeClaim(updated, winner)}.`,
+      response_type: 'in_channel',
+    });
+  }
+
+  // ---------- /bet lock ----------
+  async handleLockLine(args, respond, client, body) {
     const lineId = args[1];
     if (!lineId) {
       await respond({ text: 'Usage: `/bet lock <line_id>`', response_type: 'ephemeral' });
       return;
     }
 
-    const line = await this.db.getBettingLine(lineId);
+    const line = await this.findLine(lineId);
     if (!line) {
       await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
       return;
     }
-    if (line.status !== 'open') {
+    await this.lockLineAs(client, respond, body.user_id, line);
+  }
+
+  // Shared by `/bet lock` and the card's admin menu
+  async lockLineAs(client, respond, slackUserId, line) {
+    if (!(await this.auth.can(slackUserId, 'lock_line', { line }))) {
+      await respond({ text: 'Only admins and the line\'s bookmaker can lock this betting line.', response_type: 'ephemeral' });
+      return;
+    }
+    if (!(await this.bettingService.lockLine(line.id))) {
       await respond({ text: 'This betting line is already locked or resolved.', response_type: 'ephemeral' });
       return;
     }
+    this.scheduler.cancel(`lock:${line.id}`);
 
-    await this.db.updateBettingLineStatus(line.id, 'locked', { locked_at: new Date().toISOString() });
+    await this.refreshBettingCard(client, line);
+    await respond({ text: `Betting line ${lineRef(line)} has been locked.`, response_type: 'ephemeral' });
+  }
 
-    const summary = await this.bettingService.getLineSummary(lineId);
-    const msg = this.formatBettingLineMessage(
-      { ...line, options: parseList(line.options), emojis: parseList(line.emojis) },
-      summary,
-      true
-    );
+  // ---------- /bet resolve ----------
+  async handleResolveLine(args, respond, client, body) {
+    const lineId = args[1];
+    // A trailing `override` lets an admin bypass the integrity rules
+    const override = args.length > 2 && args[args.length - 1].toLowerCase() === 'override';
+    const text = (override ? args.slice(0, -1) : args).join(' ');
+    // `winner: a` for one winner, `winner: a, b` for a dead heat, or `push`
+    const winnerMatch = text.match(/winner:\s*(.+)$/i);
+    const push = args.length > 2 && args[2].toLowerCase() === 'push';
+    if (!lineId || !(winnerMatch || push)) {
+      await respond({
+        text: 'Usage: `/bet resolve <line_id> winner: <option>[, <option>...] [override]` or `/bet resolve <line_id> push [override]`',
+        response_type: 'ephemeral',
+      });
+      return;
+    }
 
-    await client.chat.update({
-      channel: line.slack_channel_id,
-      ts: line.slack_message_ts,
-      text: msg.text,
-      blocks: msg.blocks,
+    const line = await this.findLine(lineId);
+    if (!line) {
+      await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
+      return;
+    }
+
+    let outcome;
+    try {
+      outcome = this.bettingService.parseOutcome(line, push ? 'push' : winnerMatch[1]);
+    } catch (err) {
+      await respond({ text: err.message, response_type: 'ephemeral' });
+      return;
+    }
+    await this.resolveLineAs(client, respond, body.user_id, line, outcome, override);
+  }
+
+  // ---------- /bet settle ----------
+  // Resolve an over/under or bucket line from the value that was reported
+  async handleSettleLine(args, respond, client, body) {
+    const lineId = args[1];
+    const override = args.length > 2 && args[args.length - 1].toLowerCase() === 'override';
+    const text = (override ? args.slice(0, -1) : args).join(' ');
+    const valueMatch = text.match(/value:\s*(\S+)$/i);
+    if (!lineId || !valueMatch) {
+      await respond({ text: 'Usage: `/bet settle <line_id> value: <number> [override]`', response_type: 'ephemeral' });
+      return;
+    }
+
+    const line = await this.findLine(lineId);
+    if (!line) {
+      await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
+      return;
+    }
+
+    let outcome;
+    try {
+      outcome = this.bettingService.outcomeForValue(line, this.bettingService.parseReportedValue(line, valueMatch[1]));
+    } catch (err) {
+      await respond({ text: err.message, response_type: 'ephemeral' });
+      return;
+    }
+    await this.resolveLineAs(client, respond, body.user_id, line, outcome, override);
+  }
+
+  // Shared by `/bet resolve`, `/bet settle` and the resolve modal. `outcome` comes from
+  // BettingService#parseOutcome or readResolveSubmission.
+  async resolveLineAs(client, respond, slackUserId, line, outcome, override = false) {
+    if (!(await this.auth.can(slackUserId, 'resolve_line', { line }))) {
+      await respond({ text: 'Only admins and the line\'s bookmaker can resolve this betting line.', response_type: 'ephemeral' });
+      return;
+    }
+    if (override && !(await this.auth.isAdmin(slackUserId))) {
+      await respond({ text: 'Only admins can override the integrity rules.', response_type: 'ephemeral' });
+      return;
+    }
+
+    const payoutData = await this.bettingService.processPayouts(line.id, outcome, {
+      resolvedBy: slackUserId,
+      override,
     });
 
-    await respond({ text: `Betting line ${lineId} has been locked.`, response_type: 'ephemeral' });
+    if (payoutData.alreadyResolved) {
+      await respond({
+        text: `This betting line was already resolved with "${describeOutcome(outcome)}". Nothing was paid out again.`,
+        response_type: 'ephemeral',
+      });
+      return;
+    }
+
+    if (payoutData.pending) {
+      await client.chat.postMessage({
+        channel: line.slack_channel_id,
+        thread_ts: line.slack_message_ts,
+        text: `⏳ <@${slackUserId}> wants to resolve "${line.question}" as *${describeOutcome(outcome)}*, but has a bet on it. Another admin must run \`/bet confirm ${lineRef(line)}\` to settle it.`,
+      });
+      await respond({
+        text: 'You have a bet on this line, so a second admin must confirm the resolution. They have been asked in the line\'s thread.',
+        response_type: 'ephemeral',
+      });
+      return;
+    }
+
+    await this.announceResolution(respond, client, line, payoutData);
   }
 
-  // ---------- /bet resolve ----------
-  async handleResolveLine(args, respond, client, body) {
-    if (!this.isAdmin(body.user_id)) {
-      await respond({ text: 'Only admins can resolve betting lines.', response_type: 'ephemeral' });
+  // ---------- /bet confirm ----------
+  async handleConfirmResolution(args, respond, client, body) {
+    const lineId = args[1];
+    if (!lineId) {
+      await respond({ text: 'Usage: `/bet confirm <line_id>`', response_type: 'ephemeral' });
+      return;
+    }
+    if (!(await this.auth.isAdmin(body.user_id))) {
+      await respond({ text: 'Only admins can confirm a resolution.', response_type: 'ephemeral' });
       return;
     }
 
+    const line = await this.findLine(lineId);
+    if (!line) {
+      await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
+      return;
+    }
+
+    const payoutData = await this.bettingService.confirmResolution(line.id, body.user_id);
+    await this.announceResolution(respond, client, line, payoutData);
+  }
+
+  // ---------- /bet cancel ----------
+  async handleCancelLine(args, respond, client, body) {
     const lineId = args[1];
-    const winnerMatch = args.join(' ').match(/winner:\s*(.+)$/i);
-    if (!lineId || !winnerMatch) {
-      await respond({ text: 'Usage: `/bet resolve <line_id> winner: <winning_option>`', response_type: 'ephemeral' });
+    if (!lineId) {
+      await respond({ text: 'Usage: `/bet cancel <line_id> [reason]`', response_type: 'ephemeral' });
       return;
     }
 
-    const winningOption = winnerMatch[1].trim();
-    const line = await this.db.getBettingLine(lineId);
+    const line = await this.findLine(lineId);
     if (!line) {
       await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
       return;
     }
+    await this.cancelLineAs(client, respond, body.user_id, line, args.slice(2).join(' ') || null);
+  }
 
-    const opts = parseList(line.options);
-    if (!opts.includes(winningOption)) {
-      await respond({ text: `Invalid winning option. Must be one of: ${opts.join(', ')}`, response_type: 'ephemeral' });
+  // Shared by `/bet cancel` and the cancel modal
+  async cancelLineAs(client, respond, slackUserId, line, reason = null) {
+    if (!(await this.auth.can(slackUserId, 'cancel_line', { line }))) {
+      await respond({ text: 'Only admins can cancel a betting line.', response_type: 'ephemeral' });
       return;
     }
 
-    const payoutData = await this.bettingService.processPayouts(lineId, winningOption);
+    const { refunds, parlays } = await this.bettingService.cancelLine(line.id, slackUserId, reason);
+    this.scheduler.cancel(`lock:${line.id}`);
+    await this.refreshBettingCard(client, line);
 
-    await this.db.updateBettingLineStatus(line.id, 'resolved', {
-      winner_option: winningOption,
-      resolved_at: new Date().toISOString(),
+    // Tell every bettor their stake is back
+    const why = reason ? ` (${reason})` : '';
+    for (const refund of refunds) {
+      try {
+        await client.chat.postMessage({
+          channel: refund.slackUserId,
+          text: `🚫 The betting line "${line.question}" was cancelled${why}. Your ${refund.amount} unit stake on "${refund.option}" has been refunded.`,
+        });
+      } catch (error) {
+        console.log(`Could not notify ${refund.slackUserId} of the cancellation:`, error.message);
+      }
+    }
+    await this.notifyParlays(client, parlays);
+
+    await respond({
+      text: `🚫 Betting line "${line.question}" was cancelled by <@${slackUserId}>${why}. ${refunds.length} stake${refunds.length === 1 ? '' : 's'} refunded.\n(ID: ${lineRef(line)})`,
+      response_type: 'in_channel',
     });
+  }
 
-    const summary = await this.bettingService.getLineSummary(lineId);
+  // ---------- /bet unresolve ----------
+  async handleUnresolveLine(args, respond, client, body) {
+    const lineId = args[1];
+    if (!lineId) {
+      await respond({ text: 'Usage: `/bet unresolve <line_id> [reason]`', response_type: 'ephemeral' });
+      return;
+    }
+
+    const line = await this.findLine(lineId);
+    if (!line) {
+      await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
+      return;
+    }
+    if (!(await this.auth.can(body.user_id, 'unresolve_line', { line }))) {
+      await respond({ text: 'Only admins can unresolve a betting line.', response_type: 'ephemeral' });
+      return;
+    }
+
+    const reason = args.slice(2).join(' ') || null;
+    const { outcome, reversed } = await this.bettingService.unresolveLine(line.id, body.user_id, reason);
+    await this.refreshBettingCard(client, line);
+
+    await respond({
+      text: `↩️ <@${body.user_id}> reversed the result of "${line.question}" (was *${outcome ? describeOutcome(outcome) : 'unknown'}*)${reason ? `: ${reason}` : ''}. ` +
+        `${reversed.length} settlement transaction${reversed.length === 1 ? '' : 's'} undone; the line is locked and can be resolved again.\n(ID: ${lineRef(line)})`,
+      response_type: 'in_channel',
+    });
+  }
+
+  // ---------- /bet dispute ----------
+  async handleDispute(args, respond, client, body) {
+    const lineId = args[1];
+    const reason = args.slice(2).join(' ');
+    if (!lineId || !reason) {
+      await respond({ text: 'Usage: `/bet dispute <line_id> <reason>`', response_type: 'ephemeral' });
+      return;
+    }
+
+    const line = await this.findLine(lineId);
+    if (!line) {
+      await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
+      return;
+    }
+
+    await this.bettingService.disputeLine(line.id, body.user_id, reason);
+    await this.refreshBettingCard(client, line);
+
+    const notice = `⚠️ <@${body.user_id}> disputed the result of "${line.question}" (*${describeOutcome(this.bettingService.outcomeForLine(line))}*): ${reason}`;
+    if (line.slack_channel_id && line.slack_message_ts) {
+      await client.chat.postMessage({ channel: line.slack_channel_id, thread_ts: line.slack_message_ts, text: notice });
+    }
+    for (const adminId of await this.auth.listAdmins()) {
+      try {
+        await client.chat.postMessage({
+          channel: adminId,
+          text: `${notice}\nUse \`/bet unresolve ${lineRef(line)}\` to reverse it or \`/bet dismiss ${lineRef(line)}\` to keep it.`,
+        });
+      } catch (error) {
+        console.log(`Could not notify admin ${adminId} of the dispute:`, error.message);
+      }
+    }
+
+    await respond({ text: '⚖️ Your dispute has been recorded and the admins have been notified.', response_type: 'ephemeral' });
+  }
+
+  // ---------- /bet dismiss ----------
+  async handleDismissDisputes(args, respond, client, body) {
+    const lineId = args[1];
+    if (!lineId) {
+      await respond({ text: 'Usage: `/bet dismiss <line_id>`', response_type: 'ephemeral' });
+      return;
+    }
+
+    const line = await this.findLine(lineId);
+    if (!line) {
+      await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
+      return;
+    }
+    if (!(await this.auth.can(body.user_id, 'dismiss_disputes', { line }))) {
+      await respond({ text: 'Only admins can dismiss disputes.', response_type: 'ephemeral' });
+      return;
+    }
+
+    const { disputes } = await this.bettingService.dismissDisputes(line.id, body.user_id);
+    await this.refreshBettingCard(client, line);
+
+    if (line.slack_channel_id && line.slack_message_ts) {
+      await client.chat.postMessage({
+        channel: line.slack_channel_id,
+        thread_ts: line.slack_message_ts,
+        text: `✅ <@${body.user_id}> reviewed ${disputes.length} dispute${disputes.length === 1 ? '' : 's'} and kept the result *${describeOutcome(this.bettingService.outcomeForLine(line))}*.`,
+      });
+    }
+    await respond({ text: `Dismissed ${disputes.length} dispute${disputes.length === 1 ? '' : 's'} on ${lineRef(line)}.`, response_type: 'ephemeral' });
+  }
+
+  // Update the card and post the winners and losers of a settled line
+  async announceResolution(respond, client, line, payoutData) {
+    const summary = await this.bettingService.getLineSummary(line.id);
     const msg = this.formatBettingLineMessage(
-      { ...line, options: opts, emojis: parseList(line.emojis) },
+      summary.line,
       summary,
       false,
       true,
@@ -246,20 +1068,17 @@ class SlackHandlers {
       text: msg.text,
       blocks: msg.blocks,
     });
-    // Get all bettors by option
-    const allBettors = {};
-    Object.keys(summary.betsByOption).forEach(option => {
-      allBettors[option] = summary.betsByOption[option].map(bet => bet.username);
-    });
-
     // Create winner/loser lists
-    const winners = payoutData.payouts.map(p => p.username);
-    const losers = allBettors[winningOption] ? [] : Object.keys(allBettors)
-      .filter(opt => opt !== winningOption)
-      .flatMap(opt => allBettors[opt]);
+    const refunded = payoutData.mode === 'refund' || payoutData.mode === 'push';
+    const winners = refunded ? [] : payoutData.payouts.map(p => `${p.username} (+${p.winnings})`);
+    const losers = payoutData.losers.map(l => `${l.username} (-${l.stake})`);
 
     // Create the message
-    let message = `🎉 Betting Line "${line.question}" resolved!\n🏆 Winner: ${winningOption}\n💰 ${payoutData.message}`;
+    let message = `🎉 Betting Line "${line.question}" resolved!\n${explainOutcome(payoutData.outcome)}`;
+    if (payoutData.outcome.value !== undefined) {
+      message += `\n📏 Reported value: ${formatSpecValue(line.numeric_spec, payoutData.outcome.value)}`;
+    }
+    message += `\n💰 ${payoutData.message}`;
 
     if (winners.length > 0) {
       message += `\n📊 Winners: ${winners.join(', ')}`;
@@ -268,51 +1087,441 @@ class SlackHandlers {
       message += `\n📉 Losers: ${losers.join(', ')}`;
     }
 
-    message += `\n(ID: ${lineId})`;
-
-    await respond({ 
-      text: message, 
-      response_type: 'in_channel' 
+    const disputeEndsAt = this.bettingService.disputeWindowEndsAt(summary.line);
+    if (disputeEndsAt && disputeEndsAt > new Date()) {
+      message += `\n⚖️ Think this is wrong? Run \`/bet dispute ${lineRef(line)} <reason>\` before ${formatSlackDate(disputeEndsAt)}.`;
+    }
+
+    message += `\n(ID: ${lineRef(line)})`;
+
+    await respond({ 
+      text: message, 
+      response_type: 'in_channel' 
+    });
+    await this.notifyParlays(client, payoutData.parlays);
+  }
+
+  // ---------- /bet odds ----------
+  async handleOdds(args, respond, client, body) {
+    const lineId = args[1];
+    if (!lineId) {
+      await respond({ text: 'Usage: `/bet odds <line_id>`', response_type: 'ephemeral' });
+      return;
+    }
+
+    const line = await this.findLine(lineId);
+    if (!line) {
+      await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
+      return;
+    }
+    if (line.numeric_spec?.kind === 'closest') {
+      await respond({ text: 'Closest-guess lines have no odds: the whole pot goes to the closest guess. The card lists every guess so far.', response_type: 'ephemeral' });
+      return;
+    }
+
+    const user = await this.db.getUserBySlackId(body.user_id);
+    const odds = await this.bettingService.getOdds(line.id, user?.id);
+    await respond({ text: buildOddsMessage(odds).text, response_type: 'ephemeral' });
+  }
+
+  // ---------- /bet list ----------
+  // `/bet list [open|locked|resolved|mine] [channel: #x] [page: <n>]`,
+  // newest first
+  async handleList(args, respond, client, body) {
+    const rest = args.slice(1);
+    const filter = (rest.find(arg => LIST_FILTERS[arg.toLowerCase()]) || 'open').toLowerCase();
+    const channelMatch = rest.join(' ').match(/\bchannel:\s*(\S+)/i);
+    const channelId = channelMatch ? parseChannelMention(channelMatch[1]) : null;
+    if (channelMatch && !channelId) {
+      await respond({ text: 'Name the channel as `channel: #channel`.', response_type: 'ephemeral' });
+      return;
+    }
+    const pageMatch = rest.join(' ').match(/\bpage:\s*(\d+)/i);
+    const page = Math.max(1, pageMatch ? parseInt(pageMatch[1], 10) : 1);
+
+    const filters = { statuses: LIST_FILTERS[filter].statuses, channelId };
+    if (filter === 'mine') {
+      const user = await this.getOrCreateUser(client, body.user_id);
+      Object.assign(filters, { userId: user.id, userSlackId: body.user_id });
+    }
+    const { lines, total } = await this.db.listBettingLines(filters, LIST_PAGE_SIZE, (page - 1) * LIST_PAGE_SIZE);
+
+    const where = channelId ? ` in <#${channelId}>` : '';
+    const pages = Math.max(1, Math.ceil(total / LIST_PAGE_SIZE));
+    if (lines.length === 0) {
+      await respond({
+        text: total === 0 ? `No ${LIST_FILTERS[filter].title.toLowerCase()}${where}.` : `There are only ${pages} page${pages === 1 ? '' : 's'}.`,
+        response_type: 'ephemeral',
+      });
+      return;
+    }
+
+    let text = `*📋 ${LIST_FILTERS[filter].title}${where}* (${total})\n\n${lines.map(formatLineRow).join('\n')}`;
+    text += `\n\nPage ${page} of ${pages}.`;
+    if (page < pages) {
+      const next = [filter, channelMatch ? `channel: <#${channelId}>` : null, `page: ${page + 1}`].filter(Boolean).join(' ');
+      text += ` Next: \`/bet list ${next}\``;
+    }
+    text += '\nSee a line with `/bet show <number>`.';
+    await respond({ text, response_type: 'ephemeral' });
+  }
+
+  // ---------- /bet show ----------
+  // The line's card with its full summary, and a link to where it was posted
+  async handleShow(args, respond, client, body) {
+    if (!args[1]) {
+      await respond({ text: 'Usage: `/bet show <line_id>`', response_type: 'ephemeral' });
+      return;
+    }
+    const line = await this.findLine(args[1]);
+    if (!line) {
+      await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
+      return;
+    }
+
+    const summary = await this.bettingService.getLineSummary(line.id);
+    const payoutData = summary.line.status === 'resolved'
+      ? await this.bettingService.calculatePayouts(line.id, this.bettingService.outcomeForLine(summary.line))
+      : null;
+    const card = this.formatBettingLineMessage(summary.line, summary, false, false, payoutData);
+
+    let link = '';
+    if (line.slack_channel_id && line.slack_message_ts) {
+      try {
+        const { permalink } = await client.chat.getPermalink({ channel: line.slack_channel_id, message_ts: line.slack_message_ts });
+        link = `<${permalink}|View the original card> in <#${line.slack_channel_id}>`;
+      } catch (err) {
+        link = `Posted in <#${line.slack_channel_id}>`;
+      }
+    }
+
+    await respond({
+      text: card.text,
+      blocks: link ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `🔗 ${link}` }] }, ...card.blocks] : card.blocks,
+      response_type: 'ephemeral',
+    });
+  }
+
+  // Commands take a line's number (`42` or `#42`) or its full ID
+  async findLine(ref) {
+    const match = String(ref).match(/^#?(\d+)$/);
+    return match ? this.db.getBettingLineByNumber(parseInt(match[1], 10)) : this.db.getBettingLine(ref);
+  }
+
+  // ---------- /bet stats ----------
+  // `/bet stats [@user] [league: <name>]`. Someone else's profile leaves out
+  // their open positions, leagues and parlays.
+  async handleStats(args, respond, client, body) {
+    const targetId = parseUserMention(args[1]);
+    const own = !targetId || targetId === body.user_id;
+    const user = own
+      ? await this.getOrCreateUser(client, body.user_id)
+      : await this.db.getUserBySlackId(targetId);
+    if (!user) {
+      await respond({ text: `<@${targetId}> has not placed any bets yet.`, response_type: 'ephemeral' });
+      return;
+    }
+
+    const leagueMatch = args.slice(1).join(' ').match(/\bleague:\s*(\S+)/i);
+    const league = leagueMatch ? await this.leagues.getLeague(leagueMatch[1]) : await this.db.getLeague(DEFAULT_LEAGUE_ID);
+    const member = await this.db.getMemberStats(user.id, league.id);
+    if (!member) {
+      await respond({ text: `${own ? 'You are' : `<@${user.slack_user_id}> is`} not in the "${league.name}" league.`, response_type: 'ephemeral' });
+      return;
+    }
+
+    const stats = await this.stats.getStats(user.id, league.id);
+    const title = own ? 'Your Betting Stats' : `Betting Stats for <@${user.slack_user_id}>`;
+    let text = `*${title}${league.id === DEFAULT_LEAGUE_ID ? '' : ` in ${league.name}`}*\n\n` +
+      `💰 Balance: ${member.balance} units\n` +
+      `🎯 Total Bets: ${member.total_bets}\n` +
+      `🏆 Total Winnings: ${member.total_winnings} units\n` +
+      formatStats(stats);
+
+    if (own && stats.open.length > 0) {
+      text += `\n\n*Open Positions*\n${stats.open.map(p => `⏳ ${p.stake} units – ${p.label}`).join('\n')}`;
+    }
+    if (stats.recent.length > 0) {
+      text += `\n\n*Recent Results*\n${stats.recent.map(formatResult).join('\n')}`;
+    }
+
+    const topUps = formatTopUps(await this.db.getLedgerSummary(user.id, league.id));
+    if (topUps) {
+      text += `\n\n*Top-ups*\n${topUps}`;
+    }
+
+    const leagues = own && league.id === DEFAULT_LEAGUE_ID ? await this.db.getLeaguesForUser(user.id) : [];
+    if (leagues.length > 0) {
+      const rows = leagues.map((l) => {
+        const bailouts = l.bailouts > 0 ? ` · 🆘 ${l.bailouts} bailout${l.bailouts === 1 ? '' : 's'}` : '';
+        return `🏟️ ${l.name}: ${l.balance} units · ${l.total_bets} bets · ${l.total_winnings} winnings${bailouts}`;
+      });
+      text += `\n\n*Your Leagues*\n${rows.join('\n')}`;
+    }
+
+    const badges = await this.db.getBadgesForUser(user.id);
+    if (badges.length > 0) {
+      const earned = badges.map(b => `${b.badge} Season ${b.season}${b.league_id === DEFAULT_LEAGUE_ID ? '' : ` (${b.league_name})`}`);
+      text += `\n\n*${own ? 'Your ' : ''}Badges*\n${earned.join('\n')}`;
+    }
+
+    const parlays = own ? await this.bettingService.getParlays(user.id) : [];
+    if (parlays.length > 0) {
+      text += `\n\n*Your Parlays*\n${parlays.map(formatParlay).join('\n')}`;
+    }
+
+    await respond({ text, response_type: 'ephemeral' });
+  }
+
+  // ---------- /bet leaderboard ----------
+  // `/bet leaderboard [by: <metric>] [period: <period>] [limit: <n>] [league: <name>] [post]`,
+  // or `/bet leaderboard season: <n>` for a past season's final standings.
+  // Defaults to balances in the channel's league; `post` shares it in the
+  // channel instead of showing it just to the requester.
+  async handleLeaderboard(args, respond, client, body) {
+    const text = args.slice(1).join(' ');
+    const league = await this.leagueFromArgs(args, body.channel_id);
+    const leagueTitle = league.id === DEFAULT_LEAGUE_ID ? 'Betting' : league.name;
+    const responseType = args.slice(1).some(arg => arg.toLowerCase() === 'post') ? 'in_channel' : 'ephemeral';
+    const seasonMatch = text.match(/\bseason:\s*(\d+)/i);
+
+    if (seasonMatch) {
+      const { season, standings } = await this.seasons.getStandings(league.id, parseInt(seasonMatch[1], 10));
+      let board = `*🏆 ${leagueTitle} Leaderboard – Season ${season.number}*\n\n`;
+      standings.forEach((st) => {
+        const place = st.badge || `${st.rank}.`;
+        const profit = st.profit >= 0 ? `+${st.profit}` : `${st.profit}`;
+        board += `${place} *${st.username}* - ${st.balance} units (${profit}, ${st.bets} bets)\n`;
+      });
+      await respond({ text: board, response_type: responseType });
+      return;
+    }
+
+    const byMatch = text.match(/\bby:\s*(\w+)/i);
+    const periodMatch = text.match(/\bperiod:\s*(\w+)/i);
+    const limitMatch = text.match(/\blimit:\s*(\d+)/i);
+    const period = periodMatch ? periodMatch[1].toLowerCase() : 'all';
+    // A period on its own ranks by profit, since balances have no period
+    const by = byMatch ? byMatch[1].toLowerCase() : (period === 'all' ? 'balance' : 'profit');
+    const board = await this.stats.getLeaderboard(league.id, {
+      by,
+      period,
+      limit: limitMatch ? parseInt(limitMatch[1], 10) : 10,
+    });
+
+    const requester = await this.getOrCreateUser(client, body.user_id);
+    const periodTitle = period === 'season' ? ` – Season ${board.season.number}` : (LEADERBOARD_PERIODS[period] ? ` – ${LEADERBOARD_PERIODS[period]}` : '');
+    let reply = `*🏆 ${leagueTitle} Leaderboard: ${LEADERBOARD_TITLES[by]}${periodTitle}*\n\n`;
+    if (board.top.length === 0) {
+      reply += 'Nobody qualifies yet.\n';
+    }
+    board.top.forEach((entry) => {
+      const you = entry.userId === requester.id ? ' ← you' : '';
+      reply += `${rankMedal(entry.rank)} *${entry.username}* - ${formatLeaderboardValue(by, entry)}${you}\n`;
+    });
+
+    // The requester always sees where they stand
+    const who = responseType === 'in_channel' ? `<@${body.user_id}>` : 'You';
+    const mine = board.ranked.find(entry => entry.userId === requester.id);
+    const waiting = board.unqualified.find(entry => entry.userId === requester.id);
+    if (mine && mine.rank > board.limit) {
+      reply += `\n📍 ${who}: ${mine.rank}. of ${board.ranked.length} - ${formatLeaderboardValue(by, mine)}\n`;
+    } else if (waiting) {
+      const more = board.minBets - waiting.settledCount;
+      reply += `\n📍 ${who}: ${more} more settled bet${more === 1 ? '' : 's'} to be ranked\n`;
+    } else if (!mine) {
+      reply += `\n📍 ${who}: not ranked (no settled bets${period === 'all' ? '' : ' in this period'})\n`;
+    }
+    if (board.minBets > 0) {
+      reply += `\n_Only players with at least ${board.minBets} settled bets are ranked._`;
+    }
+
+    await respond({ text: reply, response_type: responseType });
+  }
+
+  // ---------- /bet season ----------
+  // `/bet season start [start: <n>] [league: <name>]`,
+  // `/bet season end [badges] [league: <name>]` or `/bet season` for the
+  // current one; the league defaults to the channel's
+  async handleSeason(args, respond, client, body) {
+    const sub = (args[1] || '').toLowerCase();
+    const league = await this.leagueFromArgs(args, body.channel_id);
+    const where = league.id === DEFAULT_LEAGUE_ID ? '' : ` of *${league.name}*`;
+
+    if (!['start', 'end'].includes(sub)) {
+      const active = await this.seasons.getActiveSeason(league.id);
+      await respond({
+        text: active
+          ? `📅 Season ${active.number}${where} has been running since ${formatSlackDate(active.started_at)}. Everyone started on ${active.starting_balance} units.\n` +
+            'Admins can end it with `/bet season end [badges]`.'
+          : `📅 No season${where} is running. Admins can start one with \`/bet season start [start: <n>]\`.`,
+        response_type: 'ephemeral',
+      });
+      return;
+    }
+
+    if (!(await this.auth.isAdmin(body.user_id))) {
+      await respond({ text: 'Only admins can start or end seasons.', response_type: 'ephemeral' });
+      return;
+    }
+
+    if (sub === 'start') {
+      const startMatch = args.slice(2).join(' ').match(/\bstart:\s*(\d+)/i);
+      const { season } = await this.seasons.startSeason(league.id, body.user_id, {
+        startingBalance: startMatch ? parseInt(startMatch[1], 10) : undefined,
+      });
+      await respond({
+        text: `📅 Season ${season.number}${where} has started! Every balance is now ${season.starting_balance} units. Good luck!`,
+        response_type: 'in_channel',
+      });
+      return;
+    }
+
+    const awardBadges = args.slice(2).some(arg => arg.toLowerCase() === 'badges');
+    const { season, standings } = await this.seasons.endSeason(league.id, body.user_id, { awardBadges });
+    const podium = standings.slice(0, 3).map(st => `${st.badge || `${st.rank}.`} *${st.username}* - ${st.balance} units`);
+    await respond({
+      text: `🏁 Season ${season.number}${where} is over!\n\n${podium.join('\n') || 'Nobody played.'}\n\n` +
+        `Every balance is back to ${season.starting_balance} units. See the final standings with \`/bet leaderboard season: ${season.number}\`.`,
+      response_type: 'in_channel',
+    });
+  }
+
+  // ---------- /bet bailout ----------
+  // `/bet bailout [league: <name>]`; defaults to the channel's league
+  async handleBailout(args, respond, client, body) {
+    const user = await this.getOrCreateUser(client, body.user_id);
+    const league = await this.leagueFromArgs(args, body.channel_id);
+    const { amount, balance, bailouts } = await this.replenishment.bailout(user.id, league.id);
+    const where = league.id === DEFAULT_LEAGUE_ID ? '' : ` in *${league.name}*`;
+    await respond({
+      text: `🆘 You've been bailed out${where}: +${amount} units, back to ${balance}. ` +
+        `That's bailout #${bailouts}, and it stays on your stats.`,
+      response_type: 'ephemeral',
+    });
+  }
+
+  // The league named by `league: <name>` in the arguments, or the channel's
+  async leagueFromArgs(args, channelId) {
+    const leagueMatch = args.slice(1).join(' ').match(/\bleague:\s*(\S+)/i);
+    return leagueMatch
+      ? this.leagues.getLeague(leagueMatch[1])
+      : this.db.getLeague(await this.bettingService.leagueIdForChannel(channelId));
+  }
+
+  // ---------- /bet league ----------
+  async handleLeague(args, respond, client, body) {
+    const sub = (args[1] || '').toLowerCase();
+    const name = args[2];
+    const user = await this.getOrCreateUser(client, body.user_id);
+
+    switch (sub) {
+      case 'create': {
+        if (!(await this.auth.isAdmin(body.user_id))) {
+          await respond({ text: 'Only admins can create leagues.', response_type: 'ephemeral' });
+          return;
+        }
+        // /bet league create <name> [start: <n>] [#channel]
+        const rest = args.slice(3).join(' ');
+        const startMatch = rest.match(/\bstart:\s*(\d+)/i);
+        const channelId = args.slice(3).map(parseChannelMention).find(Boolean) || null;
+        const league = await this.leagues.createLeague(name, body.user_id, {
+          startingBalance: startMatch ? parseInt(startMatch[1], 10) : undefined,
+          channelId,
+        });
+        const scope = channelId
+          ? `Lines created in <#${channelId}> belong to it, and anyone who bets there joins automatically.`
+          : `Add lines to it with \`league: ${league.name}\` in \`/bet create\`; players join with \`/bet league join ${league.name}\`.`;
+        await respond({
+          text: `🏟️ League *${league.name}* created. Every member starts with ${league.starting_balance} units. ${scope}`,
+          response_type: 'in_channel',
+        });
+        return;
+      }
+      case 'join': {
+        if (!name) break;
+        const { league, rejoined, balance } = await this.leagues.join(name, user.id);
+        await respond({
+          text: rejoined
+            ? `🏟️ Welcome back to *${league.name}*! Your balance there is ${balance} units.`
+            : `🏟️ You joined *${league.name}* with ${balance} units.`,
+          response_type: 'ephemeral',
+        });
+        return;
+      }
+      case 'leave': {
+        if (!name) break;
+        const league = await this.leagues.leave(name, user.id);
+        await respond({
+          text: `👋 You left *${league.name}*. Your open bets there still settle, and your balance is kept if you rejoin.`,
+          response_type: 'ephemeral',
+        });
+        return;
+      }
+      case 'list': {
+        const leagues = await this.leagues.list();
+        const mine = new Set((await this.db.getLeaguesForUser(user.id)).map(l => l.id));
+        const lines = leagues.map((l) => {
+          const where = l.slack_channel_id ? ` · <#${l.slack_channel_id}>` : '';
+          const member = l.id === DEFAULT_LEAGUE_ID || mine.has(l.id) ? ' · ✅ member' : '';
+          return `🏟️ *${l.name}* – ${l.members} member${Number(l.members) === 1 ? '' : 's'} · starts at ${l.starting_balance} units${where}${member}`;
+        });
+        await respond({ text: `*Leagues*\n${lines.join('\n')}`, response_type: 'ephemeral' });
+        return;
+      }
+      default:
+        break;
+    }
+
+    await respond({
+      text: 'Usage: `/bet league create <name> [start: <n>] [#channel]` (admins), `/bet league join <name>`, `/bet league leave <name>` or `/bet league list`',
+      response_type: 'ephemeral',
     });
   }
 
-  // ---------- /bet stats ----------
-  async handleStats(respond, body) {
-    let user = await this.db.getUserBySlackId(body.user_id);
-    if (!user) {
-      const u = await this.app.client.users.info({ user: body.user_id });
-      user = await this.db.createUser(body.user_id, u.user.real_name || u.user.name);
+  // ---------- /bet admin ----------
+  async handleAdmin(args, respond, client, body) {
+    if (!(await this.auth.isAdmin(body.user_id))) {
+      await respond({ text: 'Only admins can manage roles.', response_type: 'ephemeral' });
+      return;
     }
 
-    const s = await this.db.getUserStats(user.id);
-    const net = s.total_winnings - (s.total_bets - s.balance + 20);
-
-    await respond({
-      text:
-        `*Your Betting Stats*\n\n` +
-        `💰 Balance: ${s.balance} units\n` +
-        `🎯 Total Bets: ${s.total_bets}\n` +
-        `🏆 Total Winnings: ${s.total_winnings} units\n` +
-        `📊 Net: ${net} units`,
-      response_type: 'ephemeral',
-    });
-  }
+    const action = (args[1] || '').toLowerCase();
 
-  // ---------- /bet leaderboard ----------
-  async handleLeaderboard(respond, client, body) {
-    if (!this.isAdmin(body.user_id)) {
-      await respond({ text: 'Only admins can view the leaderboard.', response_type: 'ephemeral' });
+    if (action === 'list') {
+      const roles = await this.db.listRoles();
+      const text = roles.length
+        ? roles.map((r) => `• <@${r.slack_user_id}> - ${r.role}${r.channel_id ? ` in <#${r.channel_id}>` : ''}`).join('\n')
+        : 'No roles have been granted yet.';
+      await respond({ text: `*🔑 Roles*\n\n${text}`, response_type: 'ephemeral' });
       return;
     }
 
-    const top = await this.db.getLeaderboard(10);
-    let text = '*🏆 Betting Leaderboard*\n\n';
-    top.forEach((u, i) => {
-      const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `${i + 1}.`;
-      text += `${medal} *${u.username}* - ${u.balance} units (${u.total_winnings} winnings)\n`;
-    });
+    const targetId = parseUserMention(args[2]);
+    const role = (args[3] || '').toLowerCase();
+    const channelId = parseChannelMention(args[4]) || '';
+    if (!['grant', 'revoke'].includes(action) || !targetId || !role) {
+      await respond({
+        text: 'Usage: `/bet admin grant|revoke @user <admin|bookmaker> [#channel]` or `/bet admin list`',
+        response_type: 'ephemeral',
+      });
+      return;
+    }
 
-    await respond({ text, response_type: 'ephemeral' });
+    const scope = channelId ? ` in <#${channelId}>` : '';
+    if (action === 'grant') {
+      const granted = await this.auth.grant(body.user_id, targetId, role, channelId);
+      await respond({
+        text: granted ? `✅ <@${targetId}> is now ${role}${scope}.` : `<@${targetId}> is already ${role}${scope}.`,
+        response_type: 'ephemeral',
+      });
+    } else {
+      const revoked = await this.auth.revoke(targetId, role, channelId);
+      await respond({
+        text: revoked ? `✅ Revoked ${role}${scope} from <@${targetId}>.` : `<@${targetId}> is not ${role}${scope}.`,
+        response_type: 'ephemeral',
+      });
+    }
   }
 
   // ---------- Reaction handler (fixed & tolerant) ----------
@@ -334,43 +1543,9 @@ class SlackHandlers {
         return;
       }
 
-      // Fetch the message to confirm it's a betting card
-      const history = await client.conversations.history({
-        channel: item.channel,
-        latest: item.ts,
-        limit: 1,
-        inclusive: true,
-      });
-      const msg = history.messages?.[0];
-
-      console.log('📄 Message content check:', {
-        has_message: !!msg,
-        has_text: !!msg?.text,
-        is_betting_line: msg?.text?.includes('**Betting Line**'),
-        message_preview: msg?.text?.substring(0, 100) + '...'
-      });
-
-      if (!msg || !msg.text || !msg.text.includes('**Betting Line**')) {
-        console.log('❌ Not a betting line message - ignoring');
-        return;
-      }
-
-      // Replace lines 311-360 in src/handlers/slackHandlers.js with:
-
-      // Extract line_id from message text
-      const lineIdMatch = msg.text.match(/ID: ([a-f0-9-]+)/);
-      if (!lineIdMatch) {
-        console.log('❌ No line ID found in message text');
-        return;
-      }
-      const lineId = lineIdMatch[1];
-
-      console.log('🔍 Extracted line ID:', lineId);
-
-      // Query by line_id instead of timestamp
-      const line = await this.db.getBettingLine(lineId);
+      const line = await this.messageIndex.findLine(item.channel, item.ts);
       if (!line) {
-        console.log('❌ No betting line found with ID:', lineId);
+        console.log('❌ Not a betting line message - ignoring');
         return;
       }
 
@@ -397,6 +1572,13 @@ class SlackHandlers {
         return;
       }
 
+      // Multiplier reactions change the stake on the user's existing bet
+      const multipliedStake = this.bettingService.stakeForMultiplier(line, reaction);
+      if (multipliedStake) {
+        await this.handleStakeReaction(client, item, user, line, multipliedStake, logger);
+        return;
+      }
+
       // Map Slack reaction names to Slack emoji strings
       const nameToEmoji = {
         a: ':a:', b: ':b:', c: ':c:', d: ':d:', e: ':e:', f: ':f:', g: ':g:', h: ':h:', i: ':i:', j: ':j:',
@@ -438,7 +1620,7 @@ class SlackHandlers {
 
       // Place bet
       try {
-        await this.bettingService.placeBet(dbUser.id, line.id, selectedOption);
+        await this.bettingService.placeBet(dbUser.id, line.id, selectedOption, line.min_stake || 1);
 
         // Update card
         const summary = await this.bettingService.getLineSummary(line.id);
@@ -455,10 +1637,11 @@ class SlackHandlers {
           blocks: updatedMsg.blocks,
         });
 
+        const stake = line.min_stake || 1;
         await client.chat.postEphemeral({
           channel: item.channel,
           user,
-          text: `:tada: Confirmed! You bet 1 unit on "${selectedOption}" for "${line.question}"!`,
+          text: `:tada: Confirmed! You bet ${stake} unit${stake === 1 ? '' : 's'} on "${selectedOption}" for "${line.question}"! React with a multiplier (:two: :three: :five: :keycap_ten:) to raise your stake.`,
         });
       } catch (err) {
         logger?.error(err);
@@ -473,6 +1656,31 @@ class SlackHandlers {
     }
   }
 
+  async handleStakeReaction(client, item, user, line, amount, logger) {
+    try {
+      const dbUser = await this.db.getUserBySlackId(user);
+      if (!dbUser) {
+        throw new Error('Pick an option before choosing a stake');
+      }
+
+      const bet = await this.bettingService.changeStake(dbUser.id, line.id, amount);
+      await this.refreshBettingCard(client, line);
+
+      await client.chat.postEphemeral({
+        channel: item.channel,
+        user,
+        text: `💰 Stake updated! You now have ${bet.amount} units on "${bet.option}" for "${line.question}". Your balance is now ${bet.balance} units.`,
+      });
+    } catch (err) {
+      logger?.error(err);
+      await client.chat.postEphemeral({
+        channel: item.channel,
+        user,
+        text: `❌ ${err.message}`,
+      });
+    }
+  }
+
   // Add this method after line 427 in src/handlers/slackHandlers.js:
 async handleReactionRemoved({ event, client, logger }) {
   try {
@@ -490,34 +1698,12 @@ async handleReactionRemoved({ event, client, logger }) {
       return;
     }
 
-    // Get the message
-    const history = await client.conversations.history({
-      channel: item.channel,
-      latest: item.ts,
-      limit: 1,
-      inclusive: true,
-    });
-    const msg = history.messages?.[0];
-    
-    if (!msg || !msg.text || !msg.text.includes('**Betting Line**')) {
-      console.log('❌ Not a betting line message');
-      return;
-    }
-
-    // Extract line_id from message text
-    const lineIdMatch = msg.text.match(/ID: ([a-f0-9-]+)/);
-    if (!lineIdMatch) {
-      console.log('❌ No line ID found in message');
-      return;
-    }
-    const lineId = lineIdMatch[1];
-
-    // Get the betting line
-    const line = await this.db.getBettingLine(lineId);
+    const line = await this.messageIndex.findLine(item.channel, item.ts);
     if (!line || line.status !== 'open') {
-      console.log('❌ Betting line not found or not open');
+      console.log('❌ Not an open betting line message');
       return;
     }
+    const lineId = line.id;
 
     // Get user
     let dbUser = await this.db.getUserBySlackId(user);
@@ -533,6 +1719,17 @@ async handleReactionRemoved({ event, client, logger }) {
       return;
     }
 
+    // Removing a multiplier reaction drops the stake back to the line minimum
+    const multipliedStake = this.bettingService.stakeForMultiplier(line, reaction);
+    if (multipliedStake) {
+      if (userBet.amount !== multipliedStake) {
+        console.log('❌ Removed multiplier does not match user\'s stake');
+        return;
+      }
+      await this.handleStakeReaction(client, item, user, line, line.min_stake || 1, logger);
+      return;
+    }
+
     // Map reaction to emoji string
     const nameToEmoji = {
       a: ':a:', b: ':b:', c: ':c:', d: ':d:', e: ':e:', f: ':f:', g: ':g:', h: ':h:', i: ':i:', j: ':j:',
@@ -559,12 +1756,7 @@ async handleReactionRemoved({ event, client, logger }) {
     }
 
     // Remove the bet and refund the user
-    await this.db.db.run('DELETE FROM bets WHERE id = ?', [userBet.id]);
-    
-    // Refund the bet amount
-    const newBalance = dbUser.balance + userBet.amount;
-    await this.db.updateUserBalance(dbUser.id, newBalance);
-    await this.db.incrementUserStats(dbUser.id, 'total_bets', -1);
+    const { balance: newBalance } = await this.bettingService.cancelBet(dbUser.id, lineId);
 
     // Update the message
     const summary = await this.bettingService.getLineSummary(lineId);
@@ -595,74 +1787,525 @@ async handleReactionRemoved({ event, client, logger }) {
   }
 }
 
+  // ---------- Interactive card ----------
+  // "Bet" button next to an option: open the stake modal
+  async handleBetButton({ ack, body, action, client, logger }) {
+    await ack();
+    const [lineId, rawIndex] = (action.value || '').split('|');
+    const optionIndex = Number(rawIndex);
+    const channelId = body.channel?.id;
+    const respond = this.responderFor(client, channelId, body.user.id);
+
+    try {
+      const line = await this.db.getBettingLine(lineId);
+      if (!line || line.options[optionIndex] === undefined) {
+        await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
+        return;
+      }
+      this.bettingService.assertAcceptingBets(line);
+
+      const user = await this.getOrCreateUser(client, body.user.id);
+      const currentBet = await this.db.getUserBetOnLine(user.id, line.id);
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildStakeModal(line, optionIndex, {
+          channelId,
+          balance: await this.bettingService.getBalance(user.id, line.league_id) + (currentBet?.amount || 0),
+          currentBet,
+        }),
+      });
+    } catch (err) {
+      logger?.error(err);
+      await respond({ text: `❌ ${err.message}`, response_type: 'ephemeral' });
+    }
+  }
+
+  // Accept or Decline clicked on a challenge
+  async handleChallengeAnswer({ ack, body, action, client, logger }) {
+    await ack();
+    const respond = this.responderFor(client, body.channel?.id, body.user.id);
+
+    try {
+      const challenge = await this.db.getChallenge(action.value);
+      if (!challenge) {
+        await respond({ text: 'Challenge not found.', response_type: 'ephemeral' });
+        return;
+      }
+      const answer = action.action_id === CHALLENGE_ACTIONS.accept ? 'accept' : 'decline';
+      await this.answerChallengeAs(client, respond, body.user.id, challenge, answer);
+    } catch (err) {
+      logger?.error(err);
+      await respond({ text: `❌ ${err.message}`, response_type: 'ephemeral' });
+    }
+  }
+
+  // I won / I lost / Push clicked on an accepted challenge
+  async handleChallengeClaim({ ack, body, action, client, logger }) {
+    await ack();
+    const respond = this.responderFor(client, body.channel?.id, body.user.id);
+
+    try {
+      const challenge = await this.db.getChallenge(action.value);
+      if (!challenge) {
+        await respond({ text: 'Challenge not found.', response_type: 'ephemeral' });
+        return;
+      }
+      await this.claimChallengeAs(client, respond, body.user.id, challenge, CLAIM_RESULTS[action.action_id]);
+    } catch (err) {
+      logger?.error(err);
+      await respond({ text: `❌ ${err.message}`, response_type: 'ephemeral' });
+    }
+  }
+
+  // Stake modal submitted: place the bet, or show the problem on the stake field
+  async handleStakeSubmission({ ack, body, view, client, logger }) {
+    const { lineId, optionIndex, channelId } = JSON.parse(view.private_metadata);
+    const amount = Number(view.state.values.stake.amount.value);
+    const slackUserId = body.user.id;
+
+    let line;
+    let bet;
+    try {
+      line = await this.db.getBettingLine(lineId);
+      if (!line) throw new Error('Betting line not found');
+      const user = await this.getOrCreateUser(client, slackUserId);
+      bet = await this.bettingService.placeBet(user.id, line.id, line.options[optionIndex], amount);
+    } catch (err) {
+      await ack({ response_action: 'errors', errors: { stake: err.message } });
+      return;
+    }
+    await ack();
+
+    try {
+      await this.refreshBettingCard(client, line);
+      await this.responderFor(client, channelId, slackUserId)({
+        text: `:tada: Confirmed! You bet ${bet.amount} unit${bet.amount === 1 ? '' : 's'} on "${bet.option}" for "${line.question}". Your balance is now ${bet.balance} units.`,
+        response_type: 'ephemeral',
+      });
+    } catch (err) {
+      logger?.error(err);
+    }
+  }
+
+  // Guess button on a closest-guess card: open the guess modal
+  async handleGuessButton({ ack, body, action, client, logger }) {
+    await ack();
+    const channelId = body.channel?.id;
+    const respond = this.responderFor(client, channelId, body.user.id);
+
+    try {
+      const line = await this.db.getBettingLine(action.value);
+      if (!line || line.numeric_spec?.kind !== 'closest') {
+        await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
+        return;
+      }
+      this.bettingService.assertAcceptingBets(line);
+
+      const user = await this.getOrCreateUser(client, body.user.id);
+      const currentBet = await this.db.getUserBetOnLine(user.id, line.id);
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildGuessModal(line, {
+          channelId,
+          balance: await this.bettingService.getBalance(user.id, line.league_id) + (currentBet?.amount || 0),
+          currentBet,
+        }),
+      });
+    } catch (err) {
+      logger?.error(err);
+      await respond({ text: `❌ ${err.message}`, response_type: 'ephemeral' });
+    }
+  }
+
+  // Guess modal submitted: place the guess, or show the problem on the form
+  async handleGuessSubmission({ ack, body, view, client, logger }) {
+    const { lineId, channelId } = JSON.parse(view.private_metadata);
+    const { guess, amount } = readGuessSubmission(view);
+    const slackUserId = body.user.id;
+
+    let line;
+    let bet;
+    try {
+      line = await this.db.getBettingLine(lineId);
+      if (!line) throw new Error('Betting line not found');
+      const user = await this.getOrCreateUser(client, slackUserId);
+      bet = await this.bettingService.placeGuess(user.id, line.id, guess, amount);
+    } catch (err) {
+      // Problems with the guess itself belong on the guess field
+      const field = /not a (number|date)/.test(err.message) ? 'guess' : 'stake';
+      await ack({ response_action: 'errors', errors: { [field]: err.message } });
+      return;
+    }
+    await ack();
+
+    try {
+      await this.refreshBettingCard(client, line);
+      await this.responderFor(client, channelId, slackUserId)({
+        text: `:tada: Confirmed! You guessed ${bet.option} with ${bet.amount} unit${bet.amount === 1 ? '' : 's'} on "${line.question}". Your balance is now ${bet.balance} units.`,
+        response_type: 'ephemeral',
+      });
+    } catch (err) {
+      logger?.error(err);
+    }
+  }
+
+  // Overflow menu on the card. Permissions are checked here, not when rendering.
+  async handleLineAdminMenu({ ack, body, action, client, logger }) {
+    await ack();
+    const [command, lineId] = (action.selected_option?.value || '').split('|');
+    const channelId = body.channel?.id;
+    const slackUserId = body.user.id;
+    const respond = this.responderFor(client, channelId, slackUserId);
+
+    try {
+      const line = await this.db.getBettingLine(lineId);
+      if (!line) {
+        await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
+        return;
+      }
+
+      switch (command) {
+        case 'lock':
+          await this.lockLineAs(client, respond, slackUserId, line);
+          break;
+        case 'resolve':
+          if (!(await this.auth.can(slackUserId, 'resolve_line', { line }))) {
+            await respond({ text: 'Only admins and the line\'s bookmaker can resolve this betting line.', response_type: 'ephemeral' });
+            return;
+          }
+          if (line.numeric_spec?.kind === 'closest') {
+            await respond({ text: `Settle this line with the actual value: \`/bet settle ${lineRef(line)} value: <actual>\``, response_type: 'ephemeral' });
+            return;
+          }
+          await client.views.open({ trigger_id: body.trigger_id, view: buildResolveModal(line, { channelId }) });
+          break;
+        case 'cancel':
+          if (!(await this.auth.can(slackUserId, 'cancel_line', { line }))) {
+            await respond({ text: 'Only admins can cancel a betting line.', response_type: 'ephemeral' });
+            return;
+          }
+          await client.views.open({ trigger_id: body.trigger_id, view: buildCancelModal(line, { channelId }) });
+          break;
+        default:
+          await respond({ text: `Unknown action: ${command}`, response_type: 'ephemeral' });
+      }
+    } catch (err) {
+      logger?.error(err);
+      await respond({ text: `❌ ${err.message}`, response_type: 'ephemeral' });
+    }
+  }
+
+  async handleResolveSubmission({ ack, body, view, client, logger }) {
+    const { lineId, channelId } = JSON.parse(view.private_metadata);
+    const slackUserId = body.user.id;
+    const respond = this.responderFor(client, channelId, slackUserId);
+
+    const line = await this.db.getBettingLine(lineId);
+    if (!line) {
+      await ack();
+      await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
+      return;
+    }
+    // Keep the modal open with the problem shown on the field
+    const { outcome, errors } = readResolveSubmission(view, line);
+    if (Object.keys(errors).length) {
+      await ack({ response_action: 'errors', errors });
+      return;
+    }
+    await ack();
+
+    try {
+      await this.resolveLineAs(client, respond, slackUserId, line, outcome);
+    } catch (err) {
+      logger?.error(err);
+      await respond({ text: `❌ ${err.message}`, response_type: 'ephemeral' });
+    }
+  }
+
+  async handleCancelSubmission({ ack, body, view, client, logger }) {
+    await ack();
+    const { lineId, channelId } = JSON.parse(view.private_metadata);
+    const reason = (view.state.values.reason?.value?.value || '').trim() || null;
+    const slackUserId = body.user.id;
+    const respond = this.responderFor(client, channelId, slackUserId);
+
+    try {
+      const line = await this.db.getBettingLine(lineId);
+      if (!line) {
+        await respond({ text: 'Betting line not found.', response_type: 'ephemeral' });
+        return;
+      }
+      await this.cancelLineAs(client, respond, slackUserId, line, reason);
+    } catch (err) {
+      logger?.error(err);
+      await respond({ text: `❌ ${err.message}`, response_type: 'ephemeral' });
+    }
+  }
+
+  // ---------- Creation modal ----------
+  // Global shortcut: same form as `/bet create`, with no channel picked yet
+  async handleCreateLineShortcut({ ack, shortcut, client, logger }) {
+    await ack();
+    try {
+      await client.views.open({ trigger_id: shortcut.trigger_id, view: buildCreateLineModal() });
+    } catch (err) {
+      logger?.error(err);
+    }
+  }
+
+  // "Add option" / "Remove option" inside the creation modal
+  async handleCreateLineOptionCount({ ack, body, action, client, logger }) {
+    await ack();
+    const { optionCount, channelId } = JSON.parse(body.view.private_metadata);
+    const delta = action.action_id === MODAL_ACTIONS.addOption ? 1 : -1;
+
+    try {
+      await client.views.update({
+        view_id: body.view.id,
+        hash: body.view.hash,
+        view: buildCreateLineModal({ optionCount: optionCount + delta, channelId, values: body.view.state.values }),
+      });
+    } catch (err) {
+      logger?.error(err);
+    }
+  }
+
+  async handleCreateLineSubmission({ ack, body, view, client, logger }) {
+    const slackUserId = body.user.id;
+    const submission = readCreateLineSubmission(view);
+    const { errors, channelId } = submission;
+
+    if (channelId && !errors.channel && !(await this.auth.can(slackUserId, 'create_line', { channelId }))) {
+      errors.channel = 'Only admins and this channel\'s bookmakers can create betting lines here.';
+    }
+    if (Object.keys(errors).length) {
+      await ack({ response_action: 'errors', errors });
+      return;
+    }
+    await ack();
+
+    try {
+      const line = await this.publishLine(client, slackUserId, channelId, {
+        question: submission.question,
+        options: submission.options,
+        emojis: this.bettingService.generateEmojis(submission.options, submission.chosenEmojis),
+        limits: submission.limits,
+      });
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: slackUserId,
+        text: `Betting line created! Line ID: ${lineRef(line)}`,
+      });
+    } catch (err) {
+      logger?.error(err);
+      // The modal is already closed, so report the failure in a DM
+      await client.chat.postMessage({
+        channel: slackUserId,
+        text: `❌ Could not create the betting line in <#${channelId}>: ${err.message}`,
+      });
+    }
+  }
+
   // ---------- Render betting card ----------
+  // The flags override the stored status, e.g. to render a line as resolved
+  // right after settling it
   formatBettingLineMessage(line, summary = null, isLocked = false, isResolved = false, payoutData = null) {
-    const options = parseList(line.options);
-    const emojis  = parseList(line.emojis);
+    let status = line.status || 'open';
+    if (isLocked) status = 'locked';
+    if (isResolved) status = 'resolved';
+
+    return buildBettingCard(
+      { ...line, status, options: parseList(line.options), emojis: parseList(line.emojis) },
+      summary,
+      payoutData
+    );
+  }
 
-    let status = '🟢 Open for betting';
-    if (isLocked) status = '🔒 Locked';
-    if (isResolved) status = '✅ Resolved';
+  // ---------- Scheduled locking ----------
+  // Re-arm the closing timers of every open line, e.g. after a restart.
+  // Deadlines that passed while the bot was down fire straight away.
+  async scheduleLineLocks() {
+    const lines = await this.db.getLinesWithDeadlines();
+    lines.forEach((line) => this.scheduleLineLock(line));
+    if (lines.length) {
+      console.log(`⏰ Scheduled ${lines.length} betting line deadline(s)`);
+    }
+  }
 
-    let text = `🎯 **Betting Line** (ID: ${line.id})\n\n${line.question}\n\n`;
-    options.forEach((opt, i) => {
-      text += `${emojis[i] || ''} ${opt}\n`;
-    });
+  scheduleLineLock(line) {
+    if (!line.lock_at) return;
+    this.scheduler.at(`lock:${line.id}`, new Date(line.lock_at), () => this.autoLockLine(line.id));
+  }
 
-    text += `\n\n\n Current Status: ${status}`;
+  async autoLockLine(lineId) {
+    if (!(await this.bettingService.lockLine(lineId))) return;
 
-    if (summary) {
-      text += `\n\n--------- Current Bets: ---------\n`;
-      options.forEach((opt, i) => {
-        const c = (summary.betsByOption?.[opt] || []).length;
-        text += `${emojis[i] || ''} ${opt}: ${c} bet${c === 1 ? '' : 's'}\n`;
+    const line = await this.db.getBettingLine(lineId);
+    const client = this.app.client;
+    await this.refreshBettingCard(client, line);
+
+    if (line.slack_channel_id && line.slack_message_ts) {
+      await client.chat.postMessage({
+        channel: line.slack_channel_id,
+        thread_ts: line.slack_message_ts,
+        reply_broadcast: true,
+        text: `🔒 Betting closed on "${line.question}". No more bets are accepted.`,
       });
-      text += `\n💰 Total Pot: ${summary.totalPot ?? 0} units`;
     }
+  }
 
-    if (isResolved && payoutData) {
-      text += `\n\n🏆 **Winner: ${line.winner_option}**\n`;
-      if (payoutData.payouts?.length) {
-        text += `\n🎉 **Payouts:**\n`;
-        payoutData.payouts.forEach((p) => {
-          text += `• ${p.username}: +${p.payout} units\n`;
-        });
-      }
-      if (payoutData.message) text += `\n${payoutData.message}`;
+  // ---------- Weekly allowance ----------
+  // Checked hourly (and on startup); each member is paid at most once a week
+  scheduleAllowances() {
+    if (this.replenishment.weeklyAllowance <= 0) return;
+    this.scheduler.every('allowance', 60 * 60 * 1000, () => this.payAllowances());
+    this.scheduler.at('allowance:startup', new Date(), () => this.payAllowances());
+  }
+
+  async payAllowances() {
+    const granted = await this.replenishment.grantAllowances();
+    if (granted.length) {
+      console.log(`💸 Paid ${granted.length} weekly allowance(s) of ${this.replenishment.weeklyAllowance} units`);
     }
+  }
 
-    return {
-      text,
-      blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }],
-    };
+  // ---------- Challenge expiry ----------
+  // Re-arm the expiry timers of every pending challenge, e.g. after a restart
+  async scheduleChallengeExpiries() {
+    const challenges = await this.db.getPendingChallenges();
+    challenges.forEach((challenge) => this.scheduleChallengeExpiry(challenge));
+    if (challenges.length) {
+      console.log(`⏰ Scheduled ${challenges.length} challenge expir${challenges.length === 1 ? 'y' : 'ies'}`);
+    }
+  }
+
+  scheduleChallengeExpiry(challenge) {
+    this.scheduler.at(`challenge:${challenge.id}`, new Date(challenge.expires_at), () => this.autoExpireChallenge(challenge.id));
+  }
+
+  async autoExpireChallenge(challengeId) {
+    const challenge = await this.bettingService.expireChallenge(challengeId);
+    if (!challenge) return;
+
+    const client = this.app.client;
+    await this.refreshChallengeCard(client, challenge);
+    try {
+      await client.chat.postMessage({
+        channel: challenge.challenger_slack_id,
+        text: `⌛ <@${challenge.target_slack_id}> did not accept your challenge "${challenge.statement}" in time. Your ${challenge.stake} unit stake has been refunded.`,
+      });
+    } catch (error) {
+      console.log(`Could not notify ${challenge.challenger_slack_id} of the expired challenge:`, error.message);
+    }
   }
 
   // ---------- Helpers ----------
+  async getOrCreateUser(client, slackUserId) {
+    const user = await this.db.getUserBySlackId(slackUserId);
+    if (user) return user;
+    const u = await client.users.info({ user: slackUserId });
+    return this.db.createUser(slackUserId, u.user.real_name || u.user.name);
+  }
+
+  // A `respond`-style function that posts to the channel. Used for card
+  // interactions and modals, where replying through the response URL could
+  // replace the card itself.
+  responderFor(client, channelId, slackUserId) {
+    return async ({ text, response_type: responseType }) => {
+      if (responseType === 'in_channel') {
+        return client.chat.postMessage({ channel: channelId, text });
+      }
+      return client.chat.postEphemeral({ channel: channelId, user: slackUserId, text });
+    };
+  }
+
+  async refreshBettingCard(client, line) {
+    if (!line.slack_channel_id || !line.slack_message_ts) return;
+
+    const summary = await this.bettingService.getLineSummary(line.id);
+    // Settlement is deterministic, so a resolved card can show its payouts again
+    const payoutData = summary.line.status === 'resolved'
+      ? await this.bettingService.calculatePayouts(line.id, this.bettingService.outcomeForLine(summary.line))
+      : null;
+    const msg = this.formatBettingLineMessage(summary.line, summary, false, false, payoutData);
+
+    await client.chat.update({
+      channel: line.slack_channel_id,
+      ts: line.slack_message_ts,
+      text: msg.text,
+      blocks: msg.blocks,
+    });
+  }
+
+  async refreshChallengeCard(client, challenge) {
+    if (!challenge.slack_channel_id || !challenge.slack_message_ts) return;
+
+    const msg = buildChallengeCard(challenge);
+    await client.chat.update({
+      channel: challenge.slack_channel_id,
+      ts: challenge.slack_message_ts,
+      text: msg.text,
+      blocks: msg.blocks,
+    });
+  }
+
   getHelpText() {
     return (
       `*🎯 Slack Betting Bot Commands*\n\n` +
-      `*Admin Commands:*\n` +
-      `• \`/bet create "question" options: opt1, opt2, opt3\` - Create a new betting line\n` +
+      `*Admin & Bookmaker Commands:*\n` +
+      `• \`/bet create\` - Open a form to create a new betting line\n` +
+      `• \`/bet create "question" options: opt1, opt2, opt3 [min: n] [max: n] [closes: in 2h]\` - Create a line in one go\n` +
+      `• \`/bet create "question" over-under: 15.5 [unit: min]\` or \`buckets: <10, 10-20, >20\` - Create a numeric line\n` +
+      `• \`/bet create "question" guess: number|date [rule: not-over]\` - Create a closest-guess line\n` +
       `• \`/bet lock <line_id>\` - Lock a betting line\n` +
-      `• \`/bet resolve <line_id> winner: <option>\` - Resolve a betting line\n` +
-      `• \`/bet leaderboard\` - View the leaderboard\n\n` +
+      `• \`/bet resolve <line_id> winner: <option> [override]\` - Resolve a betting line\n` +
+      `• \`/bet resolve <line_id> winner: <option>, <option>\` - Resolve as a dead heat\n` +
+      `• \`/bet resolve <line_id> push\` - Resolve as a push and refund every stake\n` +
+      `• \`/bet settle <line_id> value: <number>\` - Resolve an over/under, bucket or closest-guess line from the reported value\n` +
+      `• \`/bet confirm <line_id>\` - Confirm a resolution by an admin who bet on the line (admins)\n` +
+      `• \`/bet cancel <line_id> [reason]\` - Cancel a line and refund every stake (admins)\n` +
+      `• \`/bet unresolve <line_id> [reason]\` - Reverse a resolution so the line can be resolved again (admins)\n` +
+      `• \`/bet dismiss <line_id>\` - Dismiss the disputes on a line and keep its result (admins)\n` +
+      `• \`/bet league create <name> [start: <n>] [#channel]\` - Create a league with its own balances (admins)\n` +
+      `• \`/bet season start [start: <n>]\` or \`/bet season end [badges]\` - Start a season on a fresh balance, or archive its standings and reset (admins)\n` +
+      `• \`/bet admin grant|revoke @user <admin|bookmaker> [#channel]\` - Manage roles (admins)\n` +
+      `• \`/bet admin list\` - List granted roles (admins)\n` +
+      `• \`/bet challenge settle <challenge_id> @winner|push\` - Settle a disputed challenge (admins)\n\n` +
       `*User Commands:*\n` +
-      `• \`/bet stats\` - View your betting stats\n` +
+      `• \`/bet stats [@user] [league: <name>]\` - View your betting stats, or someone else's profile\n` +
+      `• \`/bet leaderboard [by: balance|profit|roi|winrate|streak] [period: week|month|season|all] [limit: <n>] [post]\` - View the leaderboard; \`post\` shares it in the channel\n` +
+      `• \`/bet leaderboard [league: <name>] [season: <n>]\` - View a named league's leaderboard, or a past season's final standings\n` +
+      `• \`/bet league join|leave <name>\` or \`/bet league list\` - Join, leave or list leagues\n` +
+      `• \`/bet season\` - See the current season\n` +
+      `• \`/bet bailout [league: <name>]\` - Broke? Get reset to a minimum balance (counted on your stats)\n` +
+      `• \`/bet place <line_id> <option> [amount]\` - Bet a chosen stake on a line\n` +
+      `• \`/bet challenge @user "statement" stake: <n>\` - Challenge someone to a head-to-head bet\n` +
+      `• \`/bet challenge accept|decline <challenge_id>\` - Answer a challenge (or use its buttons)\n` +
+      `• \`/bet challenge report <challenge_id> won|lost|push\` - Report how a challenge went; matching reports settle it\n` +
+      `• \`/bet parlay <stake> <line_id>:<option>, <line_id>:<option>\` - Combine bets on several open lines; every leg must win\n` +
+      `• \`/bet odds <line_id>\` - See the current odds and what your bet would pay\n` +
+      `• \`/bet list [open|locked|resolved|mine] [channel: #channel] [page: <n>]\` - Browse betting lines\n` +
+      `• \`/bet show <line_id>\` - See a line's card and full summary\n` +
+      `• \`/bet dispute <line_id> <reason>\` - Dispute a result before it becomes final\n` +
+      `• Click *Bet* next to an option on a betting card to pick your stake\n` +
       `• React with emojis to place bets on open lines\n\n` +
       `*How to Bet:*\n` +
       `1) Wait for a betting line to be created\n` +
       `2) React with the emoji next to your chosen option\n` +
-      `3) Each bet costs 1 unit\n` +
-      `4) Winners split the pot from losers`
+      `3) Your bet starts at the line's minimum stake (usually 1 unit)\n` +
+      `4) React with :two: :three: :five: or :keycap_ten: to multiply your stake\n` +
+      `5) Winners get their stake back plus a share of the losers' stakes, in proportion to what they bet\n\n` +
+      `_\`<line_id>\` can be a line's number, like \`#42\`._`
     );
   }
 
-  isAdmin(_userId) { return true; } // allow all for local testing
-
   handleError(error) { console.error('Slack app error:', error); }
 
   async start() {
     await this.app.start(process.env.PORT || 3000);
+    await this.scheduleLineLocks();
+    await this.scheduleChallengeExpiries();
+    this.scheduleAllowances();
     console.log('⚡️ Slack Betting Bot is running!');
   }
 }
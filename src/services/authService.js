@@ -0,0 +1,79 @@
+const ROLES = ['admin', 'bookmaker'];
+
+// Who may do what. Admins may do everything. Bookmakers may create lines in
+// the channels they were granted (or everywhere, for a workspace-wide
+// grant), and may lock and resolve the lines they are bookmaker of.
+// Cancelling and unresolving lines and dismissing disputes are for admins
+// only.
+class AuthService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Grant admin to every Slack user ID in a comma-separated list
+  async bootstrapAdmins(adminUserIds = process.env.ADMIN_USER_IDS) {
+    const ids = (adminUserIds || '').split(',').map(s => s.trim()).filter(Boolean);
+    for (const id of ids) {
+      if (await this.db.grantRole(id, 'admin', '', 'ADMIN_USER_IDS')) {
+        console.log(`🔑 Granted admin to ${id} from ADMIN_USER_IDS`);
+      }
+    }
+    return ids;
+  }
+
+  async isAdmin(slackUserId) {
+    const roles = await this.db.getRolesForUser(slackUserId);
+    return roles.some(r => r.role === 'admin');
+  }
+
+  // Slack user IDs of every admin, e.g. to notify them of a dispute
+  async listAdmins() {
+    const roles = await this.db.listRoles();
+    return roles.filter(r => r.role === 'admin').map(r => r.slack_user_id);
+  }
+
+  async isBookmaker(slackUserId, channelId) {
+    const roles = await this.db.getRolesForUser(slackUserId);
+    return roles.some(r => r.role === 'bookmaker' && (r.channel_id === '' || r.channel_id === channelId));
+  }
+
+  // Check whether `slackUserId` may perform `action`.
+  // `context` carries the channel for creation and the line for line actions.
+  async can(slackUserId, action, { channelId, line } = {}) {
+    if (await this.isAdmin(slackUserId)) return true;
+
+    switch (action) {
+      case 'create_line':
+        return this.isBookmaker(slackUserId, channelId);
+      case 'lock_line':
+      case 'resolve_line':
+        if (!line || line.bookmaker_id !== slackUserId) return false;
+        return this.isBookmaker(slackUserId, line.slack_channel_id);
+      default:
+        return false;
+    }
+  }
+
+  async grant(actorId, slackUserId, role, channelId = '') {
+    this.validateRole(role, channelId);
+    return this.db.grantRole(slackUserId, role, channelId, actorId);
+  }
+
+  async revoke(slackUserId, role, channelId = '') {
+    this.validateRole(role, channelId);
+    return this.db.revokeRole(slackUserId, role, channelId);
+  }
+
+  validateRole(role, channelId) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}". Must be one of: ${ROLES.join(', ')}`);
+    }
+    if (role === 'admin' && channelId) {
+      throw new Error('Admin is a workspace-wide role and cannot be scoped to a channel');
+    }
+  }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
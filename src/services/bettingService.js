@@ -1,178 +1,1025 @@
-const Database = require('../database/schema');
+const { v4: uuidv4 } = require('uuid');
+const {
+  settleParimutuel,
+  settleOutcome,
+  normalizeOutcome,
+  sameOutcome,
+  describeOutcome,
+  calculateOdds
+} = require('./payouts');
+const { optionForValue, parseNumber, parseSpecValue, formatSpecValue } = require('./numericLines');
+const { MIN_LEGS, MAX_LEGS, combinedOdds, legResult, evaluateParlay } = require('./parlays');
+const { DEFAULT_LEAGUE_ID } = require('../database/schema');
+
+// Reactions on a betting card that scale the stake of the user's bet
+const STAKE_MULTIPLIERS = {
+  two: 2,
+  three: 3,
+  five: 5,
+  keycap_ten: 10
+};
+
+// Integrity rules, enabled through INTEGRITY_RULES (comma-separated):
+//   creator_no_bet                        - a line's creator may not bet on it
+//   resolver_no_position                  - nobody may resolve a line they bet on
+//   resolver_position_needs_confirmation  - resolving a line you bet on needs a
+//                                           second admin's `/bet confirm`
+const INTEGRITY_RULES = ['creator_no_bet', 'resolver_no_position', 'resolver_position_needs_confirmation'];
+const DEFAULT_INTEGRITY_RULES = ['creator_no_bet', 'resolver_position_needs_confirmation'];
+
+function parseIntegrityRules(value) {
+  if (value === undefined) return DEFAULT_INTEGRITY_RULES;
+
+  const rules = value.split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = rules.filter(rule => !INTEGRITY_RULES.includes(rule));
+  if (unknown.length) {
+    throw new Error(`Unknown integrity rule(s): ${unknown.join(', ')}`);
+  }
+  return rules;
+}
+
+// How long after resolution a result can be disputed (DISPUTE_WINDOW_HOURS)
+const DEFAULT_DISPUTE_WINDOW_HOURS = 24;
+
+// How long a challenge waits to be accepted (CHALLENGE_EXPIRY_HOURS)
+const DEFAULT_CHALLENGE_EXPIRY_HOURS = 24;
+
+// What each side of a challenge may claim, in their own words
+const CHALLENGE_RESULTS = ['won', 'lost', 'push'];
 
 class BettingService {
-  constructor(db) {
+  constructor(db, {
+    integrityRules = parseIntegrityRules(process.env.INTEGRITY_RULES),
+    disputeWindowHours = parseFloat(process.env.DISPUTE_WINDOW_HOURS || DEFAULT_DISPUTE_WINDOW_HOURS),
+    challengeExpiryHours = parseFloat(process.env.CHALLENGE_EXPIRY_HOURS || DEFAULT_CHALLENGE_EXPIRY_HOURS)
+  } = {}) {
     this.db = db;
+    this.integrityRules = integrityRules;
+    this.disputeWindowMs = disputeWindowHours * 60 * 60 * 1000;
+    this.challengeExpiryMs = challengeExpiryHours * 60 * 60 * 1000;
   }
 
-  // Calculate payouts for a resolved betting line
-  async calculatePayouts(lineId, winningOption) {
+  // Calculate payouts for a resolved betting line. `outcome` is a winning
+  // option or a { mode, winners } outcome (see payouts.js).
+  async calculatePayouts(lineId, outcome) {
     const line = await this.db.getBettingLine(lineId);
     if (!line) {
       throw new Error('Betting line not found');
     }
 
     const bets = await this.db.getBetsForLine(lineId);
-    
-    // Group bets by option
-    const betsByOption = {};
-    bets.forEach(bet => {
-      if (!betsByOption[bet.option]) {
-        betsByOption[bet.option] = [];
+    return settleOutcome(bets, outcome, line.numeric_spec);
+  }
+
+  // The outcome a resolved line was settled with. Lines resolved before
+  // resolution modes existed only have winner_option.
+  outcomeForLine(line) {
+    const value = line.reported_value ?? null;
+    if (line.resolution_mode === 'push' || line.resolution_mode === 'closest') {
+      return normalizeOutcome({ mode: line.resolution_mode, winners: line.winner_options || [], value });
+    }
+    if (line.winner_options?.length) {
+      return normalizeOutcome({ mode: line.resolution_mode, winners: line.winner_options, value });
+    }
+    return line.winner_option ? normalizeOutcome({ mode: 'single', winners: [line.winner_option], value }) : null;
+  }
+
+  // The outcome of a numeric line for a reported value (`/bet settle`).
+  // Closest-guess lines find their winners when the bets are settled.
+  outcomeForValue(line, value) {
+    if (!line.numeric_spec) {
+      throw new Error('Only over/under, bucket and closest-guess lines can be settled from a value. Use `/bet resolve` instead.');
+    }
+    if (!Number.isFinite(value)) {
+      throw new Error('The reported value must be a number');
+    }
+    if (line.numeric_spec.kind === 'closest') {
+      return { mode: 'closest', winners: [], value };
+    }
+    return { mode: 'single', winners: [optionForValue(line.numeric_spec, value)], value };
+  }
+
+  // Read a reported value as written for the line: a number, or a
+  // YYYY-MM-DD date on a date guessing line
+  parseReportedValue(line, text) {
+    return line.numeric_spec ? parseSpecValue(line.numeric_spec, text) : parseNumber(text);
+  }
+
+  // Read `/bet resolve` input: `push`, or one or more comma-separated
+  // winning options. An option that itself contains a comma still matches
+  // as a whole. Throws if any part is not one of the line's options.
+  parseOutcome(line, text) {
+    const input = text.trim();
+    if (input.toLowerCase() === 'push') {
+      return { mode: 'push', winners: [] };
+    }
+    if (line.numeric_spec?.kind === 'closest') {
+      throw new Error(`Closest-guess lines are settled with \`/bet settle ${line.id} value: <actual>\`, or resolved as a \`push\`.`);
+    }
+
+    const match = (name) => line.options.find(option => option.toLowerCase() === name.toLowerCase());
+    const whole = match(input);
+    if (whole) {
+      return { mode: 'single', winners: [whole] };
+    }
+
+    const parts = input.split(',').map(part => part.trim()).filter(Boolean);
+    const winners = parts.map(part => {
+      const option = match(part);
+      if (!option) {
+        throw new Error(`Invalid winning option "${part}". Must be one of: ${line.options.join(', ')}`);
       }
-      betsByOption[bet.option].push(bet);
+      return option;
     });
+    if (!winners.length) {
+      throw new Error(`Pick a winning option. Must be one of: ${line.options.join(', ')}`);
+    }
 
-    const winningBets = betsByOption[winningOption] || [];
-    const losingBets = Object.keys(betsByOption)
-      .filter(option => option !== winningOption)
-      .flatMap(option => betsByOption[option]);
+    const outcome = normalizeOutcome({ mode: 'dead_heat', winners });
+    if (outcome.winners.length === line.options.length) {
+      throw new Error('Every option cannot win. Resolve it as a `push` to refund every stake instead.');
+    }
+    return outcome;
+  }
 
-    // Calculate total pot from losing bets
-    const totalPot = losingBets.reduce((sum, bet) => sum + bet.amount, 0);
-    
-    // If no winners, pot is retained by the bot
-    if (winningBets.length === 0) {
-      return {
-        payouts: [],
-        totalPot,
-        message: 'No one bet on the winning option. Pot retained by the bot.'
-      };
+  // Settle a line: credit winners, mark it resolved. Every step runs in one
+  // transaction, so a crash mid-settlement leaves nothing half-applied.
+  // Losers are not touched here; their stake left their balance when they bet.
+  //
+  // `outcome` is a winning option, or { mode, winners } for a dead heat
+  // between several options or a push that refunds every stake.
+  //
+  // `resolvedBy` is the Slack user settling the line and is checked against
+  // the integrity rules. When a second admin's confirmation is required the
+  // line is left unsettled and `{ pending: true }` is returned instead.
+  async processPayouts(lineId, outcome, { resolvedBy = null, confirmedBy = null, override = false } = {}) {
+    outcome = normalizeOutcome(outcome);
+
+    return this.db.transaction(async (tx) => {
+      const line = await tx.getBettingLine(lineId);
+      if (!line) {
+        throw new Error('Betting line not found');
+      }
+      if (line.status === 'resolved') {
+        // Resolving again with the same outcome changes nothing, so a
+        // retried command can never pay out twice
+        const settled = this.outcomeForLine(line);
+        if (sameOutcome(settled, outcome)) {
+          return { alreadyResolved: true, winningOption: line.winner_option };
+        }
+        const reported = settled.value !== undefined ? ` (reported value ${formatSpecValue(line.numeric_spec, settled.value)})` : '';
+        throw new Error(
+          `This betting line was already resolved with "${describeOutcome(settled)}"${reported}. Run \`/bet unresolve ${lineId}\` first to pick a different winner.`
+        );
+      }
+      if (line.status === 'cancelled') {
+        throw new Error('This betting line has been cancelled');
+      }
+      const unknown = outcome.winners.filter(winner => !line.options.includes(winner));
+      if (unknown.length) {
+        throw new Error(`Invalid winning option. Must be one of: ${line.options.join(', ')}`);
+      }
+
+      const bets = await tx.getBetsForLine(lineId);
+
+      if (resolvedBy) {
+        const pending = await this.checkResolution(tx, line, bets, outcome, { resolvedBy, confirmedBy, override });
+        if (pending) return pending;
+      }
+
+      const payoutData = settleOutcome(bets, outcome, line.numeric_spec);
+      if (outcome.mode === 'closest') {
+        outcome = { ...outcome, winners: payoutData.winners };
+      }
+      const winningOption = outcome.winners[0] || null;
+      // A push or an unbacked winner hands stakes back, which is a refund
+      const type = payoutData.mode === 'refund' || payoutData.mode === 'push' ? 'refund' : 'payout';
+      const settlementId = uuidv4();
+
+      for (const payout of payoutData.payouts) {
+        await tx.recordTransaction(payout.userId, type, payout.payout, { lineId, betId: payout.betId, settlementId, leagueId: line.league_id });
+        if (payout.winnings > 0) {
+          await tx.incrementUserStats(payout.userId, 'total_winnings', payout.winnings, line.league_id);
+        }
+      }
+
+      await tx.updateBettingLineStatus(lineId, 'resolved', {
+        winner_option: winningOption,
+        winner_options: JSON.stringify(outcome.winners),
+        resolution_mode: outcome.mode,
+        reported_value: outcome.value ?? null,
+        resolved_at: new Date().toISOString(),
+        resolved_by: resolvedBy,
+        pending_winner: null,
+        pending_outcome: null,
+        pending_resolver: null,
+        settlement_id: settlementId,
+      });
+
+      const parlays = await this.settleParlayLegs(tx, {
+        ...line,
+        status: 'resolved',
+        winner_option: winningOption,
+        winner_options: outcome.winners,
+        resolution_mode: outcome.mode,
+      });
+
+      return { ...payoutData, outcome, parlays };
+    });
+  }
+
+  // Apply the resolution integrity rules. Throws on a violation, returns a
+  // pending result when a second admin must confirm, or null to proceed.
+  async checkResolution(tx, line, bets, outcome, { resolvedBy, confirmedBy, override }) {
+    const hasPosition = (slackUserId) => bets.some(bet => bet.slack_user_id === slackUserId);
+    const resolverHasPosition = hasPosition(resolvedBy);
+
+    if (confirmedBy) {
+      if (confirmedBy === resolvedBy) {
+        throw new Error('🚫 A resolution must be confirmed by a different admin.');
+      }
+      if (hasPosition(confirmedBy)) {
+        throw new Error('🚫 You have a bet on this line, so you cannot confirm its resolution.');
+      }
+      return null;
+    }
+
+    if (!resolverHasPosition) return null;
+
+    if (override) {
+      await tx.logAudit('integrity_override', resolvedBy, line.id, {
+        rule: 'resolver_position',
+        winner: describeOutcome(outcome)
+      });
+      console.warn(`⚠️ ${resolvedBy} overrode the integrity rules to resolve ${line.id} with a position on it`);
+      return null;
+    }
+
+    if (this.integrityRules.includes('resolver_no_position')) {
+      throw new Error(
+        '🚫 You have a bet on this line, so you cannot resolve it. Ask another admin, or (admins only) add `override` to resolve anyway.'
+      );
+    }
+
+    if (this.integrityRules.includes('resolver_position_needs_confirmation')) {
+      await tx.updateBettingLineStatus(line.id, line.status, {
+        pending_winner: outcome.winners[0] || null,
+        pending_outcome: JSON.stringify(outcome),
+        pending_resolver: resolvedBy,
+      });
+      return { pending: true, winningOption: outcome.winners[0] || null, resolvedBy };
     }
 
-    // If no losers, no payouts
-    if (losingBets.length === 0) {
+    return null;
+  }
+
+  // Settle a line whose resolution was waiting on a second admin
+  async confirmResolution(lineId, confirmedBy) {
+    const line = await this.db.getBettingLine(lineId);
+    if (!line) {
+      throw new Error('Betting line not found');
+    }
+    // Confirmations requested before resolution modes only have pending_winner
+    const outcome = line.pending_outcome || line.pending_winner;
+    if (!outcome) {
+      throw new Error('This betting line has no resolution waiting for confirmation');
+    }
+
+    return this.processPayouts(lineId, outcome, {
+      resolvedBy: line.pending_resolver,
+      confirmedBy
+    });
+  }
+
+  // Void an open or locked line: refund every stake through the ledger and
+  // mark it cancelled. Bets are kept for the record. Returns the refunds.
+  async cancelLine(lineId, cancelledBy, reason = null) {
+    return this.db.transaction(async (tx) => {
+      const line = await tx.getBettingLine(lineId);
+      if (!line) {
+        throw new Error('Betting line not found');
+      }
+      if (line.status !== 'open' && line.status !== 'locked') {
+        throw new Error(`This betting line is already ${line.status}`);
+      }
+
+      const bets = await tx.getBetsForLine(lineId);
+      for (const bet of bets) {
+        await tx.recordTransaction(bet.user_id, 'refund', bet.amount, { lineId, betId: bet.id, note: 'Line cancelled', leagueId: line.league_id });
+        await tx.incrementUserStats(bet.user_id, 'total_bets', -1, line.league_id);
+      }
+
+      await tx.updateBettingLineStatus(lineId, 'cancelled', {
+        cancelled_at: new Date().toISOString(),
+        cancelled_by: cancelledBy,
+        cancel_reason: reason,
+        pending_winner: null,
+        pending_outcome: null,
+        pending_resolver: null,
+      });
+      await tx.logAudit('line_cancelled', cancelledBy, lineId, { reason, refunds: bets.length });
+      const parlays = await this.settleParlayLegs(tx, { ...line, status: 'cancelled' });
+
       return {
-        payouts: winningBets.map(bet => ({
+        line: { ...line, status: 'cancelled', cancel_reason: reason },
+        parlays,
+        refunds: bets.map(bet => ({
+          betId: bet.id,
           userId: bet.user_id,
+          slackUserId: bet.slack_user_id,
           username: bet.username,
-          payout: 0,
-          originalBet: bet.amount
-        })),
-        totalPot: 0,
-        message: 'Everyone bet on the winning option. No payouts.'
+          option: bet.option,
+          amount: bet.amount
+        }))
       };
-    }
+    });
+  }
 
-    // Calculate payout per winner (round down to avoid fractional units)
-    const payoutPerWinner = Math.floor(totalPot / winningBets.length);
-    const remainder = totalPot % winningBets.length;
+  // Undo a resolution: every ledger row of the settlement gets an exact
+  // opposite reversal row, and the line goes back to locked so it can be
+  // resolved again. Open disputes are closed as upheld.
+  async unresolveLine(lineId, unresolvedBy, reason = null, now = new Date()) {
+    return this.db.transaction(async (tx) => {
+      const line = await tx.getBettingLine(lineId);
+      if (!line) {
+        throw new Error('Betting line not found');
+      }
+      if (line.status !== 'resolved') {
+        throw new Error('This betting line is not resolved');
+      }
+      if (this.isSettlementFinal(line, now)) {
+        throw new Error('The dispute window for this line has closed, so its settlement is final');
+      }
 
-    const payouts = winningBets.map(bet => ({
-      userId: bet.user_id,
-      username: bet.username,
-      payout: payoutPerWinner,
-      originalBet: bet.amount
-    }));
+      if (!line.settlement_id) {
+        throw new Error('This line was settled before settlements could be reversed');
+      }
 
-    return {
-      payouts,
-      totalPot,
-      payoutPerWinner,
-      remainder,
-      message: `Winners receive ${payoutPerWinner} units each. ${remainder} units remain in bot pool.`
-    };
+      const bets = await tx.getBetsForLine(lineId);
+      const stakeByBet = Object.fromEntries(bets.map(bet => [bet.id, bet.amount]));
+      const settlement = await tx.getSettlementTransactions(line.settlement_id);
+
+      for (const row of settlement) {
+        await tx.recordTransaction(row.user_id, 'reversal', -row.amount, {
+          lineId,
+          betId: row.bet_id,
+          note: `Reversal of ${row.type}`,
+          leagueId: row.league_id
+        });
+        const winnings = row.type === 'payout' ? row.amount - (stakeByBet[row.bet_id] || 0) : 0;
+        if (winnings > 0) {
+          await tx.incrementUserStats(row.user_id, 'total_winnings', -winnings, row.league_id);
+        }
+      }
+
+      const outcome = this.outcomeForLine(line);
+      await tx.updateBettingLineStatus(lineId, 'locked', {
+        winner_option: null,
+        winner_options: null,
+        resolution_mode: null,
+        reported_value: null,
+        resolved_at: null,
+        resolved_by: null,
+        settlement_id: null,
+        disputed_at: null,
+      });
+      await tx.closeDisputes(lineId, 'upheld', unresolvedBy);
+      await this.reopenParlayLegs(tx, lineId);
+      await tx.logAudit('line_unresolved', unresolvedBy, lineId, {
+        winner: outcome ? describeOutcome(outcome) : null,
+        reason,
+        reversed: settlement.length
+      });
+
+      return { line, winningOption: line.winner_option, outcome, reversed: settlement };
+    });
   }
 
-  // Process payouts and update user balances
-  async processPayouts(lineId, winningOption) {
-    const payoutData = await this.calculatePayouts(lineId, winningOption);
-    
-    // Update user balances
-    for (const payout of payoutData.payouts) {
-      const user = await this.db.getUserStats(payout.userId);
-      if (user) {
-        const newBalance = user.balance + payout.payout;
-        await this.db.updateUserBalance(payout.userId, newBalance);
-        await this.db.incrementUserStats(payout.userId, 'total_winnings', payout.payout);
+  // Flag a resolved line as disputed. Only possible within the dispute window.
+  async disputeLine(lineId, raisedBy, reason, now = new Date()) {
+    return this.db.transaction(async (tx) => {
+      const line = await tx.getBettingLine(lineId);
+      if (!line) {
+        throw new Error('Betting line not found');
+      }
+      if (line.status !== 'resolved') {
+        throw new Error('Only resolved lines can be disputed');
+      }
+      if (this.isSettlementFinal(line, now)) {
+        throw new Error('The dispute window for this line has closed');
       }
-    }
 
-    // Deduct from losers
-    const bets = await this.db.getBetsForLine(lineId);
-    const losingBets = bets.filter(bet => bet.option !== winningOption);
-    
-    for (const bet of losingBets) {
-      const user = await this.db.getUserStats(bet.user_id);
-      if (user) {
-        const newBalance = Math.max(0, user.balance - bet.amount);
-        await this.db.updateUserBalance(bet.user_id, newBalance);
+      const open = await tx.getDisputesForLine(lineId, 'open');
+      if (open.some(d => d.raised_by === raisedBy)) {
+        throw new Error('You have already disputed this line');
       }
+
+      const dispute = await tx.createDispute(lineId, raisedBy, reason);
+      if (!line.disputed_at) {
+        await tx.updateBettingLineStatus(lineId, 'resolved', { disputed_at: now.toISOString() });
+      }
+      await tx.logAudit('line_disputed', raisedBy, lineId, { reason });
+
+      return { line, dispute };
+    });
+  }
+
+  // Reject every open dispute on a line, keeping its result
+  async dismissDisputes(lineId, dismissedBy) {
+    return this.db.transaction(async (tx) => {
+      const line = await tx.getBettingLine(lineId);
+      if (!line) {
+        throw new Error('Betting line not found');
+      }
+
+      const open = await tx.getDisputesForLine(lineId, 'open');
+      if (!open.length) {
+        throw new Error('This betting line has no open disputes');
+      }
+
+      await tx.closeDisputes(lineId, 'dismissed', dismissedBy);
+      await tx.updateBettingLineStatus(lineId, line.status, { disputed_at: null });
+      await tx.logAudit('disputes_dismissed', dismissedBy, lineId, { disputes: open.length });
+
+      return { line, disputes: open };
+    });
+  }
+
+  // When a resolved line stops accepting disputes
+  disputeWindowEndsAt(line) {
+    if (!line.resolved_at) return null;
+    return new Date(new Date(line.resolved_at).getTime() + this.disputeWindowMs);
+  }
+
+  // A settlement is final once its dispute window has passed, unless a
+  // dispute raised in time is still open
+  isSettlementFinal(line, now = new Date()) {
+    if (line.status !== 'resolved' || line.disputed_at) return false;
+    return this.disputeWindowEndsAt(line).getTime() <= now.getTime();
+  }
+
+  // Bets are only accepted on open lines before their closing time. The
+  // deadline is checked here as well as by the scheduler, so a late timer
+  // never lets a bet through.
+  assertAcceptingBets(line, now = new Date()) {
+    if (!line || line.status !== 'open') {
+      throw new Error('This betting line is no longer accepting bets');
+    }
+    if (this.isPastDeadline(line, now)) {
+      throw new Error('⏰ Betting on this line has closed');
     }
+  }
 
-    return payoutData;
+  isPastDeadline(line, now = new Date()) {
+    return !!line.lock_at && new Date(line.lock_at).getTime() <= now.getTime();
   }
 
-  // Validate if a user can place a bet
-  async canUserBet(userId, lineId) {
-    const user = await this.db.getUserStats(userId);
-    const line = await this.db.getBettingLine(lineId);
-    const existingBet = await this.db.getUserBetOnLine(userId, lineId);
+  // Lock a line. Returns false if it was no longer open.
+  async lockLine(lineId) {
+    return this.db.lockBettingLine(lineId);
+  }
 
-    if (!user) {
-      throw new Error('User not found');
+  // Validate a stake against the line's limits
+  validateStake(line, amount) {
+    if (!Number.isInteger(amount) || amount < 1) {
+      throw new Error('Stake must be a whole number of units (at least 1)');
+    }
+
+    const minStake = line.min_stake || 1;
+    if (amount < minStake) {
+      throw new Error(`Minimum stake on this line is ${minStake} units`);
+    }
+
+    if (line.max_stake && amount > line.max_stake) {
+      throw new Error(`Maximum stake on this line is ${line.max_stake} units`);
     }
 
+    return true;
+  }
+
+  // Validate if a user can place a bet
+  async canUserBet(userId, lineId, amount = 1) {
+    const line = await this.db.getBettingLine(lineId);
     if (!line) {
       throw new Error('Betting line not found');
     }
 
-    if (line.status !== 'open') {
-      throw new Error('This betting line is no longer accepting bets');
+    const user = await this.db.getMemberStats(userId, line.league_id);
+    const existingBet = await this.db.getUserBetOnLine(userId, lineId);
+
+    if (!user) {
+      throw new Error('User not found');
     }
 
+    this.assertAcceptingBets(line);
+
     if (existingBet) {
       throw new Error('You have already placed a bet on this line');
     }
 
-    if (user.balance < 1) {
+    if (this.integrityRules.includes('creator_no_bet') && line.created_by === user.slack_user_id) {
+      throw new Error('🚫 You created this line, so you cannot bet on it.');
+    }
+
+    this.validateStake(line, amount);
+
+    if (user.balance < amount) {
       throw new Error('Insufficient balance to place a bet');
     }
 
     return true;
   }
 
-  // Place a bet
-  // In src/services/bettingService.js, replace the placeBet method (lines 131-144):
-async placeBet(userId, lineId, option) {
-  // Check if user already has a bet on this line
-  const existingBet = await this.db.getUserBetOnLine(userId, lineId);
-  
-  if (existingBet) {
-    // If they're betting on the same option, do nothing
-    if (existingBet.option === option) {
+  // Place a bet, replacing any existing bet the user has on the line
+  async placeBet(userId, lineId, option, amount = 1) {
+    return this.db.transaction(async (tx) => {
+      const line = await tx.getBettingLine(lineId);
+      this.assertAcceptingBets(line);
+
+      if (line.numeric_spec?.kind === 'closest') {
+        throw new Error(`This is a closest-guess line. Guess with \`/bet guess ${line.id} <value> [amount]\`.`);
+      }
+      if (!line.options.includes(option)) {
+        throw new Error(`Invalid option. Must be one of: ${line.options.join(', ')}`);
+      }
+
+      return this.stakeBet(tx, line, userId, option, amount);
+    });
+  }
+
+  // Place or replace a user's guess on a closest-guess line. `guessText` is
+  // a number, or a YYYY-MM-DD date on a date line.
+  async placeGuess(userId, lineId, guessText, amount = 1) {
+    return this.db.transaction(async (tx) => {
+      const line = await tx.getBettingLine(lineId);
+      this.assertAcceptingBets(line);
+
+      if (line.numeric_spec?.kind !== 'closest') {
+        throw new Error('This line has fixed options. Bet on one of them instead of guessing.');
+      }
+
+      const guess = parseSpecValue(line.numeric_spec, guessText);
+      return this.stakeBet(tx, line, userId, formatSpecValue(line.numeric_spec, guess), amount, guess);
+    });
+  }
+
+  // The shared part of placeBet and placeGuess, inside their transaction
+  async stakeBet(tx, line, userId, option, amount, guess = null) {
+    const lineId = line.id;
+    this.validateStake(line, amount);
+
+    const user = await this.memberStats(tx, userId, line.league_id);
+    if (this.integrityRules.includes('creator_no_bet') && line.created_by === user.slack_user_id) {
+      throw new Error('🚫 You created this line, so you cannot bet on it.');
+    }
+
+    const existingBet = await tx.getUserBetOnLine(userId, lineId);
+    const refund = existingBet ? existingBet.amount : 0;
+
+    if (existingBet && existingBet.option === option && existingBet.amount === amount) {
       throw new Error('You have already bet on this option');
     }
-    
-    // If they're changing their bet, remove the old one and refund
-    await this.db.db.run('DELETE FROM bets WHERE id = ?', [existingBet.id]);
-    
-    const user = await this.db.getUserStats(userId);
-    const newBalance = user.balance + existingBet.amount;
-    await this.db.updateUserBalance(userId, newBalance);
-    await this.db.incrementUserStats(userId, 'total_bets', -1);
+
+    if (user.balance + refund < amount) {
+      throw new Error('Insufficient balance to place a bet');
+    }
+
+    // If they're changing their bet, remove the old one and refund it
+    if (existingBet) {
+      await tx.deleteBet(existingBet.id);
+      await tx.recordTransaction(userId, 'refund', existingBet.amount, { lineId, betId: existingBet.id, leagueId: line.league_id });
+      await tx.incrementUserStats(userId, 'total_bets', -1, line.league_id);
+    }
+
+    // Place the new bet
+    const bet = await tx.placeBet(userId, lineId, option, amount, guess);
+    await tx.recordTransaction(userId, 'stake', -amount, { lineId, betId: bet.id, leagueId: line.league_id });
+    await tx.incrementUserStats(userId, 'total_bets', 1, line.league_id);
+
+    return { ...bet, balance: user.balance + refund - amount };
+  }
+
+  // Place a parlay: one stake on an option of each of several open lines in
+  // the same league. `legs` are { lineId, option }. Each leg's odds are
+  // locked in from its line's pool as it stands now.
+  async placeParlay(userId, stake, legs) {
+    if (legs.length < MIN_LEGS || legs.length > MAX_LEGS) {
+      throw new Error(`A parlay needs between ${MIN_LEGS} and ${MAX_LEGS} legs`);
+    }
+    if (!Number.isInteger(stake) || stake < 1) {
+      throw new Error('Stake must be a whole number of units (at least 1)');
+    }
+
+    return this.db.transaction(async (tx) => {
+      const priced = [];
+      let user = null;
+
+      for (const leg of legs) {
+        const line = await tx.getBettingLine(leg.lineId);
+        if (!line) {
+          throw new Error(`Betting line ${leg.lineId} not found`);
+        }
+        if (!user) {
+          user = await this.memberStats(tx, userId, line.league_id);
+        } else if (line.league_id !== priced[0].leagueId) {
+          throw new Error('Every leg of a parlay must be in the same league');
+        }
+        if (priced.some(p => p.lineId === line.id)) {
+          throw new Error('A parlay can only have one leg per line');
+        }
+        this.assertAcceptingBets(line);
+        if (line.numeric_spec?.kind === 'closest') {
+          throw new Error(`"${line.question}" is a closest-guess line, so it cannot be part of a parlay`);
+        }
+        if (this.integrityRules.includes('creator_no_bet') && line.created_by === user.slack_user_id) {
+          throw new Error(`🚫 You created "${line.question}", so you cannot bet on it.`);
+        }
+
+        const index = line.options.findIndex(o => o.toLowerCase() === leg.option.toLowerCase());
+        if (index === -1) {
+          throw new Error(`Invalid option "${leg.option}" for "${line.question}". Must be one of: ${line.options.join(', ')}`);
+        }
+
+        const bets = await tx.getBetsForLine(line.id);
+        const stakeByOption = {};
+        bets.forEach(bet => {
+          stakeByOption[bet.option] = (stakeByOption[bet.option] || 0) + bet.amount;
+        });
+        const { option, multiplier } = calculateOdds(line.options, stakeByOption)[index];
+        if (multiplier === null) {
+          throw new Error(`Nobody has backed "${option}" on "${line.question}" yet, so it has no odds to parlay`);
+        }
+
+        // Locked to the 2 decimals shown on the card
+        priced.push({ lineId: line.id, leagueId: line.league_id, question: line.question, option, odds: Math.round(multiplier * 100) / 100 });
+      }
+
+      if (user.balance < stake) {
+        throw new Error('Insufficient balance to place a bet');
+      }
+
+      const odds = combinedOdds(priced.map(leg => leg.odds));
+      const leagueId = priced[0].leagueId;
+      const parlay = await tx.createParlay(userId, stake, odds, priced, leagueId);
+      await tx.recordTransaction(userId, 'stake', -stake, { parlayId: parlay.id, note: 'Parlay stake', leagueId });
+      await tx.incrementUserStats(userId, 'total_bets', 1, leagueId);
+
+      return {
+        ...parlay,
+        legs: parlay.legs.map((leg, i) => ({ ...leg, question: priced[i].question })),
+        potentialPayout: Math.floor(stake * odds + 1e-9),
+        balance: user.balance - stake
+      };
+    });
   }
 
-  // Check other validations
-  const user = await this.db.getUserStats(userId);
-  if (user.balance < 1) {
-    throw new Error('Insufficient balance to place a bet');
+  // Settle the parlay legs on a line that was just resolved or cancelled,
+  // then any parlay those legs decide. Returns the parlays settled.
+  async settleParlayLegs(tx, line) {
+    const legs = (await tx.getParlayLegsForLine(line.id)).filter(leg => leg.status === 'pending');
+    for (const leg of legs) {
+      const { status, resultOdds } = legResult(leg, line);
+      await tx.updateParlayLeg(leg.id, status, resultOdds);
+    }
+
+    const settled = [];
+    for (const parlayId of new Set(legs.map(leg => leg.parlay_id))) {
+      const parlay = await this.settleParlay(tx, parlayId);
+      if (parlay) settled.push(parlay);
+    }
+    return settled;
   }
 
-  const line = await this.db.getBettingLine(lineId);
-  if (!line || line.status !== 'open') {
-    throw new Error('This betting line is no longer accepting bets');
+  // Pay out, refund or close a parlay once its legs decide it. Returns the
+  // settled parlay, or null while it is still open.
+  async settleParlay(tx, parlayId) {
+    const parlay = await tx.getParlay(parlayId);
+    if (parlay.status !== 'open') return null;
+
+    const legs = await tx.getParlayLegs(parlayId);
+    const { status, payout } = evaluateParlay(parlay, legs);
+    if (status === 'open') return null;
+
+    if (payout > 0) {
+      const type = status === 'void' ? 'refund' : 'payout';
+      await tx.recordTransaction(parlay.user_id, type, payout, {
+        parlayId,
+        note: status === 'void' ? 'Parlay void' : 'Parlay won',
+        leagueId: parlay.league_id
+      });
+      if (status === 'won' && payout > parlay.stake) {
+        await tx.incrementUserStats(parlay.user_id, 'total_winnings', payout - parlay.stake, parlay.league_id);
+      }
+    }
+    await tx.updateParlay(parlayId, status, payout, new Date().toISOString());
+
+    const user = await tx.getUserStats(parlay.user_id);
+    return { ...parlay, status, payout, legs, slackUserId: user.slack_user_id };
   }
 
-  // Place the new bet
-  const newBalance = user.balance - 1;
-  await this.db.updateUserBalance(userId, newBalance);
-  await this.db.incrementUserStats(userId, 'total_bets', 1);
+  // An unresolved line's legs go back to pending. Parlays they had settled
+  // are reopened and whatever they paid is reversed; one that another leg
+  // had already lost is lost again straight away.
+  async reopenParlayLegs(tx, lineId) {
+    const legs = (await tx.getParlayLegsForLine(lineId)).filter(leg => leg.status !== 'pending');
+    for (const leg of legs) {
+      await tx.updateParlayLeg(leg.id, 'pending', null);
+    }
 
-  const bet = await this.db.placeBet(userId, lineId, option);
-  
-  return bet;
-}
+    for (const parlayId of new Set(legs.map(leg => leg.parlay_id))) {
+      const parlay = await tx.getParlay(parlayId);
+      if (parlay.status !== 'open') {
+        const rows = await tx.getParlayTransactions(parlayId);
+        const paid = rows.filter(row => row.type !== 'stake').reduce((sum, row) => sum + row.amount, 0);
+        if (paid !== 0) {
+          await tx.recordTransaction(parlay.user_id, 'reversal', -paid, {
+            parlayId,
+            note: 'Reversal of parlay settlement',
+            leagueId: parlay.league_id
+          });
+        }
+        if (parlay.status === 'won' && parlay.payout > parlay.stake) {
+          await tx.incrementUserStats(parlay.user_id, 'total_winnings', parlay.stake - parlay.payout, parlay.league_id);
+        }
+        await tx.updateParlay(parlayId, 'open');
+      }
+      await this.settleParlay(tx, parlayId);
+    }
+  }
+
+  // A user's most recent parlays with their legs, newest first
+  async getParlays(userId, limit = 5) {
+    const parlays = await this.db.getParlaysForUser(userId, limit);
+    return Promise.all(parlays.map(async parlay => ({ ...parlay, legs: await this.db.getParlayLegs(parlay.id) })));
+  }
+
+  // The league a channel's lines and challenges belong to: the channel's
+  // own league if it has one, otherwise the default league
+  async leagueIdForChannel(channelId, db = this.db) {
+    const league = channelId ? await db.getLeagueForChannel(channelId) : null;
+    return league ? league.id : DEFAULT_LEAGUE_ID;
+  }
+
+  // The balance and stats `userId` plays with in a league. Channel leagues
+  // enrol people the first time they bet; named leagues must be joined with
+  // `/bet league join` first.
+  async memberStats(tx, userId, leagueId) {
+    let member = await tx.getMemberStats(userId, leagueId);
+    if (!member) {
+      const league = await tx.getLeague(leagueId);
+      if (!league.slack_channel_id) {
+        throw new Error(`You are not in the "${league.name}" league. Join it with \`/bet league join ${league.name}\`.`);
+      }
+      await tx.joinLeague(leagueId, userId);
+      member = await tx.getMemberStats(userId, leagueId);
+    }
+    if (!member.active) {
+      const league = await tx.getLeague(leagueId);
+      throw new Error(`You left the "${league.name}" league. Rejoin it with \`/bet league join ${league.name}\` to bet here.`);
+    }
+    return member;
+  }
+
+  // What a user has to bet with in a league. Someone who has not bet in a
+  // channel league yet would join it with its starting balance.
+  async getBalance(userId, leagueId) {
+    const member = await this.db.getMemberStats(userId, leagueId);
+    if (member) return member.active ? member.balance : 0;
+    const league = await this.db.getLeague(leagueId);
+    return league.slack_channel_id ? league.starting_balance : 0;
+  }
+
+  // Challenge someone to a head-to-head bet on `statement`. The challenger's
+  // stake goes into escrow straight away and comes back if the challenge is
+  // declined or expires. It is played in the league of `channelId`.
+  async issueChallenge(challengerId, targetId, statement, stake, channelId = null) {
+    if (challengerId === targetId) {
+      throw new Error('You cannot challenge yourself');
+    }
+    if (!statement) {
+      throw new Error('A challenge needs a statement to bet on');
+    }
+    if (!Number.isInteger(stake) || stake < 1) {
+      throw new Error('Stake must be a whole number of units (at least 1)');
+    }
+
+    return this.db.transaction(async (tx) => {
+      const leagueId = await this.leagueIdForChannel(channelId, tx);
+      const challenger = await this.memberStats(tx, challengerId, leagueId);
+      if (challenger.balance < stake) {
+        throw new Error('Insufficient balance to place a bet');
+      }
+
+      const expiresAt = new Date(Date.now() + this.challengeExpiryMs);
+      const challenge = await tx.createChallenge(challengerId, targetId, statement, stake, expiresAt, channelId, leagueId);
+      await tx.recordTransaction(challengerId, 'stake', -stake, { challengeId: challenge.id, note: 'Challenge stake (escrow)', leagueId });
+      await tx.incrementUserStats(challengerId, 'total_bets', 1, leagueId);
+      return challenge;
+    });
+  }
+
+  // The target takes the challenge: their stake joins the challenger's in
+  // escrow
+  async acceptChallenge(challengeId, userId) {
+    const challenge = await this.getPendingChallenge(challengeId, userId);
+
+    return this.db.transaction(async (tx) => {
+      const leagueId = challenge.league_id;
+      const target = await this.memberStats(tx, userId, leagueId);
+      if (target.balance < challenge.stake) {
+        throw new Error('Insufficient balance to place a bet');
+      }
+      if (!(await tx.transitionChallenge(challengeId, 'pending', 'accepted', { accepted_at: new Date().toISOString() }))) {
+        throw new Error('This challenge is no longer open');
+      }
+      await tx.recordTransaction(userId, 'stake', -challenge.stake, { challengeId, note: 'Challenge stake (escrow)', leagueId });
+      await tx.incrementUserStats(userId, 'total_bets', 1, leagueId);
+      return tx.getChallenge(challengeId);
+    });
+  }
+
+  // The target turns the challenge down and the challenger is refunded
+  async declineChallenge(challengeId, userId) {
+    await this.getPendingChallenge(challengeId, userId);
+    const challenge = await this.closeChallenge(challengeId, 'declined', 'Challenge declined');
+    if (!challenge) {
+      throw new Error('This challenge is no longer open');
+    }
+    return challenge;
+  }
+
+  // Refund and close a challenge nobody accepted in time. Returns the
+  // challenge, or null if it was not pending or has not expired yet.
+  async expireChallenge(challengeId, now = new Date()) {
+    const challenge = await this.db.getChallenge(challengeId);
+    if (!challenge || challenge.status !== 'pending' || new Date(challenge.expires_at) > now) {
+      return null;
+    }
+    return this.closeChallenge(challengeId, 'expired', 'Challenge expired');
+  }
+
+  // A pending challenge that `userId` may accept or decline
+  async getPendingChallenge(challengeId, userId) {
+    const challenge = await this.db.getChallenge(challengeId);
+    if (!challenge) {
+      throw new Error('Challenge not found');
+    }
+    if (challenge.target_id !== userId) {
+      throw new Error('Only the challenged user can accept or decline this challenge');
+    }
+    if (challenge.status !== 'pending') {
+      throw new Error(`This challenge is already ${challenge.status}`);
+    }
+    if (new Date(challenge.expires_at) <= new Date()) {
+      await this.expireChallenge(challengeId);
+      throw new Error('This challenge has expired');
+    }
+    return challenge;
+  }
+
+  async closeChallenge(challengeId, status, note) {
+    return this.db.transaction(async (tx) => {
+      if (!(await tx.transitionChallenge(challengeId, 'pending', status, { settled_at: new Date().toISOString() }))) {
+        return null;
+      }
+      const challenge = await tx.getChallenge(challengeId);
+      await tx.recordTransaction(challenge.challenger_id, 'refund', challenge.stake, { challengeId, note, leagueId: challenge.league_id });
+      return challenge;
+    });
+  }
+
+  // One side says how an accepted challenge went: 'won', 'lost' or 'push',
+  // from their own point of view. Once both sides have claimed the same
+  // result it is settled; if they differ it is disputed until an admin
+  // settles it (or one side changes their claim to match).
+  async claimChallenge(challengeId, userId, result) {
+    if (!CHALLENGE_RESULTS.includes(result)) {
+      throw new Error(`Claim one of: ${CHALLENGE_RESULTS.join(', ')}`);
+    }
+
+    return this.db.transaction(async (tx) => {
+      const challenge = await tx.getChallenge(challengeId);
+      if (!challenge) {
+        throw new Error('Challenge not found');
+      }
+      const side = challenge.challenger_id === userId ? 'challenger' : challenge.target_id === userId ? 'target' : null;
+      if (!side) {
+        throw new Error('Only the two sides of a challenge can report its result');
+      }
+      if (challenge.status !== 'accepted' && challenge.status !== 'disputed') {
+        throw new Error(challenge.status === 'pending' ? 'This challenge has not been accepted yet' : `This challenge is already ${challenge.status}`);
+      }
+
+      const other = side === 'challenger' ? 'target' : 'challenger';
+      const winner = result === 'push' ? 'push' : result === 'won' ? side : other;
+      await tx.setChallengeClaim(challengeId, side, winner);
+
+      const claims = { ...challenge, [`${side}_claim`]: winner };
+      if (!claims.challenger_claim || !claims.target_claim) {
+        return { challenge: await tx.getChallenge(challengeId), settled: false, disputed: false };
+      }
+      if (claims.challenger_claim === claims.target_claim) {
+        return { challenge: await this.payChallenge(tx, challenge, winner, null), settled: true, disputed: false };
+      }
+
+      if (challenge.status === 'accepted') {
+        await tx.transitionChallenge(challengeId, 'accepted', 'disputed');
+      }
+      return { challenge: await tx.getChallenge(challengeId), settled: false, disputed: challenge.status === 'accepted' };
+    });
+  }
+
+  // An admin settles an accepted or disputed challenge. `winner` is
+  // 'challenger', 'target' or 'push'.
+  async settleChallenge(challengeId, winner, settledBy) {
+    if (!['challenger', 'target', 'push'].includes(winner)) {
+      throw new Error('The winner must be the challenger, the target or a push');
+    }
+
+    return this.db.transaction(async (tx) => {
+      const challenge = await tx.getChallenge(challengeId);
+      if (!challenge) {
+        throw new Error('Challenge not found');
+      }
+      if (challenge.status !== 'accepted' && challenge.status !== 'disputed') {
+        throw new Error(`Only accepted challenges can be settled; this one is ${challenge.status}`);
+      }
+      return this.payChallenge(tx, challenge, winner, settledBy);
+    });
+  }
+
+  // Release the escrow: the winner takes both stakes, a push returns each
+  async payChallenge(tx, challenge, winner, settledBy) {
+    const settled = await tx.transitionChallenge(challenge.id, challenge.status, 'settled', {
+      winner,
+      settled_by: settledBy,
+      settled_at: new Date().toISOString()
+    });
+    if (!settled) {
+      throw new Error('This challenge was settled by someone else');
+    }
+
+    const challengeId = challenge.id;
+    const leagueId = challenge.league_id;
+    if (winner === 'push') {
+      await tx.recordTransaction(challenge.challenger_id, 'refund', challenge.stake, { challengeId, note: 'Challenge push', leagueId });
+      await tx.recordTransaction(challenge.target_id, 'refund', challenge.stake, { challengeId, note: 'Challenge push', leagueId });
+    } else {
+      const winnerId = winner === 'challenger' ? challenge.challenger_id : challenge.target_id;
+      await tx.recordTransaction(winnerId, 'payout', challenge.stake * 2, { challengeId, note: 'Challenge won', leagueId });
+      await tx.incrementUserStats(winnerId, 'total_winnings', challenge.stake, leagueId);
+    }
+    return tx.getChallenge(challenge.id);
+  }
+
+  // Withdraw a user's bet from an open line and refund the stake
+  async cancelBet(userId, lineId) {
+    return this.db.transaction(async (tx) => {
+      const line = await tx.getBettingLine(lineId);
+      this.assertAcceptingBets(line);
+
+      const bet = await tx.getUserBetOnLine(userId, lineId);
+      if (!bet) {
+        throw new Error('You have no bet on this line');
+      }
+
+      await tx.deleteBet(bet.id);
+      await tx.recordTransaction(userId, 'refund', bet.amount, { lineId, betId: bet.id, leagueId: line.league_id });
+      await tx.incrementUserStats(userId, 'total_bets', -1, line.league_id);
+
+      const user = await tx.getMemberStats(userId, line.league_id);
+      return { ...bet, balance: user.balance };
+    });
+  }
+
+  // Change the stake on a user's existing bet, keeping the chosen option
+  async changeStake(userId, lineId, amount) {
+    const existingBet = await this.db.getUserBetOnLine(userId, lineId);
+    if (!existingBet) {
+      throw new Error('Pick an option before choosing a stake');
+    }
+
+    if (existingBet.guess !== null && existingBet.guess !== undefined) {
+      return this.db.transaction(async (tx) => {
+        const line = await tx.getBettingLine(lineId);
+        this.assertAcceptingBets(line);
+        return this.stakeBet(tx, line, userId, existingBet.option, amount, existingBet.guess);
+      });
+    }
+    return this.placeBet(userId, lineId, existingBet.option, amount);
+  }
+
+  // Reaction names the bot seeds on a card for stake multipliers
+  getStakeMultiplierReactions() {
+    return Object.keys(STAKE_MULTIPLIERS);
+  }
+
+  // Resolve a multiplier reaction (e.g. `five`) to a stake for the line
+  stakeForMultiplier(line, reaction) {
+    const multiplier = STAKE_MULTIPLIERS[reaction];
+    if (!multiplier) return null;
+    return multiplier * (line.min_stake || 1);
+  }
 
   // Get betting line summary
   async getLineSummary(lineId) {
@@ -195,16 +1042,51 @@ async placeBet(userId, lineId, option) {
       }
     });
 
+    const stakeByOption = {};
+    Object.keys(betsByOption).forEach(option => {
+      stakeByOption[option] = betsByOption[option].reduce((sum, bet) => sum + bet.amount, 0);
+    });
+
+    // Closest-guess lines have no options; their bets are listed by guess
+    const guesses = line.numeric_spec?.kind === 'closest'
+      ? [...bets].sort((a, b) => a.guess - b.guess)
+      : null;
+
     return {
       line,
       betsByOption,
+      stakeByOption,
+      guesses,
+      odds: calculateOdds(line.options, stakeByOption),
       totalBets: bets.length,
       totalPot: bets.reduce((sum, bet) => sum + bet.amount, 0)
     };
   }
 
-  // Generate emoji options for betting lines
-  generateEmojis(options) {
+  // The line's odds, plus what `userId`'s bet would pay if its option won
+  // with the pot as it stands
+  async getOdds(lineId, userId = null) {
+    const summary = await this.getLineSummary(lineId);
+    const bets = Object.values(summary.betsByOption).flat();
+
+    let position = null;
+    const bet = userId && bets.find(b => b.user_id === userId);
+    if (bet) {
+      const settlement = settleParimutuel(bets, bet.option);
+      position = {
+        option: bet.option,
+        stake: bet.amount,
+        potentialPayout: settlement.payouts.find(p => p.betId === bet.id).payout
+      };
+    }
+
+    return { line: summary.line, odds: summary.odds, totalPot: summary.totalPot, position };
+  }
+
+  // Generate emoji options for betting lines.
+  // `chosen` holds emojis picked by the line's creator. The others get the
+  // usual defaults, skipping any emoji that is already taken.
+  generateEmojis(options, chosen = []) {
     const defaultEmojis = [':a:', ':b:', ':c:', ':d:', ':e:', ':f:', ':g:', ':h:', ':i:', ':j:'];
     const customEmojis = {
       'yes': ':white_check_mark:',
@@ -215,12 +1097,22 @@ async placeBet(userId, lineId, option) {
       'lose': ':broken_heart:',
       'tie': ':handshake:'
     };
-  
+
+    const taken = new Set(chosen.filter(Boolean));
     return options.map((option, index) => {
+      if (chosen[index]) return chosen[index];
+
       const lowerOption = option.toLowerCase();
-      return customEmojis[lowerOption] || defaultEmojis[index] || `:${index + 1}:`;
+      let emoji = customEmojis[lowerOption] || defaultEmojis[index] || `:${index + 1}:`;
+      if (taken.has(emoji)) {
+        emoji = defaultEmojis.find(e => !taken.has(e)) || emoji;
+      }
+      taken.add(emoji);
+      return emoji;
     });
   }
 }
 
+BettingService.CHALLENGE_RESULTS = CHALLENGE_RESULTS;
+
 module.exports = BettingService;
@@ -0,0 +1,80 @@
+const { DEFAULT_LEAGUE_ID } = require('../database/schema');
+
+// League names are used in commands (`league: frontend`), so keep them to
+// one word
+const LEAGUE_NAME = /^[a-z0-9][a-z0-9_-]{1,31}$/i;
+
+// Leagues split the workspace into separate pools, each with its own
+// balances and leaderboard. A league is tied to a channel (every line
+// created there belongs to it, and people join by betting) or is a named
+// group people join with `/bet league join`. Everything else plays in the
+// default league, whose balances are the ones on `users`.
+class LeagueService {
+  constructor(db, { defaultStartingBalance = parseInt(process.env.DEFAULT_BALANCE || '20', 10) } = {}) {
+    this.db = db;
+    this.defaultStartingBalance = defaultStartingBalance;
+  }
+
+  async createLeague(name, createdBy, { startingBalance = this.defaultStartingBalance, channelId = null } = {}) {
+    if (!LEAGUE_NAME.test(name || '')) {
+      throw new Error('League names are 2-32 letters, digits, `-` or `_`, starting with a letter or digit');
+    }
+    if (!Number.isInteger(startingBalance) || startingBalance < 1) {
+      throw new Error('A league\'s starting balance must be a whole number of units (at least 1)');
+    }
+    if (await this.db.getLeagueByName(name)) {
+      throw new Error(`There is already a league called "${name}"`);
+    }
+    if (channelId) {
+      const existing = await this.db.getLeagueForChannel(channelId);
+      if (existing) {
+        throw new Error(`That channel already belongs to the "${existing.name}" league`);
+      }
+    }
+    return this.db.createLeague(name, startingBalance, createdBy, channelId);
+  }
+
+  async getLeague(name) {
+    const league = await this.db.getLeagueByName(name);
+    if (!league) {
+      throw new Error(`There is no league called "${name}". See \`/bet league list\`.`);
+    }
+    return league;
+  }
+
+  async join(name, userId) {
+    const league = await this.getLeague(name);
+    if (league.id === DEFAULT_LEAGUE_ID) {
+      throw new Error('Everyone is already in the default league');
+    }
+    const member = await this.db.getMemberStats(userId, league.id);
+    if (member?.active) {
+      throw new Error(`You are already in the "${league.name}" league`);
+    }
+
+    const { rejoined } = await this.db.joinLeague(league.id, userId);
+    const { balance } = await this.db.getMemberStats(userId, league.id);
+    return { league, rejoined, balance };
+  }
+
+  // Leaving stops new bets in the league. Open bets still settle, and the
+  // balance is kept for if they come back.
+  async leave(name, userId) {
+    const league = await this.getLeague(name);
+    if (league.id === DEFAULT_LEAGUE_ID) {
+      throw new Error('The default league cannot be left');
+    }
+    if (!(await this.db.leaveLeague(league.id, userId))) {
+      throw new Error(`You are not in the "${league.name}" league`);
+    }
+    return league;
+  }
+
+  async list() {
+    return this.db.listLeagues();
+  }
+}
+
+LeagueService.LEAGUE_NAME = LEAGUE_NAME;
+
+module.exports = LeagueService;
@@ -0,0 +1,54 @@
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// Maps Slack messages to the betting lines whose cards they are, so a
+// reaction can be resolved to a line without reading channel history.
+// Only the message -> line ID mapping is cached (it never changes once a
+// card is posted); the line itself is always read fresh. Messages that are
+// not cards are cached too, since most reactions in a channel are on those.
+class MessageIndex {
+  constructor(db, { maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.db = db;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  static key(channelId, messageTs) {
+    return `${channelId}:${messageTs}`;
+  }
+
+  // The line behind a message, or null if the message is not a betting card
+  async findLine(channelId, messageTs) {
+    const key = MessageIndex.key(channelId, messageTs);
+
+    if (this.entries.has(key)) {
+      const lineId = this.entries.get(key);
+      this.touch(key, lineId);
+      return lineId ? this.db.getBettingLine(lineId) : null;
+    }
+
+    const line = await this.db.getBettingLineByMessage(channelId, messageTs);
+    this.touch(key, line ? line.id : null);
+    return line;
+  }
+
+  // Record a freshly posted card, replacing any earlier "not a card" entry
+  remember(line) {
+    if (!line.slack_channel_id || !line.slack_message_ts) return;
+    this.touch(MessageIndex.key(line.slack_channel_id, line.slack_message_ts), line.id);
+  }
+
+  // Move `key` to the most recently used end, evicting the oldest entry when full
+  touch(key, lineId) {
+    this.entries.delete(key);
+    this.entries.set(key, lineId);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = MessageIndex;
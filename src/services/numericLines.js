@@ -0,0 +1,188 @@
+// Numeric lines: an over/under around a single number, or a set of
+// buckets such as `<10, 10-20, >20`. The options are ordinary options
+// ("over"/"under", or the bucket labels); the spec stored with the line
+// says which one a reported value picks.
+//
+// Specs are { kind: 'over_under', line, unit } or
+// { kind: 'buckets', buckets: [{ label, min, max, minInclusive, maxInclusive }], unit }.
+// An open end is null.
+//
+// Closest-guess lines ({ kind: 'closest', valueType, rule, unit }) have no
+// options at all: every bet is a guess, and the pot goes to the guesses
+// nearest the reported value. Dates are handled as whole days since the
+// epoch, so they compare and subtract like any other number.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How a closest-guess line picks its winners, by the name used in `rule:`
+const CLOSEST_RULES = {
+  closest: 'closest guess wins',
+  'not-over': 'closest guess without going over wins',
+  'not-under': 'closest guess without going under wins',
+};
+
+const NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+
+// Slack escapes <, > and & in slash command text
+function decodeEntities(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+function parseNumber(text) {
+  const value = Number(String(text).trim());
+  if (String(text).trim() === '' || !Number.isFinite(value)) {
+    throw new Error(`"${text}" is not a number`);
+  }
+  return value;
+}
+
+function overUnderSpec(lineValue, unit = null) {
+  const line = parseNumber(lineValue);
+  return { kind: 'over_under', line, unit };
+}
+
+// One bucket: `<10`, `<=10`, `>20`, `>=20` or `10-20` (both ends included)
+function parseBucket(label) {
+  const text = decodeEntities(label).trim();
+
+  const open = text.match(new RegExp(`^(<=|>=|<|>|≤|≥)\\s*${NUMBER}$`));
+  if (open) {
+    const value = Number(open[2]);
+    const inclusive = ['<=', '>=', '≤', '≥'].includes(open[1]);
+    return open[1].startsWith('<') || open[1] === '≤'
+      ? { label: text, min: null, max: value, minInclusive: false, maxInclusive: inclusive }
+      : { label: text, min: value, max: null, minInclusive: inclusive, maxInclusive: false };
+  }
+
+  const range = text.match(new RegExp(`^${NUMBER}\\s*(?:-|–|to)\\s*${NUMBER}$`, 'i'));
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])];
+    if (min > max) {
+      throw new Error(`Bucket "${text}" runs backwards`);
+    }
+    return { label: text, min, max, minInclusive: true, maxInclusive: true };
+  }
+
+  throw new Error(`Could not understand the bucket "${text}". Try \`<10\`, \`10-20\` or \`>20\`.`);
+}
+
+function contains(bucket, value) {
+  const aboveMin = bucket.min === null || (bucket.minInclusive ? value >= bucket.min : value > bucket.min);
+  const belowMax = bucket.max === null || (bucket.maxInclusive ? value <= bucket.max : value < bucket.max);
+  return aboveMin && belowMax;
+}
+
+function overlaps(a, b) {
+  const low = Math.max(a.min ?? -Infinity, b.min ?? -Infinity);
+  const high = Math.min(a.max ?? Infinity, b.max ?? Infinity);
+  if (low < high) return true;
+  if (low > high) return false;
+  // The buckets meet at a single point; they overlap if both include it
+  return contains(a, low) && contains(b, low);
+}
+
+// `<10, 10-20, >20` -> a buckets spec. Buckets may leave gaps but must not
+// overlap, so a value can never land in two of them.
+function bucketSpec(text, unit = null) {
+  const buckets = decodeEntities(text).split(',').map(s => s.trim()).filter(Boolean).map(parseBucket);
+  if (buckets.length < 2) {
+    throw new Error('A bucket line needs at least 2 buckets');
+  }
+  for (let i = 0; i < buckets.length; i++) {
+    for (let j = i + 1; j < buckets.length; j++) {
+      if (overlaps(buckets[i], buckets[j])) {
+        throw new Error(`Buckets "${buckets[i].label}" and "${buckets[j].label}" overlap`);
+      }
+    }
+  }
+  return { kind: 'buckets', buckets, unit };
+}
+
+function closestSpec(valueType = 'number', rule = 'closest', unit = null) {
+  if (!['number', 'date'].includes(valueType)) {
+    throw new Error(`Guesses can be a \`number\` or a \`date\`, not "${valueType}"`);
+  }
+  if (!CLOSEST_RULES[rule]) {
+    throw new Error(`Unknown rule "${rule}". Use one of: ${Object.keys(CLOSEST_RULES).join(', ')}`);
+  }
+  return { kind: 'closest', valueType, rule, unit: valueType === 'date' ? null : unit };
+}
+
+// A guess or reported value for a closest-guess line, as a number.
+// Dates must be written as YYYY-MM-DD.
+function parseSpecValue(spec, text) {
+  if (spec.valueType !== 'date') {
+    return parseNumber(text);
+  }
+
+  const match = String(text).trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const ms = match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+  if (!match || new Date(ms).getUTCDate() !== Number(match[3])) {
+    throw new Error(`"${text}" is not a date. Write it as YYYY-MM-DD.`);
+  }
+  return ms / DAY_MS;
+}
+
+function optionsForSpec(spec) {
+  if (spec.kind === 'closest') return [];
+  return spec.kind === 'over_under' ? ['over', 'under'] : spec.buckets.map(b => b.label);
+}
+
+// The option a reported value wins. Throws if the value lands exactly on
+// an over/under line (only possible on a whole-number line) or outside
+// every bucket.
+function optionForValue(spec, value) {
+  if (spec.kind === 'over_under') {
+    if (value === spec.line) {
+      throw new Error(`${formatValue(value, spec.unit)} is exactly on the line, so neither over nor under wins. Resolve it as a \`push\` to refund every stake.`);
+    }
+    return value > spec.line ? 'over' : 'under';
+  }
+
+  const bucket = spec.buckets.find(b => contains(b, value));
+  if (!bucket) {
+    throw new Error(`${formatValue(value, spec.unit)} is not in any bucket (${spec.buckets.map(b => b.label).join(', ')})`);
+  }
+  return bucket.label;
+}
+
+function formatValue(value, unit = null) {
+  return unit ? `${value} ${unit}` : String(value);
+}
+
+// A value of a numeric line as people write it: `17 min`, or `2025-06-01`
+// on a date line
+function formatSpecValue(spec, value) {
+  if (spec?.valueType === 'date') {
+    return new Date(value * DAY_MS).toISOString().slice(0, 10);
+  }
+  return formatValue(value, spec?.unit);
+}
+
+// `Over/under 15.5 min`, `Buckets (min): <10, 10-20, >20` or
+// `Guess the date: closest guess without going over wins`
+function describeSpec(spec) {
+  if (spec.kind === 'closest') {
+    const what = spec.valueType === 'date' ? 'the date' : `the number${spec.unit ? ` (${spec.unit})` : ''}`;
+    return `Guess ${what}: ${CLOSEST_RULES[spec.rule]}`;
+  }
+  if (spec.kind === 'over_under') {
+    return `Over/under ${formatValue(spec.line, spec.unit)}`;
+  }
+  return `Buckets${spec.unit ? ` (${spec.unit})` : ''}: ${spec.buckets.map(b => b.label).join(', ')}`;
+}
+
+module.exports = {
+  CLOSEST_RULES,
+  decodeEntities,
+  parseNumber,
+  overUnderSpec,
+  bucketSpec,
+  closestSpec,
+  parseSpecValue,
+  optionsForSpec,
+  optionForValue,
+  formatValue,
+  formatSpecValue,
+  describeSpec
+};
@@ -0,0 +1,66 @@
+// Parlay maths. A parlay is one stake spread over legs on different lines;
+// it pays the stake times the product of the legs' odds, but only if no leg
+// loses. Each leg's odds are the pari-mutuel multiplier of its option when
+// the parlay was placed, so the payout is known up front.
+
+const MIN_LEGS = 2;
+const MAX_LEGS = 8;
+
+// `<line_id>:<option>, <line_id>:<option>` -> [{ lineId, option }]
+function parseLegs(text) {
+  return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const separator = part.indexOf(':');
+    if (separator < 1 || separator === part.length - 1) {
+      throw new Error(`Could not understand the leg "${part}". Write each leg as \`<line_id>:<option>\`.`);
+    }
+    return { lineId: part.slice(0, separator).trim(), option: part.slice(separator + 1).trim() };
+  });
+}
+
+function combinedOdds(odds) {
+  return odds.reduce((product, o) => product * o, 1);
+}
+
+// What a leg counts for once its line is settled or cancelled.
+// `winners` are the line's winning options (empty for a push).
+//   - a cancelled line or a push voids the leg: it drops out at 1x
+//   - a dead heat between n options pays the leg's odds divided by n
+function legResult(leg, line) {
+  if (line.status === 'cancelled' || line.resolution_mode === 'push') {
+    return { status: 'void', resultOdds: 1 };
+  }
+
+  const winners = line.winner_options || (line.winner_option ? [line.winner_option] : []);
+  if (!winners.includes(leg.option)) {
+    return { status: 'lost', resultOdds: 0 };
+  }
+  return { status: 'won', resultOdds: leg.odds / winners.length };
+}
+
+// Where a parlay stands given its legs. A lost leg settles it at once; it
+// otherwise waits for every leg. If every leg was voided the stake is
+// refunded.
+function evaluateParlay(parlay, legs) {
+  if (legs.some(leg => leg.status === 'lost')) {
+    return { status: 'lost', payout: 0 };
+  }
+  if (legs.some(leg => leg.status === 'pending')) {
+    return { status: 'open', payout: null };
+  }
+  if (legs.every(leg => leg.status === 'void')) {
+    return { status: 'void', payout: parlay.stake };
+  }
+
+  // The epsilon keeps 10 x 1.1 x 2 from flooring to 21 in binary floats
+  const payout = Math.floor(parlay.stake * combinedOdds(legs.map(leg => leg.result_odds)) + 1e-9);
+  return { status: 'won', payout };
+}
+
+module.exports = {
+  MIN_LEGS,
+  MAX_LEGS,
+  parseLegs,
+  combinedOdds,
+  legResult,
+  evaluateParlay
+};
@@ -0,0 +1,294 @@
+// Pari-mutuel settlement. Everything in here is pure: it takes the bets on a
+// line and returns who gets what, without touching the database.
+
+// Split `pool` units across `weights` in proportion, using largest-remainder
+// rounding so the shares always add up to exactly `pool`. Ties on the
+// remainder go to the larger weight, then to the earlier entry.
+function allocateProportionally(pool, weights) {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  if (pool === 0 || totalWeight === 0) {
+    return weights.map(() => 0);
+  }
+
+  const shares = weights.map((weight, index) => ({
+    index,
+    weight,
+    base: Math.floor((pool * weight) / totalWeight),
+    remainder: (pool * weight) % totalWeight
+  }));
+
+  let leftover = pool - shares.reduce((sum, s) => sum + s.base, 0);
+  const order = [...shares].sort((a, b) =>
+    b.remainder - a.remainder || b.weight - a.weight || a.index - b.index
+  );
+  for (const share of order) {
+    if (leftover === 0) break;
+    share.base += 1;
+    leftover -= 1;
+  }
+
+  return shares.map(s => s.base);
+}
+
+function toPayout(bet, winnings) {
+  return {
+    betId: bet.id,
+    userId: bet.user_id,
+    username: bet.username,
+    option: bet.option,
+    stake: bet.amount,
+    winnings,
+    payout: bet.amount + winnings
+  };
+}
+
+function summarize(bets, isWinner) {
+  const winningBets = bets.filter(isWinner);
+  const losingBets = bets.filter(bet => !isWinner(bet));
+  const winningPool = winningBets.reduce((sum, bet) => sum + bet.amount, 0);
+  const losingPool = losingBets.reduce((sum, bet) => sum + bet.amount, 0);
+  return { winningBets, losingBets, winningPool, losingPool, totalPot: winningPool + losingPool };
+}
+
+function toLoser(bet) {
+  return {
+    betId: bet.id,
+    userId: bet.user_id,
+    username: bet.username,
+    option: bet.option,
+    stake: bet.amount
+  };
+}
+
+// Every stake goes back; `mode` and `message` say why
+function refundAll(bets, mode, message) {
+  const totalPot = bets.reduce((sum, bet) => sum + bet.amount, 0);
+  return {
+    mode,
+    payouts: bets.map(bet => toPayout(bet, 0)),
+    losers: [],
+    totalPot,
+    winningPool: 0,
+    losingPool: 0,
+    message
+  };
+}
+
+function emptyResult() {
+  return {
+    mode: 'empty',
+    payouts: [],
+    losers: [],
+    totalPot: 0,
+    winningPool: 0,
+    losingPool: 0,
+    message: 'No bets were placed on this line.'
+  };
+}
+
+// Settle a line. Winners get their stake back plus a share of the losing
+// pool in proportion to their stake. If nobody backed the winning option,
+// every stake is refunded.
+function settleParimutuel(bets, winningOption) {
+  const { winningBets, losingBets, winningPool, losingPool, totalPot } = summarize(bets, bet => bet.option === winningOption);
+
+  if (bets.length === 0) {
+    return emptyResult();
+  }
+
+  if (winningBets.length === 0) {
+    return refundAll(bets, 'refund', 'No one bet on the winning option. All stakes have been refunded.');
+  }
+
+  const shares = allocateProportionally(losingPool, winningBets.map(bet => bet.amount));
+  const payouts = winningBets.map((bet, i) => toPayout(bet, shares[i]));
+
+  return {
+    mode: 'parimutuel',
+    payouts,
+    losers: losingBets.map(toLoser),
+    totalPot,
+    winningPool,
+    losingPool,
+    message: losingBets.length === 0
+      ? 'Everyone bet on the winning option. Stakes returned.'
+      : `Winners get their stake back plus ${losingPool} units from the losing side, split by stake.`
+  };
+}
+
+// Settle a dead heat between several winning options. The losing pool is
+// split equally between the winning options that were backed, then each
+// option's share is split between its backers by stake.
+function settleDeadHeat(bets, winningOptions) {
+  if (winningOptions.length === 1) {
+    return settleParimutuel(bets, winningOptions[0]);
+  }
+
+  const { winningBets, losingBets, winningPool, losingPool, totalPot } = summarize(bets, bet => winningOptions.includes(bet.option));
+
+  if (bets.length === 0) {
+    return emptyResult();
+  }
+
+  if (winningBets.length === 0) {
+    return refundAll(bets, 'refund', 'No one bet on any of the winning options. All stakes have been refunded.');
+  }
+
+  const backed = winningOptions.filter(option => winningBets.some(bet => bet.option === option));
+  const optionShares = allocateProportionally(losingPool, backed.map(() => 1));
+  const winningsByBet = new Map();
+  backed.forEach((option, i) => {
+    const optionBets = winningBets.filter(bet => bet.option === option);
+    const shares = allocateProportionally(optionShares[i], optionBets.map(bet => bet.amount));
+    optionBets.forEach((bet, j) => winningsByBet.set(bet.id, shares[j]));
+  });
+
+  return {
+    mode: 'dead_heat',
+    payouts: winningBets.map(bet => toPayout(bet, winningsByBet.get(bet.id))),
+    losers: losingBets.map(toLoser),
+    totalPot,
+    winningPool,
+    losingPool,
+    message: `Dead heat between ${winningOptions.join(' and ')}: the ${losingPool} units from the losing side are split equally between the winning options, then by stake.`
+  };
+}
+
+// A push: the line is called off as a tie and every stake is returned
+function settlePush(bets) {
+  return refundAll(bets, 'push', 'Push: the result was a wash, so every stake has been refunded.');
+}
+
+// Settle a closest-guess line. Bets carry a numeric `guess`; the guesses
+// nearest `actual` win (ties share) and split the other stakes by stake.
+// `rule` may rule out guesses over ('not-over') or under ('not-under') the
+// actual value. With no eligible guess every stake is refunded.
+function settleClosest(bets, actual, rule = 'closest') {
+  const eligible = bets.filter(bet => {
+    if (rule === 'not-over') return bet.guess <= actual;
+    if (rule === 'not-under') return bet.guess >= actual;
+    return true;
+  });
+  const distance = (bet) => Math.abs(bet.guess - actual);
+  const best = Math.min(...eligible.map(distance));
+  const { winningBets, losingBets, winningPool, losingPool, totalPot } = summarize(bets, bet => eligible.includes(bet) && distance(bet) === best);
+
+  if (bets.length === 0) {
+    return { ...emptyResult(), winners: [] };
+  }
+
+  if (winningBets.length === 0) {
+    return { ...refundAll(bets, 'refund', 'No guess qualified under the line\'s rule. All stakes have been refunded.'), winners: [] };
+  }
+
+  const shares = allocateProportionally(losingPool, winningBets.map(bet => bet.amount));
+  const winners = [...new Set(winningBets.map(bet => bet.option))];
+
+  return {
+    mode: 'closest',
+    winners,
+    payouts: winningBets.map((bet, i) => toPayout(bet, shares[i])),
+    losers: losingBets.map(toLoser),
+    totalPot,
+    winningPool,
+    losingPool,
+    message: winningBets.length > 1
+      ? `${winningBets.length} guesses tied for closest and split the ${losingPool} units from the other guesses by stake.`
+      : `The closest guess takes the ${losingPool} units from the other guesses.`
+  };
+}
+
+// Resolution outcomes are { mode: 'single' | 'dead_heat' | 'push' | 'closest', winners }.
+// A bare option name is shorthand for a single winner, and a dead heat with
+// one winner is just a single winner. Numeric lines settled from a
+// reported value also carry that `value`.
+function normalizeOutcome(outcome) {
+  if (typeof outcome === 'string') {
+    return { mode: 'single', winners: [outcome] };
+  }
+
+  let normalized;
+  if (outcome.mode === 'push') {
+    normalized = { mode: 'push', winners: [] };
+  } else if (outcome.mode === 'closest') {
+    normalized = { mode: 'closest', winners: [...(outcome.winners || [])] };
+  } else {
+    const winners = [...new Set(outcome.winners)];
+    normalized = { mode: winners.length > 1 ? 'dead_heat' : 'single', winners };
+  }
+  if (outcome.value !== undefined && outcome.value !== null) {
+    normalized.value = outcome.value;
+  }
+  return normalized;
+}
+
+function sameOutcome(a, b) {
+  const left = normalizeOutcome(a);
+  const right = normalizeOutcome(b);
+  // A value only makes outcomes differ when both were settled from one
+  const sameValue = left.value === undefined || right.value === undefined || left.value === right.value;
+  // The winners of a closest-guess line follow from the value
+  if (left.mode === 'closest' || right.mode === 'closest') {
+    return left.mode === right.mode && sameValue;
+  }
+  return left.mode === right.mode
+    && sameValue
+    && left.winners.length === right.winners.length
+    && left.winners.every(winner => right.winners.includes(winner));
+}
+
+// `yes`, `dead heat: red and blue` or `push`
+function describeOutcome(outcome) {
+  const { mode, winners } = normalizeOutcome(outcome);
+  if (mode === 'push') return 'push';
+  if (mode === 'closest') return winners.length ? `closest guess: ${winners.join(', ')}` : 'closest guess';
+  if (mode === 'dead_heat') return `dead heat: ${winners.join(' and ')}`;
+  return winners[0];
+}
+
+// Settle `bets` for a resolution outcome. Closest-guess lines need the
+// line's numeric spec for their rule.
+function settleOutcome(bets, outcome, spec = null) {
+  outcome = normalizeOutcome(outcome);
+  switch (outcome.mode) {
+    case 'closest':
+      return settleClosest(bets, outcome.value, spec?.rule);
+    case 'push':
+      return settlePush(bets);
+    case 'dead_heat':
+      return settleDeadHeat(bets, outcome.winners);
+    default:
+      return settleParimutuel(bets, outcome.winners[0]);
+  }
+}
+
+// Current pari-mutuel odds for each option, from the stakes so far.
+// `multiplier` is what one unit returns if that option wins (stake
+// included); `impliedProbability` is the option's share of the pot. Both
+// are null while nothing has been staked on the option.
+function calculateOdds(options, stakeByOption = {}) {
+  const totalPot = options.reduce((sum, option) => sum + (stakeByOption[option] || 0), 0);
+
+  return options.map(option => {
+    const staked = stakeByOption[option] || 0;
+    return {
+      option,
+      staked,
+      multiplier: staked > 0 ? totalPot / staked : null,
+      impliedProbability: staked > 0 ? staked / totalPot : null
+    };
+  });
+}
+
+module.exports = {
+  allocateProportionally,
+  settleParimutuel,
+  settleDeadHeat,
+  settlePush,
+  settleClosest,
+  settleOutcome,
+  normalizeOutcome,
+  sameOutcome,
+  describeOutcome,
+  calculateOdds
+};
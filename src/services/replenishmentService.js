@@ -0,0 +1,106 @@
+// Defaults for keeping broke players in the game; each can be turned off
+// with 0. WEEKLY_ALLOWANCE is paid to every member of every league once a
+// week, BAILOUT_BALANCE is what `/bet bailout` resets a broke player to and
+// DAILY_BONUS is paid on the first `/bet` command of each (UTC) day.
+const DEFAULT_WEEKLY_ALLOWANCE = 5;
+const DEFAULT_BAILOUT_BALANCE = 10;
+const DEFAULT_DAILY_BONUS = 0;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+function envInt(name, fallback) {
+  return parseInt(process.env[name] || `${fallback}`, 10);
+}
+
+// Allowances, bailouts and daily bonuses. Each is its own ledger type
+// ('allowance', 'bailout', 'bonus') so they can be told apart from
+// winnings.
+class ReplenishmentService {
+  constructor(db, {
+    weeklyAllowance = envInt('WEEKLY_ALLOWANCE', DEFAULT_WEEKLY_ALLOWANCE),
+    bailoutBalance = envInt('BAILOUT_BALANCE', DEFAULT_BAILOUT_BALANCE),
+    dailyBonus = envInt('DAILY_BONUS', DEFAULT_DAILY_BONUS)
+  } = {}) {
+    this.db = db;
+    this.weeklyAllowance = weeklyAllowance;
+    this.bailoutBalance = bailoutBalance;
+    this.dailyBonus = dailyBonus;
+  }
+
+  // Pay the weekly allowance to every member who has not had one in the
+  // last seven days. Safe to run as often as you like; returns who was paid.
+  async grantAllowances(now = new Date()) {
+    if (this.weeklyAllowance <= 0) return [];
+
+    const since = new Date(now.getTime() - WEEK_MS);
+    const granted = [];
+    for (const league of await this.db.listLeagues()) {
+      for (const member of await this.db.getLeagueMembers(league.id)) {
+        const paid = await this.db.transaction(async (tx) => {
+          if (!(await tx.markAllowance(member.id, league.id, now, since))) return false;
+          await tx.recordTransaction(member.id, 'allowance', this.weeklyAllowance, { leagueId: league.id, note: 'Weekly allowance' });
+          return true;
+        });
+        if (paid) {
+          granted.push({ userId: member.id, leagueId: league.id, amount: this.weeklyAllowance });
+        }
+      }
+    }
+    return granted;
+  }
+
+  // Reset a broke player to the bailout balance. Every bailout is counted
+  // on their stats. Players with stakes still in play have to wait for them.
+  async bailout(userId, leagueId) {
+    if (this.bailoutBalance <= 0) {
+      throw new Error('Bailouts are turned off');
+    }
+
+    return this.db.transaction(async (tx) => {
+      const member = await tx.getMemberStats(userId, leagueId);
+      if (!member || !member.active) {
+        const league = await tx.getLeague(leagueId);
+        throw new Error(`You are not in the "${league.name}" league`);
+      }
+      if (member.balance > 0) {
+        throw new Error(`You still have ${member.balance} units. Bailouts are only for players who are broke.`);
+      }
+      const open = await tx.countOpenPositions(leagueId, userId);
+      if (open > 0) {
+        throw new Error(`You have ${open} open position${open === 1 ? '' : 's'} that could still pay out. Wait for ${open === 1 ? 'it' : 'them'} to settle.`);
+      }
+
+      const bailouts = (member.bailouts || 0) + 1;
+      const amount = this.bailoutBalance - member.balance;
+      await tx.recordTransaction(userId, 'bailout', amount, { leagueId, note: `Bailout #${bailouts}` });
+      await tx.incrementUserStats(userId, 'bailouts', 1, leagueId);
+      return { amount, balance: this.bailoutBalance, bailouts };
+    });
+  }
+
+  // Whether `user` (a users row) has yet to get today's bonus. Cheap enough
+  // to check on every command before claiming.
+  isDailyBonusDue(user, now = new Date()) {
+    if (this.dailyBonus <= 0) return false;
+    return !user.last_bonus_at || new Date(user.last_bonus_at) < startOfDay(now);
+  }
+
+  // Pay the daily bonus if this is the user's first claim of the UTC day.
+  // Null if bonuses are off or it was already paid.
+  async claimDailyBonus(userId, now = new Date()) {
+    if (this.dailyBonus <= 0) return null;
+
+    return this.db.transaction(async (tx) => {
+      if (!(await tx.markDailyBonus(userId, now, startOfDay(now)))) return null;
+      await tx.recordTransaction(userId, 'bonus', this.dailyBonus, { note: 'Daily bonus' });
+      return { amount: this.dailyBonus };
+    });
+  }
+}
+
+// Midnight UTC at the start of `now`'s day
+function startOfDay(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+module.exports = ReplenishmentService;
@@ -0,0 +1,68 @@
+// setTimeout caps delays at about 24.8 days; longer waits are re-armed
+const MAX_DELAY = 2 ** 31 - 1;
+
+// In-process timers keyed by name, so a job can be replaced or cancelled.
+// Nothing here is persisted: owners re-register their jobs on startup.
+class Scheduler {
+  constructor() {
+    this.timers = new Map();
+  }
+
+  // Run `fn` at `when` (a Date). Past times run on the next tick.
+  at(key, when, fn) {
+    this.cancel(key);
+
+    const arm = () => {
+      const delay = new Date(when).getTime() - Date.now();
+      const timer = setTimeout(() => {
+        if (delay > MAX_DELAY) {
+          arm();
+          return;
+        }
+        this.timers.delete(key);
+        this.runJob(key, fn);
+      }, Math.max(0, Math.min(delay, MAX_DELAY)));
+      timer.unref?.();
+      this.timers.set(key, timer);
+    };
+
+    arm();
+  }
+
+  // Run `fn` every `intervalMs` until cancelled
+  every(key, intervalMs, fn) {
+    this.cancel(key);
+    const timer = setInterval(() => this.runJob(key, fn), intervalMs);
+    timer.unref?.();
+    this.timers.set(key, timer);
+  }
+
+  cancel(key) {
+    const timer = this.timers.get(key);
+    if (timer) {
+      clearTimeout(timer);
+      clearInterval(timer);
+      this.timers.delete(key);
+    }
+  }
+
+  has(key) {
+    return this.timers.has(key);
+  }
+
+  stop() {
+    for (const key of [...this.timers.keys()]) {
+      this.cancel(key);
+    }
+  }
+
+  async runJob(key, fn) {
+    try {
+      await fn();
+    } catch (error) {
+      console.error(`Scheduled job ${key} failed:`, error);
+    }
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,129 @@
+const { DEFAULT_LEAGUE_ID } = require('../database/schema');
+
+// Awarded to the top three when a season ends with badges
+const BADGES = ['🥇', '🥈', '🥉'];
+
+// Seasons split a league's play into rounds. Starting one puts everyone on
+// the same balance; ending one archives the final standings (optionally
+// awarding badges) and puts everyone back on the season's starting
+// balance. Each league runs its own seasons, numbered from 1; the default
+// league's are the workspace's.
+class SeasonService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async startSeason(leagueId, startedBy, { startingBalance } = {}) {
+    const league = await this.db.getLeague(leagueId);
+
+    // Checked in the transaction, so nothing can be staked between the
+    // checks and the balance reset
+    return this.db.transaction(async (tx) => {
+      const active = await tx.getActiveSeason(league.id);
+      if (active) {
+        throw new Error(`Season ${active.number}${inLeague(league)} is still running. End it with \`/bet season end\` first.`);
+      }
+
+      const amount = startingBalance === undefined ? league.starting_balance : startingBalance;
+      if (!Number.isInteger(amount) || amount < 1) {
+        throw new Error('A season\'s starting balance must be a whole number of units (at least 1)');
+      }
+      await this.assertNoOpenPositions(tx, league);
+
+      const latest = await tx.getLatestSeason(league.id);
+      const season = await tx.createSeason(league.id, latest ? latest.number + 1 : 1, amount, startedBy);
+      const reset = await this.resetBalances(tx, league.id, amount, `Season ${season.number} start`);
+      return { season, league, reset };
+    });
+  }
+
+  // Archive the standings and reset every balance to the season's
+  // starting amount. With `awardBadges` the top three get a medal, as long
+  // as they finished ahead of where they started.
+  async endSeason(leagueId, endedBy, { awardBadges = false } = {}) {
+    const league = await this.db.getLeague(leagueId);
+    const season = await this.db.getActiveSeason(league.id);
+    if (!season) {
+      throw new Error(`No season is running${inLeague(league)}. Start one with \`/bet season start\`.`);
+    }
+
+    return this.db.transaction(async (tx) => {
+      await this.assertNoOpenPositions(tx, league);
+      if (!(await tx.endSeason(season.id, endedBy))) {
+        throw new Error(`Season ${season.number} has already ended`);
+      }
+
+      const members = await tx.getLeagueMembers(league.id);
+      const bets = new Map((await tx.getSeasonBetCounts(season.id)).map(row => [row.user_id, Number(row.bets)]));
+      const standings = [];
+      members.forEach((member, i) => {
+        // Equal balances share a rank
+        const previous = standings[i - 1];
+        const rank = previous && previous.balance === member.balance ? previous.rank : i + 1;
+        const profit = member.balance - season.starting_balance;
+        const badge = awardBadges && rank <= BADGES.length && profit > 0 ? BADGES[rank - 1] : null;
+        standings.push({
+          userId: member.id,
+          username: member.username,
+          rank,
+          balance: member.balance,
+          profit,
+          bets: bets.get(member.id) || 0,
+          badge,
+        });
+      });
+      for (const standing of standings) {
+        await tx.addSeasonStanding(season.id, standing);
+      }
+
+      await this.resetBalances(tx, league.id, season.starting_balance, `Season ${season.number} end`);
+      return { season: { ...season, status: 'ended' }, league, standings };
+    });
+  }
+
+  async getActiveSeason(leagueId) {
+    return this.db.getActiveSeason(leagueId);
+  }
+
+  // The archived standings of a finished season
+  async getStandings(leagueId, number, limit = 10) {
+    const league = await this.db.getLeague(leagueId);
+    const season = await this.db.getSeason(league.id, number);
+    if (!season) {
+      throw new Error(`There is no season ${number}${inLeague(league)}`);
+    }
+    if (season.status === 'active') {
+      throw new Error(`Season ${number} is still running; its standings are the current leaderboard`);
+    }
+    return { season, league, standings: await this.db.getSeasonStandings(season.id, limit) };
+  }
+
+  // Resetting balances under open bets would let them pay out on top of the
+  // fresh balance, so everything must be settled first
+  async assertNoOpenPositions(tx, league) {
+    const open = await tx.countOpenPositions(league.id);
+    if (open > 0) {
+      throw new Error(`There ${open === 1 ? 'is 1 open position' : `are ${open} open positions`}${inLeague(league)}. Resolve or cancel them first.`);
+    }
+  }
+
+  // Move every member of the league to `amount` with a ledger adjustment.
+  // Returns how many balances changed.
+  async resetBalances(tx, leagueId, amount, note) {
+    let changed = 0;
+    for (const member of await tx.getLeagueMembers(leagueId)) {
+      if (member.balance === amount) continue;
+      await tx.recordTransaction(member.id, 'adjustment', amount - member.balance, { leagueId, note });
+      changed++;
+    }
+    return changed;
+  }
+}
+
+function inLeague(league) {
+  return league.id === DEFAULT_LEAGUE_ID ? '' : ` in the "${league.name}" league`;
+}
+
+SeasonService.BADGES = BADGES;
+
+module.exports = SeasonService;
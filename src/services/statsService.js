@@ -0,0 +1,263 @@
+const { DEFAULT_LEAGUE_ID } = require('../database/schema');
+
+const RECENT_LIMIT = 5;
+
+// What `/bet leaderboard` can rank by and over which period. Rate-based
+// metrics only rank players with enough settled bets in the period
+// (LEADERBOARD_MIN_BETS), so one lucky bet does not top the table.
+const LEADERBOARD_METRICS = ['balance', 'profit', 'roi', 'winrate', 'streak'];
+const RATE_METRICS = ['roi', 'winrate'];
+const PERIODS = { week: 7, month: 30, season: null, all: null };
+const DEFAULT_LEADERBOARD_MIN_BETS = 5;
+const MAX_LEADERBOARD_LIMIT = 25;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What kind of line a bet was on, for "favourite option type"
+function lineType(bet) {
+  const kind = bet.numeric_spec?.kind;
+  if (kind === 'over_under') return 'over/under';
+  if (kind === 'buckets') return 'buckets';
+  if (kind === 'closest') return 'closest guess';
+  return bet.options.length === 2 ? 'two-way' : 'multiple choice';
+}
+
+function resultOf(profit) {
+  if (profit > 0) return 'won';
+  if (profit < 0) return 'lost';
+  return 'push';
+}
+
+// Bets, parlays and challenges as positions:
+// { kind, type, label, stake, status, profit, settledAt }. `status` is
+// 'open', 'won', 'lost', 'push' or 'void' (cancelled; counts for nothing),
+// and `profit` is null while the position is open.
+function betPosition(bet) {
+  const base = { kind: 'bet', type: lineType(bet), label: `"${bet.option}" on "${bet.question}"`, stake: bet.amount };
+  if (bet.line_status === 'cancelled') {
+    return { ...base, status: 'void', profit: 0, settledAt: bet.cancelled_at };
+  }
+  if (bet.line_status !== 'resolved') {
+    return { ...base, status: 'open', profit: null, settledAt: null };
+  }
+  // Settled bets are judged by what the ledger paid back, so dead heats
+  // that return less than the stake count as losses
+  const profit = bet.returned - bet.amount;
+  return { ...base, status: resultOf(profit), profit, settledAt: bet.resolved_at };
+}
+
+function parlayPosition(parlay) {
+  const base = { kind: 'parlay', type: 'parlay', label: `parlay at ${parlay.odds.toFixed(2)}x`, stake: parlay.stake };
+  if (parlay.status === 'open') {
+    return { ...base, status: 'open', profit: null, settledAt: null };
+  }
+  if (parlay.status === 'void') {
+    return { ...base, status: 'void', profit: 0, settledAt: parlay.settled_at };
+  }
+  const profit = (parlay.payout || 0) - parlay.stake;
+  return { ...base, status: resultOf(profit), profit, settledAt: parlay.settled_at };
+}
+
+// Null for challenges that never put the user's stake at risk: declined or
+// expired ones, and ones still waiting for the user to accept
+function challengePosition(challenge, userId) {
+  const side = challenge.challenger_id === userId ? 'challenger' : 'target';
+  const base = { kind: 'challenge', type: 'challenge', label: `challenge "${challenge.statement}"`, stake: challenge.stake };
+  if (['declined', 'expired'].includes(challenge.status)) return null;
+  if (challenge.status === 'pending') {
+    return side === 'challenger' ? { ...base, status: 'open', profit: null, settledAt: null } : null;
+  }
+  if (challenge.status !== 'settled') {
+    return { ...base, status: 'open', profit: null, settledAt: null };
+  }
+  if (challenge.winner === 'push') {
+    return { ...base, status: 'push', profit: 0, settledAt: challenge.settled_at };
+  }
+  const profit = challenge.winner === side ? challenge.stake : -challenge.stake;
+  return { ...base, status: resultOf(profit), profit, settledAt: challenge.settled_at };
+}
+
+// Win rate, ROI, streaks and the rest from a list of positions in the
+// order they were placed. Pushes count towards ROI but not the win rate
+// or streaks; void positions count for nothing.
+function summarize(positions) {
+  const settled = positions
+    .filter(p => ['won', 'lost', 'push'].includes(p.status))
+    .sort((a, b) => new Date(a.settledAt) - new Date(b.settledAt));
+  const open = positions.filter(p => p.status === 'open');
+
+  const wins = settled.filter(p => p.status === 'won').length;
+  const losses = settled.filter(p => p.status === 'lost').length;
+  const staked = settled.reduce((sum, p) => sum + p.stake, 0);
+  const profit = settled.reduce((sum, p) => sum + p.profit, 0);
+
+  let longestWinStreak = 0;
+  let run = 0;
+  const decided = settled.filter(p => p.status !== 'push');
+  decided.forEach((p) => {
+    run = p.status === 'won' ? run + 1 : 0;
+    longestWinStreak = Math.max(longestWinStreak, run);
+  });
+  let currentStreak = null;
+  if (decided.length > 0) {
+    const last = decided[decided.length - 1].status;
+    let length = 0;
+    for (let i = decided.length - 1; i >= 0 && decided[i].status === last; i--) length++;
+    currentStreak = { result: last, length };
+  }
+
+  const biggestWin = settled.reduce((best, p) => (p.profit > 0 && (!best || p.profit > best.profit) ? p : best), null);
+
+  // The most common kind of position; ties go to the one used first
+  const counts = new Map();
+  positions.filter(p => p.status !== 'void').forEach(p => counts.set(p.type, (counts.get(p.type) || 0) + 1));
+  let favouriteType = null;
+  counts.forEach((count, type) => {
+    if (!favouriteType || count > counts.get(favouriteType)) favouriteType = type;
+  });
+
+  return {
+    settledCount: settled.length,
+    wins,
+    losses,
+    pushes: settled.length - wins - losses,
+    winRate: wins + losses > 0 ? wins / (wins + losses) : null,
+    staked,
+    profit,
+    roi: staked > 0 ? profit / staked : null,
+    currentStreak,
+    longestWinStreak,
+    biggestWin,
+    favouriteType,
+    open,
+    inPlay: open.reduce((sum, p) => sum + p.stake, 0),
+    recent: settled.slice(-RECENT_LIMIT).reverse(),
+  };
+}
+
+// Betting stats worked out from a user's bet, parlay and challenge history
+// in a league, rather than from the running totals on their row
+class StatsService {
+  constructor(db, {
+    leaderboardMinBets = parseInt(process.env.LEADERBOARD_MIN_BETS || `${DEFAULT_LEADERBOARD_MIN_BETS}`, 10)
+  } = {}) {
+    this.db = db;
+    this.leaderboardMinBets = leaderboardMinBets;
+  }
+
+  async getPositions(userId, leagueId = DEFAULT_LEAGUE_ID) {
+    const bets = await this.db.getBetHistory(userId, leagueId);
+    const parlays = await this.db.getParlayHistory(userId, leagueId);
+    const challenges = await this.db.getChallengeHistory(userId, leagueId);
+    return [
+      ...bets.map(betPosition),
+      ...parlays.map(parlayPosition),
+      ...challenges.map(c => challengePosition(c, userId)).filter(Boolean),
+    ];
+  }
+
+  // Every member's positions in a league, keyed by user ID, from one query
+  // per kind rather than three per member
+  async getLeaguePositions(leagueId = DEFAULT_LEAGUE_ID) {
+    const bets = await this.db.getLeagueBetHistory(leagueId);
+    const parlays = await this.db.getLeagueParlayHistory(leagueId);
+    const challenges = await this.db.getLeagueChallengeHistory(leagueId);
+
+    const byUser = new Map();
+    const add = (userId, position) => {
+      if (!position) return;
+      if (!byUser.has(userId)) byUser.set(userId, []);
+      byUser.get(userId).push(position);
+    };
+    // Same order as getPositions: bets, then parlays, then challenges
+    bets.forEach(bet => add(bet.user_id, betPosition(bet)));
+    parlays.forEach(parlay => add(parlay.user_id, parlayPosition(parlay)));
+    challenges.forEach((challenge) => {
+      add(challenge.challenger_id, challengePosition(challenge, challenge.challenger_id));
+      add(challenge.target_id, challengePosition(challenge, challenge.target_id));
+    });
+    return byUser;
+  }
+
+  async getStats(userId, leagueId = DEFAULT_LEAGUE_ID) {
+    return summarize(await this.getPositions(userId, leagueId));
+  }
+
+  // Rank a league's members by `by` over `period`. Returns every ranked
+  // member (so callers can find anyone's place, not just the top `limit`)
+  // plus those left out for having too few settled bets. Balance is always
+  // the current one; other metrics count positions settled in the period,
+  // and members with none are left out.
+  async getLeaderboard(leagueId = DEFAULT_LEAGUE_ID, { by = 'balance', period = 'all', limit = 10, now = new Date() } = {}) {
+    if (!LEADERBOARD_METRICS.includes(by)) {
+      throw new Error(`Unknown leaderboard "${by}". Rank by one of: ${LEADERBOARD_METRICS.join(', ')}`);
+    }
+    if (!Object.keys(PERIODS).includes(period)) {
+      throw new Error(`Unknown period "${period}". Use one of: ${Object.keys(PERIODS).join(', ')}`);
+    }
+    if (by === 'balance' && period !== 'all') {
+      throw new Error('Balances are always current. Rank by profit, roi, winrate or streak for a period.');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LEADERBOARD_LIMIT) {
+      throw new Error(`The limit must be between 1 and ${MAX_LEADERBOARD_LIMIT}`);
+    }
+
+    let since = null;
+    let season = null;
+    if (period === 'season') {
+      season = await this.db.getActiveSeason(leagueId);
+      if (!season) {
+        throw new Error('No season is running, so there is no season leaderboard. Try `period: all`.');
+      }
+      since = new Date(season.started_at);
+    } else if (PERIODS[period]) {
+      since = new Date(now.getTime() - PERIODS[period] * DAY_MS);
+    }
+
+    const minBets = RATE_METRICS.includes(by) ? this.leaderboardMinBets : 0;
+    const positionsByUser = by === 'balance' ? null : await this.getLeaguePositions(leagueId);
+    const entries = [];
+    const unqualified = [];
+    for (const member of await this.db.getLeagueMembers(leagueId)) {
+      if (by === 'balance') {
+        entries.push({ userId: member.id, username: member.username, balance: member.balance, value: member.balance, stats: null });
+        continue;
+      }
+
+      const positions = (positionsByUser.get(member.id) || [])
+        .filter(p => p.status !== 'open' && (!since || new Date(p.settledAt) >= since));
+      const stats = summarize(positions);
+      if (stats.settledCount === 0) continue;
+      if (stats.settledCount < minBets) {
+        unqualified.push({ userId: member.id, username: member.username, settledCount: stats.settledCount });
+        continue;
+      }
+
+      const value = {
+        profit: stats.profit,
+        roi: stats.roi,
+        winrate: stats.winRate,
+        streak: stats.longestWinStreak,
+      }[by];
+      // Someone with only pushes has no win rate
+      if (value === null) continue;
+      entries.push({ userId: member.id, username: member.username, balance: member.balance, value, stats });
+    }
+
+    entries.sort((a, b) => b.value - a.value || b.balance - a.balance || a.username.localeCompare(b.username));
+    // Equal values share a rank
+    entries.forEach((entry, i) => {
+      entry.rank = i > 0 && entries[i - 1].value === entry.value ? entries[i - 1].rank : i + 1;
+    });
+
+    return { by, period, since, season, limit, minBets, ranked: entries, top: entries.slice(0, limit), unqualified };
+  }
+}
+
+StatsService.LEADERBOARD_METRICS = LEADERBOARD_METRICS;
+StatsService.PERIODS = Object.keys(PERIODS);
+StatsService.summarize = summarize;
+StatsService.betPosition = betPosition;
+StatsService.parlayPosition = parlayPosition;
+StatsService.challengePosition = challengePosition;
+
+module.exports = StatsService;
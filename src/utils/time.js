@@ -0,0 +1,44 @@
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// One `<number><unit>` chunk of a relative time, e.g. `2h` or `30 minutes`
+const DURATION_PART = '(\\d+)\\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?|w|wks?|weeks?)(?![a-z])';
+
+// Parse a closing time. Accepts a relative time such as `in 2h`, `in 1d 6h`
+// or `in 45m`, or anything Date understands (`2025-06-01 17:00`,
+// `2025-06-01T17:00:00Z`). Times without an offset use the server's zone.
+function parseCloseTime(text, now = new Date()) {
+  const value = (text || '').trim();
+
+  const relative = value.match(new RegExp(`^in\\s+((?:${DURATION_PART}\\s*)+)$`, 'i'));
+  if (relative) {
+    let ms = 0;
+    for (const [, amount, unit] of relative[1].matchAll(new RegExp(DURATION_PART, 'gi'))) {
+      ms += parseInt(amount, 10) * UNIT_MS[unit[0].toLowerCase()];
+    }
+    return new Date(now.getTime() + ms);
+  }
+
+  const absolute = new Date(value);
+  if (value && !Number.isNaN(absolute.getTime())) {
+    return absolute;
+  }
+
+  throw new Error(`Could not understand the time "${value}". Try \`in 2h\`, \`in 1d\` or \`2025-06-01 17:00\`.`);
+}
+
+// Slack date token that renders in each reader's own time zone
+function formatSlackDate(date) {
+  const d = new Date(date);
+  const unix = Math.floor(d.getTime() / 1000);
+  return `<!date^${unix}^{date_short_pretty} at {time}|${d.toISOString()}>`;
+}
+
+module.exports = {
+  parseCloseTime,
+  formatSlackDate
+};
@@ -0,0 +1,276 @@
+const { formatSlackDate } = require('../utils/time');
+const { describeSpec, formatSpecValue } = require('../services/numericLines');
+
+// Block Kit rendering for betting line cards. Everything in here is pure:
+// it takes a line (plus its summary and settlement) and returns the
+// message payload, so the handlers only decide when to post or update.
+
+const BAR_WIDTH = 10;
+// Guesses listed on a closest-guess card before the rest are summarised
+const MAX_GUESSES_SHOWN = 15;
+
+// Action and callback IDs shared with the interactive handlers
+const ACTIONS = {
+  placeBet: 'place_bet',
+  placeGuess: 'place_guess',
+  lineAdmin: 'line_admin',
+};
+
+const STATUS_LABELS = {
+  open: '🟢 Open for betting',
+  locked: '🔒 Locked',
+  resolved: '✅ Resolved',
+  cancelled: '🚫 Cancelled',
+};
+
+// Option text goes into mrkdwn, where <, > and & are control characters
+// (bucket labels such as `<10` are the usual culprits)
+function escapeText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// How commands and messages refer to a line: its short number (`#42`), or
+// its full ID when the number is not known
+function lineRef(line) {
+  return line.number ? `#${line.number}` : line.id;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+// `▰▰▰▱▱▱▱▱▱▱` for a 30% share of the pot
+function potBar(staked, totalPot, width = BAR_WIDTH) {
+  const filled = totalPot > 0 ? Math.round((staked / totalPot) * width) : 0;
+  return '▰'.repeat(filled) + '▱'.repeat(width - filled);
+}
+
+// 3.3333 -> `3.33x`; null (nothing staked yet) -> `–`
+function formatMultiplier(multiplier) {
+  return multiplier === null || multiplier === undefined ? '–' : `${multiplier.toFixed(2)}x`;
+}
+
+function formatProbability(probability) {
+  return probability === null || probability === undefined ? '–' : `${Math.round(probability * 100)}%`;
+}
+
+function stakeRange(line) {
+  const minStake = line.min_stake || 1;
+  return line.max_stake ? `${minStake}–${line.max_stake}` : `${minStake}+`;
+}
+
+// Overflow entries for the line's admin menu. Everyone sees the menu;
+// permissions are checked when an entry is picked.
+function adminMenuOptions(line) {
+  const entries = [];
+  if (line.status === 'open') entries.push(['lock', '🔒 Lock betting']);
+  if (line.status === 'open' || line.status === 'locked') {
+    entries.push(['resolve', '🏆 Resolve'], ['cancel', '🚫 Cancel and refund']);
+  }
+
+  return entries.map(([action, label]) => ({
+    text: { type: 'plain_text', text: label, emoji: true },
+    value: `${action}|${line.id}`,
+  }));
+}
+
+// Every winning option of a resolved line; empty for a push
+function winnersOf(line) {
+  if (line.status !== 'resolved' || line.resolution_mode === 'push') return [];
+  return line.winner_options || (line.winner_option ? [line.winner_option] : []);
+}
+
+// What the result means for bettors, shown on the card and in the announcement
+function explainOutcome(outcome) {
+  if (outcome.mode === 'push') {
+    return '↩️ *Push* – the line was called off as a tie and every stake was refunded.';
+  }
+  if (outcome.mode === 'closest') {
+    return outcome.winners.length
+      ? `🎯 *Closest guess: ${outcome.winners.map(escapeText).join(', ')}*`
+      : '🎯 *No guess qualified* – every stake was refunded.';
+  }
+  if (outcome.mode === 'dead_heat') {
+    return `🤝 *Dead heat* between ${outcome.winners.map(w => `*${escapeText(w)}*`).join(' and ')} – the losing pool is split equally between them, then by stake.`;
+  }
+  return `🏆 *Winner: ${escapeText(outcome.winners[0])}*`;
+}
+
+function optionBlock(line, option, index, summary) {
+  const emoji = line.emojis[index] || '';
+  const staked = summary?.stakeByOption?.[option] || 0;
+  const count = (summary?.betsByOption?.[option] || []).length;
+  const totalPot = summary?.totalPot || 0;
+  const odds = summary?.odds?.[index] || {};
+  const winner = winnersOf(line).includes(option) ? '  🏆' : '';
+
+  const block = {
+    type: 'section',
+    block_id: `option_${index}`,
+    text: {
+      type: 'mrkdwn',
+      text: `${emoji} *${escapeText(option)}*${winner}\n\`${potBar(staked, totalPot)}\` ${formatProbability(odds.impliedProbability)} · pays ${formatMultiplier(odds.multiplier)} · ${plural(staked, 'unit')} · ${plural(count, 'bet')}`,
+    },
+  };
+
+  if (line.status === 'open') {
+    block.accessory = {
+      type: 'button',
+      action_id: ACTIONS.placeBet,
+      text: { type: 'plain_text', text: 'Bet', emoji: true },
+      value: `${line.id}|${index}`,
+    };
+  }
+  return block;
+}
+
+// Every guess on a closest-guess line, lowest first, with a Guess button
+// while the line is open
+function guessesBlock(line, summary) {
+  const guesses = summary?.guesses || [];
+  const winners = winnersOf(line);
+  const shown = guesses.slice(0, MAX_GUESSES_SHOWN);
+
+  let text = shown
+    .map(bet => `• *${escapeText(bet.option)}* – ${escapeText(bet.username)} (${plural(bet.amount, 'unit')})${winners.includes(bet.option) ? '  🏆' : ''}`)
+    .join('\n') || '_No guesses yet._';
+  if (guesses.length > shown.length) {
+    text += `\n_…and ${guesses.length - shown.length} more_`;
+  }
+
+  const block = { type: 'section', block_id: 'guesses', text: { type: 'mrkdwn', text } };
+  if (line.status === 'open') {
+    block.accessory = {
+      type: 'button',
+      action_id: ACTIONS.placeGuess,
+      text: { type: 'plain_text', text: 'Guess', emoji: true },
+      value: line.id,
+    };
+  }
+  return block;
+}
+
+function payoutBlocks(line, payoutData) {
+  const mode = ['push', 'closest', 'dead_heat'].includes(line.resolution_mode) ? line.resolution_mode : 'single';
+  const outcome = { mode, winners: winnersOf(line) };
+  let text = explainOutcome(outcome);
+  if (line.reported_value !== null && line.reported_value !== undefined) {
+    text += `\n📏 Reported value: *${escapeText(formatSpecValue(line.numeric_spec, line.reported_value))}*`;
+  }
+  if (payoutData?.payouts?.length) {
+    text += '\n\n🎉 *Payouts:*\n';
+    text += payoutData.payouts
+      .map((p) => `• ${p.username}: +${p.winnings} units (${p.payout} returned on a ${p.stake} stake)`)
+      .join('\n');
+  }
+  if (payoutData?.message) text += `\n\n${payoutData.message}`;
+  if (line.disputed_at) text += '\n\n⚠️ *This result is disputed* and is being reviewed by an admin.';
+
+  return [{ type: 'section', block_id: 'payouts', text: { type: 'mrkdwn', text } }];
+}
+
+// Build the chat.postMessage / chat.update payload for a line.
+// `line.options` and `line.emojis` must already be arrays.
+function buildBettingCard(line, summary = null, payoutData = null) {
+  const status = line.status || 'open';
+  const statusLabel = STATUS_LABELS[status] || status;
+
+  let details = `💵 Stake: ${stakeRange(line)} units`;
+  if (line.numeric_spec) {
+    details = `📏 ${escapeText(describeSpec(line.numeric_spec))}\n${details}`;
+  }
+  if (line.league_name && line.league_id !== 'default') {
+    details += `\n🏟️ League: ${escapeText(line.league_name)}`;
+  }
+  if (line.lock_at && status === 'open') {
+    details += `\n⏰ Betting closes ${formatSlackDate(line.lock_at)}`;
+  }
+  const detailsBlock = { type: 'section', block_id: 'details', text: { type: 'mrkdwn', text: details } };
+  const menu = adminMenuOptions({ ...line, status });
+  if (menu.length) {
+    detailsBlock.accessory = {
+      type: 'overflow',
+      action_id: ACTIONS.lineAdmin,
+      options: menu,
+    };
+  }
+
+  const blocks = [
+    {
+      type: 'header',
+      block_id: 'question',
+      text: { type: 'plain_text', text: `🎯 ${line.question}`.slice(0, 150), emoji: true },
+    },
+    detailsBlock,
+    { type: 'divider' },
+    ...(line.numeric_spec?.kind === 'closest'
+      ? [guessesBlock({ ...line, status }, summary)]
+      : line.options.map((option, i) => optionBlock({ ...line, status }, option, i, summary))),
+    { type: 'divider' },
+    {
+      type: 'section',
+      block_id: 'pot',
+      text: {
+        type: 'mrkdwn',
+        text: `💰 *Total pot:* ${plural(summary?.totalPot || 0, 'unit')} from ${plural(summary?.totalBets || 0, 'bet')}`,
+      },
+    },
+  ];
+
+  if (status === 'resolved') {
+    blocks.push(...payoutBlocks(line, payoutData));
+  }
+  if (status === 'cancelled') {
+    const reason = line.cancel_reason ? `: ${line.cancel_reason}` : '';
+    blocks.push({
+      type: 'section',
+      block_id: 'cancellation',
+      text: { type: 'mrkdwn', text: `🚫 *This line was cancelled${reason}*\nEvery stake has been refunded.` },
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    block_id: 'status',
+    elements: [{ type: 'mrkdwn', text: `${statusLabel}${line.disputed_at ? ' · ⚠️ Disputed' : ''} · Line ID: \`${lineRef(line)}\`` }],
+  });
+
+  return {
+    // Fallback for notifications and clients that can't render blocks
+    text: `🎯 ${line.question} — ${statusLabel}`,
+    blocks,
+  };
+}
+
+// Ephemeral `/bet odds` breakdown, from BettingService#getOdds
+function buildOddsMessage({ line, odds, totalPot, position }) {
+  let text = `*📊 Odds for "${line.question}"*\n\n`;
+  text += odds
+    .map((o, i) => `${line.emojis[i] || ''} *${o.option}*: pays ${formatMultiplier(o.multiplier)} · ${formatProbability(o.impliedProbability)} implied · ${plural(o.staked, 'unit')} staked`)
+    .join('\n');
+  text += `\n\n💰 Total pot: ${plural(totalPot, 'unit')}`;
+
+  if (position) {
+    text += `\n🎯 Your bet: ${plural(position.stake, 'unit')} on "${position.option}". `
+      + `If it wins now you get ${plural(position.potentialPayout, 'unit')} back (+${position.potentialPayout - position.stake}).`;
+  } else {
+    text += '\n🎯 You have no bet on this line.';
+  }
+  text += '\n_Pari-mutuel odds move with every bet until the line locks._';
+
+  return { text };
+}
+
+module.exports = {
+  ACTIONS,
+  STATUS_LABELS,
+  escapeText,
+  lineRef,
+  potBar,
+  stakeRange,
+  formatMultiplier,
+  formatProbability,
+  explainOutcome,
+  buildBettingCard,
+  buildOddsMessage,
+};
@@ -0,0 +1,133 @@
+const { formatSlackDate } = require('../utils/time');
+const { escapeText } = require('./bettingCard');
+
+// Block Kit rendering for head-to-head challenges. Like the betting card,
+// this is pure: it takes a challenge row (with both sides' Slack IDs, see
+// Database#getChallenge) and returns the message payload.
+
+const CHALLENGE_ACTIONS = {
+  accept: 'challenge_accept',
+  decline: 'challenge_decline',
+  claimWon: 'challenge_claim_won',
+  claimLost: 'challenge_claim_lost',
+  claimPush: 'challenge_claim_push',
+};
+
+// The result each claim button reports, from the clicker's point of view
+const CLAIM_RESULTS = {
+  [CHALLENGE_ACTIONS.claimWon]: 'won',
+  [CHALLENGE_ACTIONS.claimLost]: 'lost',
+  [CHALLENGE_ACTIONS.claimPush]: 'push',
+};
+
+const CHALLENGE_STATUS_LABELS = {
+  pending: '⏳ Waiting for an answer',
+  accepted: '🤝 Accepted',
+  disputed: '⚠️ Disputed',
+  settled: '✅ Settled',
+  declined: '🙅 Declined',
+  expired: '⌛ Expired',
+};
+
+function mention(challenge, side) {
+  return `<@${side === 'challenger' ? challenge.challenger_slack_id : challenge.target_slack_id}>`;
+}
+
+// 'challenger' -> `<@U1> won`, 'push' -> `push`
+function describeClaim(challenge, claim) {
+  return claim === 'push' ? 'push' : `${mention(challenge, claim)} won`;
+}
+
+function button(actionId, label, value, style = null) {
+  const element = { type: 'button', action_id: actionId, text: { type: 'plain_text', text: label, emoji: true }, value };
+  if (style) element.style = style;
+  return element;
+}
+
+function statusText(challenge) {
+  const pot = challenge.stake * 2;
+  switch (challenge.status) {
+    case 'pending':
+      return `⏳ Waiting for ${mention(challenge, 'target')} to accept. Expires ${formatSlackDate(challenge.expires_at)}.`;
+    case 'accepted':
+    case 'disputed': {
+      const claims = ['challenger', 'target'].map((side) => {
+        const claim = challenge[`${side}_claim`];
+        return `• ${mention(challenge, side)}: ${claim ? describeClaim(challenge, claim) : '_no result reported yet_'}`;
+      });
+      let text = `🔐 ${pot} units in escrow. Both sides report the result; matching reports settle it.\n${claims.join('\n')}`;
+      if (challenge.status === 'disputed') {
+        text += `\n⚠️ *The two sides disagree.* An admin will settle it with \`/bet challenge settle ${challenge.id} @winner|push\`.`;
+      }
+      return text;
+    }
+    case 'settled': {
+      const by = challenge.settled_by ? ` (settled by <@${challenge.settled_by}>)` : '';
+      return challenge.winner === 'push'
+        ? `↩️ *Push* – both stakes were refunded${by}.`
+        : `🏆 *${mention(challenge, challenge.winner)} wins ${pot} units*${by}.`;
+    }
+    case 'declined':
+      return `🙅 ${mention(challenge, 'target')} declined. ${mention(challenge, 'challenger')}'s stake was refunded.`;
+    case 'expired':
+      return `⌛ Nobody accepted in time. ${mention(challenge, 'challenger')}'s stake was refunded.`;
+    default:
+      return challenge.status;
+  }
+}
+
+function buildChallengeCard(challenge) {
+  const statusLabel = CHALLENGE_STATUS_LABELS[challenge.status] || challenge.status;
+  const blocks = [
+    {
+      type: 'section',
+      block_id: 'challenge',
+      text: {
+        type: 'mrkdwn',
+        text: `⚔️ ${mention(challenge, 'challenger')} challenges ${mention(challenge, 'target')}:\n*${escapeText(challenge.statement)}*\n💵 ${challenge.stake} units each`,
+      },
+    },
+    { type: 'section', block_id: 'challenge_status', text: { type: 'mrkdwn', text: statusText(challenge) } },
+  ];
+
+  if (challenge.status === 'pending') {
+    blocks.push({
+      type: 'actions',
+      block_id: 'challenge_answer',
+      elements: [
+        button(CHALLENGE_ACTIONS.accept, 'Accept', challenge.id, 'primary'),
+        button(CHALLENGE_ACTIONS.decline, 'Decline', challenge.id, 'danger'),
+      ],
+    });
+  }
+  if (challenge.status === 'accepted' || challenge.status === 'disputed') {
+    blocks.push({
+      type: 'actions',
+      block_id: 'challenge_claim',
+      elements: [
+        button(CHALLENGE_ACTIONS.claimWon, 'I won', challenge.id),
+        button(CHALLENGE_ACTIONS.claimLost, 'I lost', challenge.id),
+        button(CHALLENGE_ACTIONS.claimPush, 'Push', challenge.id),
+      ],
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    block_id: 'status',
+    elements: [{ type: 'mrkdwn', text: `${statusLabel} · Challenge ID: \`${challenge.id}\`` }],
+  });
+
+  return {
+    text: `⚔️ ${challenge.challenger_name} challenges ${challenge.target_name}: ${challenge.statement} — ${statusLabel}`,
+    blocks,
+  };
+}
+
+module.exports = {
+  CHALLENGE_ACTIONS,
+  CLAIM_RESULTS,
+  CHALLENGE_STATUS_LABELS,
+  describeClaim,
+  buildChallengeCard,
+};
@@ -0,0 +1,396 @@
+const { stakeRange } = require('./bettingCard');
+const { describeSpec } = require('../services/numericLines');
+const { parseCloseTime } = require('../utils/time');
+
+// Modal views for creating, betting on and resolving lines. Like the card
+// itself these are pure builders; the handlers own views.open and the
+// submissions.
+
+const CALLBACKS = {
+  placeBet: 'place_bet_modal',
+  placeGuess: 'place_guess_modal',
+  resolveLine: 'resolve_line_modal',
+  cancelLine: 'cancel_line_modal',
+  createLine: 'create_line_modal',
+  createLineShortcut: 'create_betting_line',
+};
+
+// Buttons inside the creation modal that grow or shrink the options list
+const MODAL_ACTIONS = {
+  addOption: 'create_line_add_option',
+  removeOption: 'create_line_remove_option',
+};
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+
+// Emojis a creator can pick for an option. The stake multiplier reactions
+// (:two:, :three:, :five:, :keycap_ten:) are deliberately left out.
+const OPTION_EMOJIS = [
+  ':white_check_mark:', ':x:', ':chart_with_upwards_trend:', ':chart_with_downwards_trend:',
+  ':trophy:', ':broken_heart:', ':handshake:',
+  ':a:', ':b:', ':c:', ':d:', ':e:', ':f:', ':g:', ':h:', ':i:', ':j:',
+  ':red_circle:', ':large_blue_circle:', ':large_green_circle:', ':large_yellow_circle:',
+  ':fire:', ':snowflake:', ':rocket:', ':turtle:', ':sunny:', ':umbrella:', ':+1:', ':-1:',
+];
+
+function plainText(text) {
+  return { type: 'plain_text', text, emoji: true };
+}
+
+function stakeInput(line, initial) {
+  const element = {
+    type: 'number_input',
+    action_id: 'amount',
+    is_decimal_allowed: false,
+    min_value: String(line.min_stake || 1),
+    initial_value: String(initial),
+  };
+  if (line.max_stake) element.max_value = String(line.max_stake);
+  return element;
+}
+
+// Stake picker for backing `line.options[optionIndex]`. `balance` is what
+// the user could stake, i.e. their balance plus any stake already on the line.
+function buildStakeModal(line, optionIndex, { channelId, balance, currentBet = null } = {}) {
+  const option = line.options[optionIndex];
+  const emoji = line.emojis[optionIndex] || '';
+  const minStake = line.min_stake || 1;
+  const initial = currentBet && currentBet.option === option ? currentBet.amount : minStake;
+  const stakeElement = stakeInput(line, initial);
+
+  let note = `Stake ${stakeRange(line)} units · You have ${balance} units available`;
+  if (currentBet) {
+    note += `\nThis replaces your ${currentBet.amount} unit bet on "${currentBet.option}"`;
+  }
+
+  return {
+    type: 'modal',
+    callback_id: CALLBACKS.placeBet,
+    private_metadata: JSON.stringify({ lineId: line.id, optionIndex, channelId }),
+    title: plainText('Place a bet'),
+    submit: plainText('Place bet'),
+    close: plainText('Cancel'),
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*${line.question}*\nYou're backing ${emoji} *${option}*` },
+      },
+      {
+        type: 'input',
+        block_id: 'stake',
+        label: plainText('Stake (units)'),
+        element: stakeElement,
+      },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: note }] },
+    ],
+  };
+}
+
+// Guess and stake for a closest-guess line. Date lines get a date picker.
+function buildGuessModal(line, { channelId, balance, currentBet = null } = {}) {
+  const spec = line.numeric_spec;
+  const guessElement = spec.valueType === 'date'
+    ? { type: 'datepicker', action_id: 'value' }
+    : { type: 'number_input', action_id: 'value', is_decimal_allowed: true };
+
+  let note = `Stake ${stakeRange(line)} units · You have ${balance} units available`;
+  if (currentBet) {
+    note += `\nThis replaces your ${currentBet.amount} unit guess of ${currentBet.option}`;
+  }
+
+  return {
+    type: 'modal',
+    callback_id: CALLBACKS.placeGuess,
+    private_metadata: JSON.stringify({ lineId: line.id, channelId }),
+    title: plainText('Make a guess'),
+    submit: plainText('Guess'),
+    close: plainText('Cancel'),
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*${line.question}*\n${describeSpec(spec)}` },
+      },
+      {
+        type: 'input',
+        block_id: 'guess',
+        label: plainText(spec.valueType === 'date' ? 'Your guess' : `Your guess${spec.unit ? ` (${spec.unit})` : ''}`),
+        element: guessElement,
+      },
+      {
+        type: 'input',
+        block_id: 'stake',
+        label: plainText('Stake (units)'),
+        element: stakeInput(line, currentBet ? currentBet.amount : line.min_stake || 1),
+      },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: note }] },
+    ],
+  };
+}
+
+// The guess (as text, for BettingService#placeGuess) and stake from a
+// submitted guess modal
+function readGuessSubmission(view) {
+  const guess = view.state.values.guess.value;
+  return {
+    guess: guess.selected_date || guess.value || '',
+    amount: Number(view.state.values.stake.amount.value),
+  };
+}
+
+function buildResolveModal(line, { channelId } = {}) {
+  return {
+    type: 'modal',
+    callback_id: CALLBACKS.resolveLine,
+    private_metadata: JSON.stringify({ lineId: line.id, channelId }),
+    title: plainText('Resolve line'),
+    submit: plainText('Resolve'),
+    close: plainText('Cancel'),
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `*${line.question}*` } },
+      {
+        type: 'input',
+        block_id: 'winner',
+        optional: true,
+        label: plainText('Winning option(s)'),
+        hint: plainText('Pick more than one for a dead heat: the losing pool is split equally between them.'),
+        element: {
+          type: 'multi_static_select',
+          action_id: 'option',
+          placeholder: plainText('Pick the winner'),
+          options: line.options.map((option, i) => ({
+            text: plainText(`${line.emojis[i] || ''} ${option}`.trim().slice(0, 75)),
+            value: String(i),
+          })),
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'push',
+        optional: true,
+        label: plainText('Push'),
+        element: {
+          type: 'checkboxes',
+          action_id: 'push',
+          options: [{
+            text: plainText('Call it a push and refund every stake'),
+            value: 'push',
+          }],
+        },
+      },
+    ],
+  };
+}
+
+// Turn a resolve modal submission into an outcome (see payouts.js), with
+// any problems keyed by block_id for `response_action: 'errors'`
+function readResolveSubmission(view, line) {
+  const values = view.state.values;
+  const picked = (values.winner?.option?.selected_options || []).map(o => line.options[Number(o.value)]);
+  const push = (values.push?.push?.selected_options || []).length > 0;
+  const errors = {};
+
+  if (push && picked.length) {
+    errors.push = 'A push refunds everyone, so leave the winners empty.';
+  } else if (!push && !picked.length) {
+    errors.winner = 'Pick at least one winner, or tick push.';
+  } else if (picked.length === line.options.length) {
+    errors.winner = 'Every option cannot win. Tick push to refund every stake instead.';
+  }
+
+  let outcome = null;
+  if (push) outcome = { mode: 'push', winners: [] };
+  else if (picked.length) outcome = { mode: picked.length > 1 ? 'dead_heat' : 'single', winners: picked };
+  return { outcome, errors };
+}
+
+function buildCancelModal(line, { channelId } = {}) {
+  return {
+    type: 'modal',
+    callback_id: CALLBACKS.cancelLine,
+    private_metadata: JSON.stringify({ lineId: line.id, channelId }),
+    title: plainText('Cancel line'),
+    submit: plainText('Cancel and refund'),
+    close: plainText('Keep line'),
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*${line.question}*\nEvery stake on this line will be refunded and bettors will be notified.` },
+      },
+      inputBlock('reason', 'Reason', { type: 'plain_text_input', max_length: 200 }, { optional: true }),
+    ],
+  };
+}
+
+function inputValue(values, blockId) {
+  const state = values?.[blockId]?.value;
+  if (!state) return null;
+  if (state.selected_option) return state.selected_option.value;
+  if (state.selected_conversation) return state.selected_conversation;
+  return state.value ?? null;
+}
+
+function withInitial(element, value) {
+  if (value == null || value === '') return element;
+  if (element.type === 'static_select') {
+    const selected = element.options.find(o => o.value === value);
+    return selected ? { ...element, initial_option: selected } : element;
+  }
+  if (element.type === 'conversations_select') {
+    return { ...element, initial_conversation: value };
+  }
+  return { ...element, initial_value: String(value) };
+}
+
+function inputBlock(blockId, label, element, { values, optional = false, hint } = {}) {
+  const block = {
+    type: 'input',
+    block_id: blockId,
+    optional,
+    label: plainText(label),
+    element: withInitial({ action_id: 'value', ...element }, inputValue(values, blockId)),
+  };
+  if (hint) block.hint = plainText(hint);
+  return block;
+}
+
+// Line creation form. `values` is the state of the view being replaced, so
+// adding or removing an option keeps what was already typed.
+function buildCreateLineModal({ optionCount = MIN_OPTIONS, channelId = null, values = null } = {}) {
+  const count = Math.min(MAX_OPTIONS, Math.max(MIN_OPTIONS, optionCount));
+
+  const channelElement = {
+    type: 'conversations_select',
+    filter: { include: ['public', 'private'], exclude_bot_users: true },
+  };
+  const channelValues = values || (channelId ? { channel: { value: { selected_conversation: channelId } } } : null);
+
+  const optionBlocks = [];
+  for (let i = 0; i < count; i++) {
+    optionBlocks.push(
+      inputBlock(`option_${i}`, `Option ${i + 1}`, { type: 'plain_text_input', max_length: 75 }, {
+        values,
+        optional: i >= MIN_OPTIONS,
+      }),
+      inputBlock(`emoji_${i}`, `Emoji for option ${i + 1}`, {
+        type: 'static_select',
+        placeholder: plainText('Pick one for me'),
+        options: OPTION_EMOJIS.map(emoji => ({ text: plainText(emoji), value: emoji })),
+      }, { values, optional: true })
+    );
+  }
+
+  const controls = [];
+  if (count < MAX_OPTIONS) {
+    controls.push({ type: 'button', action_id: MODAL_ACTIONS.addOption, text: plainText('➕ Add option') });
+  }
+  if (count > MIN_OPTIONS) {
+    controls.push({ type: 'button', action_id: MODAL_ACTIONS.removeOption, text: plainText('➖ Remove option') });
+  }
+
+  return {
+    type: 'modal',
+    callback_id: CALLBACKS.createLine,
+    private_metadata: JSON.stringify({ optionCount: count, channelId }),
+    title: plainText('New betting line'),
+    submit: plainText('Create'),
+    close: plainText('Cancel'),
+    blocks: [
+      inputBlock('question', 'Question', { type: 'plain_text_input', max_length: 150 }, { values }),
+      ...optionBlocks,
+      { type: 'actions', block_id: 'option_controls', elements: controls },
+      inputBlock('closes', 'Betting closes', {
+        type: 'plain_text_input',
+        placeholder: plainText('in 2h, in 1d 6h or 2025-06-01 17:00'),
+      }, { values, optional: true, hint: 'Leave empty to lock the line by hand' }),
+      inputBlock('min_stake', 'Minimum stake', {
+        type: 'number_input', is_decimal_allowed: false, min_value: '1',
+      }, { values, optional: true }),
+      inputBlock('max_stake', 'Maximum stake', {
+        type: 'number_input', is_decimal_allowed: false, min_value: '1',
+      }, { values, optional: true, hint: 'Leave empty for no limit' }),
+      inputBlock('channel', 'Post in channel', channelElement, { values: channelValues }),
+    ],
+  };
+}
+
+// Read and validate a submitted creation form. Returns the line settings and
+// an `errors` map keyed by block ID, ready for `response_action: 'errors'`.
+function readCreateLineSubmission(view, now = new Date()) {
+  const { values } = view.state;
+  const { optionCount } = JSON.parse(view.private_metadata || '{}');
+  const errors = {};
+
+  const question = (inputValue(values, 'question') || '').trim();
+  if (!question) errors.question = 'Enter a question.';
+
+  const options = [];
+  const chosenEmojis = [];
+  const seenOptions = new Map();
+  const seenEmojis = new Map();
+  for (let i = 0; i < (optionCount || MIN_OPTIONS); i++) {
+    const option = (inputValue(values, `option_${i}`) || '').trim();
+    if (!option) continue;
+
+    const key = option.toLowerCase();
+    if (seenOptions.has(key)) {
+      errors[`option_${i}`] = `Same as option ${seenOptions.get(key) + 1}.`;
+    }
+    seenOptions.set(key, i);
+
+    const emoji = inputValue(values, `emoji_${i}`);
+    if (emoji && seenEmojis.has(emoji)) {
+      errors[`emoji_${i}`] = `Already used by option ${seenEmojis.get(emoji) + 1}.`;
+    }
+    if (emoji) seenEmojis.set(emoji, i);
+
+    options.push(option);
+    chosenEmojis.push(emoji || null);
+  }
+  if (options.length < MIN_OPTIONS && !errors.option_1) {
+    errors.option_1 = `Enter at least ${MIN_OPTIONS} options.`;
+  }
+
+  const limits = {};
+  const closes = (inputValue(values, 'closes') || '').trim();
+  if (closes) {
+    try {
+      limits.lockAt = parseCloseTime(closes, now);
+      if (limits.lockAt.getTime() <= now.getTime()) {
+        errors.closes = 'The closing time must be in the future.';
+      }
+    } catch (err) {
+      errors.closes = err.message;
+    }
+  }
+
+  const minStake = inputValue(values, 'min_stake');
+  const maxStake = inputValue(values, 'max_stake');
+  if (minStake) limits.minStake = parseInt(minStake, 10);
+  if (maxStake) limits.maxStake = parseInt(maxStake, 10);
+  if (limits.minStake !== undefined && limits.minStake < 1) {
+    errors.min_stake = 'Minimum stake must be at least 1 unit.';
+  }
+  if (limits.maxStake !== undefined && limits.maxStake < (limits.minStake || 1)) {
+    errors.max_stake = 'Maximum stake must be at least the minimum stake.';
+  }
+
+  const channelId = inputValue(values, 'channel');
+  if (!channelId) errors.channel = 'Pick a channel to post the line in.';
+
+  return { question, options, chosenEmojis, limits, channelId, errors };
+}
+
+module.exports = {
+  CALLBACKS,
+  MODAL_ACTIONS,
+  OPTION_EMOJIS,
+  buildStakeModal,
+  buildGuessModal,
+  readGuessSubmission,
+  buildResolveModal,
+  readResolveSubmission,
+  buildCancelModal,
+  buildCreateLineModal,
+  readCreateLineSubmission,
+};
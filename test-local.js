@@ -84,15 +84,13 @@ async function demonstrateBot() {
     // Simulate admin resolving with "over" as winner
     console.log('🏆 Admin resolves: "over" wins!');
     const payoutData = await bettingService.processPayouts(line.id, 'over');
-    await db.updateBettingLineStatus(line.id, 'resolved', {
-      winner_option: 'over',
-      resolved_at: new Date().toISOString()
-    });
 
     console.log('💰 Payout Results:');
     console.log(`   Total pot: ${payoutData.totalPot} units`);
-    console.log(`   Payout per winner: ${payoutData.payoutPerWinner} units`);
-    console.log(`   Remainder: ${payoutData.remainder} units`);
+    payoutData.payouts.forEach(p => {
+      console.log(`   ${p.username}: +${p.winnings} units (stake ${p.stake} returned)`);
+    });
+    console.log(`   Losing pool: ${payoutData.losingPool} units`);
     console.log();
 
     // Show final balances
@@ -101,9 +99,9 @@ async function demonstrateBot() {
     const finalBob = await db.getUserStats(bob.id);
     const finalCharlie = await db.getUserStats(charlie.id);
     
-    console.log(`   Alice: ${finalAlice.balance} units (started: 20, bet: 1, won: ${payoutData.payoutPerWinner})`);
-    console.log(`   Bob: ${finalBob.balance} units (started: 20, bet: 1, lost: 1)`);
-    console.log(`   Charlie: ${finalCharlie.balance} units (started: 20, bet: 1, won: ${payoutData.payoutPerWinner})`);
+    console.log(`   Alice: ${finalAlice.balance} units (started: 20)`);
+    console.log(`   Bob: ${finalBob.balance} units (started: 20)`);
+    console.log(`   Charlie: ${finalCharlie.balance} units (started: 20)`);
     console.log();
 
     // Show leaderboard
@@ -125,7 +123,7 @@ async function demonstrateBot() {
     console.error('❌ Demo failed:', error.message);
   } finally {
     // Cleanup
-    db.close();
+    await db.close();
     require('fs').unlinkSync('./demo.db');
     console.log('\n🧹 Demo database cleaned up');
   }
@@ -0,0 +1,65 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const AuthService = require('../src/services/authService');
+
+async function runTests() {
+  console.log('🧪 Running authorization tests...\n');
+
+  const db = new Database('./test-auth.db');
+  await db.init();
+  const auth = new AuthService(db);
+
+  try {
+    console.log('1. Testing ADMIN_USER_IDS bootstrap...');
+    await auth.bootstrapAdmins('UADMIN1, UADMIN2');
+    await auth.bootstrapAdmins('UADMIN1');
+    assert.ok(await auth.isAdmin('UADMIN1'));
+    assert.ok(await auth.isAdmin('UADMIN2'));
+    assert.ok(!(await auth.isAdmin('UNOBODY')));
+    assert.strictEqual((await db.listRoles()).length, 2);
+    console.log('✅ Admins seeded once');
+
+    console.log('\n2. Testing channel bookmakers...');
+    await auth.grant('UADMIN1', 'UBOOKIE', 'bookmaker', 'CSPORTS');
+    assert.ok(await auth.can('UBOOKIE', 'create_line', { channelId: 'CSPORTS' }));
+    assert.ok(!(await auth.can('UBOOKIE', 'create_line', { channelId: 'CRANDOM' })));
+    assert.ok(!(await auth.can('UNOBODY', 'create_line', { channelId: 'CSPORTS' })));
+    console.log('✅ Bookmakers can only create lines in their channel');
+
+    console.log('\n3. Testing line resolution rights...');
+    const ownLine = { bookmaker_id: 'UBOOKIE', slack_channel_id: 'CSPORTS' };
+    const otherLine = { bookmaker_id: 'UADMIN1', slack_channel_id: 'CSPORTS' };
+    assert.ok(await auth.can('UBOOKIE', 'resolve_line', { line: ownLine }));
+    assert.ok(!(await auth.can('UBOOKIE', 'resolve_line', { line: otherLine })));
+    assert.ok(await auth.can('UADMIN2', 'resolve_line', { line: ownLine }));
+    assert.ok(!(await auth.can('UBOOKIE', 'cancel_line', { line: ownLine })));
+    assert.ok(await auth.can('UADMIN2', 'cancel_line', { line: ownLine }));
+    assert.ok(!(await auth.can('UBOOKIE', 'unresolve_line', { line: ownLine })));
+    assert.ok(!(await auth.can('UBOOKIE', 'dismiss_disputes', { line: ownLine })));
+    assert.deepStrictEqual((await auth.listAdmins()).sort(), ['UADMIN1', 'UADMIN2']);
+    console.log('✅ Only the line\'s bookmaker or an admin can resolve it; only admins can cancel');
+
+    console.log('\n4. Testing revocation and validation...');
+    assert.ok(await auth.revoke('UBOOKIE', 'bookmaker', 'CSPORTS'));
+    assert.ok(!(await auth.revoke('UBOOKIE', 'bookmaker', 'CSPORTS')));
+    assert.ok(!(await auth.can('UBOOKIE', 'resolve_line', { line: ownLine })));
+    await assert.rejects(auth.grant('UADMIN1', 'UX', 'wizard'), /Unknown role/);
+    await assert.rejects(auth.grant('UADMIN1', 'UX', 'admin', 'CSPORTS'), /workspace-wide/);
+    console.log('✅ Roles revoked and bad grants rejected');
+
+    console.log('\n🎉 All authorization tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-auth.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,89 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+
+async function runTests() {
+  console.log('🧪 Running line cancellation tests...\n');
+
+  const db = new Database('./test-cancel.db');
+  await db.init();
+  const bettingService = new BettingService(db, { integrityRules: [] });
+
+  const createLine = (question) => db.createBettingLine(
+    question,
+    ['yes', 'no'],
+    bettingService.generateEmojis(['yes', 'no']),
+    'UCREATOR',
+    null,
+    'C_CANCEL'
+  );
+
+  try {
+    console.log('1. Testing cancelling an open line refunds every stake...');
+    const alice = await db.createUser('UALICE', 'Alice');
+    const bob = await db.createUser('UBOB', 'Bob');
+    const line = await createLine('Will the demo work?');
+    await bettingService.placeBet(alice.id, line.id, 'yes', 5);
+    await bettingService.placeBet(bob.id, line.id, 'no', 3);
+
+    const { refunds } = await bettingService.cancelLine(line.id, 'UADMIN', 'Demo postponed');
+    assert.deepStrictEqual(
+      refunds.map(r => [r.slackUserId, r.option, r.amount]).sort(),
+      [['UALICE', 'yes', 5], ['UBOB', 'no', 3]]
+    );
+    assert.strictEqual((await db.getUserBySlackId('UALICE')).balance, 20);
+    assert.strictEqual((await db.getUserBySlackId('UBOB')).balance, 20);
+    assert.strictEqual((await db.getUserBySlackId('UALICE')).total_bets, 0);
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+
+    const cancelled = await db.getBettingLine(line.id);
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.strictEqual(cancelled.cancelled_by, 'UADMIN');
+    assert.strictEqual(cancelled.cancel_reason, 'Demo postponed');
+    assert.ok(cancelled.cancelled_at);
+    assert.strictEqual((await db.getBetsForLine(line.id)).length, 2, 'bets are kept for the record');
+
+    const ledger = await db.getTransactionsForUser(alice.id);
+    assert.deepStrictEqual(ledger.slice(-1).map(t => [t.type, t.amount, t.note]), [['refund', 5, 'Line cancelled']]);
+
+    const audit = await db.getAuditLog(line.id);
+    assert.deepStrictEqual(audit.map(a => [a.action, a.actor_id, a.details.reason]), [['line_cancelled', 'UADMIN', 'Demo postponed']]);
+    console.log('✅ Stakes refunded through the ledger and the line marked cancelled');
+
+    console.log('\n2. Testing a cancelled line is closed for good...');
+    await assert.rejects(bettingService.placeBet(alice.id, line.id, 'yes', 1), /no longer accepting bets/);
+    await assert.rejects(bettingService.processPayouts(line.id, 'yes'), /has been cancelled/);
+    await assert.rejects(bettingService.cancelLine(line.id, 'UADMIN'), /already cancelled/);
+    assert.ok(!(await bettingService.lockLine(line.id)));
+    console.log('✅ No bets, resolution or second cancellation');
+
+    console.log('\n3. Testing locked and resolved lines...');
+    const locked = await createLine('Locked line');
+    await bettingService.placeBet(alice.id, locked.id, 'no', 2);
+    await bettingService.lockLine(locked.id);
+    await bettingService.cancelLine(locked.id, 'UADMIN');
+    assert.strictEqual((await db.getUserBySlackId('UALICE')).balance, 20);
+    assert.strictEqual((await db.getBettingLine(locked.id)).cancel_reason, null);
+
+    const resolved = await createLine('Resolved line');
+    await bettingService.placeBet(bob.id, resolved.id, 'yes', 2);
+    await bettingService.processPayouts(resolved.id, 'yes');
+    await assert.rejects(bettingService.cancelLine(resolved.id, 'UADMIN'), /already resolved/);
+    console.log('✅ Locked lines can be cancelled; resolved lines cannot');
+
+    console.log('\n🎉 All cancellation tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-cancel.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
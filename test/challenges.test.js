@@ -0,0 +1,123 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+const { CHALLENGE_ACTIONS, CLAIM_RESULTS, buildChallengeCard } = require('../src/views/challengeCard');
+
+async function runTests() {
+  console.log('🧪 Running challenge tests...\n');
+
+  const db = new Database('./test-challenges.db');
+  await db.init();
+  const bettingService = new BettingService(db, { integrityRules: [], challengeExpiryHours: 1 });
+
+  async function balanceOf(user) {
+    return (await db.getUserStats(user.id)).balance;
+  }
+
+  try {
+    const alice = await db.createUser('UALICE', 'Alice');
+    const bob = await db.createUser('UBOB', 'Bob');
+    const carol = await db.createUser('UCAROL', 'Carol');
+
+    console.log('1. Testing issuing a challenge escrows the challenger\'s stake...');
+    const challenge = await bettingService.issueChallenge(alice.id, bob.id, 'The deploy goes out before lunch', 5, 'C_CHALLENGE');
+    assert.strictEqual(challenge.status, 'pending');
+    assert.deepStrictEqual([challenge.challenger_slack_id, challenge.target_slack_id], ['UALICE', 'UBOB']);
+    assert.strictEqual(await balanceOf(alice), 15);
+    const expiresIn = new Date(challenge.expires_at).getTime() - Date.now();
+    assert.ok(expiresIn > 59 * 60 * 1000 && expiresIn <= 60 * 60 * 1000);
+
+    await assert.rejects(bettingService.issueChallenge(alice.id, alice.id, 'Anything', 1), /cannot challenge yourself/);
+    await assert.rejects(bettingService.issueChallenge(alice.id, bob.id, 'Anything', 0), /whole number/);
+    await assert.rejects(bettingService.issueChallenge(alice.id, bob.id, 'Anything', 50), /Insufficient balance/);
+
+    const card = buildChallengeCard(challenge);
+    const answer = card.blocks.find(b => b.block_id === 'challenge_answer');
+    assert.deepStrictEqual(answer.elements.map(e => e.action_id), [CHALLENGE_ACTIONS.accept, CHALLENGE_ACTIONS.decline]);
+    assert.ok(card.blocks[0].text.text.includes('<@UALICE> challenges <@UBOB>'));
+    console.log('✅ The challenger pays into escrow and the card asks the target');
+
+    console.log('\n2. Testing only the target can accept...');
+    await assert.rejects(bettingService.acceptChallenge(challenge.id, carol.id), /Only the challenged user/);
+    await assert.rejects(bettingService.claimChallenge(challenge.id, alice.id, 'won'), /not been accepted yet/);
+    const accepted = await bettingService.acceptChallenge(challenge.id, bob.id);
+    assert.strictEqual(accepted.status, 'accepted');
+    assert.strictEqual(await balanceOf(bob), 15);
+    await assert.rejects(bettingService.acceptChallenge(challenge.id, bob.id), /already accepted/);
+    const claimButtons = buildChallengeCard(accepted).blocks.find(b => b.block_id === 'challenge_claim');
+    assert.deepStrictEqual(claimButtons.elements.map(e => CLAIM_RESULTS[e.action_id]), ['won', 'lost', 'push']);
+    console.log('✅ Both stakes are in escrow once accepted');
+
+    console.log('\n3. Testing matching claims settle the challenge...');
+    let claimed = await bettingService.claimChallenge(challenge.id, alice.id, 'won');
+    assert.deepStrictEqual([claimed.settled, claimed.disputed], [false, false]);
+    await assert.rejects(bettingService.claimChallenge(challenge.id, carol.id, 'won'), /Only the two sides/);
+    claimed = await bettingService.claimChallenge(challenge.id, bob.id, 'lost');
+    assert.strictEqual(claimed.settled, true);
+    assert.deepStrictEqual([claimed.challenge.status, claimed.challenge.winner, claimed.challenge.settled_by], ['settled', 'challenger', null]);
+    assert.strictEqual(await balanceOf(alice), 25);
+    assert.strictEqual(await balanceOf(bob), 15);
+    assert.strictEqual((await db.getUserStats(alice.id)).total_winnings, 5);
+    assert.ok(buildChallengeCard(claimed.challenge).blocks[1].text.text.includes('<@UALICE> wins 10 units'));
+    console.log('✅ The winner takes both stakes');
+
+    console.log('\n4. Testing differing claims go to an admin...');
+    const rematch = await bettingService.issueChallenge(bob.id, alice.id, 'Standup runs over 15 minutes', 3);
+    await bettingService.acceptChallenge(rematch.id, alice.id);
+    await bettingService.claimChallenge(rematch.id, bob.id, 'won');
+    claimed = await bettingService.claimChallenge(rematch.id, alice.id, 'won');
+    assert.deepStrictEqual([claimed.settled, claimed.disputed, claimed.challenge.status], [false, true, 'disputed']);
+    assert.ok(buildChallengeCard(claimed.challenge).blocks[1].text.text.includes('The two sides disagree'));
+
+    await assert.rejects(bettingService.settleChallenge(rematch.id, 'carol', 'UADMIN'), /challenger, the target or a push/);
+    const settled = await bettingService.settleChallenge(rematch.id, 'push', 'UADMIN');
+    assert.deepStrictEqual([settled.status, settled.winner, settled.settled_by], ['settled', 'push', 'UADMIN']);
+    assert.strictEqual(await balanceOf(alice), 25);
+    assert.strictEqual(await balanceOf(bob), 15);
+    await assert.rejects(bettingService.settleChallenge(rematch.id, 'target', 'UADMIN'), /this one is settled/);
+    console.log('✅ A push refunds both sides');
+
+    console.log('\n5. Testing declined and expired challenges are refunded...');
+    const declined = await bettingService.issueChallenge(carol.id, alice.id, 'It rains on Friday', 4);
+    assert.strictEqual(await balanceOf(carol), 16);
+    assert.strictEqual((await bettingService.declineChallenge(declined.id, alice.id)).status, 'declined');
+    assert.strictEqual(await balanceOf(carol), 20);
+
+    const ignored = await bettingService.issueChallenge(carol.id, bob.id, 'Lunch is pizza', 2);
+    assert.strictEqual(await bettingService.expireChallenge(ignored.id), null);
+    const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    const expired = await bettingService.expireChallenge(ignored.id, later);
+    assert.strictEqual(expired.status, 'expired');
+    assert.strictEqual(await bettingService.expireChallenge(ignored.id, later), null);
+    assert.strictEqual(await balanceOf(carol), 20);
+    await assert.rejects(bettingService.acceptChallenge(ignored.id, bob.id), /already expired/);
+
+    // Accepting after the deadline expires it on the spot, even without the timer
+    const instant = new BettingService(db, { integrityRules: [], challengeExpiryHours: 0 });
+    const stale = await instant.issueChallenge(carol.id, bob.id, 'The printer works', 2);
+    await assert.rejects(bettingService.acceptChallenge(stale.id, bob.id), /has expired/);
+    assert.strictEqual((await db.getChallenge(stale.id)).status, 'expired');
+    assert.strictEqual(await balanceOf(carol), 20);
+    assert.deepStrictEqual((await db.getPendingChallenges()).length, 0);
+
+    const notes = (await db.getTransactionsForUser(carol.id)).map(t => `${t.type}:${t.amount}:${t.note}`);
+    assert.ok(notes.includes('refund:4:Challenge declined') && notes.includes('refund:2:Challenge expired'));
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+    console.log('✅ The challenger gets their stake back');
+
+    console.log('\n🎉 All challenge tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-challenges.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,148 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+const { settleClosest } = require('../src/services/payouts');
+const { closestSpec, parseSpecValue, formatSpecValue } = require('../src/services/numericLines');
+const { ACTIONS, buildBettingCard } = require('../src/views/bettingCard');
+const { CALLBACKS, buildGuessModal, readGuessSubmission } = require('../src/views/modals');
+const SlackHandlers = require('../src/handlers/slackHandlers');
+
+let nextId = 1;
+function guess(username, value, amount) {
+  return { id: `bet_${nextId++}`, user_id: `user_${username}`, username, option: String(value), guess: value, amount };
+}
+
+async function runTests() {
+  console.log('🧪 Running closest-guess line tests...\n');
+
+  const db = new Database('./test-closest-guess.db');
+  await db.init();
+  const bettingService = new BettingService(db, { integrityRules: [] });
+
+  try {
+    console.log('1. Testing the closest guess takes the pot...');
+    const bets = [guess('a', 10, 2), guess('b', 14, 3), guess('c', 20, 5)];
+    let result = settleClosest(bets, 15);
+    assert.strictEqual(result.mode, 'closest');
+    assert.deepStrictEqual(result.winners, ['14']);
+    assert.deepStrictEqual(result.payouts.map(p => [p.username, p.payout]), [['b', 10]]);
+    assert.deepStrictEqual(result.losers.map(l => l.username), ['a', 'c']);
+
+    // 10 and 20 are both 5 away: they tie and split by stake
+    result = settleClosest([guess('a', 10, 2), guess('c', 20, 6), guess('d', 30, 4)], 15);
+    assert.deepStrictEqual(result.payouts.map(p => [p.username, p.winnings]), [['a', 1], ['c', 3]]);
+    assert.match(result.message, /2 guesses tied/);
+    console.log('✅ Nearest guesses win; ties split by stake');
+
+    console.log('\n2. Testing the rules...');
+    assert.deepStrictEqual(settleClosest(bets, 15, 'not-over').winners, ['14']);
+    assert.deepStrictEqual(settleClosest(bets, 13, 'not-over').winners, ['10']);
+    assert.deepStrictEqual(settleClosest(bets, 13, 'not-under').winners, ['14']);
+    assert.deepStrictEqual(settleClosest(bets, 19, 'not-under').winners, ['20']);
+    const nobody = settleClosest(bets, 5, 'not-over');
+    assert.strictEqual(nobody.mode, 'refund');
+    assert.strictEqual(nobody.payouts.reduce((sum, p) => sum + p.payout, 0), 10);
+    assert.strictEqual(settleClosest([], 5).mode, 'empty');
+    assert.throws(() => closestSpec('number', 'nearest'), /Unknown rule "nearest"/);
+    assert.throws(() => closestSpec('colour'), /number.*date/);
+    console.log('✅ "Without going over" skips guesses above the value');
+
+    console.log('\n3. Testing date guesses...');
+    const dates = closestSpec('date', 'not-over');
+    const june1 = parseSpecValue(dates, '2025-06-01');
+    assert.strictEqual(parseSpecValue(dates, '2025-06-03') - june1, 2);
+    assert.strictEqual(formatSpecValue(dates, june1), '2025-06-01');
+    assert.throws(() => parseSpecValue(dates, '2025-02-30'), /not a date/);
+    assert.throws(() => parseSpecValue(dates, 'next week'), /YYYY-MM-DD/);
+    console.log('✅ Dates are whole days and round-trip');
+
+    console.log('\n4. Testing guesses on a line...');
+    const alice = await db.createUser('UALICE', 'Alice');
+    const bob = await db.createUser('UBOB', 'Bob');
+    const carol = await db.createUser('UCAROL', 'Carol');
+    const line = await db.createBettingLine('When does v2 ship?', [], [], 'UCREATOR', null, 'C_GUESS', { numeric: dates });
+
+    await bettingService.placeGuess(alice.id, line.id, '2025-06-01', 4);
+    await bettingService.placeGuess(bob.id, line.id, '2025-06-10', 4);
+    const carolBet = await bettingService.placeGuess(carol.id, line.id, '2025-05-20', 2);
+    assert.strictEqual(carolBet.option, '2025-05-20');
+    await assert.rejects(bettingService.placeBet(alice.id, line.id, '2025-06-01', 4), /closest-guess line/);
+    await assert.rejects(bettingService.placeGuess(alice.id, line.id, 'soon', 4), /not a date/);
+
+    // Guessing again replaces the guess; a multiplier keeps it
+    await bettingService.placeGuess(carol.id, line.id, '2025-06-04', 2);
+    const raised = await bettingService.changeStake(carol.id, line.id, 4);
+    assert.deepStrictEqual([raised.option, raised.amount], ['2025-06-04', 4]);
+
+    const summary = await bettingService.getLineSummary(line.id);
+    assert.deepStrictEqual(summary.guesses.map(b => b.option), ['2025-06-01', '2025-06-04', '2025-06-10']);
+    assert.strictEqual(summary.totalPot, 12);
+    const card = buildBettingCard(summary.line, summary);
+    const guesses = card.blocks.find(b => b.block_id === 'guesses');
+    assert.ok(guesses.text.text.includes('*2025-06-04* – Carol (4 units)'));
+    assert.strictEqual(guesses.accessory.action_id, ACTIONS.placeGuess);
+    assert.ok(card.blocks.find(b => b.block_id === 'details').text.text.includes('without going over'));
+    assert.ok(!card.blocks.some(b => (b.block_id || '').startsWith('option_')));
+    console.log('✅ Guesses are listed on the card in order');
+
+    console.log('\n5. Testing the guess modal...');
+    const modal = buildGuessModal(summary.line, { channelId: 'C_GUESS', balance: 20 });
+    assert.strictEqual(modal.callback_id, CALLBACKS.placeGuess);
+    assert.strictEqual(modal.blocks.find(b => b.block_id === 'guess').element.type, 'datepicker');
+    const submitted = readGuessSubmission({
+      state: { values: { guess: { value: { selected_date: '2025-06-02' } }, stake: { amount: { value: '3' } } } }
+    });
+    assert.deepStrictEqual(submitted, { guess: '2025-06-02', amount: 3 });
+    console.log('✅ Date lines get a date picker');
+
+    console.log('\n6. Testing settlement from the actual value...');
+    await bettingService.lockLine(line.id);
+    const stored = await db.getBettingLine(line.id);
+    assert.throws(() => bettingService.parseOutcome(stored, '2025-06-01'), /\/bet settle/);
+    const actual = bettingService.parseReportedValue(stored, '2025-06-05');
+    const settled = await bettingService.processPayouts(line.id, bettingService.outcomeForValue(stored, actual));
+    // Carol's 4th is closest without going over the 5th
+    assert.deepStrictEqual(settled.outcome.winners, ['2025-06-04']);
+    assert.deepStrictEqual(settled.payouts.map(p => [p.username, p.payout]), [['Carol', 12]]);
+
+    const resolved = await db.getBettingLine(line.id);
+    assert.strictEqual(resolved.resolution_mode, 'closest');
+    assert.deepStrictEqual(resolved.winner_options, ['2025-06-04']);
+    assert.ok((await bettingService.processPayouts(line.id, bettingService.outcomeForValue(stored, actual))).alreadyResolved);
+    await assert.rejects(
+      bettingService.processPayouts(line.id, bettingService.outcomeForValue(stored, actual + 1)),
+      /reported value 2025-06-05/
+    );
+
+    const final = await bettingService.getLineSummary(line.id);
+    const resolvedCard = buildBettingCard(final.line, final, settled);
+    assert.ok(resolvedCard.blocks.find(b => b.block_id === 'guesses').text.text.includes('Carol (4 units)  🏆'));
+    assert.ok(resolvedCard.blocks.find(b => b.block_id === 'payouts').text.text.includes('Reported value: *2025-06-05*'));
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+    console.log('✅ The closest guess is paid and shown on the card');
+
+    console.log('\n7. Testing `/bet guess` without an amount...');
+    const minLine = await db.createBettingLine('How many tickets?', [], [], 'UCREATOR', null, 'C_GUESS', { numeric: closestSpec('number'), minStake: 3 });
+    const handlers = Object.assign(Object.create(SlackHandlers.prototype), { db, bettingService });
+    const replies = [];
+    await handlers.handleGuess(['guess', `#${minLine.number}`, '42'], async reply => replies.push(reply.text), {}, { user_id: 'UBOB' });
+    assert.strictEqual((await db.getUserBetOnLine(bob.id, minLine.id)).amount, 3);
+    assert.match(replies[0], /You guessed 42 with 3 units/);
+    console.log('✅ The guess stakes the line minimum');
+
+    console.log('\n🎉 All closest-guess tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-closest-guess.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+const Scheduler = require('../src/services/scheduler');
+const { parseCloseTime } = require('../src/utils/time');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTests() {
+  console.log('🧪 Running deadline tests...\n');
+
+  const db = new Database('./test-deadlines.db');
+  await db.init();
+  const bettingService = new BettingService(db, { integrityRules: [] });
+  const scheduler = new Scheduler();
+
+  try {
+    console.log('1. Testing closing time parsing...');
+    const now = new Date('2025-01-01T00:00:00Z');
+    assert.strictEqual(parseCloseTime('in 2h', now).toISOString(), '2025-01-01T02:00:00.000Z');
+    assert.strictEqual(parseCloseTime('in 1d 6h', now).toISOString(), '2025-01-02T06:00:00.000Z');
+    assert.strictEqual(parseCloseTime('in 1h30m', now).toISOString(), '2025-01-01T01:30:00.000Z');
+    assert.strictEqual(parseCloseTime('in 45 minutes', now).toISOString(), '2025-01-01T00:45:00.000Z');
+    assert.strictEqual(parseCloseTime('2025-06-01T17:00:00Z', now).toISOString(), '2025-06-01T17:00:00.000Z');
+    assert.throws(() => parseCloseTime('in 2 months', now), /Could not understand/);
+    assert.throws(() => parseCloseTime('whenever', now), /Could not understand/);
+    console.log('✅ Relative and absolute times parsed');
+
+    console.log('\n2. Testing bets after the deadline are rejected...');
+    const user = await db.createUser('UDEADLINE', 'Deadline User');
+    const line = await db.createBettingLine(
+      'Will it ship on time?',
+      ['yes', 'no'],
+      bettingService.generateEmojis(['yes', 'no']),
+      'UCREATOR',
+      '1700000000.000300',
+      'C_DEADLINE',
+      { lockAt: new Date(Date.now() + 60 * 1000) }
+    );
+    await bettingService.placeBet(user.id, line.id, 'yes');
+
+    // The scheduler has not run, but the deadline has passed
+    await db.updateBettingLineStatus(line.id, 'open', { lock_at: new Date(Date.now() - 1000).toISOString() });
+    await assert.rejects(bettingService.placeBet(user.id, line.id, 'no'), /has closed/);
+    await assert.rejects(bettingService.cancelBet(user.id, line.id), /has closed/);
+    console.log('✅ Late bets rejected even while the line is still open');
+
+    console.log('\n3. Testing deadlines are recovered and locked once...');
+    const pending = await db.getLinesWithDeadlines();
+    assert.deepStrictEqual(pending.map(l => l.id), [line.id]);
+    assert.ok(await bettingService.lockLine(line.id));
+    assert.ok(!(await bettingService.lockLine(line.id)));
+    assert.strictEqual((await db.getBettingLine(line.id)).status, 'locked');
+    assert.deepStrictEqual(await db.getLinesWithDeadlines(), []);
+    console.log('✅ Locked lines drop out of the schedule');
+
+    console.log('\n4. Testing the scheduler...');
+    const fired = [];
+    scheduler.at('past', new Date(Date.now() - 1000), () => fired.push('past'));
+    scheduler.at('soon', new Date(Date.now() + 20), () => fired.push('soon'));
+    scheduler.at('cancelled', new Date(Date.now() + 20), () => fired.push('cancelled'));
+    scheduler.at('replaced', new Date(Date.now() + 20), () => fired.push('first'));
+    scheduler.at('replaced', new Date(Date.now() + 20), () => fired.push('second'));
+    scheduler.cancel('cancelled');
+    await sleep(60);
+    assert.deepStrictEqual(fired.sort(), ['past', 'second', 'soon']);
+    assert.ok(!scheduler.has('soon'));
+    console.log('✅ Jobs run once, can be replaced and cancelled');
+
+    console.log('\n🎉 All deadline tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    scheduler.stop();
+    await db.close();
+    fs.unlinkSync('./test-deadlines.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
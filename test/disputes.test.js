@@ -0,0 +1,120 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+
+const HOUR = 60 * 60 * 1000;
+
+async function runTests() {
+  console.log('🧪 Running re-resolve and dispute tests...\n');
+
+  const db = new Database('./test-disputes.db');
+  await db.init();
+  const bettingService = new BettingService(db, { integrityRules: [], disputeWindowHours: 24 });
+
+  const balances = async () => Object.fromEntries(
+    await Promise.all(['UALICE', 'UBOB', 'UCAROL'].map(async id => [id, (await db.getUserBySlackId(id)).balance]))
+  );
+  const createLine = async (question) => {
+    const line = await db.createBettingLine(question, ['yes', 'no'], [':white_check_mark:', ':x:'], 'UCREATOR', null, 'C_DISPUTE');
+    await bettingService.placeBet(alice.id, line.id, 'yes', 4);
+    await bettingService.placeBet(bob.id, line.id, 'no', 6);
+    await bettingService.placeBet(carol.id, line.id, 'yes', 1);
+    await bettingService.lockLine(line.id);
+    return line;
+  };
+
+  const alice = await db.createUser('UALICE', 'Alice');
+  const bob = await db.createUser('UBOB', 'Bob');
+  const carol = await db.createUser('UCAROL', 'Carol');
+
+  try {
+    console.log('1. Testing repeat resolves are idempotent...');
+    const line = await createLine('Did the release go out on Friday?');
+    const beforeSettlement = await balances();
+    await bettingService.processPayouts(line.id, 'yes');
+    const afterSettlement = await balances();
+    assert.deepStrictEqual(afterSettlement, { UALICE: 25, UBOB: 14, UCAROL: 21 });
+
+    const again = await bettingService.processPayouts(line.id, 'yes');
+    assert.deepStrictEqual(again, { alreadyResolved: true, winningOption: 'yes' });
+    await assert.rejects(bettingService.processPayouts(line.id, 'no'), /already resolved with "yes".*unresolve/);
+    assert.deepStrictEqual(await balances(), afterSettlement);
+    console.log('✅ Resolving twice pays out once');
+
+    console.log('\n2. Testing unresolve reverses the settlement exactly...');
+    const { reversed } = await bettingService.unresolveLine(line.id, 'UADMIN', 'Wrong winner');
+    assert.strictEqual(reversed.length, 2);
+    assert.deepStrictEqual(await balances(), beforeSettlement);
+    assert.strictEqual((await db.getUserBySlackId('UALICE')).total_winnings, 0);
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+
+    const ledger = await db.getTransactionsForUser(alice.id);
+    const [payout, reversal] = ledger.slice(-2);
+    assert.strictEqual(payout.type, 'payout');
+    assert.deepStrictEqual([reversal.type, reversal.amount, reversal.bet_id], ['reversal', -payout.amount, payout.bet_id]);
+
+    const reopened = await db.getBettingLine(line.id);
+    assert.strictEqual(reopened.status, 'locked');
+    assert.strictEqual(reopened.winner_option, null);
+    assert.strictEqual(reopened.settlement_id, null);
+    await assert.rejects(bettingService.unresolveLine(line.id, 'UADMIN'), /not resolved/);
+
+    await bettingService.processPayouts(line.id, 'no');
+    assert.deepStrictEqual(await balances(), { UALICE: 16, UBOB: 25, UCAROL: 19 });
+    assert.strictEqual((await db.getUserBySlackId('UBOB')).total_winnings, 5);
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+    assert.deepStrictEqual((await db.getAuditLog(line.id)).map(a => a.action), ['line_unresolved']);
+    console.log('✅ Reversal rows cancel the payouts and the line can be resolved again');
+
+    console.log('\n3. Testing disputes within the window...');
+    await assert.rejects(bettingService.disputeLine('missing', 'UALICE', 'Nope'), /not found/);
+    const open = await db.createBettingLine('Open line', ['yes', 'no'], [':white_check_mark:', ':x:'], 'UCREATOR', null, 'C_DISPUTE');
+    await assert.rejects(bettingService.disputeLine(open.id, 'UALICE', 'Too early'), /Only resolved lines/);
+
+    await bettingService.disputeLine(line.id, 'UALICE', 'It shipped on Saturday');
+    await assert.rejects(bettingService.disputeLine(line.id, 'UALICE', 'Again'), /already disputed/);
+    await bettingService.disputeLine(line.id, 'UCAROL', 'Agree with Alice');
+    assert.ok((await db.getBettingLine(line.id)).disputed_at);
+    assert.strictEqual((await db.getDisputesForLine(line.id, 'open')).length, 2);
+
+    // An open dispute keeps the settlement reversible after the window
+    const later = new Date(Date.now() + 48 * HOUR);
+    assert.ok(!bettingService.isSettlementFinal(await db.getBettingLine(line.id), later));
+    await bettingService.unresolveLine(line.id, 'UADMIN', 'Dispute upheld', later);
+    assert.deepStrictEqual((await db.getDisputesForLine(line.id)).map(d => d.status), ['upheld', 'upheld']);
+    assert.strictEqual((await db.getBettingLine(line.id)).disputed_at, null);
+    assert.deepStrictEqual(await balances(), beforeSettlement);
+    console.log('✅ Disputes flag the line until an admin acts on them');
+
+    console.log('\n4. Testing dismissal and finality...');
+    await bettingService.processPayouts(line.id, 'yes');
+    await assert.rejects(bettingService.dismissDisputes(line.id, 'UADMIN'), /no open disputes/);
+    await bettingService.disputeLine(line.id, 'UBOB', 'Sore loser');
+    await bettingService.dismissDisputes(line.id, 'UADMIN');
+    assert.deepStrictEqual((await db.getDisputesForLine(line.id, 'dismissed')).map(d => d.raised_by), ['UBOB']);
+
+    const settled = await db.getBettingLine(line.id);
+    assert.strictEqual(settled.disputed_at, null);
+    assert.ok(!bettingService.isSettlementFinal(settled));
+    assert.ok(bettingService.isSettlementFinal(settled, later));
+    await assert.rejects(bettingService.disputeLine(line.id, 'UBOB', 'Too late', later), /window for this line has closed/);
+    await assert.rejects(bettingService.unresolveLine(line.id, 'UADMIN', null, later), /settlement is final/);
+    assert.deepStrictEqual(await balances(), afterSettlement);
+    console.log('✅ Once the window passes without an open dispute, the result stands');
+
+    console.log('\n🎉 All dispute tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-disputes.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
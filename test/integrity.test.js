@@ -0,0 +1,105 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+
+async function createLine(db, bettingService, createdBy) {
+  return db.createBettingLine(
+    'Will the demo work?',
+    ['yes', 'no'],
+    bettingService.generateEmojis(['yes', 'no']),
+    createdBy,
+    '1700000000.000200',
+    'C_INTEGRITY'
+  );
+}
+
+async function runTests() {
+  console.log('🧪 Running integrity rule tests...\n');
+
+  const db = new Database('./test-integrity.db');
+  await db.init();
+  const bettingService = new BettingService(db, {
+    integrityRules: ['creator_no_bet', 'resolver_position_needs_confirmation']
+  });
+  const strictService = new BettingService(db, { integrityRules: ['resolver_no_position'] });
+
+  try {
+    const admin = await db.createUser('UADMIN', 'Admin');
+    const other = await db.createUser('UOTHER', 'Other Admin');
+    const player = await db.createUser('UPLAYER', 'Player');
+
+    console.log('1. Testing creators cannot bet on their own lines...');
+    let line = await createLine(db, bettingService, 'UADMIN');
+    await assert.rejects(bettingService.placeBet(admin.id, line.id, 'yes'), /You created this line/);
+    await bettingService.placeBet(player.id, line.id, 'no');
+    console.log('✅ Creator bet rejected');
+
+    console.log('\n2. Testing a conflicted resolution waits for a second admin...');
+    line = await createLine(db, bettingService, 'UOTHER');
+    await bettingService.placeBet(admin.id, line.id, 'yes', 2);
+    await bettingService.placeBet(player.id, line.id, 'no', 2);
+
+    const pending = await bettingService.processPayouts(line.id, 'yes', { resolvedBy: 'UADMIN' });
+    assert.deepStrictEqual(pending, { pending: true, winningOption: 'yes', resolvedBy: 'UADMIN' });
+    assert.notStrictEqual((await db.getBettingLine(line.id)).status, 'resolved');
+
+    await assert.rejects(bettingService.confirmResolution(line.id, 'UADMIN'), /different admin/);
+    await assert.rejects(bettingService.confirmResolution(line.id, 'UPLAYER'), /cannot confirm/);
+
+    const settled = await bettingService.confirmResolution(line.id, 'UOTHER');
+    assert.strictEqual(settled.payouts[0].payout, 4);
+    const resolved = await db.getBettingLine(line.id);
+    assert.strictEqual(resolved.status, 'resolved');
+    assert.strictEqual(resolved.resolved_by, 'UADMIN');
+    assert.strictEqual(resolved.pending_winner, null);
+    console.log('✅ Second admin confirmed the resolution');
+
+    console.log('\n3. Testing resolvers without a position settle directly...');
+    line = await createLine(db, bettingService, 'UOTHER');
+    await bettingService.placeBet(player.id, line.id, 'yes');
+    const direct = await bettingService.processPayouts(line.id, 'yes', { resolvedBy: 'UOTHER' });
+    assert.ok(!direct.pending);
+    console.log('✅ No confirmation needed');
+
+    console.log('\n4. Testing strict rules and logged overrides...');
+    line = await createLine(db, bettingService, 'UOTHER');
+    await strictService.placeBet(admin.id, line.id, 'yes');
+    await assert.rejects(strictService.processPayouts(line.id, 'yes', { resolvedBy: 'UADMIN' }), /cannot resolve it/);
+    await strictService.processPayouts(line.id, 'yes', { resolvedBy: 'UADMIN', override: true });
+    const audit = await db.getAuditLog(line.id);
+    assert.strictEqual(audit.length, 1);
+    assert.strictEqual(audit[0].action, 'integrity_override');
+    assert.strictEqual(audit[0].actor_id, 'UADMIN');
+    console.log('✅ Violation rejected, override recorded in the audit log');
+
+    console.log('\n5. Testing rule configuration...');
+    const previous = process.env.INTEGRITY_RULES;
+    try {
+      process.env.INTEGRITY_RULES = 'resolver_no_position, creator_no_bet';
+      assert.deepStrictEqual(new BettingService(db).integrityRules, ['resolver_no_position', 'creator_no_bet']);
+      process.env.INTEGRITY_RULES = '';
+      assert.deepStrictEqual(new BettingService(db).integrityRules, []);
+      process.env.INTEGRITY_RULES = 'no_fun';
+      assert.throws(() => new BettingService(db), /Unknown integrity rule/);
+    } finally {
+      if (previous === undefined) delete process.env.INTEGRITY_RULES;
+      else process.env.INTEGRITY_RULES = previous;
+    }
+    console.log('✅ Rules read from INTEGRITY_RULES');
+
+    console.log('\n🎉 All integrity tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-integrity.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
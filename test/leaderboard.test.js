@@ -0,0 +1,119 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+const SeasonService = require('../src/services/seasonService');
+const StatsService = require('../src/services/statsService');
+
+async function runTests() {
+  console.log('🧪 Running leaderboard tests...\n');
+
+  const db = new Database('./test-leaderboard.db');
+  await db.init();
+  const bettingService = new BettingService(db, { integrityRules: [] });
+  const seasons = new SeasonService(db);
+  const stats = new StatsService(db, { leaderboardMinBets: 2 });
+
+  const DAY = 24 * 60 * 60 * 1000;
+
+  // `backer` takes `yes`, `layer` takes `no`, and `winner` wins
+  async function playLine(question, backer, layer, winner, stake = 2) {
+    const line = await db.createBettingLine(question, ['yes', 'no'], [':white_check_mark:', ':x:'], 'UCREATOR', null, 'C_BOARD');
+    await bettingService.placeBet(backer.id, line.id, 'yes', stake);
+    await bettingService.placeBet(layer.id, line.id, 'no', stake);
+    await bettingService.lockLine(line.id);
+    await bettingService.processPayouts(line.id, winner);
+    return line;
+  }
+
+  function board(options) {
+    return stats.getLeaderboard('default', options);
+  }
+
+  try {
+    const alice = await db.createUser('UALICE', 'Alice');
+    const bob = await db.createUser('UBOB', 'Bob');
+    const carol = await db.createUser('UCAROL', 'Carol');
+    await db.createUser('UDAVE', 'Dave');
+
+    await playLine('Demo works?', alice, bob, 'yes');
+    await playLine('CI green?', alice, bob, 'yes', 3);
+    await playLine('Standup short?', bob, alice, 'yes', 1);
+    await playLine('Lunch at noon?', alice, bob, 'yes');
+    await playLine('Rain today?', carol, bob, 'yes', 4);
+
+    console.log('1. Testing the default balance leaderboard...');
+    let result = await board();
+    assert.deepStrictEqual(result.ranked.map(e => [e.rank, e.username, e.value]), [
+      [1, 'Alice', 26], [2, 'Carol', 24], [3, 'Dave', 20], [4, 'Bob', 10]
+    ]);
+    result = await board({ limit: 2 });
+    assert.deepStrictEqual(result.top.map(e => e.username), ['Alice', 'Carol']);
+    // Everyone's place is still known past the limit
+    assert.strictEqual(result.ranked.find(e => e.userId === bob.id).rank, 4);
+    console.log('✅ Balances rank everyone, with every rank available');
+
+    console.log('\n2. Testing profit and streaks...');
+    result = await board({ by: 'profit' });
+    assert.deepStrictEqual(result.ranked.map(e => [e.username, e.value]), [['Alice', 6], ['Carol', 4], ['Bob', -10]]);
+    result = await board({ by: 'streak' });
+    assert.deepStrictEqual(result.ranked.map(e => [e.rank, e.username, e.value]), [[1, 'Alice', 2], [2, 'Carol', 1], [2, 'Bob', 1]]);
+    console.log('✅ Members without settled bets are left out; ties share a rank, higher balance first');
+
+    console.log('\n3. Testing minimum bets for rate-based metrics...');
+    result = await board({ by: 'winrate' });
+    assert.deepStrictEqual(result.ranked.map(e => [e.username, e.value]), [['Alice', 0.75], ['Bob', 0.2]]);
+    assert.deepStrictEqual(result.unqualified.map(e => [e.username, e.settledCount]), [['Carol', 1]]);
+    assert.strictEqual(result.minBets, 2);
+    result = await board({ by: 'roi' });
+    assert.deepStrictEqual(result.ranked.map(e => e.username), ['Alice', 'Bob']);
+    assert.strictEqual(result.ranked[0].value, 6 / 8);
+    console.log('✅ One lucky bet is not enough to top the ROI or win rate tables');
+
+    console.log('\n4. Testing periods...');
+    const nextWeek = new Date(Date.now() + 8 * DAY);
+    assert.deepStrictEqual((await board({ by: 'profit', period: 'week', now: nextWeek })).ranked, []);
+    assert.strictEqual((await board({ by: 'profit', period: 'month', now: nextWeek })).ranked.length, 3);
+
+    await assert.rejects(board({ period: 'season', by: 'profit' }), /No season is running/);
+    await seasons.startSeason('default', 'UADMIN');
+    await playLine('Deploy on Friday?', bob, alice, 'yes');
+    result = await board({ by: 'profit', period: 'season' });
+    assert.strictEqual(result.season.number, 1);
+    assert.deepStrictEqual(result.ranked.map(e => [e.username, e.value]), [['Bob', 2], ['Alice', -2]]);
+
+    // The history is read once for the league, not once per member
+    const perMember = ['getBetHistory', 'getParlayHistory', 'getChallengeHistory'];
+    perMember.forEach((name) => {
+      db[name] = () => { throw new Error(`${name} called for a leaderboard`); };
+    });
+    try {
+      assert.strictEqual((await board({ by: 'profit' })).ranked.length, 3);
+    } finally {
+      perMember.forEach(name => delete db[name]);
+    }
+    console.log('✅ Only bets settled in the period count');
+
+    console.log('\n5. Testing bad options...');
+    await assert.rejects(board({ by: 'luck' }), /Rank by one of: balance, profit, roi, winrate, streak/);
+    await assert.rejects(board({ period: 'decade', by: 'profit' }), /Use one of: week, month, season, all/);
+    await assert.rejects(board({ period: 'constructor', by: 'profit' }), /Unknown period/);
+    await assert.rejects(board({ period: 'week' }), /Balances are always current/);
+    await assert.rejects(board({ limit: 0 }), /between 1 and 25/);
+    console.log('✅ Unknown metrics, periods and limits are rejected');
+
+    console.log('\n🎉 All leaderboard tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-leaderboard.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+const LeagueService = require('../src/services/leagueService');
+const { buildBettingCard } = require('../src/views/bettingCard');
+
+async function runTests() {
+  console.log('🧪 Running league tests...\n');
+
+  const db = new Database('./test-leagues.db');
+  await db.init();
+  const bettingService = new BettingService(db, { integrityRules: [] });
+  const leagues = new LeagueService(db, { defaultStartingBalance: 20 });
+
+  function createLine(question, leagueId, channelId = 'C_GENERAL') {
+    return db.createBettingLine(question, ['yes', 'no'], [':white_check_mark:', ':x:'], 'UCREATOR', null, channelId, { leagueId });
+  }
+
+  try {
+    const alice = await db.createUser('UALICE', 'Alice');
+    const bob = await db.createUser('UBOB', 'Bob');
+
+    console.log('1. Testing creating leagues...');
+    const frontend = await leagues.createLeague('frontend', 'UADMIN', { startingBalance: 100 });
+    const design = await leagues.createLeague('design', 'UADMIN', { channelId: 'C_DESIGN' });
+    assert.strictEqual(design.starting_balance, 20);
+    await assert.rejects(leagues.createLeague('Frontend', 'UADMIN'), /already a league called "Frontend"/);
+    await assert.rejects(leagues.createLeague('ux', 'UADMIN', { channelId: 'C_DESIGN' }), /already belongs to the "design" league/);
+    await assert.rejects(leagues.createLeague('no spaces', 'UADMIN'), /League names/);
+    await assert.rejects(leagues.createLeague('tiny', 'UADMIN', { startingBalance: 0 }), /starting balance/);
+    assert.deepStrictEqual((await leagues.list()).map(l => l.name), ['default', 'design', 'frontend']);
+    assert.strictEqual(await bettingService.leagueIdForChannel('C_DESIGN'), design.id);
+    assert.strictEqual(await bettingService.leagueIdForChannel('C_GENERAL'), 'default');
+    console.log('✅ Leagues are named groups or channels');
+
+    console.log('\n2. Testing joining a league grants its own balance...');
+    const joined = await leagues.join('FRONTEND', alice.id);
+    assert.deepStrictEqual([joined.league.id, joined.rejoined, joined.balance], [frontend.id, false, 100]);
+    await assert.rejects(leagues.join('frontend', alice.id), /already in the "frontend" league/);
+    await assert.rejects(leagues.join('default', alice.id), /already in the default league/);
+    await assert.rejects(leagues.join('backend', alice.id), /no league called "backend"/);
+    await leagues.join('frontend', bob.id);
+    assert.strictEqual((await db.getUserStats(alice.id)).balance, 20);
+    console.log('✅ Members start with the league\'s starting balance');
+
+    console.log('\n3. Testing bets on a league line use the league balance...');
+    const line = await createLine('Ship the redesign this sprint?', frontend.id);
+    assert.strictEqual((await db.getBettingLine(line.id)).league_name, 'frontend');
+    await bettingService.placeBet(alice.id, line.id, 'yes', 60);
+    await bettingService.placeBet(bob.id, line.id, 'no', 40);
+    assert.strictEqual((await db.getMemberStats(alice.id, frontend.id)).balance, 40);
+    assert.strictEqual((await db.getUserStats(alice.id)).balance, 20);
+    await assert.rejects(bettingService.placeBet(alice.id, line.id, 'yes', 150), /Insufficient balance/);
+
+    const carol = await db.createUser('UCAROL', 'Carol');
+    await assert.rejects(bettingService.placeBet(carol.id, line.id, 'yes', 1), /Join it with `\/bet league join frontend`/);
+
+    await bettingService.lockLine(line.id);
+    await bettingService.processPayouts(line.id, 'yes');
+    const aliceStats = await db.getMemberStats(alice.id, frontend.id);
+    assert.deepStrictEqual([aliceStats.balance, aliceStats.total_bets, aliceStats.total_winnings], [140, 1, 40]);
+    assert.deepStrictEqual((await db.getUserStats(alice.id)).total_winnings, 0);
+
+    const summary = await bettingService.getLineSummary(line.id);
+    const card = buildBettingCard(summary.line, summary);
+    assert.ok(card.blocks.find(b => b.block_id === 'details').text.text.includes('🏟️ League: frontend'));
+    console.log('✅ Stakes and payouts move the league balance only');
+
+    console.log('\n4. Testing channel leagues enrol bettors automatically...');
+    const designLine = await createLine('New logo by Friday?', design.id, 'C_DESIGN');
+    assert.strictEqual(await bettingService.getBalance(carol.id, design.id), 20);
+    await bettingService.placeBet(carol.id, designLine.id, 'yes', 5);
+    assert.strictEqual((await db.getMemberStats(carol.id, design.id)).balance, 15);
+    assert.deepStrictEqual((await db.getLeaguesForUser(carol.id)).map(l => l.name), ['design']);
+    console.log('✅ Betting in a league channel joins the league');
+
+    console.log('\n5. Testing league leaderboards...');
+    const board = await db.getLeaderboard(10, frontend.id);
+    assert.deepStrictEqual(board.map(u => [u.username, u.balance]), [['Alice', 140], ['Bob', 60]]);
+    assert.deepStrictEqual((await db.getLeaderboard(10)).map(u => u.balance), [20, 20, 20]);
+    console.log('✅ Each league ranks its own members');
+
+    console.log('\n6. Testing leaving and rejoining...');
+    await leagues.leave('frontend', bob.id);
+    await assert.rejects(leagues.leave('frontend', bob.id), /not in the "frontend" league/);
+    await assert.rejects(leagues.leave('default', bob.id), /cannot be left/);
+    assert.deepStrictEqual((await db.getLeaderboard(10, frontend.id)).map(u => u.username), ['Alice']);
+    const next = await createLine('Dark mode next?', frontend.id);
+    await assert.rejects(bettingService.placeBet(bob.id, next.id, 'yes', 1), /You left the "frontend" league/);
+    assert.strictEqual(await bettingService.getBalance(bob.id, frontend.id), 0);
+
+    const back = await leagues.join('frontend', bob.id);
+    assert.deepStrictEqual([back.rejoined, back.balance], [true, 60]);
+    console.log('✅ Rejoining keeps the old balance');
+
+    console.log('\n7. Testing parlays and challenges stay inside one league...');
+    const other = await createLine('Lunch at noon?', 'default');
+    await bettingService.placeBet(alice.id, other.id, 'yes', 1);
+    await bettingService.placeBet(bob.id, other.id, 'no', 1);
+    await bettingService.placeBet(alice.id, next.id, 'yes', 1);
+    await bettingService.placeBet(bob.id, next.id, 'no', 1);
+    await assert.rejects(
+      bettingService.placeParlay(carol.id, 1, [{ lineId: other.id, option: 'yes' }, { lineId: next.id, option: 'yes' }]),
+      /same league/
+    );
+
+    const challenge = await bettingService.issueChallenge(carol.id, alice.id, 'Figma is down by noon', 5, 'C_DESIGN');
+    assert.strictEqual(challenge.league_id, design.id);
+    assert.strictEqual((await db.getMemberStats(carol.id, design.id)).balance, 10);
+    await bettingService.acceptChallenge(challenge.id, alice.id);
+    assert.strictEqual((await db.getMemberStats(alice.id, design.id)).balance, 15);
+    assert.strictEqual((await db.getUserStats(alice.id)).balance, 19);
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+    console.log('✅ Challenges are played in the channel\'s league');
+
+    console.log('\n🎉 All league tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-leagues.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,119 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+const SqliteDriver = require('../src/database/drivers/sqlite');
+const { migrate } = require('../src/database/migrator');
+const { lineRef } = require('../src/views/bettingCard');
+const SlackHandlers = require('../src/handlers/slackHandlers');
+
+const quiet = () => {};
+
+async function runTests() {
+  console.log('🧪 Running line listing tests...\n');
+
+  const db = new Database('./test-lines.db');
+  await db.init();
+  const bettingService = new BettingService(db, { integrityRules: [] });
+  const legacyDb = new SqliteDriver('./test-lines-legacy.db');
+
+  function createLine(question, channelId = 'C_GENERAL', createdBy = 'UCREATOR') {
+    return db.createBettingLine(question, ['yes', 'no'], [':white_check_mark:', ':x:'], createdBy, null, channelId);
+  }
+
+  try {
+    console.log('1. Testing lines get short numbers...');
+    const first = await createLine('Demo works?');
+    const second = await createLine('CI green?', 'C_DEV');
+    assert.deepStrictEqual([first.number, second.number], [1, 2]);
+    assert.strictEqual((await db.getBettingLineByNumber(2)).id, second.id);
+    assert.strictEqual(await db.getBettingLineByNumber(99), null);
+    assert.strictEqual(lineRef(await db.getBettingLine(first.id)), '#1');
+    assert.strictEqual(lineRef({ id: 'abc' }), 'abc');
+    console.log('✅ Numbers count up and find their line');
+
+    console.log('\n2. Testing lines created at the same time...');
+    const racing = await Promise.all(['Race A?', 'Race B?', 'Race C?'].map(question => createLine(question)));
+    assert.deepStrictEqual(racing.map(l => l.number).sort(), [3, 4, 5]);
+    for (const line of racing) {
+      assert.strictEqual((await db.getBettingLineByNumber(line.number)).id, line.id);
+      await bettingService.cancelLine(line.id, 'UADMIN');
+    }
+    console.log('✅ Each gets its own number');
+
+    console.log('\n3. Testing existing lines are numbered by the migration...');
+    await migrate(legacyDb, { target: 18, log: quiet });
+    await legacyDb.run(
+      "INSERT INTO betting_lines (id, question, options, emojis, created_by, created_at) VALUES ('later', 'Later?', '[]', '[]', 'U1', '2026-02-01 10:00:00')"
+    );
+    await legacyDb.run(
+      "INSERT INTO betting_lines (id, question, options, emojis, created_by, created_at) VALUES ('earlier', 'Earlier?', '[]', '[]', 'U1', '2026-01-01 10:00:00')"
+    );
+    await migrate(legacyDb, { log: quiet });
+    const legacy = new Database(legacyDb);
+    assert.deepStrictEqual(
+      (await legacyDb.all('SELECT id, number FROM betting_lines ORDER BY number')).map(l => [l.id, l.number]),
+      [['earlier', 1], ['later', 2]]
+    );
+    assert.strictEqual((await legacy.createBettingLine('New?', ['a', 'b'], [':a:', ':b:'], 'U1', null, 'C1')).number, 3);
+    console.log('✅ Old lines are numbered in the order they were created');
+
+    console.log('\n4. Testing lists by status, channel and user...');
+    const alice = await db.createUser('UALICE', 'Alice');
+    await bettingService.placeBet(alice.id, first.id, 'yes', 3);
+    await bettingService.lockLine(first.id);
+    const third = await createLine('Pizza on Friday?', 'C_GENERAL', 'UALICE');
+
+    let result = await db.listBettingLines({ statuses: ['open'] });
+    assert.deepStrictEqual([result.total, result.lines.map(l => l.number)], [2, [6, 2]]);
+    result = await db.listBettingLines({ statuses: ['locked'] });
+    assert.deepStrictEqual(result.lines.map(l => [l.number, l.bet_count, l.pot]), [[1, 1, 3]]);
+    result = await db.listBettingLines({ channelId: 'C_DEV' });
+    assert.deepStrictEqual(result.lines.map(l => l.id), [second.id]);
+    result = await db.listBettingLines({ userId: alice.id, userSlackId: 'UALICE' });
+    assert.deepStrictEqual(result.lines.map(l => l.id), [third.id, first.id]);
+    console.log('✅ Filters combine, newest first, with bet counts and pots');
+
+    console.log('\n5. Testing pagination...');
+    for (let i = 0; i < 10; i++) {
+      await createLine(`Question ${i}?`);
+    }
+    const page1 = await db.listBettingLines({ statuses: ['open'] }, 10, 0);
+    const page2 = await db.listBettingLines({ statuses: ['open'] }, 10, 10);
+    assert.strictEqual(page1.total, 12);
+    assert.deepStrictEqual([page1.lines.length, page2.lines.length], [10, 2]);
+    assert.deepStrictEqual(page2.lines.map(l => l.number), [6, 2]);
+    console.log('✅ Pages hold ten lines and the total covers them all');
+
+    console.log('\n6. Testing a line whose card cannot be posted...');
+    const handlers = Object.assign(Object.create(SlackHandlers.prototype), { db, bettingService });
+    const failingClient = { chat: { postMessage: async () => { throw new Error('channel_not_found'); } } };
+    await assert.rejects(
+      handlers.publishLine(failingClient, 'UCREATOR', 'C_GONE', {
+        question: 'Lost card?', options: ['yes', 'no'], emojis: [':one:', ':two:'], limits: { leagueId: 'default' }
+      }),
+      /channel_not_found/
+    );
+    assert.strictEqual((await db.listBettingLines({ channelId: 'C_GONE' })).total, 0);
+    // Lines with bets are never removed
+    assert.strictEqual(await db.deleteBettingLine(first.id), 0);
+    assert.ok(await db.getBettingLine(first.id));
+    console.log('✅ The line is removed instead of being listed without a card');
+
+    console.log('\n🎉 All line listing tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    await legacyDb.close();
+    fs.unlinkSync('./test-lines.db');
+    fs.unlinkSync('./test-lines-legacy.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
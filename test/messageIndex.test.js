@@ -0,0 +1,76 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const MessageIndex = require('../src/services/messageIndex');
+
+async function runTests() {
+  console.log('🧪 Running message index tests...\n');
+
+  const db = new Database('./test-message-index.db');
+  await db.init();
+
+  // Count how often the index has to go to the database
+  let lookups = 0;
+  const getBettingLineByMessage = db.getBettingLineByMessage.bind(db);
+  db.getBettingLineByMessage = (...args) => {
+    lookups += 1;
+    return getBettingLineByMessage(...args);
+  };
+
+  try {
+    console.log('1. Testing lines are found by channel and message timestamp...');
+    const line = await db.createBettingLine('Ship it?', ['yes', 'no'], [':white_check_mark:', ':x:'], 'UCREATOR', '1700000000.000100', 'C_INDEX');
+    const found = await db.getBettingLineByMessage('C_INDEX', '1700000000.000100');
+    assert.strictEqual(found.id, line.id);
+    assert.deepStrictEqual(found.options, ['yes', 'no']);
+    assert.strictEqual(await db.getBettingLineByMessage('C_OTHER', '1700000000.000100'), null);
+    console.log('✅ Repository lookup matches on both columns');
+
+    console.log('\n2. Testing the mapping is cached but the line is read fresh...');
+    const index = new MessageIndex(db);
+    lookups = 0;
+    assert.strictEqual((await index.findLine('C_INDEX', '1700000000.000100')).id, line.id);
+    await db.updateBettingLineStatus(line.id, 'locked');
+    const again = await index.findLine('C_INDEX', '1700000000.000100');
+    assert.strictEqual(again.status, 'locked');
+    assert.strictEqual(lookups, 1);
+    console.log('✅ One message lookup, current line status');
+
+    console.log('\n3. Testing messages that are not cards...');
+    lookups = 0;
+    assert.strictEqual(await index.findLine('C_INDEX', '1700000000.999999'), null);
+    assert.strictEqual(await index.findLine('C_INDEX', '1700000000.999999'), null);
+    assert.strictEqual(lookups, 1);
+
+    // A card posted at that timestamp replaces the cached miss
+    const late = await db.createBettingLine('Late?', ['yes', 'no'], [':white_check_mark:', ':x:'], 'UCREATOR', '1700000000.999999', 'C_INDEX');
+    index.remember({ id: late.id, slack_channel_id: 'C_INDEX', slack_message_ts: '1700000000.999999' });
+    assert.strictEqual((await index.findLine('C_INDEX', '1700000000.999999')).id, late.id);
+    console.log('✅ Misses are cached until a card is remembered');
+
+    console.log('\n4. Testing the cache is bounded...');
+    const small = new MessageIndex(db, { maxEntries: 2 });
+    await small.findLine('C_INDEX', '1.1');
+    await small.findLine('C_INDEX', '1.2');
+    await small.findLine('C_INDEX', '1.1');
+    await small.findLine('C_INDEX', '1.3');
+    assert.strictEqual(small.size, 2);
+    assert.ok(small.entries.has(MessageIndex.key('C_INDEX', '1.1')), 'recently used entries survive');
+    assert.ok(!small.entries.has(MessageIndex.key('C_INDEX', '1.2')), 'the least recently used entry is evicted');
+    console.log('✅ Least recently used entries are evicted');
+
+    console.log('\n🎉 All message index tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-message-index.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const SqliteDriver = require('../src/database/drivers/sqlite');
+const { loadMigrations, getStatus, migrate } = require('../src/database/migrator');
+
+const quiet = () => {};
+
+async function runTests() {
+  console.log('🧪 Running migration tests...\n');
+
+  const latest = loadMigrations().length;
+  const freshDb = new SqliteDriver('./test-migrations-fresh.db');
+  const legacyDb = new SqliteDriver('./test-migrations-legacy.db');
+  const legacyRepo = new Database(legacyDb);
+
+  try {
+    console.log('1. Testing a fresh database...');
+    await migrate(freshDb, { log: quiet });
+    let status = await getStatus(freshDb);
+    assert.strictEqual(status.current, latest);
+    assert.strictEqual(status.pending.length, 0);
+    assert.deepStrictEqual(await migrate(freshDb, { log: quiet }), []);
+    console.log('✅ All migrations applied once');
+
+    console.log('\n2. Testing adoption of a pre-migration database...');
+    const [initialSchema] = loadMigrations();
+    await initialSchema.up(legacyDb);
+    await legacyDb.run(
+      "INSERT INTO users (id, slack_user_id, username, balance) VALUES ('u1', 'U1', 'Legacy User', 17)"
+    );
+    status = await getStatus(legacyDb);
+    assert.strictEqual(status.current, 1);
+    assert.ok(status.pending.length > 0);
+    console.log('✅ Existing tables adopted as version 1');
+
+    console.log('\n3. Testing upgrades of an adopted database...');
+    await migrate(legacyDb, { target: 2, log: quiet });
+    assert.strictEqual((await getStatus(legacyDb)).current, 2);
+    const columns = await legacyDb.getColumns('betting_lines');
+    assert.ok(columns.includes('min_stake') && columns.includes('max_stake'));
+
+    await migrate(legacyDb, { log: quiet });
+    assert.strictEqual((await getStatus(legacyDb)).current, latest);
+    assert.deepStrictEqual(await legacyRepo.reconcileBalances(), []);
+    const ledger = await legacyRepo.getTransactionsForUser('u1');
+    assert.deepStrictEqual(ledger.map(t => [t.type, t.amount, t.league_id]), [['adjustment', 17, 'default']]);
+    assert.deepStrictEqual((await legacyRepo.listLeagues()).map(l => [l.id, Number(l.members)]), [['default', 1]]);
+    assert.strictEqual((await legacyRepo.getMemberStats('u1')).balance, 17);
+    console.log('✅ Pending migrations applied and balances carried into the ledger and the default league');
+
+    console.log('\n🎉 All migration tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await freshDb.close();
+    await legacyDb.close();
+    fs.unlinkSync('./test-migrations-fresh.db');
+    fs.unlinkSync('./test-migrations-legacy.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
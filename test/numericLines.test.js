@@ -0,0 +1,116 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+const { buildBettingCard } = require('../src/views/bettingCard');
+const {
+  overUnderSpec,
+  bucketSpec,
+  optionsForSpec,
+  optionForValue,
+  describeSpec
+} = require('../src/services/numericLines');
+
+async function runTests() {
+  console.log('🧪 Running numeric line tests...\n');
+
+  const db = new Database('./test-numeric-lines.db');
+  await db.init();
+  const bettingService = new BettingService(db, { integrityRules: [] });
+
+  try {
+    console.log('1. Testing over/under lines...');
+    const half = overUnderSpec('15.5', 'min');
+    assert.deepStrictEqual(half, { kind: 'over_under', line: 15.5, unit: 'min' });
+    assert.deepStrictEqual(optionsForSpec(half), ['over', 'under']);
+    assert.strictEqual(optionForValue(half, 17), 'over');
+    assert.strictEqual(optionForValue(half, 15), 'under');
+    assert.strictEqual(describeSpec(half), 'Over/under 15.5 min');
+
+    const whole = overUnderSpec('15');
+    assert.strictEqual(optionForValue(whole, 15.25), 'over');
+    assert.throws(() => optionForValue(whole, 15), /exactly on the line.*push/);
+    assert.throws(() => overUnderSpec('lots'), /not a number/);
+    console.log('✅ Values pick over or under; a value on a whole-number line is rejected');
+
+    console.log('\n2. Testing buckets...');
+    // Slack escapes < and > in slash command text
+    const buckets = bucketSpec('&lt;10, 10-20, &gt;20', 'min');
+    assert.deepStrictEqual(optionsForSpec(buckets), ['<10', '10-20', '>20']);
+    assert.strictEqual(optionForValue(buckets, 9.9), '<10');
+    assert.strictEqual(optionForValue(buckets, 10), '10-20');
+    assert.strictEqual(optionForValue(buckets, 20), '10-20');
+    assert.strictEqual(optionForValue(buckets, 20.5), '>20');
+    assert.strictEqual(optionForValue(bucketSpec('<=0, >0'), 0), '<=0');
+
+    const gappy = bucketSpec('1-5, 10-15');
+    assert.throws(() => optionForValue(gappy, 7), /not in any bucket/);
+    assert.throws(() => bucketSpec('<10, 5-20'), /"<10" and "5-20" overlap/);
+    assert.throws(() => bucketSpec('10-20, 20-30'), /overlap/);
+    assert.throws(() => bucketSpec('20-10, 30-40'), /backwards/);
+    assert.throws(() => bucketSpec('>20'), /at least 2/);
+    assert.throws(() => bucketSpec('small, large'), /Could not understand the bucket "small"/);
+    console.log('✅ Every value lands in at most one bucket');
+
+    console.log('\n3. Testing a line settles from a reported value...');
+    const alice = await db.createUser('UALICE', 'Alice');
+    const bob = await db.createUser('UBOB', 'Bob');
+    const line = await db.createBettingLine('Standup length', optionsForSpec(half), bettingService.generateEmojis(optionsForSpec(half)), 'UCREATOR', null, 'C_NUMERIC', { numeric: half });
+    assert.deepStrictEqual((await db.getBettingLine(line.id)).numeric_spec, half);
+    await bettingService.placeBet(alice.id, line.id, 'over', 4);
+    await bettingService.placeBet(bob.id, line.id, 'under', 6);
+    await bettingService.lockLine(line.id);
+
+    const stored = await db.getBettingLine(line.id);
+    assert.deepStrictEqual(bettingService.outcomeForValue(stored, 17), { mode: 'single', winners: ['over'], value: 17 });
+    const options = await db.createBettingLine('Plain', ['yes', 'no'], [':white_check_mark:', ':x:'], 'UCREATOR', null, 'C_NUMERIC');
+    assert.throws(() => bettingService.outcomeForValue(options, 3), /Use `\/bet resolve`/);
+
+    const settled = await bettingService.processPayouts(line.id, bettingService.outcomeForValue(stored, 17));
+    assert.deepStrictEqual(settled.payouts.map(p => [p.username, p.payout]), [['Alice', 10]]);
+    const resolved = await db.getBettingLine(line.id);
+    assert.strictEqual(resolved.winner_option, 'over');
+    assert.strictEqual(resolved.reported_value, 17);
+    assert.deepStrictEqual(bettingService.outcomeForLine(resolved), { mode: 'single', winners: ['over'], value: 17 });
+
+    assert.ok((await bettingService.processPayouts(line.id, bettingService.outcomeForValue(stored, 17))).alreadyResolved);
+    await assert.rejects(
+      bettingService.processPayouts(line.id, bettingService.outcomeForValue(stored, 18)),
+      /already resolved with "over" \(reported value 17 min\)/
+    );
+    console.log('✅ The winning option and the value are stored together');
+
+    console.log('\n4. Testing the card shows the line and the value...');
+    const summary = await bettingService.getLineSummary(line.id);
+    const card = buildBettingCard(summary.line, summary, settled);
+    assert.ok(card.blocks.find(b => b.block_id === 'details').text.text.includes('📏 Over/under 15.5 min'));
+    assert.ok(card.blocks.find(b => b.block_id === 'payouts').text.text.includes('Reported value: *17 min*'));
+
+    const bucketLine = { id: 'line-2', question: 'How long?', options: optionsForSpec(buckets), emojis: [], numeric_spec: buckets, status: 'open' };
+    const bucketCard = JSON.stringify(buildBettingCard(bucketLine).blocks);
+    assert.ok(bucketCard.includes('*&lt;10*') && !bucketCard.includes('*<10*'));
+    console.log('✅ Bucket labels are escaped for mrkdwn');
+
+    console.log('\n5. Testing unresolve clears the value...');
+    await bettingService.unresolveLine(line.id, 'UADMIN', 'Misread the clock');
+    assert.strictEqual((await db.getBettingLine(line.id)).reported_value, null);
+    await bettingService.processPayouts(line.id, bettingService.outcomeForValue(stored, 12));
+    assert.strictEqual((await db.getBettingLine(line.id)).winner_option, 'under');
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+    console.log('✅ The line can be settled again with a corrected value');
+
+    console.log('\n🎉 All numeric line tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-numeric-lines.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
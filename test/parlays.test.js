@@ -0,0 +1,199 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+const { parseLegs, legResult, evaluateParlay } = require('../src/services/parlays');
+const { closestSpec } = require('../src/services/numericLines');
+
+async function runTests() {
+  console.log('🧪 Running parlay tests...\n');
+
+  const db = new Database('./test-parlays.db');
+  await db.init();
+  const bettingService = new BettingService(db, { integrityRules: [] });
+
+  async function balanceOf(user) {
+    return (await db.getUserStats(user.id)).balance;
+  }
+
+  // A line where yes pays 2x and no pays 2x
+  async function evenLine(question, backerA, backerB) {
+    const line = await db.createBettingLine(question, ['yes', 'no'], [':white_check_mark:', ':x:'], 'UCREATOR', null, 'C_PARLAY');
+    await bettingService.placeBet(backerA.id, line.id, 'yes', 2);
+    await bettingService.placeBet(backerB.id, line.id, 'no', 2);
+    return line;
+  }
+
+  try {
+    console.log('1. Testing leg parsing and settlement maths...');
+    assert.deepStrictEqual(parseLegs('abc:yes, def: no '), [
+      { lineId: 'abc', option: 'yes' },
+      { lineId: 'def', option: 'no' }
+    ]);
+    assert.throws(() => parseLegs('abc:yes, def'), /Could not understand the leg "def"/);
+
+    const leg = { option: 'yes', odds: 3 };
+    assert.deepStrictEqual(legResult(leg, { status: 'resolved', winner_options: ['yes'] }), { status: 'won', resultOdds: 3 });
+    assert.deepStrictEqual(legResult(leg, { status: 'resolved', winner_options: ['yes', 'no'] }), { status: 'won', resultOdds: 1.5 });
+    assert.deepStrictEqual(legResult(leg, { status: 'resolved', winner_option: 'no' }), { status: 'lost', resultOdds: 0 });
+    assert.deepStrictEqual(legResult(leg, { status: 'resolved', resolution_mode: 'push', winner_options: [] }), { status: 'void', resultOdds: 1 });
+    assert.deepStrictEqual(legResult(leg, { status: 'cancelled' }), { status: 'void', resultOdds: 1 });
+
+    const parlay = { stake: 10 };
+    assert.deepStrictEqual(evaluateParlay(parlay, [{ status: 'lost' }, { status: 'pending' }]), { status: 'lost', payout: 0 });
+    assert.deepStrictEqual(evaluateParlay(parlay, [{ status: 'won', result_odds: 2 }, { status: 'pending' }]), { status: 'open', payout: null });
+    assert.deepStrictEqual(evaluateParlay(parlay, [{ status: 'won', result_odds: 1.1 }, { status: 'won', result_odds: 2 }]), { status: 'won', payout: 22 });
+    assert.deepStrictEqual(evaluateParlay(parlay, [{ status: 'void', result_odds: 1 }, { status: 'void', result_odds: 1 }]), { status: 'void', payout: 10 });
+    console.log('✅ A lost leg kills the parlay; void legs count as 1x');
+
+    console.log('\n2. Testing placing a parlay...');
+    const alice = await db.createUser('UALICE', 'Alice');
+    const bob = await db.createUser('UBOB', 'Bob');
+    const carol = await db.createUser('UCAROL', 'Carol');
+    const first = await evenLine('Will the demo work?', alice, bob);
+    const second = await evenLine('Will CI be green?', alice, bob);
+    // 6 on yes and 2 on no: yes pays 1.33x
+    const third = await db.createBettingLine('Pizza on Friday?', ['yes', 'no'], [':pizza:', ':x:'], 'UCREATOR', null, 'C_PARLAY');
+    await bettingService.placeBet(alice.id, third.id, 'yes', 6);
+    await bettingService.placeBet(bob.id, third.id, 'no', 2);
+
+    const placed = await bettingService.placeParlay(carol.id, 10, [
+      { lineId: first.id, option: 'YES' },
+      { lineId: second.id, option: 'no' },
+      { lineId: third.id, option: 'yes' }
+    ]);
+    assert.deepStrictEqual(placed.legs.map(l => [l.option, l.odds]), [['yes', 2], ['no', 2], ['yes', 1.33]]);
+    assert.strictEqual(placed.odds, 2 * 2 * 1.33);
+    assert.strictEqual(placed.potentialPayout, 53);
+    assert.strictEqual(placed.balance, 10);
+    assert.strictEqual(await balanceOf(carol), 10);
+    assert.strictEqual((await db.getUserStats(carol.id)).total_bets, 1);
+
+    // The parlay does not touch the lines' pools
+    assert.strictEqual((await bettingService.getLineSummary(first.id)).totalPot, 4);
+    console.log('✅ Odds are locked in from each pool and the stake is taken once');
+
+    console.log('\n3. Testing what cannot be parlayed...');
+    await assert.rejects(bettingService.placeParlay(carol.id, 1, [{ lineId: first.id, option: 'yes' }]), /between 2 and 8 legs/);
+    await assert.rejects(
+      bettingService.placeParlay(carol.id, 1, [{ lineId: first.id, option: 'yes' }, { lineId: first.id, option: 'no' }]),
+      /one leg per line/
+    );
+    await assert.rejects(
+      bettingService.placeParlay(carol.id, 1, [{ lineId: first.id, option: 'yes' }, { lineId: second.id, option: 'maybe' }]),
+      /Invalid option "maybe"/
+    );
+    await assert.rejects(
+      bettingService.placeParlay(carol.id, 1.5, [{ lineId: first.id, option: 'yes' }, { lineId: second.id, option: 'no' }]),
+      /whole number/
+    );
+    await assert.rejects(
+      bettingService.placeParlay(carol.id, 50, [{ lineId: first.id, option: 'yes' }, { lineId: second.id, option: 'no' }]),
+      /Insufficient balance/
+    );
+
+    const unbacked = await db.createBettingLine('Snow day?', ['yes', 'no'], [':snowflake:', ':x:'], 'UCREATOR', null, 'C_PARLAY');
+    await bettingService.placeBet(alice.id, unbacked.id, 'no', 1);
+    await assert.rejects(
+      bettingService.placeParlay(carol.id, 1, [{ lineId: first.id, option: 'yes' }, { lineId: unbacked.id, option: 'yes' }]),
+      /Nobody has backed "yes"/
+    );
+
+    const guessLine = await db.createBettingLine('How many bugs?', [], [], 'UCREATOR', null, 'C_PARLAY', { numeric: closestSpec() });
+    await assert.rejects(
+      bettingService.placeParlay(carol.id, 1, [{ lineId: first.id, option: 'yes' }, { lineId: guessLine.id, option: '3' }]),
+      /closest-guess line/
+    );
+    assert.strictEqual(await balanceOf(carol), 10);
+    console.log('✅ Bad legs are rejected without taking the stake');
+
+    console.log('\n4. Testing a parlay waits for every leg and pays out...');
+    await bettingService.lockLine(first.id);
+    let result = await bettingService.processPayouts(first.id, { mode: 'single', winners: ['yes'] });
+    assert.deepStrictEqual(result.parlays, []);
+    assert.strictEqual((await db.getParlay(placed.id)).status, 'open');
+
+    // Cancelling a leg drops it out at 1x
+    const cancelled = await bettingService.cancelLine(second.id, 'UADMIN', 'CI is down');
+    assert.deepStrictEqual(cancelled.parlays, []);
+
+    await bettingService.lockLine(third.id);
+    result = await bettingService.processPayouts(third.id, { mode: 'single', winners: ['yes'] });
+    assert.strictEqual(result.parlays.length, 1);
+    const [won] = result.parlays;
+    // 10 x 2 x 1 x 1.33
+    assert.deepStrictEqual([won.status, won.payout, won.slackUserId], ['won', 26, 'UCAROL']);
+    assert.strictEqual(await balanceOf(carol), 36);
+    assert.strictEqual((await db.getUserStats(carol.id)).total_winnings, 16);
+    assert.deepStrictEqual((await db.getParlayLegs(placed.id)).map(l => l.status), ['won', 'void', 'won']);
+    console.log('✅ The parlay pays once its last leg resolves');
+
+    console.log('\n5. Testing a losing leg settles the parlay at once...');
+    const dave = await db.createUser('UDAVE', 'Dave');
+    const fourth = await evenLine('Will the release ship?', alice, bob);
+    const fifth = await evenLine('Will the retro run long?', alice, bob);
+    const loser = await bettingService.placeParlay(dave.id, 5, [
+      { lineId: fourth.id, option: 'yes' },
+      { lineId: fifth.id, option: 'yes' }
+    ]);
+    await bettingService.lockLine(fourth.id);
+    result = await bettingService.processPayouts(fourth.id, { mode: 'single', winners: ['no'] });
+    assert.deepStrictEqual(result.parlays.map(p => [p.status, p.payout]), [['lost', 0]]);
+    assert.strictEqual(await balanceOf(dave), 15);
+
+    // The other leg resolving later changes nothing
+    await bettingService.lockLine(fifth.id);
+    result = await bettingService.processPayouts(fifth.id, { mode: 'single', winners: ['yes'] });
+    assert.deepStrictEqual(result.parlays, []);
+    assert.strictEqual((await db.getParlay(loser.id)).status, 'lost');
+    console.log('✅ A lost leg ends the parlay without waiting');
+
+    console.log('\n6. Testing unresolving a leg reopens the parlay...');
+    await bettingService.unresolveLine(third.id, 'UADMIN', 'Pizza was cancelled');
+    assert.strictEqual((await db.getParlay(placed.id)).status, 'open');
+    assert.strictEqual(await balanceOf(carol), 10);
+    assert.strictEqual((await db.getUserStats(carol.id)).total_winnings, 0);
+
+    result = await bettingService.processPayouts(third.id, { mode: 'single', winners: ['no'] });
+    assert.deepStrictEqual(result.parlays.map(p => p.status), ['lost']);
+    assert.strictEqual(await balanceOf(carol), 10);
+
+    // Unresolving the leg that did not decide a lost parlay keeps it lost
+    await bettingService.unresolveLine(fifth.id, 'UADMIN', 'Recount');
+    assert.strictEqual((await db.getParlay(loser.id)).status, 'lost');
+    assert.deepStrictEqual((await db.getParlayLegs(loser.id)).map(l => l.status), ['lost', 'pending']);
+    console.log('✅ Payouts are reversed and the parlay is settled again');
+
+    console.log('\n7. Testing a parlay of cancelled lines is refunded...');
+    const sixth = await evenLine('Offsite in June?', alice, bob);
+    const seventh = await evenLine('Offsite in July?', alice, bob);
+    const refunded = await bettingService.placeParlay(dave.id, 3, [
+      { lineId: sixth.id, option: 'yes' },
+      { lineId: seventh.id, option: 'no' }
+    ]);
+    await bettingService.cancelLine(sixth.id, 'UADMIN');
+    const { parlays } = await bettingService.cancelLine(seventh.id, 'UADMIN');
+    assert.deepStrictEqual(parlays.map(p => [p.id, p.status, p.payout]), [[refunded.id, 'void', 3]]);
+    assert.strictEqual(await balanceOf(dave), 15);
+
+    const listed = await bettingService.getParlays(dave.id);
+    assert.deepStrictEqual(listed.map(p => p.status).sort(), ['lost', 'void']);
+    assert.ok(listed.every(p => p.legs.length === 2 && p.legs[0].question));
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+    console.log('✅ Every void leg means the stake comes back');
+
+    console.log('\n🎉 All parlay tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-parlays.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
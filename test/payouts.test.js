@@ -0,0 +1,171 @@
+const assert = require('assert');
+const {
+  allocateProportionally,
+  settleParimutuel,
+  settleDeadHeat,
+  settlePush,
+  settleOutcome,
+  sameOutcome,
+  describeOutcome,
+  calculateOdds
+} = require('../src/services/payouts');
+
+let nextId = 1;
+function bet(username, option, amount) {
+  return { id: `bet_${nextId++}`, user_id: `user_${username}`, username, option, amount };
+}
+
+function totalReturned(result) {
+  return result.payouts.reduce((sum, p) => sum + p.payout, 0);
+}
+
+async function runTests() {
+  console.log('🧪 Running payout settlement tests...\n');
+
+  try {
+    console.log('1. Testing largest-remainder allocation...');
+    assert.deepStrictEqual(allocateProportionally(10, [1, 1, 1]), [4, 3, 3]);
+    assert.deepStrictEqual(allocateProportionally(7, [2, 1]), [5, 2]);
+    assert.deepStrictEqual(allocateProportionally(1, [1, 3]), [0, 1]);
+    assert.deepStrictEqual(allocateProportionally(0, [4, 5]), [0, 0]);
+    assert.deepStrictEqual(allocateProportionally(5, []), []);
+    for (let pool = 0; pool <= 50; pool++) {
+      const weights = [3, 7, 1, 4];
+      const shares = allocateProportionally(pool, weights);
+      assert.strictEqual(shares.reduce((a, b) => a + b, 0), pool);
+    }
+    console.log('✅ Allocation always sums to the pool');
+
+    console.log('\n2. Testing a balanced two-sided pool...');
+    let result = settleParimutuel([bet('a', 'yes', 5), bet('b', 'no', 5)], 'yes');
+    assert.strictEqual(result.mode, 'parimutuel');
+    assert.deepStrictEqual(result.payouts.map(p => [p.username, p.winnings, p.payout]), [['a', 5, 10]]);
+    assert.deepStrictEqual(result.losers.map(l => l.username), ['b']);
+    console.log('✅ Winner doubles their stake');
+
+    console.log('\n3. Testing stake-weighted winners...');
+    result = settleParimutuel([
+      bet('a', 'yes', 1),
+      bet('b', 'yes', 3),
+      bet('c', 'no', 8)
+    ], 'yes');
+    assert.deepStrictEqual(result.payouts.map(p => p.winnings), [2, 6]);
+    assert.strictEqual(totalReturned(result), result.totalPot);
+    console.log('✅ Losing pool split by stake');
+
+    console.log('\n4. Testing deterministic remainders...');
+    result = settleParimutuel([
+      bet('a', 'yes', 1),
+      bet('b', 'yes', 1),
+      bet('c', 'yes', 1),
+      bet('d', 'no', 2),
+      bet('e', 'maybe', 2)
+    ], 'yes');
+    assert.deepStrictEqual(result.payouts.map(p => p.winnings), [2, 1, 1]);
+    assert.strictEqual(totalReturned(result), result.totalPot);
+    const again = settleParimutuel([
+      bet('a', 'yes', 1),
+      bet('b', 'yes', 1),
+      bet('c', 'yes', 1),
+      bet('d', 'no', 2),
+      bet('e', 'maybe', 2)
+    ], 'yes');
+    assert.deepStrictEqual(again.payouts.map(p => p.winnings), [2, 1, 1]);
+    console.log('✅ Leftover units assigned the same way every time');
+
+    console.log('\n5. Testing nobody on the winning option...');
+    result = settleParimutuel([bet('a', 'yes', 2), bet('b', 'no', 3)], 'maybe');
+    assert.strictEqual(result.mode, 'refund');
+    assert.deepStrictEqual(result.payouts.map(p => [p.username, p.payout, p.winnings]), [['a', 2, 0], ['b', 3, 0]]);
+    assert.deepStrictEqual(result.losers, []);
+    console.log('✅ All stakes refunded');
+
+    console.log('\n6. Testing everyone on the winning option...');
+    result = settleParimutuel([bet('a', 'yes', 2), bet('b', 'yes', 4)], 'yes');
+    assert.deepStrictEqual(result.payouts.map(p => p.payout), [2, 4]);
+    assert.deepStrictEqual(result.payouts.map(p => p.winnings), [0, 0]);
+    console.log('✅ Stakes returned with no winnings');
+
+    console.log('\n7. Testing an empty line...');
+    result = settleParimutuel([], 'yes');
+    assert.strictEqual(result.mode, 'empty');
+    assert.deepStrictEqual(result.payouts, []);
+    console.log('✅ Nothing to settle');
+
+    console.log('\n8. Testing many random pool shapes...');
+    let seed = 42;
+    const random = (n) => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed % n;
+    };
+    for (let round = 0; round < 200; round++) {
+      const options = ['a', 'b', 'c'];
+      const bets = [];
+      const count = 1 + random(12);
+      for (let i = 0; i < count; i++) {
+        bets.push(bet(`u${i}`, options[random(3)], 1 + random(20)));
+      }
+      const settled = settleParimutuel(bets, options[random(3)]);
+      assert.strictEqual(totalReturned(settled), settled.totalPot);
+      settled.payouts.forEach(p => assert.ok(p.payout >= p.stake));
+    }
+    console.log('✅ Every pool pays out exactly what was staked');
+
+    console.log('\n9. Testing odds and implied probabilities...');
+    const odds = calculateOdds(['yes', 'no', 'maybe'], { yes: 3, no: 7 });
+    assert.deepStrictEqual(odds.map(o => o.option), ['yes', 'no', 'maybe']);
+    assert.strictEqual(odds[0].multiplier.toFixed(2), '3.33');
+    assert.strictEqual(odds[0].impliedProbability, 0.3);
+    assert.strictEqual(odds[1].multiplier.toFixed(2), '1.43');
+    assert.strictEqual(odds[2].multiplier, null);
+    assert.strictEqual(odds[2].impliedProbability, null);
+    assert.deepStrictEqual(calculateOdds(['a'], { a: 4 })[0], { option: 'a', staked: 4, multiplier: 1, impliedProbability: 1 });
+    assert.strictEqual(calculateOdds(['a', 'b'], {})[0].multiplier, null);
+    console.log('✅ Multipliers are pot over option stake');
+
+    console.log('\n10. Testing dead heats...');
+    const field = [bet('a', 'red', 2), bet('b', 'red', 6), bet('c', 'blue', 4), bet('d', 'green', 10)];
+    result = settleDeadHeat(field, ['red', 'blue']);
+    assert.strictEqual(result.mode, 'dead_heat');
+    // The 10 unit losing pool splits 5/5 between red and blue, then by stake
+    assert.deepStrictEqual(result.payouts.map(p => [p.username, p.winnings, p.payout]), [['a', 1, 3], ['b', 4, 10], ['c', 5, 9]]);
+    assert.deepStrictEqual(result.losers.map(l => l.username), ['d']);
+    assert.strictEqual(totalReturned(result), result.totalPot);
+
+    // An unbacked winner's half goes to the backed winners
+    result = settleDeadHeat(field, ['red', 'yellow']);
+    assert.strictEqual(result.payouts.reduce((sum, p) => sum + p.winnings, 0), 14);
+    assert.strictEqual(totalReturned(result), result.totalPot);
+    assert.strictEqual(settleDeadHeat(field, ['yellow', 'purple']).mode, 'refund');
+    assert.deepStrictEqual(settleDeadHeat(field, ['blue']), settleParimutuel(field, 'blue'));
+    console.log('✅ Dead heats split the losing pool equally between winners');
+
+    console.log('\n11. Testing pushes and outcomes...');
+    result = settlePush(field);
+    assert.strictEqual(result.mode, 'push');
+    assert.deepStrictEqual(result.payouts.map(p => [p.username, p.payout]), [['a', 2], ['b', 6], ['c', 4], ['d', 10]]);
+    assert.deepStrictEqual(result.losers, []);
+    assert.strictEqual(settleOutcome(field, 'blue').mode, 'parimutuel');
+    assert.strictEqual(settleOutcome(field, { mode: 'dead_heat', winners: ['red', 'blue'] }).mode, 'dead_heat');
+    assert.strictEqual(settleOutcome([], { mode: 'push', winners: [] }).mode, 'push');
+
+    assert.ok(sameOutcome('red', { mode: 'dead_heat', winners: ['red'] }));
+    assert.ok(sameOutcome({ mode: 'dead_heat', winners: ['red', 'blue'] }, { mode: 'dead_heat', winners: ['blue', 'red'] }));
+    assert.ok(!sameOutcome('red', { mode: 'dead_heat', winners: ['red', 'blue'] }));
+    assert.ok(!sameOutcome({ mode: 'push', winners: [] }, 'red'));
+    assert.strictEqual(describeOutcome({ mode: 'dead_heat', winners: ['red', 'blue'] }), 'dead heat: red and blue');
+    assert.strictEqual(describeOutcome({ mode: 'push', winners: [] }), 'push');
+    console.log('✅ A push refunds every stake');
+
+    console.log('\n🎉 All payout tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
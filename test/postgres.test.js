@@ -0,0 +1,116 @@
+const assert = require('assert');
+const Database = require('../src/database/schema');
+const PostgresDriver = require('../src/database/drivers/postgres');
+const BettingService = require('../src/services/bettingService');
+const { getStatus, loadMigrations } = require('../src/database/migrator');
+const { overUnderSpec, closestSpec } = require('../src/services/numericLines');
+
+// Runs against TEST_DATABASE_URL when set, otherwise an in-memory pg-mem
+function createDriver() {
+  if (process.env.TEST_DATABASE_URL) {
+    return new PostgresDriver({ connectionString: process.env.TEST_DATABASE_URL });
+  }
+
+  const { newDb } = require('pg-mem');
+  const { Pool } = newDb().adapters.createPg();
+  return new PostgresDriver({ pool: new Pool() });
+}
+
+async function runTests() {
+  console.log('🧪 Running Postgres backend tests...\n');
+
+  const driver = createDriver();
+  const db = new Database(driver);
+  const bettingService = new BettingService(db);
+
+  try {
+    console.log('1. Testing migrations...');
+    await db.init();
+    const status = await getStatus(driver);
+    assert.strictEqual(status.current, loadMigrations().length);
+    console.log('✅ Schema created');
+
+    console.log('\n2. Testing users and the ledger...');
+    const alice = await db.createUser('pg_alice', 'Alice');
+    const bob = await db.createUser('pg_bob', 'Bob');
+    assert.strictEqual((await db.getUserBySlackId('pg_alice')).balance, 20);
+    console.log('✅ Users created with a starting grant');
+
+    console.log('\n3. Testing a full betting round...');
+    const line = await db.createBettingLine(
+      'Will Postgres behave?',
+      ['yes', 'no'],
+      bettingService.generateEmojis(['yes', 'no']),
+      alice.id,
+      '1700000000.000100',
+      'C_PG',
+      { minStake: 1, maxStake: 10 }
+    );
+    await bettingService.placeBet(alice.id, line.id, 'yes', 4);
+    await bettingService.placeBet(bob.id, line.id, 'no', 2);
+    await bettingService.placeBet(bob.id, line.id, 'no', 6);
+
+    const summary = await bettingService.getLineSummary(line.id);
+    assert.strictEqual(summary.totalPot, 10);
+
+    // pg-mem accepts ROLLBACK but does not undo anything, so this check
+    // needs a real server
+    if (process.env.TEST_DATABASE_URL) {
+      await assert.rejects(
+        db.transaction(async (tx) => {
+          await tx.recordTransaction(alice.id, 'adjustment', 100);
+          throw new Error('boom');
+        }),
+        /boom/
+      );
+      assert.strictEqual((await db.getUserStats(alice.id)).balance, 16);
+      console.log('✅ Failed transactions roll back');
+    }
+
+    const payoutData = await bettingService.processPayouts(line.id, 'yes');
+    assert.deepStrictEqual(payoutData.payouts.map(p => [p.username, p.payout]), [['Alice', 10]]);
+    assert.strictEqual((await db.getUserStats(alice.id)).balance, 26);
+    assert.strictEqual((await db.getUserStats(bob.id)).balance, 14);
+    assert.strictEqual((await db.getBettingLine(line.id)).status, 'resolved');
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+
+    const ledger = await db.getTransactionsForUser(bob.id);
+    assert.deepStrictEqual(ledger.map(t => [t.type, t.amount]), [['grant', 20], ['stake', -2], ['refund', 2], ['stake', -6]]);
+    console.log('✅ Bets settled and balances match the ledger');
+
+    console.log('\n4. Testing fractional guesses...');
+    const guessLine = await db.createBettingLine('How many seconds?', [], [], alice.id, null, 'C_PG', { numeric: closestSpec('number', 'not-over') });
+    await bettingService.placeGuess(alice.id, guessLine.id, '0.1', 2);
+    await bettingService.placeGuess(bob.id, guessLine.id, '0.05', 2);
+    const storedGuessLine = await db.getBettingLine(guessLine.id);
+    const guessed = await bettingService.processPayouts(guessLine.id, bettingService.outcomeForValue(storedGuessLine, 0.1));
+    assert.deepStrictEqual(guessed.outcome.winners, ['0.1']);
+    assert.deepStrictEqual(guessed.payouts.map(p => [p.username, p.payout]), [['Alice', 4]]);
+    console.log('✅ An exact fractional guess is not over the value');
+
+    console.log('\n5. Testing a repeat fractional settle...');
+    const spec = overUnderSpec('15.5');
+    const numericLine = await db.createBettingLine('How long is standup?', ['over', 'under'], [':one:', ':two:'], alice.id, null, 'C_PG', { numeric: spec });
+    await bettingService.placeBet(alice.id, numericLine.id, 'over', 2);
+    await bettingService.placeBet(bob.id, numericLine.id, 'under', 2);
+    const storedNumericLine = await db.getBettingLine(numericLine.id);
+    await bettingService.processPayouts(numericLine.id, bettingService.outcomeForValue(storedNumericLine, 17.3));
+    assert.strictEqual((await db.getBettingLine(numericLine.id)).reported_value, 17.3);
+    const repeat = await bettingService.processPayouts(numericLine.id, bettingService.outcomeForValue(storedNumericLine, 17.3));
+    assert.ok(repeat.alreadyResolved);
+    console.log('✅ Settling again with the same value changes nothing');
+
+    console.log('\n🎉 All Postgres tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,144 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+const LeagueService = require('../src/services/leagueService');
+const ReplenishmentService = require('../src/services/replenishmentService');
+const SlackHandlers = require('../src/handlers/slackHandlers');
+
+async function runTests() {
+  console.log('🧪 Running replenishment tests...\n');
+
+  const db = new Database('./test-replenishment.db');
+  await db.init();
+  const bettingService = new BettingService(db, { integrityRules: [] });
+  const leagues = new LeagueService(db, { defaultStartingBalance: 20 });
+  const replenishment = new ReplenishmentService(db, { weeklyAllowance: 5, bailoutBalance: 10, dailyBonus: 2 });
+
+  const DAY = 24 * 60 * 60 * 1000;
+
+  async function balanceOf(user) {
+    return (await db.getUserStats(user.id)).balance;
+  }
+
+  // Lose a user's whole balance on a line someone else wins
+  async function goBroke(loser, winner, leagueId = 'default') {
+    const line = await db.createBettingLine('Coin flip?', ['heads', 'tails'], [':one:', ':two:'], 'UCREATOR', null, 'C_TOPUP', { leagueId });
+    await bettingService.placeBet(loser.id, line.id, 'heads', await bettingService.getBalance(loser.id, leagueId));
+    await bettingService.placeBet(winner.id, line.id, 'tails', 1);
+    return line;
+  }
+
+  try {
+    const alice = await db.createUser('UALICE', 'Alice');
+    const bob = await db.createUser('UBOB', 'Bob');
+    const frontend = await leagues.createLeague('frontend', 'UADMIN', { startingBalance: 30 });
+    await leagues.join('frontend', alice.id);
+
+    console.log('1. Testing the weekly allowance...');
+    const monday = new Date('2026-03-02T09:00:00Z');
+    let granted = await replenishment.grantAllowances(monday);
+    assert.deepStrictEqual(
+      granted.map(g => [g.userId, g.leagueId, g.amount]).sort(),
+      [[alice.id, 'default', 5], [alice.id, frontend.id, 5], [bob.id, 'default', 5]].sort()
+    );
+    assert.strictEqual(await balanceOf(alice), 25);
+    assert.strictEqual((await db.getMemberStats(alice.id, frontend.id)).balance, 35);
+
+    // Hourly runs during the week pay nothing more
+    assert.deepStrictEqual(await replenishment.grantAllowances(new Date(monday.getTime() + DAY)), []);
+    assert.deepStrictEqual(await replenishment.grantAllowances(new Date(monday.getTime() + 7 * DAY - 1)), []);
+    granted = await replenishment.grantAllowances(new Date(monday.getTime() + 7 * DAY));
+    assert.strictEqual(granted.length, 3);
+    assert.strictEqual(await balanceOf(bob), 30);
+
+    const off = new ReplenishmentService(db, { weeklyAllowance: 0 });
+    assert.deepStrictEqual(await off.grantAllowances(new Date(monday.getTime() + 30 * DAY)), []);
+    console.log('✅ Every member is paid once a week');
+
+    console.log('\n2. Testing a bailout needs an empty balance and no open stakes...');
+    await assert.rejects(replenishment.bailout(bob.id, 'default'), /still have 30 units/);
+    const line = await goBroke(bob, alice);
+    assert.strictEqual(await balanceOf(bob), 0);
+    await assert.rejects(replenishment.bailout(bob.id, 'default'), /1 open position that could still pay out/);
+
+    await bettingService.lockLine(line.id);
+    await bettingService.processPayouts(line.id, 'tails');
+    const bailout = await replenishment.bailout(bob.id, 'default');
+    assert.deepStrictEqual(bailout, { amount: 10, balance: 10, bailouts: 1 });
+    assert.strictEqual(await balanceOf(bob), 10);
+    assert.strictEqual((await db.getUserStats(bob.id)).bailouts, 1);
+    await assert.rejects(replenishment.bailout(bob.id, 'default'), /still have 10 units/);
+    console.log('✅ A broke player is reset to the minimum and the bailout is counted');
+
+    console.log('\n3. Testing bailouts in a league...');
+    await assert.rejects(replenishment.bailout(bob.id, frontend.id), /not in the "frontend" league/);
+    await leagues.join('frontend', bob.id);
+    const leagueLine = await goBroke(alice, bob, frontend.id);
+    await bettingService.lockLine(leagueLine.id);
+    await bettingService.processPayouts(leagueLine.id, 'tails');
+    assert.strictEqual((await db.getMemberStats(alice.id, frontend.id)).balance, 0);
+    await replenishment.bailout(alice.id, frontend.id);
+    const member = await db.getMemberStats(alice.id, frontend.id);
+    assert.deepStrictEqual([member.balance, member.bailouts], [10, 1]);
+    assert.strictEqual((await db.getUserStats(alice.id)).bailouts, 0);
+    assert.deepStrictEqual((await db.getLeaguesForUser(alice.id)).map(l => l.bailouts), [1]);
+    console.log('✅ League bailouts stay in the league');
+
+    console.log('\n4. Testing the daily bonus...');
+    const morning = new Date('2026-03-10T08:00:00Z');
+    assert.deepStrictEqual(await replenishment.claimDailyBonus(bob.id, morning), { amount: 2 });
+    assert.strictEqual(await replenishment.claimDailyBonus(bob.id, new Date('2026-03-10T23:59:00Z')), null);
+    assert.deepStrictEqual(await replenishment.claimDailyBonus(bob.id, new Date('2026-03-11T00:01:00Z')), { amount: 2 });
+    assert.strictEqual(await balanceOf(bob), 14);
+    assert.strictEqual(await off.claimDailyBonus(alice.id, morning), null);
+    const bobRow = await db.getUserBySlackId('UBOB');
+    assert.strictEqual(replenishment.isDailyBonusDue(bobRow, new Date('2026-03-11T23:00:00Z')), false);
+    assert.strictEqual(replenishment.isDailyBonusDue(bobRow, new Date('2026-03-12T00:01:00Z')), true);
+    assert.strictEqual(off.isDailyBonusDue(bobRow), false);
+    console.log('✅ The bonus is paid once per UTC day');
+
+    // Commands only look the user up, and carry on if the bonus fails
+    const replies = [];
+    const handlers = Object.assign(Object.create(SlackHandlers.prototype), {
+      db,
+      replenishment: { dailyBonus: 2, isDailyBonusDue: () => true, claimDailyBonus: async () => { throw new Error('database is locked'); } },
+    });
+    const quietError = console.error;
+    console.error = () => {};
+    try {
+      await handlers.payDailyBonus({ user_id: 'UBOB' }, async reply => replies.push(reply));
+      await handlers.payDailyBonus({ user_id: 'UNEWCOMER' }, async reply => replies.push(reply));
+    } finally {
+      console.error = quietError;
+    }
+    assert.deepStrictEqual(replies, []);
+    assert.strictEqual(await db.getUserBySlackId('UNEWCOMER'), undefined);
+    console.log('✅ A failed bonus does not stop the command');
+
+    console.log('\n5. Testing each top-up is its own ledger entry...');
+    const summary = await db.getLedgerSummary(bob.id);
+    assert.deepStrictEqual(
+      [summary.allowance, summary.bailout, summary.bonus],
+      [{ count: 2, total: 10 }, { count: 1, total: 10 }, { count: 2, total: 4 }]
+    );
+    const notes = (await db.getTransactionsForUser(bob.id)).map(t => `${t.type}:${t.note}`);
+    assert.ok(notes.includes('allowance:Weekly allowance') && notes.includes('bailout:Bailout #1') && notes.includes('bonus:Daily bonus'));
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+    console.log('✅ Allowances, bailouts and bonuses are told apart in the ledger');
+
+    console.log('\n🎉 All replenishment tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-replenishment.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
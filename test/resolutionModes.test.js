@@ -0,0 +1,130 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+const { buildBettingCard } = require('../src/views/bettingCard');
+
+async function runTests() {
+  console.log('🧪 Running dead heat and push resolution tests...\n');
+
+  const db = new Database('./test-resolution-modes.db');
+  await db.init();
+  const bettingService = new BettingService(db, { integrityRules: ['resolver_position_needs_confirmation'] });
+
+  const ids = ['UALICE', 'UBOB', 'UCAROL', 'UDAVE'];
+  const balances = async () => Object.fromEntries(
+    await Promise.all(ids.map(async id => [id, (await db.getUserBySlackId(id)).balance]))
+  );
+  const alice = await db.createUser('UALICE', 'Alice');
+  const bob = await db.createUser('UBOB', 'Bob');
+  const carol = await db.createUser('UCAROL', 'Carol');
+  const dave = await db.createUser('UDAVE', 'Dave');
+  const createLine = async (question) => {
+    const line = await db.createBettingLine(question, ['red', 'blue', 'green'], [':red_circle:', ':large_blue_circle:', ':large_green_circle:'], 'UCREATOR', null, 'C_MODES');
+    await bettingService.placeBet(alice.id, line.id, 'red', 2);
+    await bettingService.placeBet(bob.id, line.id, 'red', 6);
+    await bettingService.placeBet(carol.id, line.id, 'blue', 4);
+    await bettingService.placeBet(dave.id, line.id, 'green', 10);
+    await bettingService.lockLine(line.id);
+    return db.getBettingLine(line.id);
+  };
+
+  try {
+    console.log('1. Testing resolve input is parsed into an outcome...');
+    const line = await createLine('Which team wins the relay?');
+    assert.deepStrictEqual(bettingService.parseOutcome(line, 'Red'), { mode: 'single', winners: ['red'] });
+    assert.deepStrictEqual(bettingService.parseOutcome(line, 'red, BLUE'), { mode: 'dead_heat', winners: ['red', 'blue'] });
+    assert.deepStrictEqual(bettingService.parseOutcome(line, 'red, red'), { mode: 'single', winners: ['red'] });
+    assert.deepStrictEqual(bettingService.parseOutcome(line, ' push '), { mode: 'push', winners: [] });
+    assert.throws(() => bettingService.parseOutcome(line, 'red, purple'), /Invalid winning option "purple"/);
+    assert.throws(() => bettingService.parseOutcome(line, 'red, blue, green'), /push/);
+
+    const commas = { options: ['Yes, easily', 'No'] };
+    assert.deepStrictEqual(bettingService.parseOutcome(commas, 'yes, easily'), { mode: 'single', winners: ['Yes, easily'] });
+    console.log('✅ One option, several options or push');
+
+    console.log('\n2. Testing a dead heat settles through the ledger...');
+    const before = await balances();
+    const deadHeat = await bettingService.processPayouts(line.id, { mode: 'dead_heat', winners: ['red', 'blue'] });
+    assert.strictEqual(deadHeat.mode, 'dead_heat');
+    assert.deepStrictEqual(await balances(), { UALICE: before.UALICE + 3, UBOB: before.UBOB + 10, UCAROL: before.UCAROL + 9, UDAVE: before.UDAVE });
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+
+    const resolved = await db.getBettingLine(line.id);
+    assert.strictEqual(resolved.resolution_mode, 'dead_heat');
+    assert.deepStrictEqual(resolved.winner_options, ['red', 'blue']);
+    assert.strictEqual(resolved.winner_option, 'red');
+    assert.deepStrictEqual(bettingService.outcomeForLine(resolved), { mode: 'dead_heat', winners: ['red', 'blue'] });
+
+    const again = await bettingService.processPayouts(line.id, { mode: 'dead_heat', winners: ['blue', 'red'] });
+    assert.ok(again.alreadyResolved);
+    await assert.rejects(bettingService.processPayouts(line.id, 'red'), /already resolved with "dead heat: red and blue"/);
+    console.log('✅ The losing pool is split between both winners, once');
+
+    console.log('\n3. Testing a dead heat is shown on the card...');
+    const summary = await bettingService.getLineSummary(line.id);
+    const payoutData = await bettingService.calculatePayouts(line.id, bettingService.outcomeForLine(summary.line));
+    const card = buildBettingCard(summary.line, summary, payoutData);
+    const optionText = (i) => card.blocks.find(b => b.block_id === `option_${i}`).text.text;
+    assert.ok(optionText(0).includes('🏆') && optionText(1).includes('🏆') && !optionText(2).includes('🏆'));
+    assert.ok(card.blocks.find(b => b.block_id === 'payouts').text.text.includes('*Dead heat* between *red* and *blue*'));
+    console.log('✅ Every winner gets a trophy and the mode is explained');
+
+    console.log('\n4. Testing unresolve clears the outcome...');
+    const { outcome } = await bettingService.unresolveLine(line.id, 'UADMIN', 'Photo finish was wrong');
+    assert.deepStrictEqual(outcome, { mode: 'dead_heat', winners: ['red', 'blue'] });
+    const reopened = await db.getBettingLine(line.id);
+    assert.strictEqual(reopened.resolution_mode, null);
+    assert.strictEqual(reopened.winner_options, null);
+    assert.deepStrictEqual(await balances(), before);
+    console.log('✅ The line is locked again with no winners');
+
+    console.log('\n5. Testing a push refunds every stake...');
+    const push = await bettingService.processPayouts(line.id, { mode: 'push', winners: [] });
+    assert.strictEqual(push.mode, 'push');
+    assert.deepStrictEqual(push.losers, []);
+    const afterPush = await balances();
+    assert.deepStrictEqual(afterPush, { UALICE: before.UALICE + 2, UBOB: before.UBOB + 6, UCAROL: before.UCAROL + 4, UDAVE: before.UDAVE + 10 });
+    const ledger = await db.getTransactionsForUser(dave.id);
+    assert.deepStrictEqual(ledger.slice(-1).map(t => [t.type, t.amount]), [['refund', 10]]);
+
+    const pushed = await db.getBettingLine(line.id);
+    assert.strictEqual(pushed.resolution_mode, 'push');
+    assert.strictEqual(pushed.winner_option, null);
+    assert.ok((await bettingService.processPayouts(line.id, { mode: 'push', winners: [] })).alreadyResolved);
+    const pushCard = buildBettingCard(pushed, await bettingService.getLineSummary(line.id), push);
+    assert.ok(!JSON.stringify(pushCard.blocks).includes('🏆'));
+    assert.ok(pushCard.blocks.find(b => b.block_id === 'payouts').text.text.includes('*Push*'));
+    console.log('✅ Stakes come back as refunds and nobody is a winner');
+
+    console.log('\n6. Testing a pending confirmation keeps the outcome...');
+    const pending = await createLine('Which team wins the sprint?');
+    await assert.rejects(bettingService.processPayouts(pending.id, 'purple'), /Invalid winning option/);
+    const held = await bettingService.processPayouts(pending.id, { mode: 'dead_heat', winners: ['red', 'green'] }, { resolvedBy: 'UALICE' });
+    assert.ok(held.pending);
+    assert.deepStrictEqual((await db.getBettingLine(pending.id)).pending_outcome, { mode: 'dead_heat', winners: ['red', 'green'] });
+
+    const confirmed = await bettingService.confirmResolution(pending.id, 'UADMIN');
+    assert.strictEqual(confirmed.mode, 'dead_heat');
+    assert.deepStrictEqual(confirmed.outcome, { mode: 'dead_heat', winners: ['red', 'green'] });
+    const settled = await db.getBettingLine(pending.id);
+    assert.strictEqual(settled.pending_outcome, null);
+    assert.deepStrictEqual(settled.winner_options, ['red', 'green']);
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+    console.log('✅ The confirming admin settles the same dead heat');
+
+    console.log('\n🎉 All resolution mode tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-resolution-modes.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,19 @@
+// Runs test.js and every *.test.js file in this directory, one after another
+const fs = require('fs');
+const path = require('path');
+
+async function main() {
+  const files = ['test.js', ...fs.readdirSync(__dirname).filter(f => f.endsWith('.test.js')).sort()];
+
+  for (const file of files) {
+    const { runTests } = require(path.join(__dirname, file));
+    await runTests();
+    console.log('');
+  }
+
+  if (process.exitCode) {
+    console.error('❌ Some tests failed');
+  }
+}
+
+main();
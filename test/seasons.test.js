@@ -0,0 +1,150 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+const LeagueService = require('../src/services/leagueService');
+const SeasonService = require('../src/services/seasonService');
+
+async function runTests() {
+  console.log('🧪 Running season tests...\n');
+
+  const db = new Database('./test-seasons.db');
+  await db.init();
+  const bettingService = new BettingService(db, { integrityRules: [] });
+  const leagues = new LeagueService(db, { defaultStartingBalance: 20 });
+  const seasons = new SeasonService(db);
+
+  function createLine(question, leagueId = 'default') {
+    return db.createBettingLine(question, ['yes', 'no'], [':white_check_mark:', ':x:'], 'UCREATOR', null, 'C_SEASON', { leagueId });
+  }
+
+  async function balanceOf(user) {
+    return (await db.getUserStats(user.id)).balance;
+  }
+
+  try {
+    const alice = await db.createUser('UALICE', 'Alice');
+    const bob = await db.createUser('UBOB', 'Bob');
+    const carol = await db.createUser('UCAROL', 'Carol');
+
+    console.log('1. Testing starting a season resets balances...');
+    const early = await createLine('Before the season?');
+    assert.strictEqual(early.season_id, null);
+    await bettingService.placeBet(alice.id, early.id, 'yes', 5);
+    await assert.rejects(seasons.startSeason('default', 'UADMIN'), /1 open position\. Resolve or cancel/);
+    await bettingService.cancelLine(early.id, 'UADMIN');
+
+    await assert.rejects(seasons.startSeason('default', 'UADMIN', { startingBalance: 0 }), /whole number/);
+    const { season, reset } = await seasons.startSeason('default', 'UADMIN', { startingBalance: 50 });
+    assert.deepStrictEqual([season.number, season.starting_balance, season.status, reset], [1, 50, 'active', 3]);
+    assert.deepStrictEqual([await balanceOf(alice), await balanceOf(bob), await balanceOf(carol)], [50, 50, 50]);
+    await assert.rejects(seasons.startSeason('default', 'UADMIN'), /Season 1 is still running/);
+
+    // Newcomers join on the season's balance
+    const dave = await db.createUser('UDAVE', 'Dave');
+    assert.strictEqual(await balanceOf(dave), 50);
+    console.log('✅ Everyone starts the season on the same balance');
+
+    console.log('\n2. Testing lines are tagged with their season...');
+    const line = await createLine('Release on time?');
+    assert.strictEqual(line.season_id, season.id);
+    assert.strictEqual((await db.getBettingLine(line.id)).season_id, season.id);
+    await bettingService.placeBet(alice.id, line.id, 'yes', 20);
+    await bettingService.placeBet(bob.id, line.id, 'no', 10);
+    await bettingService.placeBet(carol.id, line.id, 'no', 10);
+    await assert.rejects(seasons.endSeason('default', 'UADMIN'), /3 open positions/);
+    await bettingService.lockLine(line.id);
+    await bettingService.processPayouts(line.id, 'yes');
+    console.log('✅ Lines remember the season they were created in');
+
+    console.log('\n3. Testing ending a season archives standings and resets...');
+    const ended = await seasons.endSeason('default', 'UADMIN', { awardBadges: true });
+    assert.strictEqual(ended.season.status, 'ended');
+    assert.deepStrictEqual(
+      ended.standings.map(st => [st.username, st.rank, st.balance, st.profit, st.bets, st.badge]),
+      [
+        ['Alice', 1, 70, 20, 1, '🥇'],
+        ['Dave', 2, 50, 0, 0, null],
+        ['Bob', 3, 40, -10, 1, null],
+        ['Carol', 3, 40, -10, 1, null]
+      ]
+    );
+    assert.deepStrictEqual([await balanceOf(alice), await balanceOf(bob), await balanceOf(dave)], [50, 50, 50]);
+    // Lifetime stats are kept across seasons
+    assert.strictEqual((await db.getUserStats(alice.id)).total_winnings, 20);
+    await assert.rejects(seasons.endSeason('default', 'UADMIN'), /No season is running/);
+
+    const notes = (await db.getTransactionsForUser(alice.id)).map(t => `${t.type}:${t.amount}:${t.note}`);
+    assert.ok(notes.includes('adjustment:30:Season 1 start') && notes.includes('adjustment:-20:Season 1 end'));
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+    console.log('✅ Final standings survive the reset');
+
+    console.log('\n4. Testing historical standings and badges...');
+    const archived = await seasons.getStandings('default', 1, 2);
+    assert.deepStrictEqual(archived.standings.map(st => st.username), ['Alice', 'Dave']);
+    await assert.rejects(seasons.getStandings('default', 7), /no season 7/);
+    assert.deepStrictEqual(
+      (await db.getBadgesForUser(alice.id)).map(b => [b.badge, b.season, b.league_name]),
+      [['🥇', 1, 'default']]
+    );
+    assert.deepStrictEqual(await db.getBadgesForUser(bob.id), []);
+
+    const second = await seasons.startSeason('default', 'UADMIN');
+    assert.deepStrictEqual([second.season.number, second.season.starting_balance, second.reset], [2, 20, 4]);
+    await assert.rejects(seasons.getStandings('default', 2), /still running/);
+    console.log('✅ Past seasons can be looked up by number');
+
+    console.log('\n5. Testing each league runs its own seasons...');
+    const frontend = await leagues.createLeague('frontend', 'UADMIN', { startingBalance: 100 });
+    await leagues.join('frontend', alice.id);
+    const { season: leagueSeason } = await seasons.startSeason(frontend.id, 'UADMIN', { startingBalance: 30 });
+    assert.strictEqual(leagueSeason.number, 1);
+    assert.strictEqual((await db.getMemberStats(alice.id, frontend.id)).balance, 30);
+    assert.strictEqual(await balanceOf(alice), 20);
+
+    // Joining mid-season grants the season's balance, not the league's
+    await leagues.join('frontend', bob.id);
+    assert.strictEqual((await db.getMemberStats(bob.id, frontend.id)).balance, 30);
+    assert.strictEqual((await createLine('Dark mode?', frontend.id)).season_id, leagueSeason.id);
+
+    const leagueEnd = await seasons.endSeason(frontend.id, 'UADMIN');
+    assert.ok(leagueEnd.standings.every(st => st.badge === null));
+    await assert.rejects(seasons.endSeason(frontend.id, 'UADMIN'), /No season is running in the "frontend" league/);
+    assert.strictEqual((await db.getActiveSeason('default')).number, 2);
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+    console.log('✅ League seasons leave the default league alone');
+
+    console.log('\n6. Testing a bet placed while a season starts...');
+    const raceLine = await createLine('Ship it?', frontend.id);
+    let racingBet;
+    // Place the bet right after the open-position check
+    db.countOpenPositions = async function(...args) {
+      const open = await Database.prototype.countOpenPositions.apply(this, args);
+      racingBet = racingBet || bettingService.placeBet(alice.id, raceLine.id, 'yes', 5);
+      return open;
+    };
+    try {
+      await seasons.startSeason(frontend.id, 'UADMIN', { startingBalance: 40 });
+      await racingBet;
+    } finally {
+      delete db.countOpenPositions;
+    }
+    assert.strictEqual((await db.getMemberStats(alice.id, frontend.id)).balance, 35);
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+    console.log('✅ The stake is taken from the new balance, not wiped by the reset');
+
+    console.log('\n🎉 All season tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-seasons.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
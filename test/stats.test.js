@@ -0,0 +1,127 @@
+const assert = require('assert');
+const fs = require('fs');
+const Database = require('../src/database/schema');
+const BettingService = require('../src/services/bettingService');
+const StatsService = require('../src/services/statsService');
+
+async function runTests() {
+  console.log('🧪 Running stats tests...\n');
+
+  const db = new Database('./test-stats.db');
+  await db.init();
+  const bettingService = new BettingService(db, { integrityRules: [] });
+  const stats = new StatsService(db);
+
+  function createLine(question, options = ['yes', 'no']) {
+    return db.createBettingLine(question, options, options.map(() => ':grey_question:'), 'UCREATOR', null, 'C_STATS');
+  }
+
+  async function settle(line, outcome) {
+    await bettingService.lockLine(line.id);
+    return bettingService.processPayouts(line.id, outcome);
+  }
+
+  try {
+    console.log('1. Testing the summary of an empty history...');
+    const empty = StatsService.summarize([]);
+    assert.deepStrictEqual(
+      [empty.settledCount, empty.winRate, empty.roi, empty.currentStreak, empty.biggestWin, empty.favouriteType, empty.inPlay],
+      [0, null, null, null, null, null, 0]
+    );
+    assert.strictEqual(StatsService.parlayPosition({ stake: 4, odds: 3, status: 'won', payout: 12 }).profit, 8);
+    assert.strictEqual(StatsService.parlayPosition({ stake: 4, odds: 3, status: 'void', payout: 4 }).status, 'void');
+    assert.strictEqual(StatsService.challengePosition({ challenger_id: 'a', status: 'pending', stake: 2 }, 'b'), null);
+    console.log('✅ Nothing to report without bets');
+
+    console.log('\n2. Testing stats are worked out from the bet history...');
+    const alice = await db.createUser('UALICE', 'Alice');
+    const bob = await db.createUser('UBOB', 'Bob');
+
+    const first = await createLine('Will the demo work?');
+    await bettingService.placeBet(alice.id, first.id, 'yes', 4);
+    await bettingService.placeBet(bob.id, first.id, 'no', 4);
+    await settle(first, 'yes');
+
+    const second = await createLine('Which room?', ['red', 'green', 'blue']);
+    await bettingService.placeBet(alice.id, second.id, 'red', 2);
+    await bettingService.placeBet(bob.id, second.id, 'green', 6);
+    await settle(second, 'green');
+
+    const third = await createLine('Will it rain?');
+    await bettingService.placeBet(alice.id, third.id, 'yes', 3);
+    await bettingService.placeBet(bob.id, third.id, 'no', 3);
+    await settle(third, { mode: 'push', winners: [] });
+
+    const cancelled = await createLine('Offsite in June?');
+    await bettingService.placeBet(alice.id, cancelled.id, 'yes', 1);
+    await bettingService.cancelLine(cancelled.id, 'UADMIN');
+
+    const fifth = await createLine('CI green by noon?');
+    await bettingService.placeBet(alice.id, fifth.id, 'yes', 5);
+    await bettingService.placeBet(bob.id, fifth.id, 'no', 1);
+    await settle(fifth, 'yes');
+
+    const challenge = await bettingService.issueChallenge(alice.id, bob.id, 'Standup is under 10 minutes', 3);
+    await bettingService.acceptChallenge(challenge.id, bob.id);
+    await bettingService.claimChallenge(challenge.id, alice.id, 'won');
+    await bettingService.claimChallenge(challenge.id, bob.id, 'lost');
+
+    const open = await createLine('Pizza on Friday?');
+    await bettingService.placeBet(alice.id, open.id, 'yes', 2);
+
+    // Unresolving a line puts its bets back in play
+    const reopened = await createLine('Release on time?');
+    await bettingService.placeBet(alice.id, reopened.id, 'yes', 2);
+    await bettingService.placeBet(bob.id, reopened.id, 'no', 2);
+    await settle(reopened, 'yes');
+    await bettingService.unresolveLine(reopened.id, 'UADMIN', 'Recount');
+
+    const s = await stats.getStats(alice.id);
+    assert.deepStrictEqual([s.settledCount, s.wins, s.losses, s.pushes], [5, 3, 1, 1]);
+    assert.strictEqual(s.winRate, 0.75);
+    assert.deepStrictEqual([s.staked, s.profit], [17, 6]);
+    assert.strictEqual(s.roi, 6 / 17);
+    assert.deepStrictEqual(s.currentStreak, { result: 'won', length: 2 });
+    assert.strictEqual(s.longestWinStreak, 2);
+    assert.deepStrictEqual([s.biggestWin.profit, s.biggestWin.label], [4, '"yes" on "Will the demo work?"']);
+    assert.strictEqual(s.favouriteType, 'two-way');
+    assert.deepStrictEqual(s.open.map(p => p.label), ['"yes" on "Pizza on Friday?"', '"yes" on "Release on time?"']);
+    assert.strictEqual(s.inPlay, 4);
+    assert.deepStrictEqual(
+      s.recent.map(p => [p.kind, p.status, p.profit]),
+      [['challenge', 'won', 3], ['bet', 'won', 1], ['bet', 'push', 0], ['bet', 'lost', -2], ['bet', 'won', 4]]
+    );
+    console.log('✅ Win rate, ROI, streaks, biggest win and favourite come from settled positions');
+
+    console.log('\n3. Testing net profit matches the ledger...');
+    // Nothing but bets has moved Alice's balance since her starting grant
+    const { balance } = await db.getUserStats(alice.id);
+    assert.strictEqual(balance, 20 + s.profit - s.inPlay);
+
+    const b = await stats.getStats(bob.id);
+    assert.deepStrictEqual([b.wins, b.losses, b.pushes, b.profit], [1, 3, 1, -6]);
+    assert.deepStrictEqual(b.currentStreak, { result: 'lost', length: 2 });
+    assert.strictEqual((await db.getUserStats(bob.id)).balance, 20 + b.profit - b.inPlay);
+    console.log('✅ Net is what the ledger paid back less what was staked');
+
+    console.log('\n4. Testing positions for the whole league at once...');
+    const league = await stats.getLeaguePositions();
+    assert.deepStrictEqual(league.get(alice.id), await stats.getPositions(alice.id));
+    assert.deepStrictEqual(league.get(bob.id), await stats.getPositions(bob.id));
+    console.log('✅ Each member gets the same positions as when looked up alone');
+
+    console.log('\n🎉 All stats tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+    fs.unlinkSync('./test-stats.db');
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
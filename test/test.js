@@ -1,5 +1,7 @@
+const assert = require('assert');
 const Database = require('../src/database/schema');
 const BettingService = require('../src/services/bettingService');
+const SlackHandlers = require('../src/handlers/slackHandlers');
 
 async function runTests() {
   console.log('🧪 Running Slack Betting Bot Tests...\n');
@@ -34,8 +36,8 @@ async function runTests() {
     // Test 3: Place bets
     console.log('\n3. Testing bet placement...');
     await bettingService.placeBet(user1.id, line.id, 'over');
-    await bettingService.placeBet(user2.id, line.id, 'under');
-    await bettingService.placeBet(user3.id, line.id, 'over');
+    await bettingService.placeBet(user2.id, line.id, 'under', 3);
+    await bettingService.placeBet(user3.id, line.id, 'over', 2);
     console.log('✅ Bets placed successfully');
 
     // Test 4: Check line summary
@@ -43,14 +45,24 @@ async function runTests() {
     const summary = await bettingService.getLineSummary(line.id);
     console.log(`Total bets: ${summary.totalBets}`);
     console.log(`Total pot: ${summary.totalPot}`);
+    assert.strictEqual(summary.totalPot, 6);
+    assert.deepStrictEqual(summary.stakeByOption, { over: 3, under: 3 });
+    assert.deepStrictEqual(summary.odds.map(o => [o.option, o.multiplier, o.impliedProbability]), [['over', 2, 0.5], ['under', 2, 0.5]]);
     console.log('✅ Line summary generated successfully');
 
+    const odds = await bettingService.getOdds(line.id, user3.id);
+    assert.deepStrictEqual(odds.position, { option: 'over', stake: 2, potentialPayout: 4 });
+    assert.strictEqual((await bettingService.getOdds(line.id, 'nobody')).position, null);
+    console.log('✅ Odds include the potential payout of a position');
+
     // Test 5: Calculate payouts
     console.log('\n5. Testing payout calculation...');
     const payoutData = await bettingService.calculatePayouts(line.id, 'over');
-    console.log(`Payout per winner: ${payoutData.payoutPerWinner}`);
+    console.log(`Payouts: ${payoutData.payouts.map(p => `${p.username} +${p.payout}`).join(', ')}`);
     console.log(`Total pot: ${payoutData.totalPot}`);
-    console.log(`Remainder: ${payoutData.remainder}`);
+    console.log(`Losing pool: ${payoutData.losingPool}`);
+    const payoutByUser = Object.fromEntries(payoutData.payouts.map(p => [p.username, [p.winnings, p.payout]]));
+    assert.deepStrictEqual(payoutByUser, { 'Test User 1': [1, 2], 'Test User 3': [2, 4] });
     console.log('✅ Payout calculation successful');
 
     // Test 6: Process payouts
@@ -65,26 +77,100 @@ async function runTests() {
     const finalUser3 = await db.getUserStats(user3.id);
     
     console.log(`User 1 balance: ${finalUser1.balance} (started with 20, bet 1, won 1)`);
-    console.log(`User 2 balance: ${finalUser2.balance} (started with 20, bet 1, lost 1)`);
-    console.log(`User 3 balance: ${finalUser3.balance} (started with 20, bet 1, won 1)`);
+    console.log(`User 2 balance: ${finalUser2.balance} (started with 20, bet 3, lost 3)`);
+    console.log(`User 3 balance: ${finalUser3.balance} (started with 20, bet 2, won 2)`);
+    assert.strictEqual(finalUser1.balance, 21);
+    assert.strictEqual(finalUser2.balance, 17);
+    assert.strictEqual(finalUser3.balance, 22);
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+    const ledger = await db.getTransactionsForUser(user3.id);
+    assert.deepStrictEqual(ledger.map(t => [t.type, t.amount]), [['grant', 20], ['stake', -2], ['payout', 4]]);
     console.log('✅ Final balances calculated correctly');
 
+    // Test resolving twice does not pay out twice
+    assert.ok((await bettingService.processPayouts(line.id, 'over')).alreadyResolved);
+    await assert.rejects(bettingService.processPayouts(line.id, 'under'), /already resolved/);
+    assert.strictEqual((await db.getUserStats(user3.id)).balance, 22);
+    console.log('✅ Repeat settlement paid nothing');
+
     // Test 8: Test edge cases
     console.log('\n8. Testing edge cases...');
     
     // Test duplicate bet prevention
     try {
-      await bettingService.placeBet(user1.id, line.id, 'under');
+      await bettingService.placeBet(user1.id, line.id, 'over');
       console.log('❌ Duplicate bet should have been prevented');
     } catch (error) {
       console.log('✅ Duplicate bet correctly prevented');
     }
 
+    // Test stake limits
+    const limitedLine = await db.createBettingLine(
+      'Will the build pass?',
+      ['yes', 'no'],
+      bettingService.generateEmojis(['yes', 'no']),
+      user1.id,
+      '1234567890.654321',
+      'C1234567890',
+      { minStake: 2, maxStake: 5 }
+    );
+    await assert.rejects(bettingService.placeBet(user1.id, limitedLine.id, 'yes', 1), /Minimum stake/);
+    await assert.rejects(bettingService.placeBet(user1.id, limitedLine.id, 'yes', 6), /Maximum stake/);
+    const stakedBet = await bettingService.placeBet(user1.id, limitedLine.id, 'yes', 2);
+    const raisedBet = await bettingService.changeStake(user1.id, limitedLine.id, bettingService.stakeForMultiplier(limitedLine, 'two'));
+    assert.strictEqual(raisedBet.amount, 4);
+    assert.strictEqual(raisedBet.balance, stakedBet.balance - 2);
+    console.log('✅ Stake limits and multipliers enforced');
+
+    // Test `/bet place` without an amount bets the line's minimum stake
+    const handlers = Object.assign(Object.create(SlackHandlers.prototype), { db, bettingService });
+    const replies = [];
+    await handlers.handlePlaceBet(
+      ['place', `#${limitedLine.number}`, 'no'],
+      async reply => replies.push(reply.text),
+      { chat: { update: async () => {} } },
+      { user_id: 'test_user_2' }
+    );
+    assert.strictEqual((await db.getUserBetOnLine(user2.id, limitedLine.id)).amount, 2);
+    assert.match(replies[0], /You bet 2 units on "no"/);
+    console.log('✅ A bet without an amount stakes the line minimum');
+
+    // Test concurrent bets cannot overspend a balance
+    const racer = await db.createUser('racer', 'Racer');
+    const raceLine = await db.createBettingLine(
+      'Will the race settle cleanly?',
+      ['yes', 'no'],
+      bettingService.generateEmojis(['yes', 'no']),
+      user1.id,
+      '1234567890.999999',
+      'C1234567890'
+    );
+    await Promise.allSettled([
+      bettingService.placeBet(racer.id, raceLine.id, 'yes', 5),
+      bettingService.placeBet(racer.id, raceLine.id, 'no', 7),
+      bettingService.placeBet(racer.id, raceLine.id, 'yes', 9)
+    ]);
+    const racerBet = await db.getUserBetOnLine(racer.id, raceLine.id);
+    assert.strictEqual((await db.getUserStats(racer.id)).balance, 20 - racerBet.amount);
+    assert.deepStrictEqual(await db.reconcileBalances(), []);
+    console.log('✅ Concurrent bets keep the ledger consistent');
+
+    // Test writes outside a transaction are not rolled back with one
+    let locked;
+    await assert.rejects(db.transaction(async (tx) => {
+      await tx.getBettingLine(raceLine.id);
+      locked = db.lockBettingLine(raceLine.id);
+      throw new Error('Rolled back');
+    }), /Rolled back/);
+    assert.strictEqual(await locked, true);
+    assert.strictEqual((await db.getBettingLine(raceLine.id)).status, 'locked');
+    console.log('✅ A failed transaction does not undo other writes');
+
     // Test insufficient balance
     const poorUser = await db.createUser('poor_user', 'Poor User');
     await db.updateUserBalance(poorUser.id, 0);
     try {
-      await bettingService.placeBet(poorUser.id, line.id, 'over');
+      await bettingService.placeBet(poorUser.id, limitedLine.id, 'yes', 2);
       console.log('❌ Insufficient balance should have been prevented');
     } catch (error) {
       console.log('✅ Insufficient balance correctly prevented');
@@ -101,9 +187,10 @@ async function runTests() {
 
   } catch (error) {
     console.error('❌ Test failed:', error);
+    process.exitCode = 1;
   } finally {
     // Cleanup
-    db.close();
+    await db.close();
     require('fs').unlinkSync('./test.db');
     console.log('\n🧹 Test database cleaned up');
   }
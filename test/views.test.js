@@ -0,0 +1,242 @@
+const assert = require('assert');
+const { ACTIONS, potBar, buildBettingCard, buildOddsMessage } = require('../src/views/bettingCard');
+const { calculateOdds } = require('../src/services/payouts');
+const {
+  CALLBACKS,
+  MODAL_ACTIONS,
+  buildStakeModal,
+  buildResolveModal,
+  readResolveSubmission,
+  buildCreateLineModal,
+  readCreateLineSubmission
+} = require('../src/views/modals');
+const BettingService = require('../src/services/bettingService');
+
+function line(overrides = {}) {
+  return {
+    id: 'line-1',
+    question: 'Will it rain tomorrow?',
+    options: ['yes', 'no'],
+    emojis: [':white_check_mark:', ':x:'],
+    min_stake: 1,
+    max_stake: 10,
+    status: 'open',
+    ...overrides
+  };
+}
+
+const summary = {
+  betsByOption: { yes: [{}, {}, {}], no: [{}] },
+  stakeByOption: { yes: 3, no: 7 },
+  odds: calculateOdds(['yes', 'no'], { yes: 3, no: 7 }),
+  totalBets: 4,
+  totalPot: 10
+};
+
+function findBlock(card, blockId) {
+  return card.blocks.find(b => b.block_id === blockId);
+}
+
+// Fake the `view` Slack sends on submission of the creation modal
+function submittedView(fields, optionCount = 2) {
+  const values = {};
+  Object.entries(fields).forEach(([blockId, value]) => {
+    if (blockId.startsWith('emoji_')) {
+      values[blockId] = { value: { type: 'static_select', selected_option: { value } } };
+    } else if (blockId === 'channel') {
+      values[blockId] = { value: { type: 'conversations_select', selected_conversation: value } };
+    } else {
+      values[blockId] = { value: { type: 'plain_text_input', value } };
+    }
+  });
+  return { state: { values }, private_metadata: JSON.stringify({ optionCount }) };
+}
+
+async function runTests() {
+  console.log('🧪 Running Block Kit view tests...\n');
+
+  try {
+    console.log('1. Testing the pot bar...');
+    assert.strictEqual(potBar(3, 10), '▰▰▰▱▱▱▱▱▱▱');
+    assert.strictEqual(potBar(0, 0), '▱▱▱▱▱▱▱▱▱▱');
+    assert.strictEqual(potBar(10, 10), '▰▰▰▰▰▰▰▰▰▰');
+    console.log('✅ Bars scale with the share of the pot');
+
+    console.log('\n2. Testing an open card...');
+    const open = buildBettingCard(line(), summary);
+    assert.ok(open.text.includes('Will it rain tomorrow?'));
+    assert.ok(!JSON.stringify(open.blocks).includes('**'), 'cards use Slack mrkdwn, not Markdown bold');
+    assert.strictEqual(open.blocks[0].type, 'header');
+
+    const yes = findBlock(open, 'option_0');
+    assert.strictEqual(yes.accessory.action_id, ACTIONS.placeBet);
+    assert.strictEqual(yes.accessory.value, 'line-1|0');
+    assert.ok(yes.text.text.includes('30% · pays 3.33x'));
+    assert.ok(findBlock(open, 'option_1').text.text.includes('7 units · 1 bet'));
+
+    const menu = findBlock(open, 'details').accessory;
+    assert.strictEqual(menu.action_id, ACTIONS.lineAdmin);
+    assert.deepStrictEqual(menu.options.map(o => o.value), ['lock|line-1', 'resolve|line-1', 'cancel|line-1']);
+    assert.ok(findBlock(open, 'status').elements[0].text.includes('Open'));
+    const empty = buildBettingCard(line(), { betsByOption: {}, stakeByOption: {}, odds: calculateOdds(['yes', 'no'], {}), totalPot: 0 });
+    assert.ok(findBlock(empty, 'option_0').text.text.includes('– · pays –'));
+    console.log('✅ Open cards have odds, a Bet button per option and the full admin menu');
+
+    console.log('\n3. Testing locked and resolved cards...');
+    const locked = buildBettingCard(line({ status: 'locked' }), summary);
+    assert.ok(!findBlock(locked, 'option_0').accessory);
+    assert.deepStrictEqual(findBlock(locked, 'details').accessory.options.map(o => o.value), ['resolve|line-1', 'cancel|line-1']);
+    assert.ok(findBlock(locked, 'status').elements[0].text.includes('Locked'));
+
+    const resolved = buildBettingCard(line({ status: 'resolved', winner_option: 'yes' }), summary, {
+      payouts: [{ username: 'Alice', stake: 3, winnings: 7, payout: 10 }],
+      message: 'Winners split the pot.'
+    });
+    assert.ok(!findBlock(resolved, 'details').accessory);
+    assert.ok(findBlock(resolved, 'option_0').text.text.includes('🏆'));
+    const payouts = findBlock(resolved, 'payouts').text.text;
+    assert.ok(payouts.includes('*Winner: yes*'));
+    assert.ok(payouts.includes('Alice: +7 units (10 returned on a 3 stake)'));
+
+    const cancelled = buildBettingCard(line({ status: 'cancelled', cancel_reason: 'Game postponed' }), summary);
+    assert.ok(!findBlock(cancelled, 'details').accessory);
+    assert.ok(!findBlock(cancelled, 'option_0').accessory);
+    assert.ok(findBlock(cancelled, 'cancellation').text.text.includes('cancelled: Game postponed'));
+    assert.ok(findBlock(cancelled, 'status').elements[0].text.includes('Cancelled'));
+    console.log('✅ Buttons disappear once betting stops; the outcome is shown');
+
+    console.log('\n4. Testing the stake modal...');
+    const modal = buildStakeModal(line(), 1, {
+      channelId: 'C1',
+      balance: 15,
+      currentBet: { option: 'no', amount: 4 }
+    });
+    assert.strictEqual(modal.callback_id, CALLBACKS.placeBet);
+    assert.deepStrictEqual(JSON.parse(modal.private_metadata), { lineId: 'line-1', optionIndex: 1, channelId: 'C1' });
+    const stake = modal.blocks.find(b => b.block_id === 'stake').element;
+    assert.strictEqual(stake.action_id, 'amount');
+    assert.strictEqual(stake.min_value, '1');
+    assert.strictEqual(stake.max_value, '10');
+    assert.strictEqual(stake.initial_value, '4');
+    assert.ok(modal.title.text.length <= 24);
+
+    const noMax = buildStakeModal(line({ max_stake: null, min_stake: 2 }), 0, { balance: 20 });
+    const noMaxStake = noMax.blocks.find(b => b.block_id === 'stake').element;
+    assert.strictEqual(noMaxStake.max_value, undefined);
+    assert.strictEqual(noMaxStake.initial_value, '2');
+    console.log('✅ Stake modal respects the line limits and the current bet');
+
+    console.log('\n5. Testing the resolve modal...');
+    const resolve = buildResolveModal(line(), { channelId: 'C1' });
+    assert.strictEqual(resolve.callback_id, CALLBACKS.resolveLine);
+    const select = resolve.blocks.find(b => b.block_id === 'winner').element;
+    assert.deepStrictEqual(select.options.map(o => o.value), ['0', '1']);
+    assert.strictEqual(select.type, 'multi_static_select');
+    assert.ok(resolve.blocks.find(b => b.block_id === 'push'));
+
+    const submitted = (winners, push = false) => ({
+      state: {
+        values: {
+          winner: { option: { selected_options: winners.map(value => ({ value })) } },
+          push: { push: { selected_options: push ? [{ value: 'push' }] : [] } }
+        }
+      }
+    });
+    const race = line({ options: ['red', 'blue', 'green'] });
+    assert.deepStrictEqual(readResolveSubmission(submitted(['1']), race), { outcome: { mode: 'single', winners: ['blue'] }, errors: {} });
+    assert.deepStrictEqual(readResolveSubmission(submitted(['0', '2']), race).outcome, { mode: 'dead_heat', winners: ['red', 'green'] });
+    assert.deepStrictEqual(readResolveSubmission(submitted([], true), race).outcome, { mode: 'push', winners: [] });
+    assert.ok(readResolveSubmission(submitted([]), race).errors.winner);
+    assert.ok(readResolveSubmission(submitted(['0', '1', '2']), race).errors.winner);
+    assert.ok(readResolveSubmission(submitted(['0'], true), race).errors.push);
+    console.log('✅ Resolve modal lists every option and offers dead heats and pushes');
+
+    console.log('\n6. Testing the odds breakdown...');
+    const oddsText = buildOddsMessage({
+      line: line(),
+      odds: summary.odds,
+      totalPot: 10,
+      position: { option: 'yes', stake: 3, potentialPayout: 10 }
+    }).text;
+    assert.ok(oddsText.includes('*yes*: pays 3.33x · 30% implied · 3 units staked'));
+    assert.ok(oddsText.includes('you get 10 units back (+7)'));
+    assert.ok(buildOddsMessage({ line: line(), odds: summary.odds, totalPot: 10, position: null }).text.includes('no bet'));
+    console.log('✅ Odds breakdown shows every option and the user\'s position');
+
+    console.log('\n7. Testing the creation modal...');
+    const form = buildCreateLineModal({ channelId: 'C1' });
+    assert.strictEqual(form.callback_id, CALLBACKS.createLine);
+    assert.strictEqual(findBlock(form, 'channel').element.initial_conversation, 'C1');
+    assert.ok(findBlock(form, 'option_1'));
+    assert.ok(!findBlock(form, 'option_2'));
+    assert.deepStrictEqual(findBlock(form, 'option_controls').elements.map(e => e.action_id), [MODAL_ACTIONS.addOption]);
+
+    // Growing the list keeps what was already typed
+    const typed = submittedView({ question: 'Who wins?', option_0: 'Red', emoji_0: ':red_circle:' }).state.values;
+    const grown = buildCreateLineModal({ optionCount: 3, channelId: 'C1', values: typed });
+    assert.strictEqual(findBlock(grown, 'question').element.initial_value, 'Who wins?');
+    assert.strictEqual(findBlock(grown, 'emoji_0').element.initial_option.value, ':red_circle:');
+    assert.strictEqual(findBlock(grown, 'option_2').optional, true);
+    assert.strictEqual(findBlock(grown, 'option_controls').elements.length, 2);
+    assert.strictEqual(JSON.parse(buildCreateLineModal({ optionCount: 50 }).private_metadata).optionCount, 10);
+    console.log('✅ Options can be added and removed without losing input');
+
+    console.log('\n8. Testing creation form validation...');
+    const now = new Date('2025-01-01T00:00:00Z');
+    const valid = readCreateLineSubmission(submittedView({
+      question: ' Who wins, red or blue? ',
+      option_0: 'Red, obviously',
+      emoji_0: ':red_circle:',
+      option_1: 'Blue',
+      option_2: '',
+      closes: 'in 2h',
+      min_stake: '2',
+      max_stake: '5',
+      channel: 'C1'
+    }, 3), now);
+    assert.deepStrictEqual(valid.errors, {});
+    assert.strictEqual(valid.question, 'Who wins, red or blue?');
+    assert.deepStrictEqual(valid.options, ['Red, obviously', 'Blue']);
+    assert.deepStrictEqual(valid.chosenEmojis, [':red_circle:', null]);
+    assert.deepStrictEqual(valid.limits, { lockAt: new Date('2025-01-01T02:00:00Z'), minStake: 2, maxStake: 5 });
+    assert.strictEqual(valid.channelId, 'C1');
+
+    const invalid = readCreateLineSubmission(submittedView({
+      question: 'Who wins?',
+      option_0: 'Red',
+      emoji_0: ':fire:',
+      option_1: 'red',
+      emoji_1: ':fire:',
+      closes: 'whenever',
+      min_stake: '5',
+      max_stake: '2'
+    }), now);
+    assert.deepStrictEqual(Object.keys(invalid.errors).sort(), ['channel', 'closes', 'emoji_1', 'max_stake', 'option_1']);
+    assert.match(invalid.errors.option_1, /Same as option 1/);
+
+    const past = readCreateLineSubmission(submittedView({
+      question: 'Q', option_0: 'A', closes: '2024-01-01T00:00:00Z', channel: 'C1'
+    }), now);
+    assert.match(past.errors.closes, /future/);
+    assert.match(past.errors.option_1, /at least 2 options/);
+    console.log('✅ Bad input is reported on the field it belongs to');
+
+    console.log('\n9. Testing chosen emojis are kept and defaults avoid them...');
+    const service = new BettingService(null, { integrityRules: [] });
+    assert.deepStrictEqual(service.generateEmojis(['yes', 'no']), [':white_check_mark:', ':x:']);
+    assert.deepStrictEqual(service.generateEmojis(['Red', 'Blue'], [null, ':a:']), [':b:', ':a:']);
+    assert.deepStrictEqual(service.generateEmojis(['yes', 'maybe'], [null, ':white_check_mark:']), [':a:', ':white_check_mark:']);
+    console.log('✅ No two options share an emoji');
+
+    console.log('\n🎉 All view tests passed!');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };